@@ -4,6 +4,8 @@
 
 var AggregationCursor = require('./cursor/AggregationCursor');
 var Query = require('./query');
+var profiler = require('./services/profiler');
+var softDelete = require('./services/softDelete');
 var util = require('util');
 var utils = require('./utils');
 var read = Query.prototype.read;
@@ -45,6 +47,7 @@ function Aggregate(pipeline) {
   this._pipeline = [];
   this._model = undefined;
   this.options = {};
+  this._mongooseOptions = {};
 
   if (arguments.length === 1 && util.isArray(pipeline)) {
     this.append.apply(this, pipeline);
@@ -572,6 +575,7 @@ Aggregate.prototype.explain = function(callback) {
     }
 
     prepareDiscriminatorPipeline(this);
+    prepareSoftDeletePipeline(this);
 
     this._model.collection.
       aggregate(this._pipeline, this.options || {}).
@@ -706,6 +710,65 @@ Aggregate.prototype.collation = function(collation) {
   return this;
 };
 
+/**
+ * Sets the session this aggregation runs in. See
+ * [`Connection#startSession()`](#connection_Connection-startSession).
+ *
+ * ####Example:
+ *
+ *     const session = await mongoose.startSession();
+ *     await Model.aggregate(..).session(session);
+ *
+ * @param {ClientSession} session pass `null` to remove the current session
+ * @return {Aggregate} this
+ * @api public
+ */
+
+Aggregate.prototype.session = function(session) {
+  if (session == null) {
+    delete this.options.session;
+  } else {
+    this.options.session = session;
+  }
+  return this;
+};
+
+/**
+ * Includes soft deleted documents when the model's schema has the
+ * `softDelete` option. See [Query#withDeleted](#query_Query-withDeleted).
+ *
+ * ####Example:
+ *
+ *     Model.aggregate(..).withDeleted().exec();
+ *
+ * @param {Boolean} [value] defaults to true
+ * @return {Aggregate} this
+ * @api public
+ */
+
+Aggregate.prototype.withDeleted = function(value) {
+  this._mongooseOptions.withDeleted = arguments.length ? value : true;
+  return this;
+};
+
+/**
+ * Only matches soft deleted documents when the model's schema has the
+ * `softDelete` option. See [Query#onlyDeleted](#query_Query-onlyDeleted).
+ *
+ * ####Example:
+ *
+ *     Model.aggregate(..).onlyDeleted().exec();
+ *
+ * @param {Boolean} [value] defaults to true
+ * @return {Aggregate} this
+ * @api public
+ */
+
+Aggregate.prototype.onlyDeleted = function(value) {
+  this._mongooseOptions.onlyDeleted = arguments.length ? value : true;
+  return this;
+};
+
 /**
  * Combines multiple aggregation pipelines.
  *
@@ -772,6 +835,7 @@ Aggregate.prototype.exec = function(callback) {
   var collection = this._model.collection;
 
   if (options && options.cursor) {
+    prepareSoftDeletePipeline(this);
     return new AggregationCursor(this);
   }
 
@@ -782,7 +846,9 @@ Aggregate.prototype.exec = function(callback) {
     }
 
     prepareDiscriminatorPipeline(this);
+    prepareSoftDeletePipeline(this);
 
+    cb = profiler.track(model, this, 'aggregate', cb);
     model.hooks.execPre('aggregate', this, error => {
       if (error) {
         var _opts = { error: error };
@@ -897,6 +963,35 @@ function prepareDiscriminatorPipeline(aggregate) {
   }
 }
 
+/*!
+ * Excludes soft deleted documents, unless `withDeleted()` was called, the
+ * same way `prepareDiscriminatorPipeline()` adds the discriminator key.
+ *
+ * @param {Aggregate} aggregate Aggregate to prepare
+ */
+
+function prepareSoftDeletePipeline(aggregate) {
+  var schema = aggregate._model.schema;
+  if (softDelete.getPath(schema) == null) {
+    return;
+  }
+
+  var originalPipeline = aggregate._pipeline;
+  var options = aggregate._mongooseOptions;
+  if (originalPipeline[0] && originalPipeline[0].$match) {
+    softDelete.applyFilter(schema, originalPipeline[0].$match, options);
+  } else if (originalPipeline[0] && originalPipeline[0].$geoNear) {
+    originalPipeline[0].$geoNear.query =
+        originalPipeline[0].$geoNear.query || {};
+    softDelete.applyFilter(schema, originalPipeline[0].$geoNear.query, options);
+  } else {
+    var match = {};
+    if (softDelete.applyFilter(schema, match, options)) {
+      aggregate._pipeline.unshift({ $match: match });
+    }
+  }
+}
+
 /*!
  * Exports
  */
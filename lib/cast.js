@@ -6,6 +6,7 @@
 
 const StrictModeError = require('./error/strict');
 const Types = require('./schema/index');
+const encryption = require('./services/encryption/transform');
 const get = require('lodash.get');
 const util = require('util');
 const utils = require('./utils');
@@ -236,6 +237,8 @@ module.exports = function cast(schema, obj, options, context) {
         }
       } else if (val == null) {
         continue;
+      } else if (schematype.options != null && schematype.options.encrypt) {
+        obj[path] = encryption.castForQuery(schematype, val, context);
       } else if (val.constructor.name === 'Object') {
         any$conditionals = Object.keys(val).some(function(k) {
           return k.charAt(0) === '$' && k !== '$id' && k !== '$ref';
@@ -4,6 +4,7 @@
  * Module dependencies.
  */
 
+const BufferTimeoutError = require('./error/bufferTimeout');
 const EventEmitter = require('events').EventEmitter;
 const STATES = require('./connectionstate');
 const utils = require('./utils');
@@ -105,13 +106,35 @@ Collection.prototype.onClose = function(force) {
  * Queues a method for later execution when its
  * database connection opens.
  *
- * @param {String} name name of the method to queue
+ * If the `bufferTimeoutMS` option is set and the last argument is a
+ * callback, the method is removed from the queue and the callback gets a
+ * `BufferTimeoutError` if the connection doesn't open in time.
+ *
+ * @param {String|Function} name name of the method to queue, or a function
  * @param {Array} args arguments to pass to the method when executed
  * @api private
  */
 
 Collection.prototype.addQueue = function(name, args) {
-  this.queue.push([name, args]);
+  var entry = [name, args, { queuedAt: new Date(), timeout: null }];
+  var timeoutMS = this.opts.bufferTimeoutMS;
+  var callback = args.length > 0 ? args[args.length - 1] : null;
+
+  if (timeoutMS != null && typeof callback === 'function') {
+    var _this = this;
+    entry[2].timeout = setTimeout(function() {
+      var index = _this.queue.indexOf(entry);
+      if (index === -1) {
+        return;
+      }
+      _this.queue.splice(index, 1);
+      _this.conn.emit('queueSize', _this.queue.length, _this);
+      callback(new BufferTimeoutError(_this.name, getMethodName(name), timeoutMS));
+    }, timeoutMS);
+  }
+
+  this.queue.push(entry);
+  this.conn.emit('queueSize', this.queue.length, this);
   return this;
 };
 
@@ -122,14 +145,19 @@ Collection.prototype.addQueue = function(name, args) {
  */
 
 Collection.prototype.doQueue = function() {
-  for (var i = 0, l = this.queue.length; i < l; i++) {
-    if (typeof this.queue[i][0] === 'function') {
-      this.queue[i][0].apply(this, this.queue[i][1]);
+  var queue = this.queue;
+  this.queue = [];
+  for (var i = 0, l = queue.length; i < l; i++) {
+    clearTimeout(queue[i][2].timeout);
+    if (typeof queue[i][0] === 'function') {
+      queue[i][0].apply(this, queue[i][1]);
     } else {
-      this[this.queue[i][0]].apply(this, this.queue[i][1]);
+      this[queue[i][0]].apply(this, queue[i][1]);
     }
   }
-  this.queue = [];
+  if (queue.length > 0) {
+    this.conn.emit('queueSize', this.queue.length, this);
+  }
   var _this = this;
   process.nextTick(function() {
     _this.emitter.emit('queue');
@@ -137,6 +165,43 @@ Collection.prototype.doQueue = function() {
   return this;
 };
 
+/**
+ * Returns the operations that are queued until the connection opens, in
+ * the order they will run. Each operation has the `method` name, its `args`
+ * and when it was queued in `queuedAt`.
+ *
+ * ####Example:
+ *
+ *     var ops = Model.collection.getBufferedOperations();
+ *     if (ops.length > 0 && Date.now() - ops[0].queuedAt > 5000) {
+ *       // the connection has been stalled for 5 seconds
+ *     }
+ *
+ * @return {Array}
+ * @api public
+ */
+
+Collection.prototype.getBufferedOperations = function() {
+  return this.queue.map(function(entry) {
+    return {
+      method: getMethodName(entry[0]),
+      args: Array.prototype.slice.call(entry[1]),
+      queuedAt: entry[2].queuedAt
+    };
+  });
+};
+
+/*!
+ * Queued functions, like index builds, are reported by their name.
+ */
+
+function getMethodName(name) {
+  if (typeof name === 'function') {
+    return name.name || 'anonymous';
+  }
+  return name;
+}
+
 /**
  * Abstract method that drivers must implement.
  */
@@ -25,6 +25,13 @@ var authMechanismsWhichDontRequirePassword = [
   'MONGODB-X509'
 ];
 
+/*!
+ * How long `withTransaction()` keeps retrying transient errors, the same
+ * limit the MongoDB drivers use.
+ */
+
+const TRANSACTION_RETRY_TIMEOUT_MS = 120000;
+
 /**
  * Connection constructor
  *
@@ -42,6 +49,9 @@ var authMechanismsWhichDontRequirePassword = [
  * @event `error`: Emitted when an error occurs on this connection.
  * @event `fullsetup`: Emitted in a replica-set scenario, when primary and at least one seconaries specified in the connection string are connected.
  * @event `all`: Emitted in a replica-set scenario, when all nodes specified in the connection string are connected.
+ * @event `profile`: Emitted after each query or aggregation while [profiling](#connection_Connection-profile).
+ * @event `slowQuery`: Emitted after a query or aggregation that took longer than the profiler's `slowMS`.
+ * @event `queueSize`: Emitted with the queue size and the collection when an operation is buffered, times out or the buffered operations run.
  * @api public
  */
 
@@ -58,6 +68,9 @@ function Connection(base) {
   this._readyState = STATES.disconnected;
   this._closeCalled = false;
   this._hasOpened = false;
+  this._profiler = null;
+  this._lastHeartbeat = null;
+  this._openCursors = new Set();
 }
 
 /*!
@@ -287,6 +300,454 @@ Connection.prototype.dropDatabase = _wrapConnHelper(function dropDatabase(cb) {
   this.db.dropDatabase(cb);
 });
 
+/**
+ * Starts a [MongoDB session](https://docs.mongodb.com/manual/release-notes/3.6/#client-sessions)
+ * for causally consistent reads and transactions.
+ *
+ * Pass the session to queries with [`Query#session()`](#query_Query-session),
+ * to aggregations with [`Aggregate#session()`](#aggregate_Aggregate-session)
+ * and to `save()` and `remove()` with the `session` option. Documents loaded
+ * by a query with a session remember it, so `save()` uses it by default.
+ *
+ * ####Example:
+ *
+ *     const session = await conn.startSession();
+ *     let doc = await Person.findOne({ name: 'Ned Stark' }).session(session);
+ *     doc.name = 'Eddard Stark';
+ *     await doc.save(); // uses `session`
+ *     session.endSession();
+ *
+ * @method startSession
+ * @param {Object} [options] see the [mongodb driver options](http://mongodb.github.io/node-mongodb-native/3.0/api/MongoClient.html#startSession)
+ * @param {Boolean} [options.causalConsistency=true] set to false to disable causal consistency
+ * @param {Function} [callback]
+ * @return {Promise<ClientSession>} resolves to a MongoDB driver `ClientSession`
+ * @api public
+ */
+
+Connection.prototype.startSession = _wrapConnHelper(function startSession(options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = null;
+  }
+  let session;
+  try {
+    session = this.client.startSession(options);
+  } catch (error) {
+    return cb(error);
+  }
+  cb(null, session);
+});
+
+/**
+ * Runs `fn` in a transaction on a new session and commits it. `fn` receives
+ * the session and should return a promise. If `fn` or the commit fails with
+ * a `TransientTransactionError`, the transaction is retried from the start,
+ * and a commit that fails with `UnknownTransactionCommitResult` is retried on
+ * its own, for up to 2 minutes. Any other error aborts the transaction.
+ *
+ * Resolves to the value `fn` resolved to. Transactions need MongoDB 4.0 and a
+ * driver with a transaction API (mongodb >= 3.1), otherwise the promise
+ * rejects with a `MongooseError`.
+ *
+ * ####Example:
+ *
+ *     const doc = await conn.withTransaction(session => {
+ *       return Account.updateOne({ _id: from }, { $inc: { balance: -100 } }).session(session).
+ *         then(() => Account.updateOne({ _id: to }, { $inc: { balance: 100 } }).session(session)).
+ *         then(() => Account.findById(to).session(session));
+ *     });
+ *
+ * @param {Function} fn called with `(session)`, may be called more than once
+ * @param {Object} [options] transaction options, like `readConcern` and `writeConcern`
+ * @param {Function} [callback]
+ * @return {Promise}
+ * @api public
+ */
+
+Connection.prototype.withTransaction = function withTransaction(fn, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+
+  return utils.promiseOrCallback(callback, cb => {
+    this.startSession((error, session) => {
+      if (error != null) {
+        return cb(error);
+      }
+      if (typeof session.startTransaction !== 'function') {
+        session.endSession();
+        return cb(new MongooseError('`withTransaction()` requires a MongoDB ' +
+          'driver that supports transactions (mongodb >= 3.1) and MongoDB 4.0'));
+      }
+      _runTransaction(session, fn, options, Date.now(), (error, res) => {
+        session.endSession();
+        cb(error, res);
+      });
+    });
+  });
+};
+
+/*!
+ * ignore
+ */
+
+function _runTransaction(session, fn, options, startTime, callback) {
+  const Promise = PromiseProvider.get();
+
+  try {
+    session.startTransaction(options);
+  } catch (error) {
+    return callback(error);
+  }
+
+  let promise;
+  try {
+    promise = Promise.resolve(fn(session));
+  } catch (error) {
+    promise = Promise.reject(error);
+  }
+
+  promise.then(res => {
+    if (!session.inTransaction()) {
+      // `fn` committed or aborted the transaction itself
+      return callback(null, res);
+    }
+    _commitTransaction(session, fn, options, startTime, res, callback);
+  }, error => {
+    const retry = () => {
+      if (_hasErrorLabel(error, 'TransientTransactionError') &&
+          Date.now() - startTime < TRANSACTION_RETRY_TIMEOUT_MS) {
+        return _runTransaction(session, fn, options, startTime, callback);
+      }
+      callback(error);
+    };
+    if (!session.inTransaction()) {
+      return retry();
+    }
+    // report the original error rather than a failure to abort
+    session.abortTransaction(() => retry());
+  });
+}
+
+/*!
+ * ignore
+ */
+
+function _commitTransaction(session, fn, options, startTime, res, callback) {
+  session.commitTransaction(error => {
+    if (error == null) {
+      return callback(null, res);
+    }
+    if (Date.now() - startTime < TRANSACTION_RETRY_TIMEOUT_MS) {
+      if (_hasErrorLabel(error, 'UnknownTransactionCommitResult')) {
+        return _commitTransaction(session, fn, options, startTime, res, callback);
+      }
+      if (_hasErrorLabel(error, 'TransientTransactionError')) {
+        return _runTransaction(session, fn, options, startTime, callback);
+      }
+    }
+    callback(error);
+  });
+}
+
+/*!
+ * ignore
+ */
+
+function _hasErrorLabel(error, label) {
+  return error != null && Array.isArray(error.errorLabels) &&
+    error.errorLabels.indexOf(label) !== -1;
+}
+
+/**
+ * Calls [`Model.syncValidator()`](#model_Model.syncValidator) for every model
+ * registered on this connection, one at a time. Discriminators are skipped
+ * because they share their base model's collection, as is every model after
+ * the first for a given collection.
+ *
+ * Resolves to an array with one result per collection.
+ *
+ * ####Example:
+ *
+ *     conn.syncValidators({ dryRun: true }).then(function(results) {
+ *       results.filter(res => res.action !== 'none').forEach(function(res) {
+ *         console.log(res.collection, res.action, res.current, res.validator);
+ *       });
+ *     });
+ *
+ * @param {Object} [options] passed to `Model.syncValidator()`
+ * @param {Boolean} [options.dryRun] only report what would change
+ * @param {Function} [callback]
+ * @return {Promise}
+ * @api public
+ */
+
+Connection.prototype.syncValidators = function syncValidators(options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+
+  return utils.promiseOrCallback(callback, cb => {
+    _eachCollectionModel(this, (model, next) => model.syncValidator(options, next), cb);
+  });
+};
+
+/**
+ * Calls [`Model.syncIndexes()`](#model_Model.syncIndexes) for every model
+ * registered on this connection, one at a time, skipping discriminators and
+ * every model after the first for a given collection like
+ * [`syncValidators()`](#connection_Connection-syncValidators).
+ *
+ * Resolves to an array with one diff per collection.
+ *
+ * ####Example:
+ *
+ *     conn.syncIndexes().then(function(results) {
+ *       results.forEach(function(res) {
+ *         console.log(res.collection, res.toCreate.length, res.toDrop);
+ *       });
+ *     });
+ *
+ * @param {Object} [options] passed to `Model.syncIndexes()`
+ * @param {Function} [callback]
+ * @return {Promise}
+ * @api public
+ */
+
+Connection.prototype.syncIndexes = function syncIndexes(options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+
+  return utils.promiseOrCallback(callback, cb => {
+    _eachCollectionModel(this, (model, next) => model.syncIndexes(options, next), cb);
+  });
+};
+
+/**
+ * Starts profiling the queries and aggregations of this connection's models.
+ * After each operation the connection emits a `profile` event, and if the
+ * operation took at least `slowMS` milliseconds, a `slowQuery` event with the
+ * same object. The event has:
+ *
+ * - `model`, `modelName` and `collection`
+ * - `op`: the query op, like `'find'` or `'updateOne'`, or `'aggregate'`
+ * - `filter`: the shape of the filter, values are replaced with `'?'`. For aggregations, the shape of the leading `$match` stage, and `pipeline` has the shape of the whole pipeline
+ * - `duration`: milliseconds from `exec()` until the result was ready, including middleware
+ * - `docsReturned`: the number of documents returned, `null` for ops that don't return documents like `updateOne()`
+ * - `error`: the error the operation failed with, if any
+ * - `query`: the Query or Aggregate that ran the operation
+ * - `slow`: whether the operation took at least `slowMS`
+ *
+ * With the `explain` option, slow `find()` and `findOne()` queries and slow
+ * aggregations are explained before the `slowQuery` event is emitted, and the
+ * event has the result in `explain`, or the error in `explainError`. Explaining
+ * runs the operation again, so keep `slowMS` high enough that it's rare.
+ *
+ * Cursors and operations that don't go through a Query or Aggregate, like
+ * `save()` and `insertMany()`, aren't profiled.
+ *
+ * ####Example:
+ *
+ *     conn.profile({ slowMS: { default: 100, 'User.find': 20 }, explain: true });
+ *     conn.on('slowQuery', function(event) {
+ *       console.log(event.modelName, event.op, event.filter, event.duration);
+ *     });
+ *
+ *     // stop profiling
+ *     conn.profile(false);
+ *
+ * @param {Object|Boolean} [options] `false` stops profiling
+ * @param {Number|Object} [options.slowMS] operations that take at least this many milliseconds are slow. An object can set thresholds per model name and per `Model.op`, with a `default`
+ * @param {Boolean} [options.explain=false] explain slow queries
+ * @return {Connection} this
+ * @api public
+ */
+
+Connection.prototype.profile = function profile(options) {
+  if (options === false) {
+    this._profiler = null;
+    return this;
+  }
+
+  this._profiler = Object.assign({ slowMS: null, explain: false }, options);
+  return this;
+};
+
+/**
+ * Sends a `ping` command to the server. Resolves to the round trip time in
+ * milliseconds, and records the result as the last heartbeat reported by
+ * [`health()`](#connection_Connection-health). Fails right away rather than
+ * buffering if the connection isn't open.
+ *
+ * ####Example:
+ *
+ *     conn.ping().then(function(ms) {
+ *       console.log('MongoDB answered in', ms, 'ms');
+ *     });
+ *
+ * @param {Function} [callback]
+ * @return {Promise}
+ * @api public
+ */
+
+Connection.prototype.ping = function ping(callback) {
+  return utils.promiseOrCallback(callback, cb => {
+    const start = Date.now();
+    const done = error => {
+      const durationMS = Date.now() - start;
+      this._lastHeartbeat = {
+        at: new Date(),
+        ok: error == null,
+        durationMS: durationMS,
+        error: error || null
+      };
+      if (error != null) {
+        return cb(error);
+      }
+      cb(null, durationMS);
+    };
+
+    if (this.readyState !== STATES.connected || this.db == null) {
+      return done(new MongooseError('Connection is not open, its state is `' +
+        STATES[this.readyState] + '`'));
+    }
+    this.db.command({ ping: 1 }, error => done(error));
+  });
+};
+
+/**
+ * Returns a summary of this connection's health:
+ *
+ * - `ok`: whether the connection is open and the last [`ping()`](#connection_Connection-ping), if any, succeeded
+ * - `state`: the [`readyState`](#connection_Connection-readyState) name, like `'connected'`
+ * - `lastHeartbeat`: the result of the last `ping()`, with `at`, `ok`, `durationMS` and `error`, or `null`
+ * - `bufferedOperations`: how many operations are queued until the connection opens
+ * - `openCursors`: how many query and aggregation cursors are open
+ * - `models`: the names of this connection's models
+ *
+ * ####Example:
+ *
+ *     conn.health();
+ *     // { ok: true, state: 'connected', lastHeartbeat: null, bufferedOperations: 0,
+ *     //   openCursors: 0, models: ['User'] }
+ *
+ * @return {Object}
+ * @api public
+ */
+
+Connection.prototype.health = function health() {
+  const bufferedOperations = Object.keys(this.collections).reduce((sum, name) => {
+    return sum + this.collections[name].queue.length;
+  }, 0);
+  const lastHeartbeat = this._lastHeartbeat;
+
+  return {
+    ok: this.readyState === STATES.connected &&
+      (lastHeartbeat == null || lastHeartbeat.ok),
+    state: STATES[this.readyState],
+    lastHeartbeat: lastHeartbeat == null ? null : Object.assign({}, lastHeartbeat),
+    bufferedOperations: bufferedOperations,
+    openCursors: this._openCursors.size,
+    models: this.modelNames()
+  };
+};
+
+/**
+ * Returns a request handler for health check endpoints that works with
+ * `http.createServer()` and as Express middleware. It responds with the
+ * [`health()`](#connection_Connection-health) summary as JSON.
+ *
+ * By default the handler is for readiness checks: it pings the server first,
+ * and responds with status 200 if the connection is healthy and 503
+ * otherwise. With the `liveness` option it always responds with status 200,
+ * so an unreachable database doesn't get the process restarted.
+ *
+ * ####Example:
+ *
+ *     app.get('/ready', conn.healthHandler());
+ *     app.get('/live', conn.healthHandler({ liveness: true }));
+ *
+ * @param {Object} [options]
+ * @param {Boolean} [options.ping=true] ping the server before responding
+ * @param {Number} [options.timeoutMS=2000] how long to wait for the ping before responding with 503
+ * @param {Boolean} [options.liveness=false] always respond with status 200
+ * @return {Function} `function(req, res)`
+ * @api public
+ */
+
+Connection.prototype.healthHandler = function healthHandler(options) {
+  options = Object.assign({ ping: true, timeoutMS: 2000, liveness: false }, options);
+
+  return (req, res) => {
+    let responded = false;
+    const respond = timedOut => {
+      if (responded) {
+        return;
+      }
+      responded = true;
+
+      const health = this.health();
+      if (timedOut) {
+        health.ok = false;
+      }
+      if (health.lastHeartbeat != null && health.lastHeartbeat.error != null) {
+        health.lastHeartbeat.error = health.lastHeartbeat.error.message;
+      }
+      res.statusCode = health.ok || options.liveness ? 200 : 503;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(health));
+    };
+
+    if (options.liveness || !options.ping) {
+      return respond(false);
+    }
+    const timeout = setTimeout(() => respond(true), options.timeoutMS);
+    this.ping(() => {
+      clearTimeout(timeout);
+      respond(false);
+    });
+  };
+};
+
+/*!
+ * Calls `fn(model, next)` for each base model with its own collection, one
+ * at a time, and calls `callback` with the results.
+ */
+
+function _eachCollectionModel(conn, fn, callback) {
+  const seen = {};
+  const models = Object.keys(conn.models).
+    map(name => conn.models[name]).
+    filter(model => {
+      if (model.baseModelName != null || seen[model.collection.collectionName]) {
+        return false;
+      }
+      seen[model.collection.collectionName] = true;
+      return true;
+    });
+
+  const results = [];
+  const next = () => {
+    const model = models.shift();
+    if (model == null) {
+      return callback(null, results);
+    }
+    fn(model, (error, res) => {
+      if (error) {
+        return callback(error);
+      }
+      results.push(res);
+      next();
+    });
+  };
+  next();
+}
+
 /*!
  * ignore
  */
@@ -300,13 +761,13 @@ function _wrapConnHelper(fn) {
     return utils.promiseOrCallback(cb, cb => {
       if (this.readyState !== STATES.connected) {
         this.on('open', function() {
-          fn.apply(this, argsWithoutCb.concat([function(error) {
-            cb(error);
+          fn.apply(this, argsWithoutCb.concat([function(error, res) {
+            cb(error, res);
           }]));
         });
       } else {
-        fn.apply(this, argsWithoutCb.concat([function(error) {
-          cb(error);
+        fn.apply(this, argsWithoutCb.concat([function(error, res) {
+          cb(error, res);
         }]));
       }
     });
@@ -403,6 +864,11 @@ Connection.prototype.openUri = function(uri, options, callback) {
       delete options.bufferCommands;
     }
 
+    if (options.bufferTimeoutMS != null) {
+      this.config.bufferTimeoutMS = options.bufferTimeoutMS;
+      delete options.bufferTimeoutMS;
+    }
+
     if (options.useMongoClient != null) {
       handleUseMongoClient(options);
     }
@@ -581,6 +1047,8 @@ Connection.prototype._close = function(force, callback) {
 
 Connection.prototype.onClose = function(force) {
   this.readyState = STATES.disconnected;
+  // the driver closes every cursor with the connection
+  this._openCursors.clear();
 
   // avoid having the collection subscribe to our event emitter
   // to prevent 0.3 warning
@@ -4,6 +4,7 @@
 
 var Readable = require('stream').Readable;
 var eachAsync = require('../services/cursor/eachAsync');
+var trackCursor = require('../services/cursor/trackCursor');
 var util = require('util');
 var utils = require('../utils');
 
@@ -53,12 +54,14 @@ function _init(model, c, agg) {
   if (!model.collection.buffer) {
     model.hooks.execPre('aggregate', agg, function() {
       c.cursor = model.collection.aggregate(agg._pipeline, agg.options || {});
+      trackCursor(model.db, c, c.cursor);
       c.emit('cursor', c.cursor);
     });
   } else {
     model.collection.emitter.once('queue', function() {
       model.hooks.execPre('aggregate', agg, function() {
         c.cursor = model.collection.aggregate(agg._pipeline, agg.options || {});
+        trackCursor(model.db, c, c.cursor);
         c.emit('cursor', c.cursor);
       });
     });
@@ -152,6 +155,7 @@ AggregationCursor.prototype._markError = function(error) {
 
 AggregationCursor.prototype.close = function(callback) {
   return utils.promiseOrCallback(callback, cb => {
+    this.agg._model.db._openCursors.delete(this);
     this.cursor.close(error => {
       if (error) {
         cb(error);
@@ -262,6 +266,9 @@ function _next(ctx, cb) {
 
   if (ctx.cursor) {
     return ctx.cursor.next(function(error, doc) {
+      if (error || !doc) {
+        ctx.agg._model.db._openCursors.delete(ctx);
+      }
       if (error) {
         return callback(error);
       }
@@ -5,6 +5,7 @@
 var Readable = require('stream').Readable;
 var eachAsync = require('../services/cursor/eachAsync');
 var helpers = require('../queryhelpers');
+var trackCursor = require('../services/cursor/trackCursor');
 var util = require('util');
 var utils = require('../utils');
 
@@ -48,6 +49,7 @@ function QueryCursor(query, options) {
         return _this.emit('error', err);
       }
       _this.cursor = cursor;
+      trackCursor(model.db, _this, cursor);
       _this.emit('cursor', cursor);
     });
   });
@@ -142,6 +144,7 @@ QueryCursor.prototype._markError = function(error) {
 
 QueryCursor.prototype.close = function(callback) {
   return utils.promiseOrCallback(callback, cb => {
+    this.query.model.db._openCursors.delete(this);
     this.cursor.close(error => {
       if (error) {
         cb(error);
@@ -244,6 +247,9 @@ function _next(ctx, cb) {
 
   if (ctx.cursor) {
     return ctx.cursor.next(function(error, doc) {
+      if (error || !doc) {
+        ctx.query.model.db._openCursors.delete(ctx);
+      }
       if (error) {
         return callback(error);
       }
@@ -252,9 +258,15 @@ function _next(ctx, cb) {
       }
 
       var opts = ctx.query._mongooseOptions;
+      if (!!opts.lean === true) {
+        helpers.decryptLean(ctx.query.model, doc);
+        helpers.applyLeanVirtuals(ctx.query.model, doc,
+          ctx.query._selectedVirtuals);
+      }
       if (!opts.populate) {
-        return opts.lean === true ?
-          callback(null, doc) :
+        return !!opts.lean === true ?
+          callback(null, helpers.applyLeanOptions(ctx.query.model, doc,
+            opts.lean, ctx.query._fields)) :
           _create(ctx, doc, null, callback);
       }
 
@@ -265,8 +277,9 @@ function _next(ctx, cb) {
         if (err) {
           return callback(err);
         }
-        return opts.lean === true ?
-          callback(null, doc) :
+        return !!opts.lean === true ?
+          callback(null, helpers.applyLeanOptions(ctx.query.model, doc,
+            opts.lean, ctx.query._fields)) :
           _create(ctx, doc, pop, callback);
       });
     });
@@ -296,9 +309,13 @@ function _waitForCursor(ctx, cb) {
 
 function _create(ctx, doc, populatedIds, cb) {
   var instance = helpers.createModel(ctx.query.model, doc, ctx.query._fields);
-  var opts = populatedIds ?
-    { populated: populatedIds } :
-    undefined;
+  var opts = {};
+  if (populatedIds) {
+    opts.populated = populatedIds;
+  }
+  if (ctx.query.options.session != null) {
+    opts.session = ctx.query.options.session;
+  }
 
   instance.init(doc, opts, function(err) {
     if (err) {
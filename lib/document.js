@@ -14,14 +14,18 @@ const ObjectParameterError = require('./error/objectParameter');
 const StrictModeError = require('./error/strict');
 const ValidatorError = require('./schematype').ValidatorError;
 const VirtualType = require('./virtualtype');
+const applyMigrations = require('./services/schema/applyMigrations');
 const cleanModifiedSubpaths = require('./services/document/cleanModifiedSubpaths');
 const compile = require('./services/document/compile').compile;
 const defineKey = require('./services/document/compile').defineKey;
+const decryptDocument = require('./services/encryption/transform').decryptDocument;
 const flatten = require('./services/common').flatten;
 const get = require('lodash.get');
+const getRefModelName = require('./services/populate/getRefModelName');
 const idGetter = require('./plugins/idGetter');
 const isDefiningProjection = require('./services/projection/isDefiningProjection');
 const isExclusive = require('./services/projection/isExclusive');
+const isInclusive = require('./services/projection/isInclusive');
 const inspect = require('util').inspect;
 const internalToObjectOptions = require('./options').internalToObjectOptions;
 const mpath = require('mpath');
@@ -374,11 +378,48 @@ Document.prototype.toBSON = function() {
   return this.toObject(internalToObjectOptions);
 };
 
+/**
+ * Getter/setter around the session associated with this document. Documents
+ * loaded by a query with a [session](#query_Query-session) remember it, and
+ * `save()` and `remove()` use it unless they're given a `session` option.
+ *
+ * ####Example:
+ *
+ *     const session = await mongoose.startSession();
+ *     const doc = await Model.findOne().session(session);
+ *     doc.$session() === session; // true
+ *     doc.$session(null);
+ *     doc.$session(); // null
+ *
+ * @param {ClientSession} [session] overwrite the current session
+ * @return {ClientSession}
+ * @method $session
+ * @api public
+ * @memberOf Document
+ */
+
+Document.prototype.$session = function $session(session) {
+  if (arguments.length === 0) {
+    return this.$__.session || null;
+  }
+  this.$__.session = session;
+  return session;
+};
+
 /**
  * Initializes the document without setters or marking anything modified.
  *
  * Called internally after a document is returned from mongodb.
  *
+ * Values of [encrypted paths](#schematype_SchemaType-encrypt) are decrypted
+ * first, so the document only ever holds plaintext.
+ *
+ * If the schema has [migrations](#schema_Schema-migration), an outdated
+ * `doc` is upgraded first and the changed paths are marked modified, so the
+ * next `save()` persists the upgrade. Documents loaded with an inclusive
+ * projection are not upgraded, because migrations may need fields that
+ * weren't selected.
+ *
  * @param {Object} doc document returned by mongo
  * @api public
  * @memberOf Document
@@ -390,7 +431,23 @@ Document.prototype.init = function(doc, opts, fn) {
     opts = null;
   }
 
-  this.$__init(doc, opts);
+  decryptDocument(this.schema, doc);
+
+  const migrated = this.schema._migrations.length > 0 &&
+    !isInclusive(this.$__.selected) &&
+    this.isSelected(this.schema.options.schemaVersionKey) ?
+    applyMigrations(this.schema, doc) :
+    null;
+
+  this.$__init(migrated || doc, opts);
+
+  if (migrated != null) {
+    Object.keys(migrated).concat(Object.keys(doc)).forEach(key => {
+      if (!this.isModified(key) && !utils.deepEqual(doc[key], migrated[key])) {
+        this.markModified(key);
+      }
+    });
+  }
 
   if (fn) {
     fn(null, this);
@@ -407,11 +464,15 @@ Document.prototype.$__init = function(doc, opts) {
   this.isNew = false;
   this.$init = true;
 
+  if (opts && opts.session != null) {
+    this.$session(opts.session);
+  }
+
   // handle docs with populated paths
   // If doc._id is not null or undefined
   if (doc._id !== null && doc._id !== undefined &&
     opts && opts.populated && opts.populated.length) {
-    var id = String(doc._id);
+    var id = utils.idToString(doc._id);
     for (var i = 0; i < opts.populated.length; ++i) {
       var item = opts.populated[i];
       if (item.isVirtual) {
@@ -677,6 +738,16 @@ Document.prototype.$set = function $set(path, val, type, options) {
   var schema;
   var parts = path.split('.');
 
+  // Setting a key of a map, like `doc.set('map.key', val)`
+  for (i = 0; i < parts.length - 1; ++i) {
+    schema = this.schema.paths[parts.slice(0, i + 1).join('.')];
+    if (schema && schema.$isSchemaMap) {
+      $__setMapPath(this, parts, i, val, constructing);
+      return this;
+    }
+  }
+  schema = undefined;
+
   if (pathType === 'adhocOrUndefined' && strict) {
     // check for roots that are Mixed types
     var mixed;
@@ -769,10 +840,10 @@ Document.prototype.$set = function $set(path, val, type, options) {
     // If the user is trying to set a ref path to a document with
     // the correct model name, treat it as populated
     var didPopulate = false;
-    if (schema.options &&
-        schema.options.ref &&
+    var refModelName = schema.options && getRefModelName(schema.options.ref);
+    if (refModelName &&
         val instanceof Document &&
-        (schema.options.ref === val.constructor.modelName || schema.options.ref === val.constructor.baseModelName)) {
+        (refModelName === val.constructor.modelName || refModelName === val.constructor.baseModelName)) {
       if (this.ownerDocument) {
         this.ownerDocument().populated(this.$__fullPath(path),
           val._id, {model: val.constructor});
@@ -783,15 +854,16 @@ Document.prototype.$set = function $set(path, val, type, options) {
     }
 
     var popOpts;
-    if (schema.options &&
-        Array.isArray(schema.options[this.schema.options.typeKey]) &&
-        schema.options[this.schema.options.typeKey].length &&
-        schema.options[this.schema.options.typeKey][0].ref &&
+    var castRefModelName = schema.options &&
+      Array.isArray(schema.options[this.schema.options.typeKey]) &&
+      schema.options[this.schema.options.typeKey].length &&
+      getRefModelName(schema.options[this.schema.options.typeKey][0].ref);
+    if (castRefModelName &&
         Array.isArray(val) &&
         val.length > 0 &&
         val[0] instanceof Document &&
         val[0].constructor.modelName &&
-        (schema.options[this.schema.options.typeKey][0].ref === val[0].constructor.baseModelName || schema.options[this.schema.options.typeKey][0].ref === val[0].constructor.modelName)) {
+        (castRefModelName === val[0].constructor.baseModelName || castRefModelName === val[0].constructor.modelName)) {
       if (this.ownerDocument) {
         popOpts = { model: val[0].constructor };
         this.ownerDocument().populated(this.$__fullPath(path),
@@ -830,6 +902,41 @@ Document.prototype.$set = function $set(path, val, type, options) {
   return this;
 };
 
+/*!
+ * Sets `path` underneath the map at `parts[mapIndex]`. Keys are set with
+ * `MongooseMap#set()`, deeper paths on the value at that key.
+ */
+
+function $__setMapPath(doc, parts, mapIndex, val, constructing) {
+  var mapPath = parts.slice(0, mapIndex + 1).join('.');
+  var map = doc.getValue(mapPath);
+  if (map == null) {
+    doc.$set(mapPath, {}, constructing);
+    map = doc.getValue(mapPath);
+    if (map == null) {
+      return;
+    }
+  }
+
+  var key = parts[mapIndex + 1];
+  if (mapIndex + 2 === parts.length) {
+    map.set(key, val);
+    return;
+  }
+
+  var rest = parts.slice(mapIndex + 2).join('.');
+  if (map.get(key) == null) {
+    map.set(key, {});
+  }
+  var cur = map.get(key);
+  if (cur instanceof Document) {
+    cur.$set(rest, val, constructing);
+  } else if (utils.isObject(cur)) {
+    mpath.set(rest, val, cur);
+    doc.markModified(mapPath + '.' + key);
+  }
+}
+
 /**
  * Sets the value of a path, or many paths.
  *
@@ -1043,9 +1150,13 @@ Document.prototype.get = function(path, type, options) {
   }
 
   for (var i = 0, l = pieces.length; i < l; i++) {
-    obj = obj === null || obj === void 0
-      ? undefined
-      : obj[pieces[i]];
+    if (obj === null || obj === void 0) {
+      obj = undefined;
+    } else if (obj.$isMongooseMap) {
+      obj = obj.get(pieces[i]);
+    } else {
+      obj = obj[pieces[i]];
+    }
   }
 
   if (adhoc) {
@@ -1516,6 +1627,16 @@ function _getPathsToValidate(doc) {
     var path = paths[i];
 
     var _pathType = doc.schema.path(path);
+    if (_pathType && _pathType.$isSchemaMap) {
+      // Same for every value of a map
+      var map = doc.getValue(path);
+      if (map != null && map.$isMongooseMap) {
+        map.forEach(function(value, key) {
+          paths.push(path + '.' + key);
+        });
+      }
+      continue;
+    }
     if (!_pathType || !_pathType.$isMongooseArray || _pathType.$isMongooseDocumentArray) {
       continue;
     }
@@ -2041,6 +2162,16 @@ Document.prototype.$__getAllSubdocs = function() {
       }, seed);
       seed.push(val);
     }
+    if (val && val.$isMongooseMap) {
+      val.forEach(function(value) {
+        if (value && value.$isSingleNested) {
+          seed = Object.keys(value._doc).reduce(function(seed, path) {
+            return docReducer(value._doc, seed, path);
+          }, seed);
+          seed.push(value);
+        }
+      });
+    }
     if (val && val.isMongooseDocumentArray) {
       val.forEach(function _docReduce(doc) {
         if (!doc || !doc._doc) {
@@ -2116,7 +2247,8 @@ Document.prototype.$__handleReject = function handleReject(err) {
 Document.prototype.$toObject = function(options, json) {
   let defaultOptions = {
     transform: true,
-    flattenDecimals: true
+    flattenDecimals: true,
+    flattenUUIDs: true
   };
 
   // merge base default options with Schema's set default options if available.
@@ -2141,6 +2273,12 @@ Document.prototype.$toObject = function(options, json) {
     _minimize = this.schema.options.minimize;
   }
 
+  // UUIDs become strings unless internal callers, that need the `Binary`
+  // for MongoDB, opt out
+  const _flattenUUIDs = options.flattenUUIDs != null ?
+    options.flattenUUIDs :
+    defaultOptions.flattenUUIDs;
+
   // The original options that will be passed to `clone()`. Important because
   // `clone()` will recursively call `$toObject()` on embedded docs, so we
   // need the original options the user passed in, plus `_isNested` and
@@ -2148,7 +2286,8 @@ Document.prototype.$toObject = function(options, json) {
   const cloneOptions = Object.assign(utils.clone(options), {
     _isNested: true,
     json: json,
-    minimize: _minimize
+    minimize: _minimize,
+    flattenUUIDs: _flattenUUIDs
   });
 
   const depopulate = options.depopulate ||
@@ -2156,8 +2295,9 @@ Document.prototype.$toObject = function(options, json) {
   // _isNested will only be true if this is not the top level document, we
   // should never depopulate
   if (depopulate && options._isNested && this.$__.wasPopulated) {
-    // populated paths that we set to a document
-    return clone(this._id, cloneOptions);
+    // populated paths that we set to a document. Skip the getters, they
+    // may convert the `_id`, like UUIDs to strings
+    return clone(this._doc._id, cloneOptions);
   }
 
   // merge default options with input options.
@@ -4,5 +4,6 @@
 
 exports.Binary = require('./binary');
 exports.Decimal128 = require('./decimal128');
+exports.Long = require('./long');
 exports.ObjectId = require('./objectid');
 exports.ReadPreference = require('./ReadPreference');
@@ -0,0 +1,5 @@
+/*!
+ * ignore
+ */
+
+module.exports = require('bson').Long;
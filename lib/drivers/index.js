@@ -7,7 +7,11 @@ var driver;
 if (typeof window === 'undefined') {
   driver = require('./node-mongodb-native');
   if (global.MONGOOSE_DRIVER_PATH) {
-    driver = require(global.MONGOOSE_DRIVER_PATH);
+    // Relative paths like `./drivers/memory` are relative to `lib/`, the
+    // same as in `lib/index.js` and `lib/connection.js`
+    driver = global.MONGOOSE_DRIVER_PATH.charAt(0) === '.' ?
+      require('../' + global.MONGOOSE_DRIVER_PATH) :
+      require(global.MONGOOSE_DRIVER_PATH);
   }
 } else {
   driver = require('./browser');
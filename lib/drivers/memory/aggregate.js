@@ -0,0 +1,755 @@
+'use strict';
+
+/*!
+ * Module dependencies.
+ */
+
+const filter = require('./filter');
+const helpers = require('./helpers');
+const projection = require('./projection');
+const sort = require('./sort');
+
+const clone = helpers.clone;
+const compare = helpers.compare;
+const toNumber = helpers.toNumber;
+
+/**
+ * Runs an aggregation `pipeline` over `docs`.
+ *
+ * @param {Array} docs the input documents, which may be modified
+ * @param {Array} pipeline
+ * @param {Object} [context]
+ * @param {MemoryDb} [context.db] used to resolve `$lookup` and `$out` collections
+ * @return {Array} the output documents
+ * @api private
+ */
+
+function run(docs, pipeline, context) {
+  context = context || {};
+  for (let i = 0; i < pipeline.length; ++i) {
+    const stage = pipeline[i];
+    const keys = Object.keys(stage || {});
+    if (keys.length !== 1) {
+      throw helpers.error('A pipeline stage specification object must ' +
+        'contain exactly one field.', 40323);
+    }
+    const fn = stages[keys[0]];
+    if (fn == null) {
+      throw helpers.error('Unrecognized pipeline stage name: \'' + keys[0] +
+        '\'', 40324);
+    }
+    docs = fn(docs, stage[keys[0]], context);
+  }
+  return docs;
+}
+
+/*!
+ * Pipeline stage implementations.
+ */
+
+const stages = {
+  $match: function(docs, query) {
+    return docs.filter(doc => filter.matches(doc, query));
+  },
+  $project: function(docs, spec) {
+    return docs.map(doc => projectStage(doc, spec));
+  },
+  $addFields: function(docs, spec) {
+    return docs.map(doc => addFields(doc, spec));
+  },
+  $set: function(docs, spec) {
+    return docs.map(doc => addFields(doc, spec));
+  },
+  $group: function(docs, spec) {
+    return group(docs, spec);
+  },
+  $sort: function(docs, spec) {
+    return sort.sortDocuments(docs, spec);
+  },
+  $limit: function(docs, n) {
+    return docs.slice(0, n);
+  },
+  $skip: function(docs, n) {
+    return docs.slice(n);
+  },
+  $unwind: function(docs, spec) {
+    return unwind(docs, typeof spec === 'string' ? { path: spec } : spec);
+  },
+  $count: function(docs, field) {
+    if (docs.length === 0) {
+      return [];
+    }
+    const ret = {};
+    ret[field] = docs.length;
+    return [ret];
+  },
+  $sortByCount: function(docs, expr) {
+    const grouped = group(docs, { _id: expr, count: { $sum: 1 } });
+    return sort.sortDocuments(grouped, { count: -1 });
+  },
+  $replaceRoot: function(docs, spec) {
+    return docs.map(doc => {
+      const root = evaluate(spec.newRoot, doc);
+      if (!helpers.isDocument(root)) {
+        throw helpers.error('\'newRoot\' expression must evaluate to an ' +
+          'object', 40228);
+      }
+      return root;
+    });
+  },
+  $sample: function(docs, spec) {
+    const copy = docs.slice();
+    const ret = [];
+    while (ret.length < spec.size && copy.length > 0) {
+      ret.push(copy.splice(Math.floor(Math.random() * copy.length), 1)[0]);
+    }
+    return ret;
+  },
+  $lookup: function(docs, spec, context) {
+    if (spec.pipeline != null) {
+      throw helpers.error('$lookup with a pipeline is not supported by the ' +
+        'in-memory driver');
+    }
+    const foreign = context.db.collection(spec.from).documents();
+    return docs.map(doc => {
+      const local = helpers.lookup(doc, spec.localField);
+      const values = [];
+      local.forEach(v => {
+        Array.isArray(v) ? values.push.apply(values, v) : values.push(v);
+      });
+      const query = {};
+      query[spec.foreignField] = { $in: values.map(v => v === undefined ? null : v) };
+      helpers.set(doc, spec.as, foreign.filter(f => filter.matches(f, query)).map(clone));
+      return doc;
+    });
+  },
+  $facet: function(docs, spec, context) {
+    const ret = {};
+    Object.keys(spec).forEach(key => {
+      ret[key] = run(docs.map(clone), spec[key], context);
+    });
+    return [ret];
+  },
+  $out: function(docs, name, context) {
+    context.db.collection(name).replaceAll(docs);
+    return [];
+  }
+};
+
+/*!
+ * ignore
+ */
+
+function isInclusion(val) {
+  return val === true || val === 1;
+}
+
+/*!
+ * ignore
+ */
+
+function isExclusion(val) {
+  return val === false || val === 0;
+}
+
+/*!
+ * `$project` supports inclusions, exclusions and computed fields.
+ */
+
+function projectStage(doc, spec) {
+  const keys = Object.keys(spec);
+  const exclusive = keys.length > 0 &&
+    keys.every(key => isExclusion(spec[key]) || (key === '_id' && isInclusion(spec[key])));
+  if (exclusive) {
+    return projection.project(doc, spec);
+  }
+  return _project(doc, spec, doc, true);
+}
+
+/*!
+ * ignore
+ */
+
+function _project(doc, spec, root, isTop) {
+  const ret = {};
+  if (isTop && !isExclusion(spec._id) && spec._id === undefined &&
+      doc._id !== undefined) {
+    ret._id = doc._id;
+  }
+  Object.keys(spec).forEach(key => {
+    const val = spec[key];
+    if (isExclusion(val)) {
+      return;
+    }
+    if (isInclusion(val)) {
+      const parts = key.split('.');
+      const sub = helpers.get(doc, parts.slice(0, -1).join('.'));
+      if (parts.length === 1 || helpers.isDocument(sub)) {
+        const v = helpers.get(doc, key);
+        if (v !== undefined) {
+          helpers.set(ret, key, v);
+        }
+      } else {
+        const nested = {};
+        nested[parts.slice(1).join('.')] = 1;
+        const top = doc[parts[0]];
+        if (Array.isArray(top)) {
+          ret[parts[0]] = top.filter(helpers.isDocument).
+            map(el => _project(el, nested, root, false));
+        } else if (helpers.isDocument(top)) {
+          ret[parts[0]] = _project(top, nested, root, false);
+        }
+      }
+      return;
+    }
+    if (helpers.isDocument(val) && !isExpressionObject(val)) {
+      const sub = doc[key];
+      if (Array.isArray(sub)) {
+        ret[key] = sub.filter(helpers.isDocument).map(el => _project(el, val, root, false));
+      } else {
+        ret[key] = _project(helpers.isDocument(sub) ? sub : {}, val, root, false);
+      }
+      return;
+    }
+    helpers.set(ret, key, evaluate(val, root));
+  });
+  return ret;
+}
+
+/*!
+ * ignore
+ */
+
+function addFields(doc, spec) {
+  Object.keys(spec).forEach(key => {
+    helpers.set(doc, key, evaluate(spec[key], doc));
+  });
+  return doc;
+}
+
+/*!
+ * ignore
+ */
+
+function isExpressionObject(val) {
+  const keys = Object.keys(val);
+  return keys.length === 1 && keys[0].charAt(0) === '$';
+}
+
+/*!
+ * ignore
+ */
+
+function unwind(docs, spec) {
+  const path = spec.path.charAt(0) === '$' ? spec.path.substr(1) : spec.path;
+  const ret = [];
+  docs.forEach(doc => {
+    const arr = helpers.get(doc, path);
+    if (Array.isArray(arr) && arr.length > 0) {
+      arr.forEach((el, i) => {
+        const copy = clone(doc);
+        helpers.set(copy, path, el);
+        if (spec.includeArrayIndex) {
+          helpers.set(copy, spec.includeArrayIndex, i);
+        }
+        ret.push(copy);
+      });
+      return;
+    }
+    if (arr != null && !Array.isArray(arr)) {
+      if (spec.includeArrayIndex) {
+        helpers.set(doc, spec.includeArrayIndex, null);
+      }
+      ret.push(doc);
+      return;
+    }
+    if (spec.preserveNullAndEmptyArrays) {
+      if (Array.isArray(arr)) {
+        helpers.unset(doc, path);
+      }
+      if (spec.includeArrayIndex) {
+        helpers.set(doc, spec.includeArrayIndex, null);
+      }
+      ret.push(doc);
+    }
+  });
+  return ret;
+}
+
+/*!
+ * ignore
+ */
+
+function group(docs, spec) {
+  if (!('_id' in spec)) {
+    throw helpers.error('a group specification must include an _id', 15955);
+  }
+  const groups = [];
+  docs.forEach(doc => {
+    const id = evaluate(spec._id, doc);
+    let entry = groups.find(g => helpers.equals(g.id, id === undefined ? null : id));
+    if (entry == null) {
+      entry = { id: id === undefined ? null : id, docs: [] };
+      groups.push(entry);
+    }
+    entry.docs.push(doc);
+  });
+
+  return groups.map(g => {
+    const ret = { _id: g.id };
+    Object.keys(spec).forEach(field => {
+      if (field === '_id') {
+        return;
+      }
+      const acc = Object.keys(spec[field])[0];
+      const fn = accumulators[acc];
+      if (fn == null) {
+        throw helpers.error('unknown group operator \'' + acc + '\'', 15952);
+      }
+      ret[field] = fn(g.docs.map(doc => evaluate(spec[field][acc], doc)));
+    });
+    return ret;
+  });
+}
+
+/*!
+ * ignore
+ */
+
+function isNumber(val) {
+  return typeof toNumber(val) === 'number';
+}
+
+/*!
+ * `$group` accumulators, each receives the evaluated expression for
+ * every document in the group.
+ */
+
+const accumulators = {
+  $sum: function(values) {
+    return values.reduce((sum, v) => sum + (isNumber(v) ? toNumber(v) : 0), 0);
+  },
+  $avg: function(values) {
+    const nums = values.filter(isNumber).map(toNumber);
+    return nums.length ? nums.reduce((sum, v) => sum + v, 0) / nums.length : null;
+  },
+  $min: function(values) {
+    return extreme(values, -1);
+  },
+  $max: function(values) {
+    return extreme(values, 1);
+  },
+  $first: function(values) {
+    return values.length ? values[0] : null;
+  },
+  $last: function(values) {
+    return values.length ? values[values.length - 1] : null;
+  },
+  $push: function(values) {
+    return values.filter(v => v !== undefined);
+  },
+  $addToSet: function(values) {
+    const ret = [];
+    values.forEach(v => {
+      if (v !== undefined && !ret.some(el => helpers.equals(el, v))) {
+        ret.push(v);
+      }
+    });
+    return ret;
+  },
+  $mergeObjects: function(values) {
+    return Object.assign.apply(Object, [{}].concat(values.filter(helpers.isDocument)));
+  }
+};
+
+/*!
+ * `$min` and `$max` ignore null and missing values.
+ */
+
+function extreme(values, dir) {
+  let ret = null;
+  values.forEach(v => {
+    if (v == null) {
+      return;
+    }
+    if (ret == null || compare(v, ret) * dir > 0) {
+      ret = v;
+    }
+  });
+  return ret;
+}
+
+/**
+ * Evaluates an aggregation expression against `doc`.
+ *
+ * @param {any} expr
+ * @param {Object} doc the current document, also bound to `$$ROOT`
+ * @param {Object} [vars] variables bound by `$let`, `$map` and `$filter`
+ * @return {any}
+ * @api private
+ */
+
+function evaluate(expr, doc, vars) {
+  vars = vars || { ROOT: doc, CURRENT: doc };
+  if (typeof expr === 'string' && expr.charAt(0) === '$') {
+    if (expr.charAt(1) === '$') {
+      const parts = expr.substr(2).split('.');
+      if (!(parts[0] in vars)) {
+        throw helpers.error('Use of undefined variable: ' + parts[0], 17276);
+      }
+      const val = vars[parts[0]];
+      return parts.length === 1 ? val : fieldPath(val, parts.slice(1));
+    }
+    return fieldPath(vars.CURRENT, expr.substr(1).split('.'));
+  }
+  if (Array.isArray(expr)) {
+    return expr.map(e => evaluate(e, doc, vars));
+  }
+  if (helpers.isDocument(expr)) {
+    const keys = Object.keys(expr);
+    if (keys.length === 1 && keys[0].charAt(0) === '$') {
+      const fn = expressions[keys[0]];
+      if (fn == null) {
+        throw helpers.error('Unrecognized expression \'' + keys[0] + '\'', 168);
+      }
+      return fn(expr[keys[0]], doc, vars);
+    }
+    const ret = {};
+    keys.forEach(key => {
+      const val = evaluate(expr[key], doc, vars);
+      if (val !== undefined) {
+        ret[key] = val;
+      }
+    });
+    return ret;
+  }
+  return expr;
+}
+
+/*!
+ * Field paths map over arrays: `'$a.b'` on `{ a: [{ b: 1 }, { b: 2 }] }`
+ * is `[1, 2]`.
+ */
+
+function fieldPath(val, parts) {
+  for (let i = 0; i < parts.length; ++i) {
+    if (Array.isArray(val)) {
+      const rest = parts.slice(i);
+      return val.
+        filter(el => helpers.isDocument(el) || Array.isArray(el)).
+        map(el => fieldPath(el, rest)).
+        filter(el => el !== undefined);
+    }
+    if (!helpers.isDocument(val)) {
+      return undefined;
+    }
+    val = val[parts[i]];
+  }
+  return val;
+}
+
+/*!
+ * Evaluates the argument list of an operator.
+ */
+
+function args(arg, doc, vars) {
+  return (Array.isArray(arg) ? arg : [arg]).map(a => evaluate(a, doc, vars));
+}
+
+/*!
+ * ignore
+ */
+
+function numeric(fn) {
+  return function(arg, doc, vars) {
+    const values = args(arg, doc, vars);
+    if (values.some(v => v == null)) {
+      return null;
+    }
+    return fn.apply(null, values.map(toNumber));
+  };
+}
+
+/*!
+ * ignore
+ */
+
+function comparison(fn) {
+  return function(arg, doc, vars) {
+    const values = args(arg, doc, vars);
+    return fn(compare(values[0], values[1]));
+  };
+}
+
+/*!
+ * ignore
+ */
+
+function datePart(fn) {
+  return function(arg, doc, vars) {
+    const date = evaluate(helpers.isDocument(arg) && arg.date ? arg.date : arg, doc, vars);
+    return date instanceof Date ? fn(date) : null;
+  };
+}
+
+/*!
+ * Expression operator implementations.
+ */
+
+const expressions = {
+  $literal: arg => arg,
+  $add: function(arg, doc, vars) {
+    const values = args(arg, doc, vars);
+    if (values.some(v => v == null)) {
+      return null;
+    }
+    let date = null;
+    const sum = values.reduce((sum, v) => {
+      if (v instanceof Date) {
+        date = v;
+        return sum + v.getTime();
+      }
+      return sum + toNumber(v);
+    }, 0);
+    return date ? new Date(sum) : sum;
+  },
+  $subtract: function(arg, doc, vars) {
+    const values = args(arg, doc, vars);
+    if (values[0] == null || values[1] == null) {
+      return null;
+    }
+    if (values[0] instanceof Date) {
+      return values[1] instanceof Date ?
+        values[0].getTime() - values[1].getTime() :
+        new Date(values[0].getTime() - toNumber(values[1]));
+    }
+    return toNumber(values[0]) - toNumber(values[1]);
+  },
+  $multiply: numeric(function() {
+    return Array.prototype.reduce.call(arguments, (a, b) => a * b, 1);
+  }),
+  $divide: numeric((a, b) => {
+    if (b === 0) {
+      throw helpers.error('can\'t $divide by zero', 16608);
+    }
+    return a / b;
+  }),
+  $mod: numeric((a, b) => a % b),
+  $abs: numeric(Math.abs),
+  $ceil: numeric(Math.ceil),
+  $floor: numeric(Math.floor),
+  $trunc: numeric(Math.trunc),
+  $sqrt: numeric(Math.sqrt),
+  $pow: numeric(Math.pow),
+  $concat: function(arg, doc, vars) {
+    const values = args(arg, doc, vars);
+    return values.some(v => v == null) ? null : values.join('');
+  },
+  $toLower: function(arg, doc, vars) {
+    const val = args(arg, doc, vars)[0];
+    return val == null ? '' : String(val).toLowerCase();
+  },
+  $toUpper: function(arg, doc, vars) {
+    const val = args(arg, doc, vars)[0];
+    return val == null ? '' : String(val).toUpperCase();
+  },
+  $substr: function(arg, doc, vars) {
+    const values = args(arg, doc, vars);
+    return values[0] == null ? '' :
+      String(values[0]).substr(values[1], values[2] < 0 ? undefined : values[2]);
+  },
+  $split: function(arg, doc, vars) {
+    const values = args(arg, doc, vars);
+    return values[0] == null ? null : values[0].split(values[1]);
+  },
+  $strLenCP: function(arg, doc, vars) {
+    return Array.from(String(args(arg, doc, vars)[0])).length;
+  },
+  $toString: function(arg, doc, vars) {
+    const val = args(arg, doc, vars)[0];
+    if (val == null) {
+      return null;
+    }
+    return val instanceof Date ? val.toISOString() : String(val);
+  },
+  $eq: comparison(res => res === 0),
+  $ne: comparison(res => res !== 0),
+  $gt: comparison(res => res > 0),
+  $gte: comparison(res => res >= 0),
+  $lt: comparison(res => res < 0),
+  $lte: comparison(res => res <= 0),
+  $cmp: comparison(res => res < 0 ? -1 : (res > 0 ? 1 : 0)),
+  $and: function(arg, doc, vars) {
+    return args(arg, doc, vars).every(truthy);
+  },
+  $or: function(arg, doc, vars) {
+    return args(arg, doc, vars).some(truthy);
+  },
+  $not: function(arg, doc, vars) {
+    return !truthy(args(arg, doc, vars)[0]);
+  },
+  $cond: function(arg, doc, vars) {
+    const spec = Array.isArray(arg) ? { if: arg[0], then: arg[1], else: arg[2] } : arg;
+    return truthy(evaluate(spec.if, doc, vars)) ?
+      evaluate(spec.then, doc, vars) :
+      evaluate(spec.else, doc, vars);
+  },
+  $switch: function(arg, doc, vars) {
+    for (let i = 0; i < arg.branches.length; ++i) {
+      if (truthy(evaluate(arg.branches[i].case, doc, vars))) {
+        return evaluate(arg.branches[i].then, doc, vars);
+      }
+    }
+    if (!('default' in arg)) {
+      throw helpers.error('$switch could not find a matching branch for an ' +
+        'input, and no default was specified.', 40066);
+    }
+    return evaluate(arg.default, doc, vars);
+  },
+  $ifNull: function(arg, doc, vars) {
+    const values = args(arg, doc, vars);
+    return values[0] == null ? values[1] : values[0];
+  },
+  $in: function(arg, doc, vars) {
+    const values = args(arg, doc, vars);
+    if (!Array.isArray(values[1])) {
+      throw helpers.error('$in requires an array as a second argument', 40081);
+    }
+    return values[1].some(v => helpers.equals(v, values[0]));
+  },
+  $size: function(arg, doc, vars) {
+    const val = args(arg, doc, vars)[0];
+    if (!Array.isArray(val)) {
+      throw helpers.error('The argument to $size must be an array', 17124);
+    }
+    return val.length;
+  },
+  $isArray: function(arg, doc, vars) {
+    return Array.isArray(args(arg, doc, vars)[0]);
+  },
+  $arrayElemAt: function(arg, doc, vars) {
+    const values = args(arg, doc, vars);
+    if (values[0] == null) {
+      return null;
+    }
+    const index = values[1] < 0 ? values[0].length + values[1] : values[1];
+    return values[0][index];
+  },
+  $concatArrays: function(arg, doc, vars) {
+    const values = args(arg, doc, vars);
+    return values.some(v => v == null) ? null : [].concat.apply([], values);
+  },
+  $slice: function(arg, doc, vars) {
+    const values = args(arg, doc, vars);
+    if (values[0] == null) {
+      return null;
+    }
+    if (values.length === 2) {
+      return values[1] < 0 ? values[0].slice(values[1]) : values[0].slice(0, values[1]);
+    }
+    const start = values[1] < 0 ? Math.max(values[0].length + values[1], 0) : values[1];
+    return values[0].slice(start, start + values[2]);
+  },
+  $filter: function(arg, doc, vars) {
+    const input = evaluate(arg.input, doc, vars);
+    if (input == null) {
+      return null;
+    }
+    const name = arg.as || 'this';
+    return input.filter(el => truthy(evaluate(arg.cond, doc, bind(vars, name, el))));
+  },
+  $map: function(arg, doc, vars) {
+    const input = evaluate(arg.input, doc, vars);
+    if (input == null) {
+      return null;
+    }
+    const name = arg.as || 'this';
+    return input.map(el => evaluate(arg.in, doc, bind(vars, name, el)));
+  },
+  $let: function(arg, doc, vars) {
+    let bound = vars;
+    Object.keys(arg.vars).forEach(name => {
+      bound = bind(bound, name, evaluate(arg.vars[name], doc, vars));
+    });
+    return evaluate(arg.in, doc, bound);
+  },
+  $sum: function(arg, doc, vars) {
+    return accumulators.$sum(flatten(arg, doc, vars));
+  },
+  $avg: function(arg, doc, vars) {
+    return accumulators.$avg(flatten(arg, doc, vars));
+  },
+  $min: function(arg, doc, vars) {
+    return accumulators.$min(flatten(arg, doc, vars));
+  },
+  $max: function(arg, doc, vars) {
+    return accumulators.$max(flatten(arg, doc, vars));
+  },
+  $mergeObjects: function(arg, doc, vars) {
+    return accumulators.$mergeObjects(args(arg, doc, vars));
+  },
+  $objectToArray: function(arg, doc, vars) {
+    const val = args(arg, doc, vars)[0];
+    return val == null ? null : Object.keys(val).map(k => ({ k: k, v: val[k] }));
+  },
+  $arrayToObject: function(arg, doc, vars) {
+    const val = args(arg, doc, vars)[0];
+    if (val == null) {
+      return null;
+    }
+    const ret = {};
+    val.forEach(pair => {
+      Array.isArray(pair) ? ret[pair[0]] = pair[1] : ret[pair.k] = pair.v;
+    });
+    return ret;
+  },
+  $type: function(arg, doc, vars) {
+    const val = args(arg, doc, vars)[0];
+    return val === undefined ? 'missing' : helpers.typeOf(val);
+  },
+  $year: datePart(d => d.getUTCFullYear()),
+  $month: datePart(d => d.getUTCMonth() + 1),
+  $dayOfMonth: datePart(d => d.getUTCDate()),
+  $dayOfWeek: datePart(d => d.getUTCDay() + 1),
+  $hour: datePart(d => d.getUTCHours()),
+  $minute: datePart(d => d.getUTCMinutes()),
+  $second: datePart(d => d.getUTCSeconds()),
+  $millisecond: datePart(d => d.getUTCMilliseconds())
+};
+
+/*!
+ * ignore
+ */
+
+function bind(vars, name, val) {
+  const ret = Object.assign({}, vars);
+  ret[name] = val;
+  return ret;
+}
+
+/*!
+ * `$sum` and friends take either one array or a list of values.
+ */
+
+function flatten(arg, doc, vars) {
+  const values = args(arg, doc, vars);
+  if (values.length === 1 && Array.isArray(values[0])) {
+    return values[0];
+  }
+  return values;
+}
+
+/*!
+ * Aggregation truthiness: `null`, missing, `false` and `0` are falsy.
+ */
+
+function truthy(val) {
+  return val != null && val !== false && toNumber(val) !== 0;
+}
+
+/*!
+ * Module exports.
+ */
+
+exports.evaluate = evaluate;
+exports.run = run;
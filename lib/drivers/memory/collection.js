@@ -0,0 +1,138 @@
+'use strict';
+
+/*!
+ * Module dependencies.
+ */
+
+const MemoryStore = require('./store');
+const MongooseCollection = require('../../collection');
+const NativeCollection = require('../node-mongodb-native/collection');
+const utils = require('../../utils');
+
+/**
+ * An in-memory collection implementation.
+ *
+ * All methods of the underlying `MemoryStore` are copied and wrapped in
+ * queue management, the same way `NativeCollection` wraps the driver.
+ *
+ * @inherits Collection
+ * @api private
+ */
+
+function MemoryCollection() {
+  this.collection = null;
+  MongooseCollection.apply(this, arguments);
+}
+
+/*!
+ * Inherit from abstract Collection.
+ */
+
+MemoryCollection.prototype.__proto__ = MongooseCollection.prototype;
+
+/**
+ * Called when the connection opens.
+ *
+ * @api private
+ */
+
+MemoryCollection.prototype.onOpen = function() {
+  const db = this.conn.db;
+  this.collection = db.collection(this.name);
+
+  if (this.opts.capped.size || this.opts.capped.max) {
+    const options = utils.clone(this.opts.capped);
+    options.capped = true;
+    db.createCollection(this.name, options, () => {});
+  }
+
+  MongooseCollection.prototype.onOpen.call(this);
+};
+
+/**
+ * Called when the connection closes
+ *
+ * @api private
+ */
+
+MemoryCollection.prototype.onClose = function(force) {
+  MongooseCollection.prototype.onClose.call(this, force);
+};
+
+/*!
+ * ignore
+ */
+
+const syncCollectionMethods = { watch: true, listIndexes: true };
+
+/*!
+ * Copy the store methods and make them subject to queues
+ */
+
+function iter(i) {
+  MemoryCollection.prototype[i] = function() {
+    if (this.buffer) {
+      if (syncCollectionMethods[i]) {
+        throw new Error('Collection method ' + i + ' is synchronous');
+      }
+      this.addQueue(i, arguments);
+      return;
+    }
+
+    const collection = this.collection;
+    const args = arguments;
+    const debug = this.conn.base.options.debug;
+
+    if (debug) {
+      if (typeof debug === 'function') {
+        debug.apply(this,
+          [this.name, i].concat(utils.args(args, 0, args.length - 1)));
+      } else {
+        this.$print(this.name, i, args);
+      }
+    }
+
+    return collection[i].apply(collection, args);
+  };
+}
+
+for (const i in MemoryStore.prototype) {
+  if (i.charAt(0) === '_' || typeof MemoryStore.prototype[i] !== 'function') {
+    continue;
+  }
+  iter(i);
+}
+
+/**
+ * Debug print helper
+ *
+ * @api public
+ * @method $print
+ */
+
+MemoryCollection.prototype.$print = NativeCollection.prototype.$print;
+
+/**
+ * Formatter for debug print args
+ *
+ * @api public
+ * @method $format
+ */
+
+MemoryCollection.prototype.$format = NativeCollection.prototype.$format;
+
+/**
+ * Retreives information about this collections indexes.
+ *
+ * @param {Function} callback
+ * @method getIndexes
+ * @api public
+ */
+
+MemoryCollection.prototype.getIndexes = MemoryCollection.prototype.indexInformation;
+
+/*!
+ * Module exports.
+ */
+
+module.exports = MemoryCollection;
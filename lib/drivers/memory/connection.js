@@ -0,0 +1,202 @@
+'use strict';
+
+/*!
+ * Module dependencies.
+ */
+
+const MemoryDb = require('./db');
+const MemorySession = require('./session');
+const MongooseConnection = require('../../connection');
+const PromiseProvider = require('../../promise_provider');
+const STATES = require('../../connectionstate');
+const utils = require('../../utils');
+
+/**
+ * An in-memory connection implementation. Data lives in the process and
+ * is shared by every connection to the same database name, so no MongoDB
+ * server is needed.
+ *
+ * @inherits Connection
+ * @api private
+ */
+
+function MemoryConnection() {
+  MongooseConnection.apply(this, arguments);
+}
+
+/**
+ * Expose the possible connection states.
+ * @api public
+ */
+
+MemoryConnection.STATES = STATES;
+
+/*!
+ * Inherits from Connection.
+ */
+
+MemoryConnection.prototype.__proto__ = MongooseConnection.prototype;
+
+/*!
+ * Database name from a connection string like
+ * `mongodb://localhost:27017/mydb?opts`, `test` if there is none.
+ */
+
+function dbNameFromUri(uri) {
+  const match = /^[^:]+:\/\/[^/]*\/([^?]+)/.exec(uri || '');
+  return match ? decodeURIComponent(match[1]) : 'test';
+}
+
+/**
+ * Opens the connection. The `uri` is only used to pick the database name.
+ *
+ * @param {String} uri The URI to connect with.
+ * @param {Object} [options] `dbName`, `autoIndex`, `bufferCommands` and `bufferTimeoutMS` are honored
+ * @param {Function} [callback]
+ * @returns {Connection} this
+ * @api private
+ */
+
+MemoryConnection.prototype.openUri = function(uri, options, callback) {
+  this.readyState = STATES.connecting;
+  this._closeCalled = false;
+
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+
+  const Promise = PromiseProvider.get();
+  const _this = this;
+
+  options = options ? utils.clone(options) : {};
+  const autoIndex = options.config && options.config.autoIndex != null ?
+    options.config.autoIndex :
+    options.autoIndex;
+  if (autoIndex != null) {
+    this.config.autoIndex = autoIndex !== false;
+  }
+  if (options.bufferCommands != null) {
+    this.config.bufferCommands = options.bufferCommands;
+  }
+  if (options.bufferTimeoutMS != null) {
+    this.config.bufferTimeoutMS = options.bufferTimeoutMS;
+  }
+
+  this._connectionOptions = options;
+  const dbName = options.dbName != null ? options.dbName : dbNameFromUri(uri);
+  if (options.dbName != null) {
+    this.$dbName = options.dbName;
+  }
+  this.name = dbName;
+
+  const promise = new Promise(resolve => {
+    utils.immediate(function() {
+      _this.db = MemoryDb.get(dbName);
+      _this.client = {
+        db: name => MemoryDb.get(name == null ? dbName : name),
+        startSession: options => new MemorySession(options),
+        close: (force, cb) => utils.immediate(() => cb && cb())
+      };
+
+      delete _this.then;
+      delete _this.catch;
+      _this.readyState = STATES.connected;
+
+      for (let i in _this.collections) {
+        if (utils.object.hasOwnProperty(_this.collections, i)) {
+          _this.collections[i].onOpen();
+        }
+      }
+
+      resolve(_this);
+      _this.emit('open');
+    });
+  });
+
+  if (callback != null) {
+    promise.then(() => callback(null, this), err => callback(err));
+  }
+
+  this.$initialConnection = promise;
+  this.then = function(resolve, reject) {
+    return promise.then(resolve, reject);
+  };
+  this.catch = function(reject) {
+    return promise.catch(reject);
+  };
+
+  return this;
+};
+
+/**
+ * Switches to a different database, sharing this connection's state.
+ *
+ * Returns a new connection object, with the new db.
+ *
+ * @param {String} name The database name
+ * @return {Connection} New Connection Object
+ * @api public
+ */
+
+MemoryConnection.prototype.useDb = function(name, options) {
+  // Return immediately if cached
+  if (options && options.useCache && this.relatedDbs[name]) return this.relatedDbs[name];
+
+  const newConn = new this.constructor();
+  newConn.name = name;
+  newConn.base = this.base;
+  newConn.collections = {};
+  newConn.models = {};
+  newConn.replica = this.replica;
+  newConn.options = this.options;
+  newConn._readyState = this._readyState;
+  newConn._closeCalled = this._closeCalled;
+  newConn._hasOpened = this._hasOpened;
+  newConn.client = this.client;
+
+  const wireup = () => {
+    newConn.client = this.client;
+    newConn.db = MemoryDb.get(name);
+    newConn.onOpen();
+  };
+
+  if (this.db && this._readyState === STATES.connected) {
+    wireup();
+  } else {
+    this.once('connected', wireup);
+  }
+
+  // push onto the otherDbs stack, this is used when state changes
+  this.otherDbs.push(newConn);
+  newConn.otherDbs.push(this);
+
+  // push onto the relatedDbs cache, this is used when state changes
+  if (options && options.useCache) {
+    this.relatedDbs[newConn.name] = newConn;
+    newConn.relatedDbs = this.relatedDbs;
+  }
+
+  return newConn;
+};
+
+/**
+ * Closes the connection. Data is kept, so reopening the connection sees
+ * the same documents.
+ *
+ * @param {Boolean} [force]
+ * @param {Function} [fn]
+ * @return {Connection} this
+ * @api private
+ */
+
+MemoryConnection.prototype.doClose = function(force, fn) {
+  utils.immediate(() => fn && fn());
+  return this;
+};
+
+/*!
+ * Module exports.
+ */
+
+module.exports = MemoryConnection;
@@ -0,0 +1,222 @@
+'use strict';
+
+/*!
+ * Module dependencies.
+ */
+
+const EventEmitter = require('events').EventEmitter;
+const PromiseProvider = require('../../promise_provider');
+
+/**
+ * A cursor over the results of an in-memory `find()` or `aggregate()`.
+ * Results are computed lazily by `fetch` the first time the cursor is
+ * read, so `sort()`, `skip()`, `limit()` and `project()` can still be
+ * chained before that.
+ *
+ * Emits `close` when closed, like the driver's cursors.
+ *
+ * @param {Function} fetch called with the cursor's options, returns an array of documents
+ * @param {Object} [options]
+ * @inherits NodeJS EventEmitter http://nodejs.org/api/events.html#events_class_events_eventemitter
+ * @api private
+ */
+
+function MemoryCursor(fetch, options) {
+  EventEmitter.call(this);
+  this._fetch = fetch;
+  this._docs = null;
+  this._index = 0;
+  this._closed = false;
+  this.options = Object.assign({}, options);
+}
+
+/*!
+ * Inherit from EventEmitter.
+ */
+
+MemoryCursor.prototype.__proto__ = EventEmitter.prototype;
+
+/*!
+ * Chainable modifiers, only effective before the cursor is read.
+ */
+
+['sort', 'skip', 'limit', 'project', 'batchSize', 'maxTimeMS', 'comment'].
+  forEach(function(name) {
+    MemoryCursor.prototype[name] = function(val) {
+      this.options[name === 'project' ? 'projection' : name] = val;
+      return this;
+    };
+  });
+
+/**
+ * Cursor flags have no effect on in-memory cursors.
+ *
+ * @return {MemoryCursor} this
+ * @api private
+ */
+
+MemoryCursor.prototype.addCursorFlag = function() {
+  return this;
+};
+
+/*!
+ * ignore
+ */
+
+MemoryCursor.prototype._init = function() {
+  if (this._docs == null) {
+    this._docs = this._fetch(this.options);
+  }
+  return this._docs;
+};
+
+/*!
+ * Runs `fn` and reports its result through `callback` or a promise.
+ */
+
+function execute(cursor, callback, fn) {
+  if (typeof callback !== 'function') {
+    const Promise = PromiseProvider.get();
+    return new Promise((resolve, reject) => {
+      execute(cursor, (error, res) => error ? reject(error) : resolve(res), fn);
+    });
+  }
+  let res;
+  try {
+    res = fn.call(cursor);
+  } catch (error) {
+    setImmediate(() => callback(error));
+    return;
+  }
+  setImmediate(() => callback(null, res));
+}
+
+/**
+ * Gets the next document, or `null` if the cursor is exhausted.
+ *
+ * @param {Function} [callback]
+ * @return {Promise|undefined}
+ * @api private
+ */
+
+MemoryCursor.prototype.next = function(callback) {
+  return execute(this, callback, function() {
+    if (this._closed) {
+      return null;
+    }
+    const docs = this._init();
+    return this._index < docs.length ? docs[this._index++] : null;
+  });
+};
+
+/**
+ * Whether there are more documents to read.
+ *
+ * @param {Function} [callback]
+ * @return {Promise|undefined}
+ * @api private
+ */
+
+MemoryCursor.prototype.hasNext = function(callback) {
+  return execute(this, callback, function() {
+    return !this._closed && this._index < this._init().length;
+  });
+};
+
+/**
+ * Gets all remaining documents.
+ *
+ * @param {Function} [callback]
+ * @return {Promise|undefined}
+ * @api private
+ */
+
+MemoryCursor.prototype.toArray = function(callback) {
+  return execute(this, callback, function() {
+    if (this._closed) {
+      return [];
+    }
+    const docs = this._init().slice(this._index);
+    this._index = this._docs.length;
+    return docs;
+  });
+};
+
+/**
+ * Calls `iterator` on every remaining document, then `callback`.
+ *
+ * @param {Function} iterator
+ * @param {Function} [callback]
+ * @return {Promise|undefined}
+ * @api private
+ */
+
+MemoryCursor.prototype.forEach = function(iterator, callback) {
+  return execute(this, callback, function() {
+    const docs = this._closed ? [] : this._init().slice(this._index);
+    this._index = this._docs ? this._docs.length : 0;
+    docs.forEach(doc => iterator(doc));
+  });
+};
+
+/**
+ * Counts the documents this cursor returns.
+ *
+ * @param {Function} [callback]
+ * @return {Promise|undefined}
+ * @api private
+ */
+
+MemoryCursor.prototype.count = function(callback) {
+  return execute(this, callback, function() {
+    return this._init().length;
+  });
+};
+
+/**
+ * Resets the cursor so it can be read again.
+ *
+ * @return {MemoryCursor} this
+ * @api private
+ */
+
+MemoryCursor.prototype.rewind = function() {
+  this._docs = null;
+  this._index = 0;
+  this._closed = false;
+  return this;
+};
+
+/**
+ * Closes the cursor.
+ *
+ * @param {Function} [callback]
+ * @return {Promise|undefined}
+ * @api private
+ */
+
+MemoryCursor.prototype.close = function(callback) {
+  return execute(this, callback, function() {
+    this._closed = true;
+    this._docs = [];
+    this.emit('close');
+    return null;
+  });
+};
+
+/**
+ * Whether the cursor was closed.
+ *
+ * @return {Boolean}
+ * @api private
+ */
+
+MemoryCursor.prototype.isClosed = function() {
+  return this._closed;
+};
+
+/*!
+ * Module exports.
+ */
+
+module.exports = MemoryCursor;
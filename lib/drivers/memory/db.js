@@ -0,0 +1,283 @@
+'use strict';
+
+/*!
+ * Module dependencies.
+ */
+
+const EventEmitter = require('events').EventEmitter;
+const MemoryCursor = require('./cursor');
+const MemoryStore = require('./store');
+const filter = require('./filter');
+const helpers = require('./helpers');
+const utils = require('../../utils');
+
+/*!
+ * Every database created in this process, by name. Connections to the
+ * same database name share data, like connections to the same server.
+ */
+
+const databases = {};
+
+/*!
+ * The server version whose query semantics the driver follows.
+ */
+
+const VERSION = '3.6.0';
+
+/**
+ * An in-memory database, the counterpart of the driver's `Db`.
+ *
+ * @param {String} name
+ * @inherits NodeJS EventEmitter http://nodejs.org/api/events.html#events_class_events_eventemitter
+ * @api private
+ */
+
+function MemoryDb(name) {
+  EventEmitter.call(this);
+  this.databaseName = name;
+  this.stores = {};
+  this.created = {};
+}
+
+/*!
+ * Inherit from EventEmitter.
+ */
+
+MemoryDb.prototype.__proto__ = EventEmitter.prototype;
+
+/**
+ * Returns the database called `name`, creating it if necessary.
+ *
+ * @param {String} name
+ * @return {MemoryDb}
+ * @api private
+ */
+
+MemoryDb.get = function(name) {
+  if (!databases.hasOwnProperty(name)) {
+    databases[name] = new MemoryDb(name);
+  }
+  return databases[name];
+};
+
+/**
+ * Copies the documents of every database and returns a function that puts
+ * them back, used to roll back transactions.
+ *
+ * @return {Function}
+ * @api private
+ */
+
+MemoryDb.snapshot = function() {
+  const state = Object.keys(databases).map(name => {
+    const db = databases[name];
+    return {
+      db: db,
+      created: Object.assign({}, db.created),
+      docs: Object.keys(db.stores).reduce((docs, key) => {
+        docs[key] = db.stores[key].documents().map(helpers.clone);
+        return docs;
+      }, {})
+    };
+  });
+
+  return function restore() {
+    state.forEach(s => {
+      s.db.created = s.created;
+      Object.keys(s.db.stores).forEach(key => {
+        s.db.stores[key].replaceAll(s.docs[key] || []);
+      });
+    });
+  };
+};
+
+/**
+ * Returns the collection called `name`. Like the driver, a collection
+ * only shows up in `listCollections()` once it has data or indexes.
+ *
+ * @param {String} name
+ * @param {Object} [options]
+ * @param {Function} [callback]
+ * @return {MemoryStore}
+ * @api private
+ */
+
+MemoryDb.prototype.collection = function(name, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  if (!this.stores.hasOwnProperty(name)) {
+    this.stores[name] = new MemoryStore(name, this, options);
+  }
+  const store = this.stores[name];
+  if (callback != null) {
+    utils.immediate(() => callback(null, store));
+  }
+  return store;
+};
+
+/*!
+ * Marks a collection as existing, called by `MemoryStore` on writes.
+ */
+
+MemoryDb.prototype._register = function(store) {
+  this.created[store.collectionName] = true;
+};
+
+/*!
+ * Removes a collection, returns false if it didn't exist. The store is
+ * emptied rather than discarded because mongoose collections hold on to it.
+ */
+
+MemoryDb.prototype._drop = function(name) {
+  const existed = !!this.created[name];
+  if (this.stores.hasOwnProperty(name)) {
+    this.stores[name]._reset();
+  }
+  delete this.created[name];
+  return existed;
+};
+
+/**
+ * Explicitly creates a collection.
+ *
+ * @param {String} name
+ * @param {Object} [options] `capped` and `max` are honored
+ * @param {Function} [callback]
+ * @return {Promise|undefined}
+ * @api private
+ */
+
+MemoryDb.prototype.createCollection = function(name, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  return helpers.respond(callback, () => {
+    const store = this.collection(name);
+    if (!this.created[name]) {
+      store.s.options = helpers.clone(options);
+    }
+    this._register(store);
+    return store;
+  });
+};
+
+/**
+ * Lists the collections that exist, optionally filtered.
+ *
+ * @param {Object} [query]
+ * @return {MemoryCursor}
+ * @api private
+ */
+
+MemoryDb.prototype.listCollections = function(query) {
+  return new MemoryCursor(() => {
+    return Object.keys(this.created).
+      map(name => ({
+        name: name,
+        type: 'collection',
+        options: helpers.clone(this.stores[name].s.options)
+      })).
+      filter(info => filter.matches(info, query || {}));
+  });
+};
+
+/**
+ * Drops a collection.
+ *
+ * @param {String} name
+ * @param {Function} [callback]
+ * @return {Promise|undefined}
+ * @api private
+ */
+
+MemoryDb.prototype.dropCollection = function(name, callback) {
+  return helpers.respond(callback, () => {
+    if (!this._drop(name)) {
+      throw helpers.error('ns not found', 26);
+    }
+    return true;
+  });
+};
+
+/**
+ * Drops every collection in this database.
+ *
+ * @param {Function} [callback]
+ * @return {Promise|undefined}
+ * @api private
+ */
+
+MemoryDb.prototype.dropDatabase = function(callback) {
+  return helpers.respond(callback, () => {
+    Object.keys(this.stores).forEach(name => this._drop(name));
+    return true;
+  });
+};
+
+/*!
+ * Collection options `collMod` can change.
+ */
+
+const COLL_MOD_OPTIONS = ['validator', 'validationLevel', 'validationAction'];
+
+/**
+ * Runs a database command. Only `ping` and `collMod` are supported.
+ * Validators are stored, but documents are not validated against them.
+ *
+ * @param {Object} command
+ * @param {Object} [options]
+ * @param {Function} [callback]
+ * @return {Promise|undefined}
+ * @api private
+ */
+
+MemoryDb.prototype.command = function(command, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+  }
+  return helpers.respond(callback, () => {
+    const name = Object.keys(command)[0];
+    if (name === 'ping') {
+      return { ok: 1 };
+    }
+    if (name === 'collMod') {
+      if (!this.created[command.collMod]) {
+        throw helpers.error('ns does not exist', 26);
+      }
+      const store = this.stores[command.collMod];
+      COLL_MOD_OPTIONS.forEach(key => {
+        if (command[key] !== undefined) {
+          store.s.options[key] = helpers.clone(command[key]);
+        }
+      });
+      return { ok: 1 };
+    }
+    throw helpers.error('no such command: \'' + name + '\'', 59);
+  });
+};
+
+/**
+ * Returns an object exposing the admin commands tests and tools rely on.
+ * The in-memory driver reports itself as MongoDB 3.6.
+ *
+ * @return {Object}
+ * @api private
+ */
+
+MemoryDb.prototype.admin = function() {
+  const info = () => ({ version: VERSION, versionArray: [3, 6, 0, 0], ok: 1 });
+  return {
+    serverStatus: callback => helpers.respond(callback, info),
+    buildInfo: callback => helpers.respond(callback, info),
+    ping: callback => helpers.respond(callback, () => ({ ok: 1 }))
+  };
+};
+
+/*!
+ * Module exports.
+ */
+
+module.exports = MemoryDb;
@@ -0,0 +1,411 @@
+'use strict';
+
+/*!
+ * Module dependencies.
+ */
+
+const helpers = require('./helpers');
+
+const compare = helpers.compare;
+const equals = helpers.equals;
+const typeOf = helpers.typeOf;
+
+/*!
+ * Numeric `$type` codes, see
+ * https://docs.mongodb.com/manual/reference/operator/query/type/
+ */
+
+const TYPE_CODES = {
+  1: 'double',
+  2: 'string',
+  3: 'object',
+  4: 'array',
+  5: 'binData',
+  7: 'objectId',
+  8: 'bool',
+  9: 'date',
+  10: 'null',
+  11: 'regex',
+  13: 'javascript',
+  16: 'int',
+  17: 'timestamp',
+  18: 'long',
+  19: 'decimal',
+  '-1': 'minKey',
+  127: 'maxKey'
+};
+
+/**
+ * Returns true if `doc` matches the MongoDB query `filter`.
+ *
+ * @param {Object} doc
+ * @param {Object} filter
+ * @return {Boolean}
+ * @api private
+ */
+
+function matches(doc, filter) {
+  if (filter == null) {
+    return true;
+  }
+  const keys = Object.keys(filter);
+  for (let i = 0; i < keys.length; ++i) {
+    const key = keys[i];
+    const cond = filter[key];
+    switch (key) {
+      case '$and':
+        if (!cond.every(f => matches(doc, f))) {
+          return false;
+        }
+        continue;
+      case '$or':
+        if (!cond.some(f => matches(doc, f))) {
+          return false;
+        }
+        continue;
+      case '$nor':
+        if (cond.some(f => matches(doc, f))) {
+          return false;
+        }
+        continue;
+      case '$where':
+        if (!evaluateWhere(doc, cond)) {
+          return false;
+        }
+        continue;
+      case '$expr':
+        // Lazy require because `aggregate` depends on this module
+        if (!truthy(require('./aggregate').evaluate(cond, doc))) {
+          return false;
+        }
+        continue;
+      case '$comment':
+        continue;
+      case '$text':
+        throw helpers.error('$text queries are not supported by the ' +
+          'in-memory driver');
+    }
+    if (key.charAt(0) === '$') {
+      throw helpers.error('unknown top level operator: ' + key, 2);
+    }
+    if (!matchesPath(doc, key, cond)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/*!
+ * ignore
+ */
+
+function truthy(val) {
+  return val != null && val !== false && val !== 0;
+}
+
+/*!
+ * ignore
+ */
+
+function evaluateWhere(doc, fn) {
+  if (fn && fn._bsontype === 'Code') {
+    fn = fn.code;
+  }
+  if (typeof fn === 'string') {
+    // Either an expression like `this.a > 1` or a serialized function
+    const res = new Function('return ' + fn + ';').call(doc);
+    return !!(typeof res === 'function' ? res.call(doc, doc) : res);
+  }
+  return !!fn.call(doc, doc);
+}
+
+/**
+ * Returns true if the condition `cond` holds for `path` in `doc`.
+ *
+ * @param {Object} doc
+ * @param {String} path
+ * @param {any} cond a value or an operator expression like `{ $gt: 1 }`
+ * @return {Boolean}
+ * @api private
+ */
+
+function matchesPath(doc, path, cond) {
+  const values = helpers.lookup(doc, path);
+  if (!isOperatorObject(cond)) {
+    return matchesAny(values, v => valueEquals(v, cond));
+  }
+
+  const ops = Object.keys(cond);
+  for (let i = 0; i < ops.length; ++i) {
+    if (ops[i] === '$options') {
+      continue;
+    }
+    if (!matchesOperator(values, ops[i], cond[ops[i]], cond)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/*!
+ * Returns true if `cond` is an object whose keys are all query operators.
+ */
+
+function isOperatorObject(cond) {
+  if (!helpers.isDocument(cond)) {
+    return false;
+  }
+  const keys = Object.keys(cond);
+  return keys.length > 0 && keys.every(k => k.charAt(0) === '$');
+}
+
+/*!
+ * Checks `fn` against every candidate value, descending one level into
+ * arrays so `{ tags: 'a' }` matches `{ tags: ['a', 'b'] }`.
+ */
+
+function matchesAny(values, fn) {
+  for (let i = 0; i < values.length; ++i) {
+    const v = values[i];
+    if (fn(v)) {
+      return true;
+    }
+    if (Array.isArray(v)) {
+      for (let j = 0; j < v.length; ++j) {
+        if (fn(v[j])) {
+          return true;
+        }
+      }
+    }
+  }
+  return false;
+}
+
+/*!
+ * Equality, with `null` also matching missing values and regexps
+ * matching strings.
+ */
+
+function valueEquals(val, cond) {
+  if (cond instanceof RegExp) {
+    return val instanceof RegExp ?
+      String(val) === String(cond) :
+      typeof val === 'string' && cond.test(val);
+  }
+  if (cond == null) {
+    return val == null;
+  }
+  if (val === undefined) {
+    return false;
+  }
+  return equals(val, cond);
+}
+
+/*!
+ * Comparison operators only compare values of the same type bracket.
+ */
+
+function comparable(a, b) {
+  const typeA = typeOf(a);
+  const typeB = typeOf(b);
+  const numeric = ['int', 'long', 'double', 'decimal'];
+  if (numeric.indexOf(typeA) !== -1 && numeric.indexOf(typeB) !== -1) {
+    return true;
+  }
+  return typeA === typeB && a != null;
+}
+
+/*!
+ * ignore
+ */
+
+function toRegExp(val, options) {
+  if (val instanceof RegExp) {
+    return options ? new RegExp(val.source, options) : val;
+  }
+  return new RegExp(val, options || '');
+}
+
+/*!
+ * ignore
+ */
+
+function matchesOperator(values, op, arg, cond) {
+  switch (op) {
+    case '$eq':
+      return matchesAny(values, v => valueEquals(v, arg));
+    case '$ne':
+      return !matchesAny(values, v => valueEquals(v, arg));
+    case '$gt':
+      return matchesAny(values, v => comparable(v, arg) && compare(v, arg) > 0);
+    case '$gte':
+      return matchesAny(values, v => comparable(v, arg) && compare(v, arg) >= 0);
+    case '$lt':
+      return matchesAny(values, v => comparable(v, arg) && compare(v, arg) < 0);
+    case '$lte':
+      return matchesAny(values, v => comparable(v, arg) && compare(v, arg) <= 0);
+    case '$in':
+      assertArray(op, arg);
+      return matchesAny(values, v => arg.some(a => valueEquals(v, a)));
+    case '$nin':
+      assertArray(op, arg);
+      return !matchesAny(values, v => arg.some(a => valueEquals(v, a)));
+    case '$exists':
+      return values.some(v => v !== undefined) === !!arg;
+    case '$type':
+      return matchesAny(values, v => matchesType(v, arg));
+    case '$regex': {
+      const re = toRegExp(arg, cond.$options);
+      return matchesAny(values, v => typeof v === 'string' && re.test(v));
+    }
+    case '$mod':
+      return matchesAny(values, v => typeof helpers.toNumber(v) === 'number' &&
+        helpers.toNumber(v) % arg[0] === arg[1]);
+    case '$size':
+      return values.some(v => Array.isArray(v) && v.length === arg);
+    case '$all':
+      assertArray(op, arg);
+      // `$all` is an `$and` of equality conditions on the same path
+      return arg.length > 0 && arg.every(a => {
+        if (isOperatorObject(a) && a.$elemMatch) {
+          return values.some(v => Array.isArray(v) &&
+            v.some(el => elemMatches(el, a.$elemMatch)));
+        }
+        return matchesAny(values, x => valueEquals(x, a));
+      });
+    case '$elemMatch':
+      return values.some(v => Array.isArray(v) &&
+        v.some(el => elemMatches(el, arg)));
+    case '$not':
+      if (arg instanceof RegExp) {
+        return !matchesAny(values, v => typeof v === 'string' && arg.test(v));
+      }
+      return !Object.keys(arg).every(k => k === '$options' ||
+        matchesOperator(values, k, arg[k], arg));
+    case '$comment':
+      return true;
+    case '$near':
+    case '$nearSphere':
+    case '$geoWithin':
+    case '$geoIntersects':
+    case '$within':
+      throw helpers.error('geospatial operator ' + op + ' is not supported ' +
+        'by the in-memory driver');
+  }
+  throw helpers.error('unknown operator: ' + op, 2);
+}
+
+/*!
+ * `$elemMatch` against either an operator expression (for arrays of
+ * primitives) or a query (for arrays of documents).
+ */
+
+function elemMatches(el, arg) {
+  if (isOperatorObject(arg) && Object.keys(arg).every(k => k !== '$and' &&
+      k !== '$or' && k !== '$nor' && k !== '$where')) {
+    return Object.keys(arg).every(k => k === '$options' ||
+      matchesOperator([el], k, arg[k], arg));
+  }
+  return helpers.isDocument(el) && matches(el, arg);
+}
+
+/*!
+ * ignore
+ */
+
+function matchesType(val, type) {
+  if (Array.isArray(type)) {
+    return type.some(t => matchesType(val, t));
+  }
+  if (typeof type === 'number') {
+    type = TYPE_CODES[type];
+  }
+  if (val === undefined) {
+    return false;
+  }
+  const actual = typeOf(val);
+  if (type === 'number') {
+    return ['int', 'long', 'double', 'decimal'].indexOf(actual) !== -1;
+  }
+  if (type === 'double' && actual === 'int') {
+    // JavaScript numbers are stored as doubles
+    return true;
+  }
+  return actual === type;
+}
+
+/*!
+ * ignore
+ */
+
+function assertArray(op, arg) {
+  if (!Array.isArray(arg)) {
+    throw helpers.error(op + ' needs an array', 2);
+  }
+}
+
+/**
+ * Returns the index of the first element of the array at `arrayPath` that
+ * satisfies the conditions `filter` places on it. Used to resolve the
+ * positional `$` operator in updates and projections.
+ *
+ * @param {Object} doc
+ * @param {Object} filter
+ * @param {String} arrayPath
+ * @return {Number} the index, or -1
+ * @api private
+ */
+
+function matchedIndex(doc, filter, arrayPath) {
+  const arr = helpers.get(doc, arrayPath);
+  if (!Array.isArray(arr)) {
+    return -1;
+  }
+  const conds = collectConditions(filter || {}, arrayPath);
+  if (conds.length === 0) {
+    return -1;
+  }
+  for (let i = 0; i < arr.length; ++i) {
+    const ok = conds.every(c => {
+      if (c.path === '') {
+        return isOperatorObject(c.cond) && c.cond.$elemMatch ?
+          elemMatches(arr[i], c.cond.$elemMatch) :
+          matchesPath({ v: [arr[i]] }, 'v', c.cond);
+      }
+      return helpers.isDocument(arr[i]) && matchesPath(arr[i], c.path, c.cond);
+    });
+    if (ok) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/*!
+ * Finds the conditions in `filter` that apply to elements of `arrayPath`.
+ */
+
+function collectConditions(filter, arrayPath) {
+  let out = [];
+  Object.keys(filter).forEach(key => {
+    if (key === '$and') {
+      filter[key].forEach(f => {
+        out = out.concat(collectConditions(f, arrayPath));
+      });
+    } else if (key === arrayPath) {
+      out.push({ path: '', cond: filter[key] });
+    } else if (key.indexOf(arrayPath + '.') === 0) {
+      out.push({ path: key.substr(arrayPath.length + 1), cond: filter[key] });
+    }
+  });
+  return out;
+}
+
+/*!
+ * Module exports.
+ */
+
+exports.matches = matches;
+exports.matchesPath = matchesPath;
+exports.matchedIndex = matchedIndex;
+exports.isOperatorObject = isOperatorObject;
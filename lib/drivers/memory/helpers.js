@@ -0,0 +1,513 @@
+'use strict';
+
+/*!
+ * Module dependencies.
+ */
+
+const Binary = require('mongodb').Binary;
+const Long = require('mongodb').Long;
+const MongoError = require('mongodb').MongoError;
+const PromiseProvider = require('../../promise_provider');
+
+/*!
+ * Sort order of BSON types, see
+ * https://docs.mongodb.com/manual/reference/bson-type-comparison-order/
+ */
+
+const TYPE_ORDER = {
+  minKey: 1,
+  null: 2,
+  number: 3,
+  string: 4,
+  object: 5,
+  array: 6,
+  binData: 7,
+  objectId: 8,
+  bool: 9,
+  date: 10,
+  timestamp: 11,
+  regex: 12,
+  maxKey: 13
+};
+
+/**
+ * Returns the BSON type alias (as used by `$type`) of `val`.
+ *
+ * @param {any} val
+ * @return {String}
+ * @api private
+ */
+
+exports.typeOf = function typeOf(val) {
+  if (val == null) {
+    return 'null';
+  }
+  if (Array.isArray(val)) {
+    return 'array';
+  }
+  if (val instanceof Date) {
+    return 'date';
+  }
+  if (val instanceof RegExp) {
+    return 'regex';
+  }
+  if (Buffer.isBuffer(val)) {
+    return 'binData';
+  }
+  switch (val._bsontype) {
+    case 'ObjectID':
+      return 'objectId';
+    case 'Binary':
+      return 'binData';
+    case 'Decimal128':
+      return 'decimal';
+    case 'Long':
+      return 'long';
+    case 'Int32':
+      return 'int';
+    case 'Double':
+      return 'double';
+    case 'Timestamp':
+      return 'timestamp';
+    case 'MinKey':
+      return 'minKey';
+    case 'MaxKey':
+      return 'maxKey';
+    case 'BSONRegExp':
+      return 'regex';
+    case 'Symbol':
+      return 'string';
+  }
+  switch (typeof val) {
+    case 'number':
+      return val % 1 === 0 && val >= -0x80000000 && val <= 0x7fffffff ? 'int' : 'double';
+    case 'string':
+      return 'string';
+    case 'boolean':
+      return 'bool';
+    case 'function':
+      return 'javascript';
+  }
+  return 'object';
+};
+
+/*!
+ * Collapses the numeric type aliases into one sort bucket.
+ */
+
+function sortType(val) {
+  const type = exports.typeOf(val);
+  switch (type) {
+    case 'int':
+    case 'long':
+    case 'double':
+    case 'decimal':
+      return 'number';
+    case 'javascript':
+      return 'object';
+  }
+  return type;
+}
+
+/**
+ * Converts a numeric BSON value (Long, Int32, Double, Decimal128) to a
+ * JavaScript number. Other values are returned as is.
+ *
+ * @param {any} val
+ * @return {any}
+ * @api private
+ */
+
+exports.toNumber = function toNumber(val) {
+  if (val == null || typeof val === 'number') {
+    return val;
+  }
+  switch (val._bsontype) {
+    case 'Long':
+      return val.toNumber();
+    case 'Int32':
+    case 'Double':
+      return val.valueOf();
+    case 'Decimal128':
+      return parseFloat(val.toString());
+  }
+  return val;
+};
+
+/**
+ * Converts a BSON 32 or 64-bit integer, or a number that is one, to a
+ * `Long`. Returns `null` for anything else.
+ *
+ * @param {any} val
+ * @return {Long|null}
+ * @api private
+ */
+
+exports.toLong = function toLong(val) {
+  switch (exports.typeOf(val)) {
+    case 'long':
+      return val;
+    case 'int':
+      return Long.fromNumber(exports.toNumber(val));
+  }
+  return null;
+};
+
+/*!
+ * ignore
+ */
+
+function binaryBuffer(val) {
+  return Buffer.isBuffer(val) ? val : val.value(true);
+}
+
+/**
+ * Compares two values using MongoDB's cross-type comparison order.
+ * Returns a negative number, zero or a positive number.
+ *
+ * @param {any} a
+ * @param {any} b
+ * @return {Number}
+ * @api private
+ */
+
+exports.compare = function compare(a, b) {
+  const typeA = sortType(a);
+  const typeB = sortType(b);
+  if (typeA !== typeB) {
+    return TYPE_ORDER[typeA] - TYPE_ORDER[typeB];
+  }
+
+  switch (typeA) {
+    case 'null':
+    case 'minKey':
+    case 'maxKey':
+      return 0;
+    case 'number':
+      if (a._bsontype === 'Long' || b._bsontype === 'Long') {
+        // doubles lose the precision of large longs
+        const longA = exports.toLong(a);
+        const longB = exports.toLong(b);
+        if (longA != null && longB != null) {
+          return longA.compare(longB);
+        }
+      }
+      return exports.toNumber(a) - exports.toNumber(b);
+    case 'string':
+      a = String(a);
+      b = String(b);
+      return a < b ? -1 : (a > b ? 1 : 0);
+    case 'bool':
+      return (a ? 1 : 0) - (b ? 1 : 0);
+    case 'date':
+      return a.getTime() - b.getTime();
+    case 'objectId':
+      return compare(a.toHexString(), b.toHexString());
+    case 'timestamp':
+      return a.compare(b);
+    case 'regex':
+      return compare(String(a), String(b));
+    case 'binData':
+      a = binaryBuffer(a);
+      b = binaryBuffer(b);
+      return a.length !== b.length ? a.length - b.length : Buffer.compare(a, b);
+    case 'array':
+      for (let i = 0; i < a.length && i < b.length; ++i) {
+        const res = compare(a[i], b[i]);
+        if (res !== 0) {
+          return res;
+        }
+      }
+      return a.length - b.length;
+  }
+
+  // Embedded documents compare field by field, in order
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  for (let i = 0; i < keysA.length && i < keysB.length; ++i) {
+    let res = compare(a[keysA[i]], b[keysB[i]]);
+    if (res !== 0) {
+      return res;
+    }
+    res = compare(keysA[i], keysB[i]);
+    if (res !== 0) {
+      return res;
+    }
+  }
+  return keysA.length - keysB.length;
+};
+
+/**
+ * Returns true if `a` and `b` are equal BSON values.
+ *
+ * @param {any} a
+ * @param {any} b
+ * @return {Boolean}
+ * @api private
+ */
+
+exports.equals = function equals(a, b) {
+  return exports.compare(a, b) === 0;
+};
+
+/**
+ * Deep clones a value into its stored representation: mongoose documents
+ * and arrays are converted with `toBSON()`, maps become objects, buffers
+ * become `Binary`s and `undefined` becomes `null`, mirroring what BSON
+ * serialization does.
+ *
+ * @param {any} val
+ * @return {any}
+ * @api private
+ */
+
+exports.clone = function clone(val) {
+  if (val == null || typeof val !== 'object') {
+    return val;
+  }
+  if (val instanceof Date) {
+    return new Date(val.getTime());
+  }
+  if (Buffer.isBuffer(val) && typeof val.toBSON !== 'function') {
+    return new Binary(Buffer.from(val), 0);
+  }
+  if (val._bsontype === 'Binary') {
+    return new Binary(Buffer.from(val.value(true)), val.sub_type);
+  }
+  if (val._bsontype || val instanceof RegExp) {
+    // Other BSON types and regexps are immutable
+    return val;
+  }
+  if (typeof val.toBSON === 'function') {
+    return clone(val.toBSON());
+  }
+  if (val instanceof Map) {
+    const ret = {};
+    val.forEach((value, key) => {
+      ret[key] = value === undefined ? null : clone(value);
+    });
+    return ret;
+  }
+  if (Array.isArray(val)) {
+    const arr = [];
+    for (let i = 0; i < val.length; ++i) {
+      arr.push(val[i] === undefined ? null : clone(val[i]));
+    }
+    return arr;
+  }
+
+  const ret = {};
+  const keys = Object.keys(val);
+  for (let i = 0; i < keys.length; ++i) {
+    ret[keys[i]] = val[keys[i]] === undefined ? null : clone(val[keys[i]]);
+  }
+  return ret;
+};
+
+/**
+ * Returns true if `val` is a plain object (an embedded document).
+ *
+ * @param {any} val
+ * @return {Boolean}
+ * @api private
+ */
+
+exports.isDocument = function isDocument(val) {
+  return val != null && typeof val === 'object' && !Array.isArray(val) &&
+    !val._bsontype && !(val instanceof Date) && !(val instanceof RegExp) &&
+    !Buffer.isBuffer(val);
+};
+
+/**
+ * Returns true if the given path segment is an array index.
+ *
+ * @param {String} part
+ * @return {Boolean}
+ * @api private
+ */
+
+exports.isIndex = function isIndex(part) {
+  return /^\d+$/.test(part);
+};
+
+/**
+ * Collects every value reachable at `path` in `doc`, traversing arrays of
+ * embedded documents the way the query engine does. Missing values are
+ * reported as `undefined` so `{ path: null }` can match them.
+ *
+ * @param {Object} doc
+ * @param {String} path dotted path
+ * @return {Array}
+ * @api private
+ */
+
+exports.lookup = function lookup(doc, path) {
+  const out = [];
+  _lookup(doc, path.split('.'), 0, out);
+  return out;
+};
+
+/*!
+ * ignore
+ */
+
+function _lookup(val, parts, i, out) {
+  if (i === parts.length) {
+    out.push(val);
+    return;
+  }
+  if (Array.isArray(val)) {
+    if (exports.isIndex(parts[i])) {
+      _lookup(val[parts[i]], parts, i + 1, out);
+      return;
+    }
+    let found = false;
+    for (let j = 0; j < val.length; ++j) {
+      if (exports.isDocument(val[j]) || Array.isArray(val[j])) {
+        _lookup(val[j], parts, i, out);
+        found = true;
+      }
+    }
+    if (!found) {
+      out.push(undefined);
+    }
+    return;
+  }
+  if (!exports.isDocument(val)) {
+    out.push(undefined);
+    return;
+  }
+  _lookup(val[parts[i]], parts, i + 1, out);
+}
+
+/**
+ * Returns the value at `path` without traversing arrays of documents.
+ *
+ * @param {Object} doc
+ * @param {String} path dotted path
+ * @return {any}
+ * @api private
+ */
+
+exports.get = function get(doc, path) {
+  const parts = path.split('.');
+  let cur = doc;
+  for (let i = 0; i < parts.length; ++i) {
+    if (cur == null || typeof cur !== 'object') {
+      return undefined;
+    }
+    cur = cur[parts[i]];
+  }
+  return cur;
+};
+
+/**
+ * Sets the value at `path`, creating intermediate documents as needed.
+ * Throws a `MongoError` if an intermediate value can't hold a field.
+ *
+ * @param {Object} doc
+ * @param {String} path dotted path
+ * @param {any} val
+ * @api private
+ */
+
+exports.set = function set(doc, path, val) {
+  const parts = path.split('.');
+  let cur = doc;
+  for (let i = 0; i < parts.length; ++i) {
+    if (Array.isArray(cur) && !exports.isIndex(parts[i])) {
+      throw exports.error('cannot use the part (' + parts[i - 1] + ' of ' +
+        path + ') to traverse the element', 28);
+    }
+    if (i === parts.length - 1) {
+      break;
+    }
+    let next = cur[parts[i]];
+    if (next == null) {
+      next = cur[parts[i]] = {};
+    } else if (typeof next !== 'object' || next._bsontype ||
+        next instanceof Date) {
+      throw exports.error('Cannot create field \'' + parts[i + 1] +
+        '\' in element {' + parts[i] + ': ' + JSON.stringify(next) + '}', 28);
+    }
+    cur = next;
+  }
+  const last = parts[parts.length - 1];
+  if (Array.isArray(cur) && exports.isIndex(last)) {
+    while (cur.length < +last) {
+      cur.push(null);
+    }
+  }
+  cur[last] = val;
+};
+
+/**
+ * Removes the value at `path`. Array elements are set to `null` rather
+ * than spliced out, like `$unset` does.
+ *
+ * @param {Object} doc
+ * @param {String} path dotted path
+ * @return {Boolean} whether a value was removed
+ * @api private
+ */
+
+exports.unset = function unset(doc, path) {
+  const parts = path.split('.');
+  const last = parts.pop();
+  const parent = parts.length ? exports.get(doc, parts.join('.')) : doc;
+  if (parent == null || typeof parent !== 'object' || !(last in parent)) {
+    return false;
+  }
+  if (Array.isArray(parent)) {
+    if (exports.isIndex(last)) {
+      parent[last] = null;
+    }
+    return true;
+  }
+  delete parent[last];
+  return true;
+};
+
+/**
+ * Creates a `MongoError` like the ones the server returns.
+ *
+ * @param {String} message
+ * @param {Number} [code]
+ * @return {MongoError}
+ * @api private
+ */
+
+exports.error = function error(message, code) {
+  const err = new MongoError(message);
+  if (code != null) {
+    err.code = code;
+  }
+  return err;
+};
+
+/**
+ * Calls `fn` and passes its result, or the error it throws, to `callback`
+ * asynchronously. Returns a promise if there is no callback.
+ *
+ * @param {Function} [callback]
+ * @param {Function} fn
+ * @return {Promise|undefined}
+ * @api private
+ */
+
+exports.respond = function respond(callback, fn) {
+  if (typeof callback !== 'function') {
+    const Promise = PromiseProvider.get();
+    return new Promise((resolve, reject) => {
+      respond((error, res) => error ? reject(error) : resolve(res), fn);
+    });
+  }
+  let res;
+  try {
+    res = fn();
+  } catch (error) {
+    setImmediate(() => callback(error));
+    return;
+  }
+  setImmediate(() => callback(null, res));
+};
@@ -0,0 +1,11 @@
+/*!
+ * Module exports.
+ *
+ * The in-memory driver stores the same BSON types as node-mongodb-native.
+ */
+
+exports.Binary = require('../node-mongodb-native/binary');
+exports.Decimal128 = require('../node-mongodb-native/decimal128');
+exports.Long = require('../node-mongodb-native/long');
+exports.ObjectId = require('../node-mongodb-native/objectid');
+exports.ReadPreference = require('../node-mongodb-native/ReadPreference');
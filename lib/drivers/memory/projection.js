@@ -0,0 +1,204 @@
+'use strict';
+
+/*!
+ * Module dependencies.
+ */
+
+const filter = require('./filter');
+const helpers = require('./helpers');
+
+/*!
+ * ignore
+ */
+
+function isTruthy(val) {
+  return val === true || (typeof val === 'number' && val !== 0) ||
+    (typeof val === 'string' && val !== '0');
+}
+
+/**
+ * Applies the projection `fields` to the stored document `doc`, returning
+ * a new object. `query` is needed to resolve positional (`field.$`)
+ * projections.
+ *
+ * @param {Object} doc
+ * @param {Object} fields
+ * @param {Object} [query]
+ * @return {Object}
+ * @api private
+ */
+
+function project(doc, fields, query) {
+  const keys = Object.keys(fields || {});
+  if (keys.length === 0) {
+    return helpers.clone(doc);
+  }
+
+  let inclusive = null;
+  keys.forEach(key => {
+    const val = fields[key];
+    let mode;
+    if (helpers.isDocument(val)) {
+      mode = val.$elemMatch ? true : null;
+    } else if (/\.\$$/.test(key)) {
+      mode = true;
+    } else if (key !== '_id') {
+      mode = isTruthy(val);
+    }
+    if (mode == null) {
+      return;
+    }
+    if (inclusive != null && inclusive !== mode) {
+      throw helpers.error('Projection cannot have a mix of inclusion and ' +
+        'exclusion.', 2);
+    }
+    inclusive = mode;
+  });
+  if (inclusive == null && keys.length === 1 && isTruthy(fields._id)) {
+    inclusive = true;
+  }
+  if (inclusive === false && '_id' in fields && isTruthy(fields._id)) {
+    throw helpers.error('Projection cannot have a mix of inclusion and ' +
+      'exclusion.', 2);
+  }
+
+  let ret;
+  if (inclusive) {
+    ret = {};
+    if (!('_id' in fields) || isTruthy(fields._id)) {
+      if (doc._id !== undefined) {
+        ret._id = helpers.clone(doc._id);
+      }
+    }
+    keys.forEach(key => {
+      const val = fields[key];
+      if (key === '_id') {
+        return;
+      }
+      if (/\.\$$/.test(key)) {
+        return;
+      }
+      if (helpers.isDocument(val) && val.$elemMatch) {
+        return;
+      }
+      if (helpers.isDocument(val) && !('$slice' in val)) {
+        return;
+      }
+      include(doc, ret, key.split('.'));
+    });
+    // The positional projection wins over other fields of the same array
+    keys.filter(key => /\.\$$/.test(key)).forEach(key => {
+      const path = key.substr(0, key.length - 2);
+      const index = filter.matchedIndex(doc, query, path);
+      if (index !== -1) {
+        helpers.set(ret, path, [helpers.clone(helpers.get(doc, path)[index])]);
+      }
+    });
+  } else {
+    ret = helpers.clone(doc);
+    keys.forEach(key => {
+      if (!helpers.isDocument(fields[key]) && !isTruthy(fields[key])) {
+        exclude(ret, key.split('.'));
+      }
+    });
+  }
+
+  keys.forEach(key => {
+    const val = fields[key];
+    if (!helpers.isDocument(val)) {
+      return;
+    }
+    if (val.$slice != null) {
+      const arr = helpers.get(ret, key);
+      if (Array.isArray(arr)) {
+        helpers.set(ret, key, slice(arr, val.$slice));
+      }
+    }
+    if (val.$elemMatch) {
+      const arr = helpers.get(doc, key);
+      const match = Array.isArray(arr) ?
+        arr.find(el => filter.matches({ v: [el] }, { v: { $elemMatch: val.$elemMatch } })) :
+        undefined;
+      if (match !== undefined) {
+        helpers.set(ret, key, [helpers.clone(match)]);
+      }
+    }
+  });
+
+  return ret;
+}
+
+/*!
+ * ignore
+ */
+
+function slice(arr, arg) {
+  if (Array.isArray(arg)) {
+    const skip = arg[0] < 0 ? Math.max(arr.length + arg[0], 0) : arg[0];
+    return arr.slice(skip, skip + arg[1]);
+  }
+  return arg < 0 ? arr.slice(Math.max(arr.length + arg, 0)) : arr.slice(0, arg);
+}
+
+/*!
+ * Copies the value at `parts` from `src` to `dst`, projecting each
+ * element of intermediate arrays of documents.
+ */
+
+function include(src, dst, parts) {
+  const key = parts[0];
+  if (!(key in src)) {
+    return;
+  }
+  const val = src[key];
+  if (parts.length === 1) {
+    dst[key] = helpers.clone(val);
+    return;
+  }
+  const rest = parts.slice(1);
+  if (Array.isArray(val)) {
+    const existing = Array.isArray(dst[key]) ? dst[key] : [];
+    const arr = [];
+    val.forEach(el => {
+      if (!helpers.isDocument(el)) {
+        return;
+      }
+      const sub = helpers.isDocument(existing[arr.length]) ? existing[arr.length] : {};
+      include(el, sub, rest);
+      arr.push(sub);
+    });
+    dst[key] = arr;
+    return;
+  }
+  if (helpers.isDocument(val)) {
+    if (!helpers.isDocument(dst[key])) {
+      dst[key] = {};
+    }
+    include(val, dst[key], rest);
+  }
+}
+
+/*!
+ * Removes the value at `parts` from `obj`, descending into arrays.
+ */
+
+function exclude(obj, parts) {
+  if (Array.isArray(obj)) {
+    obj.forEach(el => helpers.isDocument(el) && exclude(el, parts));
+    return;
+  }
+  if (!helpers.isDocument(obj)) {
+    return;
+  }
+  if (parts.length === 1) {
+    delete obj[parts[0]];
+    return;
+  }
+  exclude(obj[parts[0]], parts.slice(1));
+}
+
+/*!
+ * Module exports.
+ */
+
+exports.project = project;
@@ -0,0 +1,149 @@
+'use strict';
+
+/*!
+ * Module dependencies.
+ */
+
+const EventEmitter = require('events').EventEmitter;
+const MemoryDb = require('./db');
+const ObjectId = require('mongodb').ObjectId;
+const helpers = require('./helpers');
+const utils = require('../../utils');
+
+/**
+ * An in-memory client session, the counterpart of the driver's
+ * `ClientSession`.
+ *
+ * Transactions are emulated: `startTransaction()` copies every in-memory
+ * database and `abortTransaction()` puts the copy back. There is no
+ * isolation, so writes made outside the transaction while it is running are
+ * visible to it and are rolled back with it.
+ *
+ * @param {Object} [options]
+ * @inherits NodeJS EventEmitter http://nodejs.org/api/events.html#events_class_events_eventemitter
+ * @api private
+ */
+
+function MemorySession(options) {
+  EventEmitter.call(this);
+  this.id = { id: new ObjectId() };
+  this.options = options || {};
+  this.hasEnded = false;
+  this._transaction = null;
+}
+
+/*!
+ * Inherit from EventEmitter.
+ */
+
+MemorySession.prototype.__proto__ = EventEmitter.prototype;
+
+/**
+ * Starts a transaction.
+ *
+ * @param {Object} [options] ignored
+ * @api private
+ */
+
+MemorySession.prototype.startTransaction = function(options) {
+  if (this.hasEnded) {
+    throw helpers.error('Cannot use a session that has ended');
+  }
+  if (this._transaction != null) {
+    throw helpers.error('Transaction already in progress');
+  }
+  this._transaction = {
+    options: Object.assign({}, this.options.defaultTransactionOptions, options),
+    restore: MemoryDb.snapshot()
+  };
+};
+
+/**
+ * Whether a transaction was started and not committed or aborted yet.
+ *
+ * @return {Boolean}
+ * @api private
+ */
+
+MemorySession.prototype.inTransaction = function() {
+  return this._transaction != null;
+};
+
+/**
+ * Commits the current transaction.
+ *
+ * @param {Function} [callback]
+ * @return {Promise|undefined}
+ * @api private
+ */
+
+MemorySession.prototype.commitTransaction = function(callback) {
+  return helpers.respond(callback, () => {
+    if (this._transaction == null) {
+      throw helpers.error('No transaction started');
+    }
+    this._transaction = null;
+  });
+};
+
+/**
+ * Aborts the current transaction, undoing every write since it started.
+ *
+ * @param {Function} [callback]
+ * @return {Promise|undefined}
+ * @api private
+ */
+
+MemorySession.prototype.abortTransaction = function(callback) {
+  return helpers.respond(callback, () => {
+    if (this._transaction == null) {
+      throw helpers.error('No transaction started');
+    }
+    this._transaction.restore();
+    this._transaction = null;
+  });
+};
+
+/**
+ * Ends the session, aborting the current transaction if there is one.
+ *
+ * @param {Object} [options]
+ * @param {Function} [callback]
+ * @api private
+ */
+
+MemorySession.prototype.endSession = function(options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+  }
+  if (!this.hasEnded) {
+    if (this._transaction != null) {
+      this._transaction.restore();
+      this._transaction = null;
+    }
+    this.hasEnded = true;
+    this.emit('ended', this);
+  }
+  if (typeof callback === 'function') {
+    utils.immediate(() => callback(null));
+  }
+};
+
+/**
+ * Whether `session` is this session.
+ *
+ * @param {MemorySession} session
+ * @return {Boolean}
+ * @api private
+ */
+
+MemorySession.prototype.equals = function(session) {
+  return session instanceof MemorySession &&
+    String(session.id.id) === String(this.id.id);
+};
+
+/*!
+ * Module exports.
+ */
+
+module.exports = MemorySession;
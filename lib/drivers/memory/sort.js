@@ -0,0 +1,129 @@
+'use strict';
+
+/*!
+ * Module dependencies.
+ */
+
+const helpers = require('./helpers');
+
+/**
+ * Normalizes a sort specification (`{ a: 1 }`, `[['a', 'desc']]`,
+ * `'-a b'`) into an array of `[path, direction]` pairs where direction
+ * is `1` or `-1`.
+ *
+ * @param {Object|Array|String} spec
+ * @return {Array}
+ * @api private
+ */
+
+function normalize(spec) {
+  let pairs;
+  if (spec == null) {
+    return [];
+  }
+  if (typeof spec === 'string') {
+    pairs = spec.split(/\s+/).filter(Boolean).map(field => {
+      return field.charAt(0) === '-' ? [field.substr(1), -1] : [field, 1];
+    });
+  } else if (Array.isArray(spec)) {
+    pairs = (Array.isArray(spec[0]) ? spec : [spec]).map(pair => {
+      return Array.isArray(pair) ? pair : [pair, 1];
+    });
+  } else {
+    pairs = Object.keys(spec).map(key => [key, spec[key]]);
+  }
+
+  return pairs.filter(pair => !helpers.isDocument(pair[1])).map(pair => {
+    const dir = String(pair[1]).toLowerCase();
+    return [pair[0], dir === '-1' || dir === 'desc' || dir === 'descending' ? -1 : 1];
+  });
+}
+
+/*!
+ * The sort key of an array field is its smallest element when sorting
+ * ascending, its largest when sorting descending.
+ */
+
+function sortKey(doc, path, dir) {
+  const values = helpers.lookup(doc, path);
+  let key;
+  let found = false;
+  values.forEach(v => {
+    const candidates = Array.isArray(v) ? (v.length ? v : [undefined]) : [v];
+    candidates.forEach(c => {
+      if (!found || helpers.compare(c, key) * dir < 0) {
+        key = c;
+        found = true;
+      }
+    });
+  });
+  return key;
+}
+
+/**
+ * Returns a comparator for `Array#sort()` implementing `spec`.
+ *
+ * @param {Object|Array|String} spec
+ * @return {Function}
+ * @api private
+ */
+
+function comparator(spec) {
+  const pairs = normalize(spec);
+  return function(a, b) {
+    for (let i = 0; i < pairs.length; ++i) {
+      const path = pairs[i][0];
+      const dir = pairs[i][1];
+      const res = helpers.compare(sortKey(a, path, dir), sortKey(b, path, dir));
+      if (res !== 0) {
+        return res * dir;
+      }
+    }
+    return 0;
+  };
+}
+
+/**
+ * Returns a sorted copy of `docs`. The sort is stable, so documents that
+ * compare equal keep their insertion order.
+ *
+ * @param {Array} docs
+ * @param {Object|Array|String} spec
+ * @return {Array}
+ * @api private
+ */
+
+function sortDocuments(docs, spec) {
+  const cmp = comparator(spec);
+  return docs.
+    map((doc, i) => ({ doc: doc, i: i })).
+    sort((a, b) => cmp(a.doc, b.doc) || a.i - b.i).
+    map(wrapped => wrapped.doc);
+}
+
+/**
+ * Sorts the elements of an array as `$push` with `$sort` does: `spec` is
+ * either a direction, for arrays of primitives, or a sort document.
+ *
+ * @param {Array} arr
+ * @param {Number|Object} spec
+ * @return {Array}
+ * @api private
+ */
+
+function sortValues(arr, spec) {
+  if (helpers.isDocument(spec)) {
+    return sortDocuments(arr, spec);
+  }
+  const wrapped = arr.map(v => ({ v: v }));
+  return sortDocuments(wrapped, { v: spec }).map(w => w.v);
+}
+
+/*!
+ * Module exports.
+ */
+
+exports.comparator = comparator;
+exports.normalize = normalize;
+exports.sortDocuments = sortDocuments;
+exports.sortValues = sortValues;
@@ -0,0 +1,839 @@
+'use strict';
+
+/*!
+ * Module dependencies.
+ */
+
+const MemoryCursor = require('./cursor');
+const ObjectId = require('mongodb').ObjectId;
+const PromiseProvider = require('../../promise_provider');
+const aggregate = require('./aggregate');
+const filter = require('./filter');
+const helpers = require('./helpers');
+const projection = require('./projection');
+const sort = require('./sort');
+const update = require('./update');
+const utils = require('../../utils');
+
+const clone = helpers.clone;
+
+/**
+ * An in-memory collection. Exposes the subset of the
+ * [node-mongodb-native](https://github.com/mongodb/node-mongodb-native)
+ * `Collection` API that mongoose uses, with the same signatures and result
+ * shapes, so `MemoryCollection` can wrap it the way `NativeCollection`
+ * wraps the driver's collection.
+ *
+ * @param {String} name
+ * @param {MemoryDb} db
+ * @param {Object} [options] collection options, e.g. `capped` and `max`
+ * @api private
+ */
+
+function MemoryStore(name, db, options) {
+  this.collectionName = name;
+  this.namespace = db.databaseName + '.' + name;
+  this.db = db;
+  this.s = { name: name, db: db, options: options || {} };
+  this._reset();
+  this.s.options = options || {};
+}
+
+/*!
+ * Empties the collection, used when it is dropped.
+ */
+
+MemoryStore.prototype._reset = function() {
+  this.docs = [];
+  this._indexes = [{ v: 2, key: { _id: 1 }, name: '_id_', ns: this.namespace }];
+  this.s.options = {};
+};
+
+/*!
+ * Wraps a synchronous implementation in the driver's calling convention:
+ * the last function argument is the callback, and without one a promise
+ * is returned. Results are always delivered asynchronously.
+ */
+
+function method(fn) {
+  const arity = fn.length;
+  return function() {
+    const args = Array.prototype.slice.call(arguments);
+    let callback = null;
+    for (let i = args.length - 1; i >= 0; --i) {
+      if (typeof args[i] === 'function') {
+        callback = args[i];
+        args.splice(i, args.length - i);
+        break;
+      }
+    }
+    while (args.length < arity) {
+      args.push(undefined);
+    }
+
+    if (callback == null) {
+      const Promise = PromiseProvider.get();
+      return new Promise((resolve, reject) => {
+        run(this, fn, args, (error, res) => error ? reject(error) : resolve(res));
+      });
+    }
+    run(this, fn, args, callback);
+  };
+}
+
+/*!
+ * Callbacks run on `setImmediate()` rather than `process.nextTick()` so
+ * they are ordered like network I/O relative to promises.
+ */
+
+function run(store, fn, args, callback) {
+  let res;
+  try {
+    res = fn.apply(store, args);
+  } catch (error) {
+    setImmediate(() => callback(error));
+    return;
+  }
+  setImmediate(() => callback(null, res));
+}
+
+/*!
+ * ignore
+ */
+
+function normalizeIndexKey(fieldOrSpec) {
+  if (typeof fieldOrSpec === 'string') {
+    const key = {};
+    key[fieldOrSpec] = 1;
+    return key;
+  }
+  if (Array.isArray(fieldOrSpec)) {
+    const key = {};
+    fieldOrSpec.forEach(pair => {
+      Array.isArray(pair) ? key[pair[0]] = pair[1] : key[pair] = 1;
+    });
+    return key;
+  }
+  return Object.assign({}, fieldOrSpec);
+}
+
+/*!
+ * Index options that make two indexes on the same key different.
+ */
+
+const INDEX_OPTIONS = ['unique', 'sparse', 'expireAfterSeconds',
+  'partialFilterExpression', 'collation', 'weights', 'default_language',
+  '2dsphereIndexVersion', 'bits', 'min', 'max'];
+
+/*!
+ * ignore
+ */
+
+function sameOptions(a, b) {
+  return INDEX_OPTIONS.every(opt => {
+    if (a[opt] === undefined || b[opt] === undefined) {
+      return (a[opt] === undefined || a[opt] === false) ===
+        (b[opt] === undefined || b[opt] === false);
+    }
+    return helpers.equals(a[opt], b[opt]);
+  });
+}
+
+/*!
+ * ignore
+ */
+
+function duplicateKeyError(store, index, key) {
+  const values = Object.keys(index.key).map((k, i) => ': ' + JSON.stringify(key[i]));
+  const err = helpers.error('E11000 duplicate key error collection: ' +
+    store.namespace + ' index: ' + index.name + ' dup key: { ' +
+    values.join(', ') + ' }', 11000);
+  err.index = 0;
+  return err;
+}
+
+/**
+ * Returns the documents in the collection. Not a copy, callers must not
+ * modify the result.
+ *
+ * @return {Array}
+ * @api private
+ */
+
+MemoryStore.prototype.documents = function() {
+  return this.docs;
+};
+
+/**
+ * Replaces every document in the collection, used by `$out`.
+ *
+ * @param {Array} docs
+ * @api private
+ */
+
+MemoryStore.prototype.replaceAll = function(docs) {
+  this.docs = [];
+  docs.forEach(doc => this._insertOne(clone(doc)));
+};
+
+/*!
+ * Throws a duplicate key error if storing `doc` (at position `skip`, when
+ * replacing an existing document) would violate a unique index.
+ */
+
+MemoryStore.prototype._checkUnique = function(doc, skip) {
+  for (let i = 0; i < this._indexes.length; ++i) {
+    const index = this._indexes[i];
+    if (!index.unique && index.name !== '_id_') {
+      continue;
+    }
+    const key = this._indexKey(index, doc);
+    if (key == null) {
+      continue;
+    }
+    for (let j = 0; j < this.docs.length; ++j) {
+      if (j === skip) {
+        continue;
+      }
+      const other = this._indexKey(index, this.docs[j]);
+      if (other != null && helpers.equals(key, other)) {
+        throw duplicateKeyError(this, index, key);
+      }
+    }
+  }
+};
+
+/*!
+ * The values `index` covers in `doc`, or null if the index skips `doc`.
+ */
+
+MemoryStore.prototype._indexKey = function(index, doc) {
+  const fields = Object.keys(index.key);
+  if (index.partialFilterExpression &&
+      !filter.matches(doc, index.partialFilterExpression)) {
+    return null;
+  }
+  const key = fields.map(field => helpers.get(doc, field));
+  if (index.sparse && key.every(v => v === undefined)) {
+    return null;
+  }
+  return key.map(v => v === undefined ? null : v);
+};
+
+/*!
+ * ignore
+ */
+
+MemoryStore.prototype._insertOne = function(doc) {
+  if (doc._id === undefined) {
+    doc = Object.assign({ _id: new ObjectId() }, doc);
+  }
+  this._checkUnique(doc, -1);
+  this.docs.push(doc);
+  const max = this.s.options.capped ? this.s.options.max : null;
+  if (max != null && this.docs.length > max) {
+    this.docs.splice(0, this.docs.length - max);
+  }
+  this.db._register(this);
+  return doc;
+};
+
+/*!
+ * Returns the positions of the documents matching `query`.
+ */
+
+MemoryStore.prototype._match = function(query, options) {
+  options = options || {};
+  query = clone(query);
+  let positions = [];
+  for (let i = 0; i < this.docs.length; ++i) {
+    if (filter.matches(this.docs[i], query)) {
+      positions.push(i);
+    }
+  }
+  if (options.sort) {
+    const cmp = sort.comparator(options.sort);
+    positions = positions.sort((a, b) => cmp(this.docs[a], this.docs[b]) || a - b);
+  }
+  return options.single ? positions.slice(0, 1) : positions;
+};
+
+/*!
+ * Finds the matching documents with skip, limit and sort applied.
+ */
+
+MemoryStore.prototype._find = function(query, options) {
+  options = options || {};
+  query = clone(query);
+  let docs = this.docs.filter(doc => filter.matches(doc, query));
+  if (options.sort) {
+    docs = sort.sortDocuments(docs, options.sort);
+  }
+  if (options.skip) {
+    docs = docs.slice(options.skip);
+  }
+  if (options.limit) {
+    docs = docs.slice(0, Math.abs(options.limit));
+  }
+  const fields = options.projection || options.fields;
+  return docs.map(doc => projection.project(doc, fields, query));
+};
+
+/*!
+ * Updates the document at position `i` in place. Returns whether it was
+ * modified.
+ */
+
+MemoryStore.prototype._updateAt = function(i, doc, query, options) {
+  const updated = update.applyUpdate(clone(this.docs[i]), doc, {
+    filter: query,
+    arrayFilters: options.arrayFilters
+  });
+  if (helpers.equals(updated, this.docs[i])) {
+    return false;
+  }
+  this._checkUnique(updated, i);
+  this.docs[i] = updated;
+  return true;
+};
+
+/*!
+ * Inserts the document an upsert creates.
+ */
+
+MemoryStore.prototype._upsert = function(query, doc) {
+  let inserted;
+  if (update.isReplacement(doc)) {
+    inserted = clone(doc);
+    const base = update.upsertDocument(query);
+    if (inserted._id === undefined && base._id !== undefined) {
+      inserted._id = base._id;
+    }
+  } else {
+    inserted = update.applyUpdate(update.upsertDocument(query), doc, {
+      filter: query,
+      isUpsert: true
+    });
+  }
+  return this._insertOne(inserted);
+};
+
+/*!
+ * Shared implementation of `update()`, `updateOne()`, `updateMany()` and
+ * `replaceOne()`.
+ */
+
+MemoryStore.prototype._update = function(query, doc, options, multi) {
+  options = options || {};
+  query = clone(query);
+  doc = clone(doc);
+  const positions = this._match(query);
+  const matched = multi ? positions : positions.slice(0, 1);
+  let modified = 0;
+  matched.forEach(i => {
+    if (this._updateAt(i, doc, query, options)) {
+      ++modified;
+    }
+  });
+
+  const result = { ok: 1, n: matched.length, nModified: modified };
+  const ret = {
+    result: result,
+    matchedCount: matched.length,
+    modifiedCount: modified,
+    upsertedCount: 0,
+    upsertedId: null
+  };
+  if (matched.length === 0 && options.upsert) {
+    const inserted = this._upsert(query, doc);
+    result.n = 1;
+    result.upserted = [{ index: 0, _id: inserted._id }];
+    ret.upsertedCount = 1;
+    ret.upsertedId = { index: 0, _id: inserted._id };
+  }
+  return ret;
+};
+
+/*!
+ * Shared implementation of `remove()`, `deleteOne()` and `deleteMany()`.
+ */
+
+MemoryStore.prototype._remove = function(query, single) {
+  const positions = this._match(query).slice(0, single ? 1 : undefined);
+  for (let i = positions.length - 1; i >= 0; --i) {
+    this.docs.splice(positions[i], 1);
+  }
+  return { result: { ok: 1, n: positions.length }, deletedCount: positions.length };
+};
+
+/*!
+ * Shared implementation of `findAndModify()` and the `findOneAndX()`
+ * methods.
+ */
+
+MemoryStore.prototype._findAndModify = function(query, doc, options) {
+  query = clone(query);
+  doc = clone(doc);
+  const i = this._match(query, { sort: options.sort, single: true })[0];
+  const fields = options.projection || options.fields;
+  const lastErrorObject = { n: 0 };
+  let value = null;
+
+  if (options.remove) {
+    if (i !== undefined) {
+      value = projection.project(this.docs[i], fields, query);
+      this.docs.splice(i, 1);
+      lastErrorObject.n = 1;
+    }
+    return { value: value, lastErrorObject: lastErrorObject, ok: 1 };
+  }
+
+  if (i !== undefined) {
+    const original = projection.project(this.docs[i], fields, query);
+    this._updateAt(i, doc, query, options);
+    value = options['new'] ? projection.project(this.docs[i], fields, query) : original;
+    lastErrorObject.n = 1;
+    lastErrorObject.updatedExisting = true;
+  } else if (options.upsert) {
+    const inserted = this._upsert(query, doc);
+    value = options['new'] ? projection.project(inserted, fields, query) : null;
+    lastErrorObject.n = 1;
+    lastErrorObject.updatedExisting = false;
+    lastErrorObject.upserted = inserted._id;
+  } else {
+    lastErrorObject.updatedExisting = false;
+  }
+  return { value: value, lastErrorObject: lastErrorObject, ok: 1 };
+};
+
+/*!
+ * Inserts `docs` honoring `ordered`. Assigns `_id`s to the caller's
+ * objects like the driver does.
+ */
+
+MemoryStore.prototype._insertMany = function(docs, options) {
+  options = options || {};
+  const ordered = options.ordered !== false;
+  const inserted = [];
+  const insertedIds = {};
+  const writeErrors = [];
+  for (let i = 0; i < docs.length; ++i) {
+    if (docs[i]._id === undefined) {
+      docs[i]._id = new ObjectId();
+    }
+    try {
+      this._insertOne(clone(docs[i]));
+    } catch (error) {
+      error.index = i;
+      writeErrors.push(error);
+      if (ordered) {
+        break;
+      }
+      continue;
+    }
+    inserted.push(docs[i]);
+    insertedIds[i] = docs[i]._id;
+  }
+
+  const ret = {
+    result: { ok: 1, n: inserted.length },
+    ops: inserted,
+    insertedCount: inserted.length,
+    insertedIds: insertedIds
+  };
+  if (writeErrors.length > 0) {
+    const error = helpers.error(writeErrors[0].message, writeErrors[0].code);
+    error.writeErrors = writeErrors;
+    error.result = ret;
+    throw error;
+  }
+  return ret;
+};
+
+/**
+ * Finds documents. Returns a cursor, and also passes it to `callback`.
+ *
+ * @param {Object} [query]
+ * @param {Object} [options] `projection`/`fields`, `sort`, `skip` and `limit`
+ * @param {Function} [callback]
+ * @return {MemoryCursor}
+ * @api private
+ */
+
+MemoryStore.prototype.find = function(query, options, callback) {
+  if (typeof query === 'function') {
+    callback = query;
+    query = {};
+    options = {};
+  } else if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  query = query || {};
+  const cursor = new MemoryCursor(opts => this._find(query, opts), options);
+  if (callback != null) {
+    utils.immediate(() => callback(null, cursor));
+  }
+  return cursor;
+};
+
+/**
+ * Runs an aggregation pipeline. Returns a cursor, and also passes it to
+ * `callback`.
+ *
+ * @param {Array} pipeline
+ * @param {Object} [options]
+ * @param {Function} [callback]
+ * @return {MemoryCursor}
+ * @api private
+ */
+
+MemoryStore.prototype.aggregate = function(pipeline, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  const cursor = new MemoryCursor(() => {
+    return aggregate.run(this.docs.map(clone), clone(pipeline || []), { db: this.db });
+  }, options);
+  if (callback != null) {
+    utils.immediate(() => callback(null, cursor));
+  }
+  return cursor;
+};
+
+MemoryStore.prototype.findOne = method(function(query, options) {
+  options = Object.assign({}, options, { limit: 1 });
+  const docs = this._find(query || {}, options);
+  return docs.length ? docs[0] : null;
+});
+
+MemoryStore.prototype.count = method(function(query, options) {
+  options = options || {};
+  let n = this._match(query || {}).length - (options.skip || 0);
+  if (options.limit) {
+    n = Math.min(n, options.limit);
+  }
+  return Math.max(n, 0);
+});
+
+MemoryStore.prototype.countDocuments = MemoryStore.prototype.count;
+
+MemoryStore.prototype.estimatedDocumentCount = method(function() {
+  return this.docs.length;
+});
+
+MemoryStore.prototype.distinct = method(function(key, query) {
+  const ret = [];
+  this._match(query || {}).forEach(i => {
+    helpers.lookup(this.docs[i], key).forEach(v => {
+      (Array.isArray(v) ? v : [v]).forEach(el => {
+        if (el !== undefined && !ret.some(r => helpers.equals(r, el))) {
+          ret.push(clone(el));
+        }
+      });
+    });
+  });
+  return ret;
+});
+
+MemoryStore.prototype.insert = method(function(docs, options) {
+  return this._insertMany(Array.isArray(docs) ? docs : [docs], options);
+});
+
+MemoryStore.prototype.insertMany = MemoryStore.prototype.insert;
+
+MemoryStore.prototype.insertOne = method(function(doc, options) {
+  const res = this._insertMany([doc], options);
+  res.insertedId = doc._id;
+  return res;
+});
+
+MemoryStore.prototype.save = method(function(doc) {
+  if (doc._id === undefined) {
+    return this._insertMany([doc]);
+  }
+  return this._update({ _id: doc._id }, doc, { upsert: true }, false);
+});
+
+MemoryStore.prototype.update = method(function(query, doc, options) {
+  options = options || {};
+  return this._update(query || {}, doc, options, !!options.multi);
+});
+
+MemoryStore.prototype.updateOne = method(function(query, doc, options) {
+  return this._update(query || {}, doc, options, false);
+});
+
+MemoryStore.prototype.updateMany = method(function(query, doc, options) {
+  return this._update(query || {}, doc, options, true);
+});
+
+MemoryStore.prototype.replaceOne = method(function(query, doc, options) {
+  if (!update.isReplacement(clone(doc))) {
+    throw helpers.error('Replacement document must not contain atomic ' +
+      'operators', 2);
+  }
+  return this._update(query || {}, doc, options, false);
+});
+
+MemoryStore.prototype.remove = method(function(query, options) {
+  return this._remove(query || {}, !!(options && options.single));
+});
+
+MemoryStore.prototype.deleteOne = method(function(query) {
+  return this._remove(query || {}, true);
+});
+
+MemoryStore.prototype.deleteMany = method(function(query) {
+  return this._remove(query || {}, false);
+});
+
+MemoryStore.prototype.findAndModify = method(function(query, sortSpec, doc, options) {
+  options = Object.assign({}, options);
+  if (sortSpec != null && (!Array.isArray(sortSpec) || sortSpec.length > 0)) {
+    options.sort = sortSpec;
+  }
+  return this._findAndModify(query || {}, doc, options);
+});
+
+MemoryStore.prototype.findOneAndUpdate = method(function(query, doc, options) {
+  options = Object.assign({}, options);
+  options['new'] = options.returnOriginal === false;
+  return this._findAndModify(query || {}, doc, options);
+});
+
+MemoryStore.prototype.findOneAndReplace = MemoryStore.prototype.findOneAndUpdate;
+
+MemoryStore.prototype.findOneAndDelete = method(function(query, options) {
+  options = Object.assign({}, options, { remove: true });
+  return this._findAndModify(query || {}, null, options);
+});
+
+MemoryStore.prototype.bulkWrite = method(function(ops, options) {
+  options = options || {};
+  const ordered = options.ordered !== false;
+  const ret = {
+    ok: 1,
+    insertedCount: 0,
+    matchedCount: 0,
+    modifiedCount: 0,
+    deletedCount: 0,
+    upsertedCount: 0,
+    insertedIds: {},
+    upsertedIds: {}
+  };
+  const writeErrors = [];
+
+  ops.forEach((op, index) => {
+    if (writeErrors.length > 0 && ordered) {
+      return;
+    }
+    const type = Object.keys(op)[0];
+    const spec = op[type];
+    try {
+      let res;
+      switch (type) {
+        case 'insertOne':
+          res = this._insertMany([spec.document]);
+          ret.insertedCount += res.insertedCount;
+          ret.insertedIds[index] = spec.document._id;
+          return;
+        case 'updateOne':
+        case 'updateMany':
+        case 'replaceOne':
+          res = this._update(spec.filter || {},
+            type === 'replaceOne' ? spec.replacement : spec.update,
+            { upsert: spec.upsert, arrayFilters: spec.arrayFilters },
+            type === 'updateMany');
+          ret.matchedCount += res.matchedCount;
+          ret.modifiedCount += res.modifiedCount;
+          ret.upsertedCount += res.upsertedCount;
+          if (res.upsertedId) {
+            ret.upsertedIds[index] = res.upsertedId._id;
+          }
+          return;
+        case 'deleteOne':
+        case 'deleteMany':
+          res = this._remove(spec.filter || {}, type === 'deleteOne');
+          ret.deletedCount += res.deletedCount;
+          return;
+      }
+      throw helpers.error('Unknown bulkWrite operation: ' + type, 2);
+    } catch (error) {
+      error.index = index;
+      writeErrors.push(error);
+    }
+  });
+
+  ret.nInserted = ret.insertedCount;
+  ret.nUpserted = ret.upsertedCount;
+  ret.nMatched = ret.matchedCount;
+  ret.nModified = ret.modifiedCount;
+  ret.nRemoved = ret.deletedCount;
+  ret.result = { ok: 1, writeErrors: writeErrors };
+  if (writeErrors.length > 0) {
+    const error = helpers.error(writeErrors[0].message, writeErrors[0].code);
+    error.writeErrors = writeErrors;
+    error.result = ret;
+    throw error;
+  }
+  return ret;
+});
+
+MemoryStore.prototype._createIndex = function(fieldOrSpec, options) {
+  options = Object.assign({}, options);
+  const key = normalizeIndexKey(fieldOrSpec);
+  const name = options.name ||
+    Object.keys(key).map(k => k + '_' + key[k]).join('_');
+
+  const index = { v: 2, key: key, name: name, ns: this.namespace };
+  INDEX_OPTIONS.concat(['background']).forEach(opt => {
+    if (options[opt] !== undefined) {
+      index[opt] = options[opt];
+    }
+  });
+
+  for (let i = 0; i < this._indexes.length; ++i) {
+    const existing = this._indexes[i];
+    const sameKey = helpers.equals(existing.key, key);
+    if (existing.name === name && !sameKey) {
+      throw helpers.error('Index with name: ' + name + ' already exists ' +
+        'with different options', 86);
+    }
+    if (sameKey) {
+      if (existing.name !== name || !sameOptions(existing, index)) {
+        throw helpers.error('Index with name: ' + existing.name + ' already ' +
+          'exists with different options', 85);
+      }
+      return name;
+    }
+  }
+
+  if (index.unique) {
+    const seen = [];
+    this.docs.forEach(doc => {
+      const k = this._indexKey(index, doc);
+      if (k == null) {
+        return;
+      }
+      if (seen.some(s => helpers.equals(s, k))) {
+        throw duplicateKeyError(this, index, k);
+      }
+      seen.push(k);
+    });
+  }
+
+  this._indexes.push(index);
+  this.db._register(this);
+  return name;
+};
+
+MemoryStore.prototype.createIndex = method(MemoryStore.prototype._createIndex);
+
+MemoryStore.prototype.ensureIndex = MemoryStore.prototype.createIndex;
+
+MemoryStore.prototype.createIndexes = method(function(specs) {
+  const names = specs.map(spec => {
+    const options = Object.assign({}, spec);
+    delete options.key;
+    return this._createIndex(spec.key, options);
+  });
+  return { ok: 1, createdIndexes: names.length, note: names };
+});
+
+MemoryStore.prototype.indexInformation = method(function(options) {
+  if (options && options.full) {
+    return this._indexes.map(clone);
+  }
+  const ret = {};
+  this._indexes.forEach(index => {
+    ret[index.name] = Object.keys(index.key).map(k => [k, index.key[k]]);
+  });
+  return ret;
+});
+
+MemoryStore.prototype.indexes = method(function() {
+  return this._indexes.map(clone);
+});
+
+MemoryStore.prototype.listIndexes = function() {
+  return new MemoryCursor(() => this._indexes.map(clone));
+};
+
+MemoryStore.prototype.indexExists = method(function(names) {
+  names = Array.isArray(names) ? names : [names];
+  return names.every(name => this._indexes.some(index => index.name === name));
+});
+
+MemoryStore.prototype.dropIndex = method(function(nameOrSpec) {
+  const name = typeof nameOrSpec === 'string' ?
+    nameOrSpec :
+    this._indexes.filter(index => helpers.equals(index.key, normalizeIndexKey(nameOrSpec))).
+      map(index => index.name)[0];
+  if (name === '_id_') {
+    throw helpers.error('cannot drop _id index', 72);
+  }
+  const before = this._indexes.length;
+  this._indexes = this._indexes.filter(index => index.name !== name);
+  if (this._indexes.length === before) {
+    throw helpers.error('index not found with name [' + nameOrSpec + ']', 27);
+  }
+  return { ok: 1, nIndexesWas: before };
+});
+
+MemoryStore.prototype.dropIndexes = method(function() {
+  this._indexes = this._indexes.filter(index => index.name === '_id_');
+  return true;
+});
+
+MemoryStore.prototype.drop = method(function() {
+  if (!this.db._drop(this.collectionName)) {
+    throw helpers.error('ns not found', 26);
+  }
+  return true;
+});
+
+MemoryStore.prototype.isCapped = method(function() {
+  return !!this.s.options.capped;
+});
+
+MemoryStore.prototype.options = method(function() {
+  return clone(this.s.options);
+});
+
+MemoryStore.prototype.stats = method(function() {
+  return {
+    ns: this.namespace,
+    count: this.docs.length,
+    nindexes: this._indexes.length,
+    capped: !!this.s.options.capped,
+    ok: 1
+  };
+});
+
+/*!
+ * Operations the in-memory driver does not support.
+ */
+
+function unsupported(name) {
+  return helpers.error('Collection#' + name + ' is not supported by the ' +
+    'in-memory driver');
+}
+
+['mapReduce', 'geoHaystackSearch', 'parallelCollectionScan'].
+  forEach(function(name) {
+    MemoryStore.prototype[name] = method(function() {
+      throw unsupported(name);
+    });
+  });
+
+MemoryStore.prototype.watch = function() {
+  throw unsupported('watch');
+};
+
+/*!
+ * Module exports.
+ */
+
+module.exports = MemoryStore;
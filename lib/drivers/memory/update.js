@@ -0,0 +1,430 @@
+'use strict';
+
+/*!
+ * Module dependencies.
+ */
+
+const Decimal128 = require('mongodb').Decimal128;
+const Long = require('mongodb').Long;
+const filter = require('./filter');
+const helpers = require('./helpers');
+const sort = require('./sort');
+
+const clone = helpers.clone;
+
+/*!
+ * ignore
+ */
+
+const LOGICAL_OPERATORS = { $and: true, $or: true, $nor: true };
+
+/**
+ * Returns true if `update` is a replacement document rather than a set of
+ * update operators.
+ *
+ * @param {Object} update
+ * @return {Boolean}
+ * @api private
+ */
+
+function isReplacement(update) {
+  const keys = Object.keys(update || {});
+  return keys.length === 0 || keys.every(k => k.charAt(0) !== '$');
+}
+
+/**
+ * Applies `update` to `doc` in place.
+ *
+ * @param {Object} doc the stored document
+ * @param {Object} update update operators or a replacement document
+ * @param {Object} [options]
+ * @param {Object} [options.filter] the query that selected `doc`, used to resolve the positional `$` operator
+ * @param {Array} [options.arrayFilters] used to resolve `$[<identifier>]`
+ * @param {Boolean} [options.isUpsert] whether `doc` is being inserted, enables `$setOnInsert`
+ * @return {Object} the updated document
+ * @api private
+ */
+
+function applyUpdate(doc, update, options) {
+  options = options || {};
+  const _id = doc._id;
+
+  if (isReplacement(update)) {
+    const replacement = clone(update);
+    if (replacement._id !== undefined && _id !== undefined &&
+        !helpers.equals(replacement._id, _id)) {
+      throw immutableIdError();
+    }
+    Object.keys(doc).forEach(key => delete doc[key]);
+    if (_id !== undefined) {
+      doc._id = _id;
+    }
+    Object.keys(replacement).forEach(key => {
+      doc[key] = replacement[key];
+    });
+    return doc;
+  }
+
+  Object.keys(update).forEach(op => {
+    if (op === '$setOnInsert' && !options.isUpsert) {
+      return;
+    }
+    const fn = operators[op];
+    if (fn == null) {
+      throw helpers.error('Unknown modifier: ' + op, 9);
+    }
+    const fields = update[op] || {};
+    Object.keys(fields).forEach(path => {
+      resolvePaths(doc, path, options).forEach(p => {
+        fn(doc, p, fields[path], path);
+      });
+    });
+  });
+
+  if (_id !== undefined && !helpers.equals(doc._id, _id)) {
+    throw immutableIdError();
+  }
+  return doc;
+}
+
+/*!
+ * ignore
+ */
+
+function immutableIdError() {
+  return helpers.error('After applying the update, the (immutable) field ' +
+    '\'_id\' was found to have been altered', 66);
+}
+
+/*!
+ * Expands positional operators (`$`, `$[]` and `$[<identifier>]`) in
+ * `path` into the concrete paths they refer to.
+ */
+
+function resolvePaths(doc, path, options) {
+  if (path.indexOf('$') === -1) {
+    return [path];
+  }
+  const parts = path.split('.');
+  let paths = [''];
+  for (let i = 0; i < parts.length; ++i) {
+    const part = parts[i];
+    const next = [];
+    paths.forEach(prefix => {
+      const join = p => prefix ? prefix + '.' + p : String(p);
+      if (part === '$') {
+        const index = filter.matchedIndex(doc, options.filter, prefix);
+        if (index === -1) {
+          throw helpers.error('The positional operator did not find the ' +
+            'match needed from the query.', 2);
+        }
+        next.push(join(index));
+      } else if (part === '$[]' || /^\$\[\w+\]$/.test(part)) {
+        const arr = helpers.get(doc, prefix);
+        if (!Array.isArray(arr)) {
+          return;
+        }
+        const identifier = part.slice(2, -1);
+        for (let j = 0; j < arr.length; ++j) {
+          if (identifier && !matchesArrayFilter(arr[j], identifier, options)) {
+            continue;
+          }
+          next.push(join(j));
+        }
+      } else {
+        next.push(join(part));
+      }
+    });
+    paths = next;
+  }
+  return paths;
+}
+
+/*!
+ * ignore
+ */
+
+function matchesArrayFilter(el, identifier, options) {
+  const arrayFilters = options.arrayFilters || [];
+  for (let i = 0; i < arrayFilters.length; ++i) {
+    const conds = {};
+    let found = false;
+    Object.keys(arrayFilters[i]).forEach(key => {
+      const parts = key.split('.');
+      if (parts[0] !== identifier) {
+        return;
+      }
+      found = true;
+      parts[0] = 'v';
+      conds[parts.join('.')] = arrayFilters[i][key];
+    });
+    if (found) {
+      return filter.matches({ v: el }, conds);
+    }
+  }
+  throw helpers.error('No array filter found for identifier \'' +
+    identifier + '\' in path', 2);
+}
+
+/*!
+ * Arithmetic that preserves `Long` and `Decimal128` operands. Integers are
+ * added and multiplied as longs, so results past the 32-bit range become
+ * longs and results past the 64-bit range are errors, like MongoDB does.
+ */
+
+function arithmetic(a, b, fn, op, path) {
+  const typeA = helpers.typeOf(a);
+  const typeB = helpers.typeOf(b);
+  const numeric = ['int', 'long', 'double', 'decimal'];
+  if (numeric.indexOf(typeB) === -1) {
+    throw helpers.error('Cannot ' + op + ' with non-numeric argument: {' +
+      path + ': ' + JSON.stringify(b) + '}', 14);
+  }
+  if (a !== undefined && numeric.indexOf(typeA) === -1) {
+    throw helpers.error('Cannot apply ' + op + ' to a value of non-numeric ' +
+      'type. {_id: ...} has the field \'' + path + '\' of non-numeric type ' +
+      typeA, 14);
+  }
+  if (a === undefined) {
+    a = 0;
+  }
+  const longA = helpers.toLong(a);
+  const longB = helpers.toLong(b);
+  if (longA != null && longB != null) {
+    return integerArithmetic(longA, longB, typeA === 'long' || typeB === 'long',
+      op, path);
+  }
+  const res = fn(helpers.toNumber(a), helpers.toNumber(b));
+  if (typeA === 'decimal' || typeB === 'decimal') {
+    return Decimal128.fromString(String(res));
+  }
+  if (typeA === 'long' || typeB === 'long') {
+    return Long.fromNumber(res);
+  }
+  return res;
+}
+
+/*!
+ * ignore
+ */
+
+function integerArithmetic(a, b, isLong, op, path) {
+  const res = op === 'increment' ? a.add(b) : a.multiply(b);
+  const overflow = op === 'increment' ?
+    a.isNegative() === b.isNegative() && res.isNegative() !== a.isNegative() :
+    !a.isZero() && (!res.div(a).equals(b) ||
+      a.equals(Long.fromInt(-1)) && b.equals(Long.MIN_VALUE));
+  if (overflow) {
+    throw helpers.error('Failed to ' + op + ' the field \'' + path + '\', the ' +
+      'result does not fit in a 64-bit integer', 2);
+  }
+  if (!isLong && res.greaterThanOrEqual(Long.fromInt(-0x80000000)) &&
+      res.lessThanOrEqual(Long.fromInt(0x7fffffff))) {
+    return res.toNumber();
+  }
+  return res;
+}
+
+/*!
+ * ignore
+ */
+
+function getArray(doc, path, op) {
+  const arr = helpers.get(doc, path);
+  if (arr === undefined) {
+    return null;
+  }
+  if (!Array.isArray(arr)) {
+    throw helpers.error('The field \'' + path + '\' must be an array but ' +
+      'is of type ' + helpers.typeOf(arr) + ' in document, ' + op, 2);
+  }
+  return arr;
+}
+
+/*!
+ * Update operator implementations. Each receives the document, the
+ * resolved path, the operator argument and the path as written.
+ */
+
+const operators = {
+  $set: function(doc, path, val) {
+    helpers.set(doc, path, clone(val));
+  },
+  $setOnInsert: function(doc, path, val) {
+    helpers.set(doc, path, clone(val));
+  },
+  $unset: function(doc, path) {
+    helpers.unset(doc, path);
+  },
+  $inc: function(doc, path, val, rawPath) {
+    const cur = helpers.get(doc, path);
+    helpers.set(doc, path, arithmetic(cur, val, (a, b) => a + b, 'increment', rawPath));
+  },
+  $mul: function(doc, path, val, rawPath) {
+    const cur = helpers.get(doc, path);
+    helpers.set(doc, path, arithmetic(cur, val, (a, b) => a * b, 'multiply', rawPath));
+  },
+  $min: function(doc, path, val) {
+    const cur = helpers.get(doc, path);
+    if (cur === undefined || helpers.compare(val, cur) < 0) {
+      helpers.set(doc, path, clone(val));
+    }
+  },
+  $max: function(doc, path, val) {
+    const cur = helpers.get(doc, path);
+    if (cur === undefined || helpers.compare(val, cur) > 0) {
+      helpers.set(doc, path, clone(val));
+    }
+  },
+  $rename: function(doc, path, to) {
+    const cur = helpers.get(doc, path);
+    if (cur === undefined) {
+      return;
+    }
+    helpers.unset(doc, path);
+    helpers.set(doc, to, cur);
+  },
+  $currentDate: function(doc, path, spec) {
+    if (spec && spec.$type === 'timestamp') {
+      throw helpers.error('$currentDate with $type: \'timestamp\' is not ' +
+        'supported by the in-memory driver');
+    }
+    helpers.set(doc, path, new Date());
+  },
+  $push: function(doc, path, val) {
+    let arr = getArray(doc, path, '$push');
+    if (arr == null) {
+      arr = [];
+      helpers.set(doc, path, arr);
+    }
+    const isEach = helpers.isDocument(val) && '$each' in val;
+    const values = isEach ? val.$each.map(clone) : [clone(val)];
+    if (isEach && val.$position != null) {
+      let position = val.$position < 0 ?
+        Math.max(arr.length + val.$position, 0) :
+        Math.min(val.$position, arr.length);
+      Array.prototype.splice.apply(arr, [position, 0].concat(values));
+    } else {
+      Array.prototype.push.apply(arr, values);
+    }
+    if (isEach && val.$sort != null) {
+      const sorted = sort.sortValues(arr, val.$sort);
+      arr.length = 0;
+      Array.prototype.push.apply(arr, sorted);
+    }
+    if (isEach && val.$slice != null) {
+      const sliced = val.$slice < 0 ?
+        arr.slice(Math.max(arr.length + val.$slice, 0)) :
+        arr.slice(0, val.$slice);
+      arr.length = 0;
+      Array.prototype.push.apply(arr, sliced);
+    }
+  },
+  $addToSet: function(doc, path, val) {
+    let arr = getArray(doc, path, '$addToSet');
+    if (arr == null) {
+      arr = [];
+      helpers.set(doc, path, arr);
+    }
+    const values = helpers.isDocument(val) && '$each' in val ? val.$each : [val];
+    values.forEach(v => {
+      if (!arr.some(el => helpers.equals(el, v))) {
+        arr.push(clone(v));
+      }
+    });
+  },
+  $pop: function(doc, path, val) {
+    const arr = getArray(doc, path, '$pop');
+    if (arr == null) {
+      return;
+    }
+    if (val === -1 || val === '-1') {
+      arr.shift();
+    } else {
+      arr.pop();
+    }
+  },
+  $pull: function(doc, path, cond) {
+    const arr = getArray(doc, path, '$pull');
+    if (arr == null) {
+      return;
+    }
+    // Top-level `$and`, `$or` and `$nor` make the condition a query too
+    const isQuery = helpers.isDocument(cond) && (!filter.isOperatorObject(cond) ||
+      Object.keys(cond).some(k => LOGICAL_OPERATORS[k]));
+    for (let i = arr.length - 1; i >= 0; --i) {
+      let remove;
+      if (isQuery) {
+        remove = helpers.isDocument(arr[i]) && filter.matches(arr[i], cond);
+      } else if (filter.isOperatorObject(cond)) {
+        remove = filter.matchesPath({ v: arr[i] }, 'v', cond);
+      } else {
+        remove = helpers.equals(arr[i], cond);
+      }
+      if (remove) {
+        arr.splice(i, 1);
+      }
+    }
+  },
+  $pullAll: function(doc, path, values) {
+    const arr = getArray(doc, path, '$pullAll');
+    if (arr == null) {
+      return;
+    }
+    for (let i = arr.length - 1; i >= 0; --i) {
+      if (values.some(v => helpers.equals(arr[i], v))) {
+        arr.splice(i, 1);
+      }
+    }
+  }
+};
+
+/**
+ * Builds the document to insert for an upsert from the equality
+ * conditions in `query`.
+ *
+ * @param {Object} query
+ * @return {Object}
+ * @api private
+ */
+
+function upsertDocument(query) {
+  const doc = {};
+  _collectEqualities(query || {}, doc);
+  return doc;
+}
+
+/*!
+ * ignore
+ */
+
+function _collectEqualities(query, doc) {
+  Object.keys(query).forEach(key => {
+    const cond = query[key];
+    if (key === '$and') {
+      cond.forEach(q => _collectEqualities(q, doc));
+      return;
+    }
+    if (key.charAt(0) === '$') {
+      return;
+    }
+    if (filter.isOperatorObject(cond)) {
+      if ('$eq' in cond) {
+        helpers.set(doc, key, clone(cond.$eq));
+      }
+      return;
+    }
+    if (cond instanceof RegExp) {
+      return;
+    }
+    helpers.set(doc, key, clone(cond));
+  });
+}
+
+/*!
+ * Module exports.
+ */
+
+exports.applyUpdate = applyUpdate;
+exports.isReplacement = isReplacement;
+exports.upsertDocument = upsertDocument;
@@ -0,0 +1,42 @@
+/*!
+ * Module dependencies.
+ */
+
+var MongooseError = require('./');
+
+/**
+ * BufferTimeoutError constructor
+ *
+ * @param {String} collectionName
+ * @param {String} method
+ * @param {Number} timeoutMS
+ * @inherits MongooseError
+ * @api private
+ */
+
+function BufferTimeoutError(collectionName, method, timeoutMS) {
+  MongooseError.call(this, 'Operation `' + collectionName + '.' + method +
+    '()` buffering timed out after ' + timeoutMS + 'ms');
+  this.name = 'BufferTimeoutError';
+  this.collectionName = collectionName;
+  this.method = method;
+  this.timeoutMS = timeoutMS;
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this);
+  } else {
+    this.stack = new Error().stack;
+  }
+}
+
+/*!
+ * Inherits from MongooseError.
+ */
+
+BufferTimeoutError.prototype = Object.create(MongooseError.prototype);
+BufferTimeoutError.prototype.constructor = MongooseError;
+
+/*!
+ * exports
+ */
+
+module.exports = BufferTimeoutError;
@@ -114,3 +114,12 @@ MongooseError.MissingSchemaError = require('./missingSchema');
  */
 
 MongooseError.DivergentArrayError = require('./divergentArray');
+
+/**
+ * Returned when an operation was buffered while the connection wasn't open
+ * for longer than the `bufferTimeoutMS` option.
+ *
+ * @api public
+ */
+
+MongooseError.BufferTimeoutError = require('./bufferTimeout');
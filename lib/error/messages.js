@@ -13,6 +13,10 @@
  * - `{TYPE}` is replaced with the validator type such as "regexp", "min", or "user defined"
  * - `{MIN}` is replaced with the declared min value for the Number.min validator
  * - `{MAX}` is replaced with the declared max value for the Number.max validator
+ * - `{MULTIPLEOF}` is replaced with the declared factor for the Number.multipleOf validator
+ * - `{PRECISION}` is replaced with the declared number of decimal places for the Number.precision validator
+ * - `{MINITEMS}` is replaced with the declared minimum length for the Array.minItems validator
+ * - `{MAXITEMS}` is replaced with the declared maximum length for the Array.maxItems validator
  *
  * Click the "show code" link below to see all defaults.
  *
@@ -32,11 +36,20 @@ msg.general.required = 'Path `{PATH}` is required.';
 msg.Number = {};
 msg.Number.min = 'Path `{PATH}` ({VALUE}) is less than minimum allowed value ({MIN}).';
 msg.Number.max = 'Path `{PATH}` ({VALUE}) is more than maximum allowed value ({MAX}).';
+msg.Number.enum = '`{VALUE}` is not a valid enum value for path `{PATH}`.';
+msg.Number.integer = 'Path `{PATH}` ({VALUE}) is not an integer.';
+msg.Number.multipleOf = 'Path `{PATH}` ({VALUE}) is not a multiple of {MULTIPLEOF}.';
+msg.Number.precision = 'Path `{PATH}` ({VALUE}) has more than {PRECISION} decimal places.';
 
 msg.Date = {};
 msg.Date.min = 'Path `{PATH}` ({VALUE}) is before minimum allowed value ({MIN}).';
 msg.Date.max = 'Path `{PATH}` ({VALUE}) is after maximum allowed value ({MAX}).';
 
+msg.Array = {};
+msg.Array.minItems = 'Path `{PATH}` has fewer than {MINITEMS} items.';
+msg.Array.maxItems = 'Path `{PATH}` has more than {MAXITEMS} items.';
+msg.Array.uniqueItems = 'Path `{PATH}` contains duplicate items.';
+
 msg.String = {};
 msg.String.enum = '`{VALUE}` is not a valid enum value for path `{PATH}`.';
 msg.String.match = 'Path `{PATH}` is invalid ({VALUE}).';
@@ -9,14 +9,25 @@ var MongooseError = require('./');
 /**
  * Version Error constructor.
  *
+ * @param {Document|Object} doc the document, or query result, that was stale
+ * @param {Number} [currentVersion] the version the write expected
+ * @param {Array} [modifiedPaths] the paths the write tried to modify
  * @inherits MongooseError
  * @api private
  */
 
-function VersionError(doc) {
-  MongooseError.call(this, 'No matching document found for id "' + doc._id +
-    '"');
+function VersionError(doc, currentVersion, modifiedPaths) {
+  var msg = 'No matching document found for id "' + doc._id + '"';
+  if (currentVersion != null) {
+    msg += ' version ' + currentVersion;
+  }
+  if (modifiedPaths != null && modifiedPaths.length) {
+    msg += ' modifiedPaths "' + modifiedPaths.join(', ') + '"';
+  }
+  MongooseError.call(this, msg);
   this.name = 'VersionError';
+  this.version = currentVersion;
+  this.modifiedPaths = modifiedPaths;
 }
 
 /*!
@@ -9,6 +9,7 @@ const SchemaType = require('./schematype');
 const VirtualType = require('./virtualtype');
 const STATES = require('./connectionstate');
 const Types = require('./types');
+const cipher = require('./services/encryption/cipher');
 const Query = require('./query');
 const Model = require('./model');
 const Document = require('./document');
@@ -79,7 +80,9 @@ Mongoose.prototype.STATES = STATES;
  * Currently supported options are:
  * - 'debug': prints the operations mongoose sends to MongoDB to the console
  * - 'bufferCommands': enable/disable mongoose's buffering mechanism for all connections and models
+ * - 'bufferTimeoutMS': how many milliseconds an operation can be buffered before it fails with a `BufferTimeoutError`. Unset by default, so buffered operations wait until the connection opens
  * - 'useFindAndModify': true by default. Set to `false` to make `findOneAndUpdate()` and `findOneAndRemove()` use native `findOneAndUpdate()` rather than `findAndModify()`.
+ * - 'encryptionKeyProvider': a function that takes a key id and synchronously returns the key (a `Buffer` of at least 32 bytes) for paths declared with the `encrypt` option. Shared by every mongoose instance in the process.
  *
  * @param {String} key
  * @param {String|Function|Boolean} value
@@ -91,6 +94,10 @@ Mongoose.prototype.set = function(key, value) {
     return this.options[key];
   }
 
+  if (key === 'encryptionKeyProvider') {
+    cipher.setKeyProvider(value);
+  }
+
   this.options[key] = value;
   return this;
 };
@@ -146,11 +153,12 @@ Mongoose.prototype.get = Mongoose.prototype.set;
  *     db.open('localhost', 'database', port, [opts]);
  *
  * @param {String} [uri] a mongodb:// URI
- * @param {Object} [options] passed down to the [MongoDB driver's `connect()` function](http://mongodb.github.io/node-mongodb-native/3.0/api/MongoClient.html), except for 4 mongoose-specific options explained below.
+ * @param {Object} [options] passed down to the [MongoDB driver's `connect()` function](http://mongodb.github.io/node-mongodb-native/3.0/api/MongoClient.html), except for 5 mongoose-specific options explained below.
  * @param {String} [options.user] username for authentication, equivalent to `options.auth.user`. Maintained for backwards compatibility.
  * @param {String} [options.pass] password for authentication, equivalent to `options.auth.password`. Maintained for backwards compatibility.
  * @param {Boolean} [options.autoIndex=true] Mongoose-specific option. Set to false to disable automatic index creation for all models associated with this connection.
  * @param {Boolean} [options.bufferCommands=true] Mongoose specific option. Set to false to [disable buffering](http://mongoosejs.com/docs/faq.html#callback_never_executes) on all models associated with this connection.
+ * @param {Number} [options.bufferTimeoutMS] Mongoose specific option. Operations that are buffered for longer than this many milliseconds fail with a `BufferTimeoutError`.
  * @return {Connection} the created Connection object. Connections are thenable, so you can do `await mongoose.createConnection()`
  * @api public
  */
@@ -191,11 +199,12 @@ Mongoose.prototype.createConnection = function(uri, options, callback) {
  *     })
  *
  * @param {String} uri(s)
- * @param {Object} [options] passed down to the [MongoDB driver's `connect()` function](http://mongodb.github.io/node-mongodb-native/3.0/api/MongoClient.html), except for 4 mongoose-specific options explained below.
+ * @param {Object} [options] passed down to the [MongoDB driver's `connect()` function](http://mongodb.github.io/node-mongodb-native/3.0/api/MongoClient.html), except for 5 mongoose-specific options explained below.
  * @param {String} [options.user] username for authentication, equivalent to `options.auth.user`. Maintained for backwards compatibility.
  * @param {String} [options.pass] password for authentication, equivalent to `options.auth.password`. Maintained for backwards compatibility.
  * @param {Boolean} [options.autoIndex=true] Mongoose-specific option. Set to false to disable automatic index creation for all models associated with this connection.
  * @param {Boolean} [options.bufferCommands=true] Mongoose specific option. Set to false to [disable buffering](http://mongoosejs.com/docs/faq.html#callback_never_executes) on all models associated with this connection.
+ * @param {Number} [options.bufferTimeoutMS] Mongoose specific option. Operations that are buffered for longer than this many milliseconds fail with a `BufferTimeoutError`.
  * @param {Function} [callback]
  * @see Mongoose#createConnection #index_Mongoose-createConnection
  * @api public
@@ -234,6 +243,20 @@ Mongoose.prototype.disconnect = function(callback) {
   });
 };
 
+/**
+ * Starts a session on the default connection, see
+ * [`Connection#startSession()`](#connection_Connection-startSession).
+ *
+ * @param {Object} [options] see the [mongodb driver options](http://mongodb.github.io/node-mongodb-native/3.0/api/MongoClient.html#startSession)
+ * @param {Function} [callback]
+ * @return {Promise<ClientSession>} resolves to a MongoDB driver `ClientSession`
+ * @api public
+ */
+
+Mongoose.prototype.startSession = function() {
+  return this.connection.startSession.apply(this.connection, arguments);
+};
+
 /**
  * Getter/setter around function for pluralizing collection names.
  *
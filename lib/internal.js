@@ -25,6 +25,7 @@ function InternalCache() {
   this.scope = undefined;
   this.activePaths = new ActiveRoster;
   this.pathsToScopes = {};
+  this.session = null;
 
   // embedded docs
   this.ownerDocument = undefined;
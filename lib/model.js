@@ -5,6 +5,7 @@
  */
 
 var Aggregate = require('./aggregate');
+var BufferTimeoutError = require('./error/bufferTimeout');
 var ChangeStream = require('./cursor/ChangeStream');
 var Document = require('./document');
 var DocumentNotFoundError = require('./error').DocumentNotFoundError;
@@ -14,35 +15,49 @@ var EventEmitter = require('events').EventEmitter;
 var OverwriteModelError = require('./error').OverwriteModelError;
 var PromiseProvider = require('./promise_provider');
 var Query = require('./query');
+var STATES = require('./connectionstate');
 var Schema = require('./schema');
 var VersionError = require('./error').VersionError;
 var applyHooks = require('./services/model/applyHooks');
+var applyMigrations = require('./services/schema/applyMigrations');
 var applyMethods = require('./services/model/applyMethods');
 var applyStatics = require('./services/model/applyStatics');
 var cast = require('./cast');
 var castUpdate = require('./services/query/castUpdate');
+var diffJSONSchema = require('./services/schema/diffJSONSchema');
 var discriminator = require('./services/model/discriminator');
+var encryption = require('./services/encryption/transform');
 var getDiscriminatorByValue = require('./queryhelpers').getDiscriminatorByValue;
+var getIndexesDiff = require('./services/model/getIndexesDiff');
 var internalToObjectOptions = require('./options').internalToObjectOptions;
 var isPathSelectedInclusive = require('./services/projection/isPathSelectedInclusive');
 var get = require('lodash.get');
+var getModelFromRef = require('./services/populate/getModelFromRef');
 var getSchemaTypes = require('./services/populate/getSchemaTypes');
 var getVirtual = require('./services/populate/getVirtual');
 var mpath = require('mpath');
 var parallel = require('async/parallel');
 var parallelLimit = require('async/parallelLimit');
 var setDefaultsOnInsert = require('./services/setDefaultsOnInsert');
+var softDelete = require('./services/softDelete');
 var utils = require('./utils');
 
 var VERSION_WHERE = 1,
     VERSION_INC = 2,
     VERSION_ALL = VERSION_WHERE | VERSION_INC;
 
+/*!
+ * How long helpers like `syncValidator()` wait for a connecting connection
+ * to open if the collection doesn't set `bufferTimeoutMS`.
+ */
+
+var OPEN_TIMEOUT_MS = 30000;
+
 /**
  * Model 构造函数
  *
  * 提供MongoDB集合的接口以及创建文档实例。
- *  
+ *
  * @param {Object} doc 值用于创建文档
  * @inherits Document http://mongoosejs.com/docs/api.html#document-js
  * @event `error`: 如果正在侦听此事件,在保存文档而不传递回调并发生“错误”时会发出错误,如果没有监听,则事件会冒泡到创建此 Model 的链接.
@@ -136,13 +151,16 @@ Model.prototype.$__handleSave = function(options, callback) {
     options.safe = null;
   }
   var safe = options.safe ? utils.clone(options.safe) : options.safe;
+  if (options.session != null) {
+    safe = Object.assign({}, safe, { session: options.session });
+  }
 
   if (this.isNew) {
     // send entire doc
     var obj = this.toObject(internalToObjectOptions);
 
     if ((obj || {})._id === void 0) {
-       // documents must have an _id else mongoose won't know
+      // documents must have an _id else mongoose won't know
       // what to update later if more changes are made. the user
       // wouldn't know what _id was generated by mongodb either
       // nor would the ObjectId generated my mongodb necessarily
@@ -154,6 +172,7 @@ Model.prototype.$__handleSave = function(options, callback) {
     }
 
     this.$__version(true, obj);
+    encryption.encryptDocument(this.schema, obj);
     this.collection.insert(obj, safe, function(err, ret) {
       if (err) {
         _this.isNew = true;
@@ -223,6 +242,10 @@ Model.prototype.$__handleSave = function(options, callback) {
  */
 
 Model.prototype.$__save = function(options, callback) {
+  const versionKey = this.schema.options.versionKey;
+  const modifiedPaths = this.modifiedPaths();
+  const version = versionKey ? this.getValue(versionKey) : null;
+
   this.$__handleSave(options, (error, result) => {
     if (error) {
       return this.schema.s.hooks.execPost('save:error', this, [this], { error: error }, function(error) {
@@ -255,7 +278,7 @@ Model.prototype.$__save = function(options, callback) {
 
         if (numAffected <= 0) {
           // the update failed. pass an error back
-          let err = new VersionError(this);
+          let err = new VersionError(this, version, modifiedPaths);
           return callback(err);
         }
 
@@ -293,7 +316,7 @@ Model.prototype.$__save = function(options, callback) {
  *
  * 回调将收到三个参数
  *
- * 1. 如果发生错误时为`err` 
+ * 1. 如果发生错误时为`err`
  * 2.  当保存 `product`时为`product`
  *
  * 作为历程控制的额外措施, 保存将返回一个Promise.
@@ -305,6 +328,7 @@ Model.prototype.$__save = function(options, callback) {
  * @param {Object} [options] options optional options
  * @param {Object} [options.safe] overrides [schema's safe option](http://mongoosejs.com//docs/guide.html#safe)
  * @param {Boolean} [options.validateBeforeSave] set to false to save without validating.
+ * @param {ClientSession} [options.session] the session to save in, defaults to [the document's session](#document_Document-$session) unless it has ended
  * @param {Function} [fn] optional callback
  * @return {Promise} Promise
  * @api public
@@ -325,6 +349,8 @@ Model.prototype.save = function(options, fn) {
     fn = this.constructor.$wrapCallback(fn);
   }
 
+  applySession(this, options);
+
   const originalStack = new Error().stack;
 
   return utils.promiseOrCallback(fn, cb => {
@@ -458,7 +484,7 @@ function handleAtomics(self, where, delta, data, value) {
     // $set
 
     if (utils.isMongooseObject(value)) {
-      value = value.toObject({depopulate: 1, _isNested: true});
+      value = value.toObject({depopulate: 1, _isNested: true, flattenUUIDs: false});
     } else if (value.valueOf) {
       value = value.valueOf();
     }
@@ -468,7 +494,7 @@ function handleAtomics(self, where, delta, data, value) {
 
   function iter(mem) {
     return utils.isMongooseObject(mem)
-      ? mem.toObject({depopulate: 1, _isNested: true})
+      ? mem.toObject({depopulate: 1, _isNested: true, flattenUUIDs: false})
       : mem;
   }
 
@@ -477,7 +503,12 @@ function handleAtomics(self, where, delta, data, value) {
     val = atomics[op];
 
     if (utils.isMongooseObject(val)) {
-      val = val.toObject({depopulate: true, transform: false, _isNested: true});
+      val = val.toObject({
+        depopulate: true,
+        transform: false,
+        _isNested: true,
+        flattenUUIDs: false
+      });
     } else if (Array.isArray(val)) {
       val = val.map(iter);
     } else if (val.valueOf) {
@@ -504,6 +535,11 @@ Model.prototype.$__delta = function() {
   var dirty = this.$__dirty();
   if (!dirty.length && VERSION_ALL !== this.$__.version) return;
 
+  if (this.schema.options.optimisticConcurrency) {
+    // check and increment the version on every save, not only on array changes
+    this.$__.version = VERSION_ALL;
+  }
+
   var where = {},
       delta = {},
       len = dirty.length,
@@ -512,7 +548,11 @@ Model.prototype.$__delta = function() {
 
   where._id = this._doc._id;
   if (where._id.toObject) {
-    where._id = where._id.toObject({ transform: false, depopulate: true });
+    where._id = where._id.toObject({
+      transform: false,
+      depopulate: true,
+      flattenUUIDs: false
+    });
   }
 
   for (; d < len; ++d) {
@@ -552,7 +592,8 @@ Model.prototype.$__delta = function() {
       operand(this, where, delta, data, 1, '$unset');
     } else if (value === null) {
       operand(this, where, delta, data, null);
-    } else if (value._path && value._atomics) {
+    } else if (value._path && value._atomics &&
+        !encryption.isEncryptedPath(this.schema, data.path)) {
       // arrays and other custom types (support plugins etc)
       handleAtomics(this, where, delta, data, value);
     } else if (value._path && Buffer.isBuffer(value)) {
@@ -564,7 +605,8 @@ Model.prototype.$__delta = function() {
         depopulate: true,
         transform: false,
         virtuals: false,
-        _isNested: true
+        _isNested: true,
+        flattenUUIDs: false
       });
       operand(this, where, delta, data, value);
     }
@@ -578,6 +620,12 @@ Model.prototype.$__delta = function() {
     this.$__version(where, delta);
   }
 
+  try {
+    encryption.encryptUpdate(this.schema, delta);
+  } catch (error) {
+    return error;
+  }
+
   return [where, delta];
 };
 
@@ -737,6 +785,8 @@ Model.prototype.$__where = function _where(where) {
  *        assert.ok(err)
  *     })
  *
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] the session to remove in, defaults to [the document's session](#document_Document-$session) unless it has ended
  * @param {function(err,product)} [fn] optional callback
  * @return {Promise} Promise
  * @api public
@@ -756,11 +806,28 @@ Model.prototype.remove = function remove(options, fn) {
     fn = this.constructor.$wrapCallback(fn);
   }
 
+  applySession(this, options);
+
   return utils.promiseOrCallback(fn, cb => {
     this.$__remove(options, cb);
   });
 };
 
+/*!
+ * An explicit `session` option replaces the document's session, otherwise
+ * the document's session is used unless it has ended.
+ */
+
+function applySession(doc, options) {
+  if (options.hasOwnProperty('session')) {
+    doc.$session(options.session);
+  } else if (doc.$session() != null && doc.$session().hasEnded) {
+    doc.$session(null);
+  } else if (doc.$session() != null) {
+    options.session = doc.$session();
+  }
+}
+
 /*!
  * ignore
  */
@@ -775,6 +842,22 @@ Model.prototype.$__remove = function $__remove(options, cb) {
     return cb(where);
   }
 
+  var deletedAt = softDelete.getPath(this.schema);
+  if (deletedAt != null) {
+    var update = softDelete.getUpdate(this.schema);
+    this.collection.update(where, update, options, err => {
+      if (!err) {
+        this.setValue(deletedAt, update.$set[deletedAt]);
+        this.$__.isDeleted = true;
+        this.emit('remove', this);
+        this.constructor.emit('remove', this);
+        return cb(null, this);
+      }
+      cb(err);
+    });
+    return;
+  }
+
   this.collection.remove(where, options, err => {
     if (!err) {
       this.$__.isDeleted = true;
@@ -1097,6 +1180,471 @@ function _handleSafe(options) {
   }
 }
 
+/**
+ * Compares the indexes declared in this model's schema, and in its
+ * discriminators' schemas, with the indexes that exist on its collection.
+ *
+ * Resolves to `{ model, collection, toCreate, toDrop }`. `toCreate` is an
+ * array of `[fields, options]` pairs like `Schema#indexes()` returns, and
+ * `toDrop` is an array of index names. An index whose key is declared but
+ * whose `unique`, `sparse`, `expires` or `partialFilterExpression` options
+ * differ is in both lists. The `_id` index is never dropped.
+ *
+ * If the connection is still connecting, waits for it to open for up to
+ * `bufferTimeoutMS`, or 30 seconds. Fails right away if it isn't connecting.
+ *
+ * ####Example:
+ *
+ *     var schema = new Schema({ email: { type: String, unique: true } });
+ *     var User = mongoose.model('User', schema);
+ *
+ *     // If the collection has a non-unique `email_1` index
+ *     User.diffIndexes().then(function(res) {
+ *       res.toCreate; // [[{ email: 1 }, { unique: true, background: true }]]
+ *       res.toDrop; // ['email_1']
+ *     });
+ *
+ * @param {Object} [options] unused, reserved for future options
+ * @param {Function} [callback]
+ * @return {Promise}
+ * @api public
+ */
+
+Model.diffIndexes = function diffIndexes(options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+
+  if (callback) {
+    callback = this.$wrapCallback(callback);
+  }
+
+  return utils.promiseOrCallback(callback, cb => {
+    _diffIndexes(this, cb);
+  });
+};
+
+/*!
+ * ignore
+ */
+
+function _diffIndexes(model, callback) {
+  var conn = model.db;
+  if (conn.readyState !== STATES.connected) {
+    _waitForOpen(model, 'diffIndexes', function(error) {
+      if (error) {
+        return callback(error);
+      }
+      _diffIndexes(model, callback);
+    });
+    return;
+  }
+
+  var schemas = [model.schema];
+  Object.keys(model.discriminators || {}).forEach(function(name) {
+    schemas.push(model.discriminators[name].schema);
+  });
+
+  model.collection.listIndexes().toArray(function(error, existing) {
+    // 26 is `NamespaceNotFound`, the collection doesn't exist yet
+    if (error && error.code !== 26) {
+      return callback(error);
+    }
+
+    var diff = getIndexesDiff(schemas, error ? [] : existing);
+    callback(null, {
+      model: model.modelName,
+      collection: model.collection.collectionName,
+      toCreate: diff.toCreate,
+      toDrop: diff.toDrop
+    });
+  });
+}
+
+/**
+ * Makes the indexes on this model's collection match the indexes declared
+ * in its schema: drops the indexes [`Model.diffIndexes()`](#model_Model.diffIndexes)
+ * reports in `toDrop`, then creates the ones in `toCreate`. Unlike
+ * [`ensureIndexes()`](#model_Model.ensureIndexes), this also removes
+ * indexes that are no longer declared and rebuilds indexes whose options
+ * changed.
+ *
+ * Resolves to the diff that was applied.
+ *
+ * ####Example:
+ *
+ *     User.syncIndexes().then(function(res) {
+ *       console.log(res.toDrop); // names of the indexes that were dropped
+ *     });
+ *
+ * _NOTE: Dropping and building indexes may impact database performance, and queries can't use a dropped index until it is rebuilt. Use with caution._
+ *
+ * @param {Object} [options] passed to `createIndex()`
+ * @param {Function} [callback]
+ * @return {Promise}
+ * @api public
+ */
+
+Model.syncIndexes = function syncIndexes(options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+
+  if (callback) {
+    callback = this.$wrapCallback(callback);
+  }
+
+  return utils.promiseOrCallback(callback, cb => {
+    _syncIndexes(this, options || {}, cb);
+  });
+};
+
+/*!
+ * ignore
+ */
+
+function _syncIndexes(model, options, callback) {
+  _diffIndexes(model, function(error, diff) {
+    if (error) {
+      return callback(error);
+    }
+
+    var toDrop = diff.toDrop.slice();
+    var toCreate = diff.toCreate.slice();
+    var next = function(error) {
+      if (error) {
+        return callback(error);
+      }
+      if (toDrop.length > 0) {
+        model.collection.dropIndex(toDrop.shift(), next);
+        return;
+      }
+      var index = toCreate.shift();
+      if (index == null) {
+        return callback(null, diff);
+      }
+      var indexOptions = Object.assign({}, options, index[1]);
+      _handleSafe(indexOptions);
+      model.collection.createIndex(index[0], indexOptions, next);
+    };
+    next();
+  });
+}
+
+/**
+ * Derives a MongoDB [`$jsonSchema` validator](https://docs.mongodb.com/manual/core/schema-validation/)
+ * from this model's schema using [`Schema#toJSONSchema()`](#schema_Schema-toJSONSchema)
+ * and applies it to the model's collection, so documents written by other
+ * applications are held to the same rules. Creates the collection if it
+ * doesn't exist yet, otherwise uses the `collMod` command.
+ *
+ * Resolves to a description of the change: `action` is `'create'`,
+ * `'update'` or `'none'`, `current` is the collection's current validator
+ * or `null`, and `validator` is the validator derived from the schema.
+ * `diff` lists the document paths whose rules are `added`, `removed` or
+ * `changed`, and `changed` also has `validationLevel` or `validationAction`
+ * if those change. With `dryRun`, nothing is changed.
+ *
+ * If the connection is still connecting, waits for it to open for up to
+ * `bufferTimeoutMS`, or 30 seconds. Fails right away if it isn't connecting.
+ *
+ * The validator only covers the base schema, not discriminators. Custom
+ * validators and `required` functions can't be expressed in `$jsonSchema`.
+ *
+ * ####Example:
+ *
+ *     User.syncValidator({ dryRun: true }).then(function(res) {
+ *       console.log(res.action); // 'update'
+ *       return User.syncValidator({ validationAction: 'warn' });
+ *     });
+ *
+ * @param {Object} [options]
+ * @param {Boolean} [options.dryRun] only report what would change
+ * @param {String} [options.validationLevel] `'strict'` or `'moderate'`
+ * @param {String} [options.validationAction] `'error'` or `'warn'`
+ * @param {Function} [callback]
+ * @return {Promise}
+ * @api public
+ */
+
+Model.syncValidator = function syncValidator(options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+
+  if (callback) {
+    callback = this.$wrapCallback(callback);
+  }
+
+  return utils.promiseOrCallback(callback, cb => {
+    _syncValidator(this, options || {}, cb);
+  });
+};
+
+/*!
+ * ignore
+ */
+
+function _syncValidator(model, options, callback) {
+  var conn = model.db;
+  if (conn.readyState !== STATES.connected) {
+    _waitForOpen(model, 'syncValidator', function(error) {
+      if (error) {
+        return callback(error);
+      }
+      _syncValidator(model, options, callback);
+    });
+    return;
+  }
+
+  var name = model.collection.collectionName;
+  var desired = { validator: model.schema.toJSONSchema({ mongodb: true }) };
+  ['validationLevel', 'validationAction'].forEach(function(key) {
+    if (options[key] != null) {
+      desired[key] = options[key];
+    }
+  });
+
+  conn.db.listCollections({ name: name }).toArray(function(error, collections) {
+    if (error) {
+      return callback(error);
+    }
+
+    var existing = collections.length > 0 ? (collections[0].options || {}) : null;
+    var res = {
+      model: model.modelName,
+      collection: name,
+      action: 'none',
+      current: existing && existing.validator || null,
+      validator: desired.validator,
+      diff: diffJSONSchema(existing && existing.validator, desired.validator)
+    };
+    ['validationLevel', 'validationAction'].forEach(function(key) {
+      if (existing != null && desired[key] != null &&
+          existing[key] !== desired[key]) {
+        res.diff.changed.push(key);
+      }
+    });
+    if (existing == null) {
+      res.action = 'create';
+    } else if (Object.keys(desired).some(key => !utils.deepEqual(existing[key], desired[key]))) {
+      res.action = 'update';
+    }
+
+    if (options.dryRun || res.action === 'none') {
+      return callback(null, res);
+    }
+
+    var done = function(error) {
+      if (error) {
+        return callback(error);
+      }
+      callback(null, res);
+    };
+    if (res.action === 'create') {
+      conn.db.createCollection(name, desired, done);
+      return;
+    }
+    conn.db.command(Object.assign({ collMod: name }, desired), done);
+  });
+}
+
+/*!
+ * Calls `callback` once `model`'s connection opens. Fails right away if the
+ * connection isn't connecting, and with a `BufferTimeoutError` after the
+ * collection's `bufferTimeoutMS`, or 30 seconds if that isn't set.
+ */
+
+function _waitForOpen(model, method, callback) {
+  var conn = model.db;
+  if (conn.readyState !== STATES.connecting) {
+    return callback(new Error('Connection is not open, can\'t call `' +
+      model.modelName + '.' + method + '()` while it is ' + STATES[conn.readyState]));
+  }
+
+  var timeoutMS = model.collection.opts.bufferTimeoutMS != null ?
+    model.collection.opts.bufferTimeoutMS :
+    OPEN_TIMEOUT_MS;
+  var onOpen = function() {
+    clearTimeout(timeout);
+    callback(null);
+  };
+  var timeout = setTimeout(function() {
+    conn.removeListener('open', onOpen);
+    callback(new BufferTimeoutError(model.collection.collectionName, method, timeoutMS));
+  }, timeoutMS);
+  conn.once('open', onOpen);
+}
+
+/**
+ * Upgrades every outdated document in this model's collection using the
+ * schema's [migrations](#schema_Schema-migration), one document at a time
+ * using [`QueryCursor#eachAsync()`](#querycursor_QueryCursor-eachAsync).
+ * Unlike the lazy upgrade in `init`, this also upgrades documents that are
+ * never loaded, including soft deleted ones.
+ *
+ * Progress is recorded in the `migrations` collection, in a document whose
+ * `_id` is this model's collection name. If a run is interrupted, the next
+ * run for the same version resumes after the last processed `_id`.
+ *
+ * A document is only replaced if its version is unchanged since it was
+ * read, so documents saved concurrently are not overwritten.
+ *
+ * Resolves to `{ collection, version, migrated }`, where `migrated` is the
+ * number of documents this run upgraded.
+ *
+ * ####Example:
+ *
+ *     schema.migration(0, 1, function(doc) {
+ *       doc.tags = doc.tags || [];
+ *     });
+ *     var Post = mongoose.model('Post', schema);
+ *
+ *     Post.migrate().then(function(res) {
+ *       console.log(res.migrated); // number of documents upgraded
+ *     });
+ *
+ * @param {Object} [options]
+ * @param {String} [options.collection='migrations'] the collection progress is recorded in
+ * @param {Number} [options.batchSize=100] how many documents to process between progress updates
+ * @param {Function} [callback]
+ * @return {Promise}
+ * @api public
+ */
+
+Model.migrate = function migrate(options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+
+  if (callback) {
+    callback = this.$wrapCallback(callback);
+  }
+
+  return utils.promiseOrCallback(callback, cb => {
+    _migrate(this, options || {}, cb);
+  });
+};
+
+/*!
+ * ignore
+ */
+
+function _migrate(model, options, callback) {
+  var schema = model.schema;
+  var name = model.collection.collectionName;
+  if (schema._migrations.length === 0) {
+    utils.immediate(function() {
+      callback(null, { collection: name, version: null, migrated: 0 });
+    });
+    return;
+  }
+
+  var key = schema.options.schemaVersionKey;
+  var version = applyMigrations.latestVersion(schema);
+  var batchSize = options.batchSize || 100;
+  var migrations = model.db.collection(options.collection || 'migrations');
+
+  migrations.findOne({ _id: name }, function(error, progress) {
+    if (error) {
+      return callback(error);
+    }
+
+    var missing = {};
+    missing[key] = { $exists: false };
+    var older = {};
+    older[key] = { $lt: version };
+    var filter = { $or: [missing, older] };
+
+    var record = {
+      model: model.modelName,
+      version: version,
+      migrated: 0,
+      lastId: null,
+      startedAt: new Date(),
+      completedAt: null
+    };
+    if (progress != null && progress.version === version &&
+        progress.completedAt == null && progress.lastId != null) {
+      filter = { $and: [filter, { _id: { $gt: progress.lastId } }] };
+      record.migrated = progress.migrated;
+      record.lastId = progress.lastId;
+      record.startedAt = progress.startedAt;
+    }
+
+    var migrated = 0;
+    var processed = 0;
+    var saveProgress = function(cb) {
+      record.updatedAt = new Date();
+      migrations.updateOne({ _id: name }, { $set: record }, { upsert: true }, cb);
+    };
+
+    var upgrade = function(doc, cb) {
+      var upgraded = applyMigrations(schema, doc);
+      if (upgraded == null) {
+        return cb(null);
+      }
+      var cond = { _id: doc._id };
+      cond[key] = doc[key] === undefined ? { $exists: false } : doc[key];
+      // `lean()` decrypted `doc`, so encrypt it again before writing it back
+      encryption.encryptDocument(schema, upgraded);
+      model.collection.replaceOne(cond, upgraded, function(error, res) {
+        if (error) {
+          return cb(error);
+        }
+        if (get(res, 'result.n', 0) > 0) {
+          ++migrated;
+          ++record.migrated;
+        }
+        cb(null);
+      });
+    };
+
+    saveProgress(function(error) {
+      if (error) {
+        return callback(error);
+      }
+
+      var Promise = PromiseProvider.get();
+      // soft deleted documents can be restored, so upgrade them too
+      var cursor = model.find(filter).sort({ _id: 1 }).
+        setOptions({ lean: true, withDeleted: true }).
+        batchSize(batchSize).cursor();
+      cursor.eachAsync(function(doc) {
+        return new Promise(function(resolve, reject) {
+          upgrade(doc, function(error) {
+            if (error) {
+              return reject(error);
+            }
+            record.lastId = doc._id;
+            if (++processed % batchSize !== 0) {
+              return resolve();
+            }
+            saveProgress(function(error) {
+              error ? reject(error) : resolve();
+            });
+          });
+        });
+      }, function(error) {
+        if (error) {
+          return callback(error);
+        }
+        record.completedAt = new Date();
+        saveProgress(function(error) {
+          if (error) {
+            return callback(error);
+          }
+          callback(null, { collection: name, version: version, migrated: migrated });
+        });
+      });
+    });
+  });
+}
+
 /**
  * Schema the model uses.
  *
@@ -1716,7 +2264,7 @@ Model.findOneAndUpdate = function(conditions, update, options, callback) {
     fields = options.fields;
   }
 
-  update = utils.clone(update, {depopulate: 1, _isNested: true});
+  update = utils.clone(update, {depopulate: 1, _isNested: true, flattenUUIDs: false});
   if (this.schema.options.versionKey && options && options.upsert) {
     if (options.overwrite) {
       update[this.schema.options.versionKey] = 0;
@@ -2215,9 +2763,9 @@ Model.$__insertMany = function(arr, options, callback) {
         doc[doc.schema.options.versionKey] = 0;
       }
       if (doc.initializeTimestamps) {
-        return doc.initializeTimestamps().toObject(internalToObjectOptions);
+        doc.initializeTimestamps();
       }
-      return doc.toObject(internalToObjectOptions);
+      return encryption.encryptDocument(doc.schema, doc.toObject(internalToObjectOptions));
     });
 
     _this.collection.insertMany(docObjects, options, function(error, res) {
@@ -2308,11 +2856,16 @@ Model.bulkWrite = function(ops, options, callback) {
   var validations = ops.map((op) => {
     if (op['insertOne']) {
       return (callback) => {
-        op['insertOne']['document'] = new this(op['insertOne']['document']);
-        op['insertOne']['document'].validate({ __noPromise: true }, function(error) {
+        var doc = new this(op['insertOne']['document']);
+        op['insertOne']['document'] = doc;
+        doc.validate({ __noPromise: true }, function(error) {
           if (error) {
             return callback(error, null);
           }
+          if (encryption.hasEncryptedPaths(doc.schema)) {
+            op['insertOne']['document'] = encryption.encryptDocument(doc.schema,
+              doc.toObject(internalToObjectOptions));
+          }
           callback(null);
         });
       };
@@ -2329,6 +2882,7 @@ Model.bulkWrite = function(ops, options, callback) {
               upsert: op.upsert
             });
           }
+          encryption.encryptUpdate(this.schema, op['update']);
         } catch (error) {
           return callback(error, null);
         }
@@ -2342,7 +2896,8 @@ Model.bulkWrite = function(ops, options, callback) {
           op['filter'] = cast(this.schema, op['filter']);
           op['update'] = castUpdate(this.schema, op['update'], {
             strict: this.schema.options.strict,
-            overwrite: false
+            overwrite: false,
+            filter: op['filter']
           });
           if (op.setDefaultsOnInsert) {
             setDefaultsOnInsert(op['filter'], this.schema, op['update'], {
@@ -2350,6 +2905,7 @@ Model.bulkWrite = function(ops, options, callback) {
               upsert: op.upsert
             });
           }
+          encryption.encryptUpdate(this.schema, op['update']);
         } catch (error) {
           return callback(error, null);
         }
@@ -2366,12 +2922,16 @@ Model.bulkWrite = function(ops, options, callback) {
         }
 
         // set `skipId`, otherwise we get "_id field cannot be changed"
-        op['replaceOne']['replacement'] =
-          new this(op['replaceOne']['replacement'], null, true);
-        op['replaceOne']['replacement'].validate({ __noPromise: true }, function(error) {
+        var replacement = new this(op['replaceOne']['replacement'], null, true);
+        op['replaceOne']['replacement'] = replacement;
+        replacement.validate({ __noPromise: true }, function(error) {
           if (error) {
             return callback(error, null);
           }
+          if (encryption.hasEncryptedPaths(replacement.schema)) {
+            op['replaceOne']['replacement'] = encryption.encryptDocument(replacement.schema,
+              replacement.toObject(internalToObjectOptions));
+          }
           callback(null);
         });
       };
@@ -2605,7 +3165,7 @@ function _update(model, op, conditions, doc, options, callback) {
   // gh-2406
   // make local deep copy of conditions
   if (conditions instanceof Document) {
-    conditions = conditions.toObject();
+    conditions = conditions.toObject({ flattenUUIDs: false });
   } else {
     conditions = utils.clone(conditions);
   }
@@ -2956,6 +3516,22 @@ Model.geoSearch = function(conditions, options, callback) {
  *     // Note that we didn't need to specify the Weapon model because
  *     // it is in the schema's ref
  *
+ * ####Populating across connections:
+ *
+ * A `ref` or the `model` option can be a Model, or a `{ connection, model }`
+ * pair, to populate from a model on another connection or database.
+ *
+ *     var User = usersConnection.model('User', userSchema);
+ *     var orderSchema = new Schema({
+ *       buyer: { type: ObjectId, ref: User },
+ *       seller: { type: ObjectId, ref: { connection: usersConnection, model: 'User' } }
+ *     });
+ *     var Order = ordersConnection.model('Order', orderSchema);
+ *     Order.find().populate('buyer seller');
+ *
+ * The populate queries don't use the session of the parent query,
+ * because sessions can't be shared across connections.
+ *
  * @param {Document|Array} docs Either a single document or array of documents to populate.
  * @param {Object} options A hash of key/val (path, options) used for population.
  * @param {Function} [callback(err,doc)] Optional callback, executed upon completion. Receives `err` and the `doc(s)`.
@@ -3075,8 +3651,14 @@ function populate(model, docs, options, callback) {
       match[mod.foreignField] = { $in: ids };
     }
 
+    if (mod.count) {
+      populateCount(model, mod, match, countNext);
+      continue;
+    }
+
     var assignmentOpts = {};
-    assignmentOpts.sort = mod.options.options && mod.options.options.sort || undefined;
+    // Map values are assigned by key, so the order of the results is ignored
+    assignmentOpts.sort = !mod.isMap && mod.options.options && mod.options.options.sort || undefined;
     assignmentOpts.excludeId = excludeIdReg.test(select) || (select && select._id === 0);
 
     if (assignmentOpts.excludeId) {
@@ -3094,7 +3676,9 @@ function populate(model, docs, options, callback) {
 
     if (mod.options.options && mod.options.options.limit) {
       assignmentOpts.originalLimit = mod.options.options.limit;
-      mod.options.options.limit = mod.options.options.limit * ids.length;
+      if (!mod.separateQuery) {
+        mod.options.options.limit = mod.options.options.limit * ids.length;
+      }
     }
 
     var subPopulate = utils.clone(mod.options.populate, {
@@ -3102,6 +3686,12 @@ function populate(model, docs, options, callback) {
     });
     var query = mod.Model.find(match, select, mod.options.options);
 
+    // Sessions belong to a connection's client, so they can't be used to
+    // populate from models on other connections
+    if (mod.Model.db !== model.db) {
+      query.session(null);
+    }
+
     // If we're doing virtual populate and projection is inclusive and foreign
     // field is not selected, automatically select it because mongoose needs it.
     // If projection is exclusive and client explicitly unselected the foreign
@@ -3123,6 +3713,13 @@ function populate(model, docs, options, callback) {
     return callback();
   }
 
+  function countNext(err) {
+    if (err) return callback(err, null);
+    if (--_remaining === 0) {
+      callback();
+    }
+  }
+
   function next(options, assignmentOpts, err, valsFromDb) {
     if (mod.options.options && mod.options.options.limit) {
       mod.options.options.limit = assignmentOpts.originalLimit;
@@ -3130,7 +3727,8 @@ function populate(model, docs, options, callback) {
 
     if (err) return callback(err, null);
     vals = vals.concat(valsFromDb);
-    _assign(null, vals, options, assignmentOpts);
+    // docs from other documents' queries may have the same foreign field
+    _assign(null, options.separateQuery ? valsFromDb : vals, options, assignmentOpts);
     if (--_remaining === 0) {
       callback();
     }
@@ -3167,7 +3765,7 @@ function populate(model, docs, options, callback) {
             if (__val instanceof Document) {
               __val = __val._id;
             }
-            key = String(__val);
+            key = utils.idToString(__val);
             if (rawDocs[key]) {
               if (Array.isArray(rawDocs[key])) {
                 rawDocs[key].push(val);
@@ -3190,7 +3788,7 @@ function populate(model, docs, options, callback) {
           if (_val instanceof Document) {
             _val = _val._id;
           }
-          key = String(_val);
+          key = utils.idToString(_val);
           if (rawDocs[key]) {
             if (Array.isArray(rawDocs[key])) {
               rawDocs[key].push(val);
@@ -3225,11 +3823,86 @@ function populate(model, docs, options, callback) {
       options: assignmentOpts,
       justOne: mod.justOne,
       isVirtual: mod.isVirtual,
+      isMap: mod.isMap,
       allOptions: mod
     });
   }
 }
 
+/*!
+ * Populates a `count` virtual with an aggregation that counts the matching
+ * documents by the value of the foreign field, so they're never loaded.
+ * `limit`, `perDocumentLimit` and `sort` don't apply to counts.
+ */
+
+function populateCount(model, mod, match, callback) {
+  var foreignField = mod.foreignField;
+  var conditions;
+  try {
+    conditions = cast(mod.Model.schema, match);
+  } catch (error) {
+    return utils.immediate(function() {
+      callback(error);
+    });
+  }
+
+  var pipeline = [
+    { $match: conditions },
+    // a document whose foreign field is an array counts for each of its
+    // values that matches
+    { $project: { _id: 0, value: '$' + foreignField } },
+    { $unwind: '$value' },
+    { $match: { value: conditions[foreignField] } },
+    { $group: { _id: '$value', count: { $sum: 1 } } }
+  ];
+  var aggregate = mod.Model.aggregate(pipeline);
+  var session = get(mod, 'options.options.session', null);
+  if (session != null && mod.Model.db === model.db) {
+    aggregate.session(session);
+  }
+
+  aggregate.exec(function(error, res) {
+    if (error) {
+      return callback(error);
+    }
+
+    var counts = {};
+    res.forEach(function(group) {
+      counts[utils.idToString(group._id)] = group.count;
+    });
+    var rawIds = mod.allIds.map(function(ids) {
+      var seen = {};
+      return [].concat(ids).reduce(function(sum, id) {
+        var key = utils.idToString(id);
+        if (id == null || seen[key]) {
+          return sum;
+        }
+        seen[key] = true;
+        return sum + (counts[key] || 0);
+      }, 0);
+    });
+
+    assignVals({
+      originalModel: model,
+      rawIds: rawIds,
+      allIds: mod.allIds,
+      localField: mod.localField,
+      foreignField: foreignField,
+      rawDocs: {},
+      rawOrder: {},
+      docs: mod.docs,
+      path: mod.options.path,
+      options: {},
+      justOne: false,
+      isVirtual: true,
+      isMap: false,
+      count: true,
+      allOptions: mod
+    });
+    callback(null);
+  });
+}
+
 /*!
  * Assigns documents returned from a population query back
  * to the original document path.
@@ -3237,9 +3910,11 @@ function populate(model, docs, options, callback) {
 
 function assignVals(o) {
   // replace the original ids in our intermediate _ids structure
-  // with the documents found by query
-  assignRawDocsToIdStructure(o.rawIds, o.rawDocs, o.rawOrder, o.options,
-    o.localField, o.foreignField);
+  // with the documents found by query, `count` virtuals get their counts
+  if (!o.count) {
+    assignRawDocsToIdStructure(o.rawIds, o.rawDocs, o.rawOrder, o.options,
+      o.localField, o.foreignField);
+  }
 
   // now update the original documents being populated using the
   // result structure that contains real documents.
@@ -3248,6 +3923,9 @@ function assignVals(o) {
   var options = o.options;
 
   function setValue(val) {
+    if (o.count) {
+      return val;
+    }
     return valueFilter(val, options, o.justOne);
   }
 
@@ -3257,7 +3935,12 @@ function assignVals(o) {
       continue;
     }
 
-    if (o.isVirtual && !o.justOne && !Array.isArray(rawIds[i])) {
+    if (o.isMap) {
+      assignMapVals(docs[i], o.path, rawIds[i], o.allIds[i], options, o.allOptions);
+      continue;
+    }
+
+    if (o.isVirtual && !o.justOne && !o.count && !Array.isArray(rawIds[i])) {
       if (rawIds[i] == null) {
         rawIds[i] = [];
       } else {
@@ -3288,6 +3971,47 @@ function assignVals(o) {
   }
 }
 
+/*!
+ * Assigns the populated values of a map back to their keys. `vals` and
+ * `ids` are in the order of the map's keys.
+ */
+
+function assignMapVals(doc, path, vals, ids, assignmentOpts, allOptions) {
+  var map = utils.getValue(path, doc);
+  var keys = getMapKeys(map);
+
+  if (doc.$__) {
+    doc.populated(path, keys.reduce(function(ret, key, i) {
+      ret[key] = ids[i];
+      return ret;
+    }, {}), allOptions);
+  }
+
+  for (var i = 0; i < keys.length; ++i) {
+    var val = isDoc(vals[i]) ? vals[i] : null;
+    if (val != null) {
+      maybeRemoveId(val, assignmentOpts);
+    }
+    if (map.$isMongooseMap) {
+      map.$init(keys[i], val);
+    } else {
+      map[keys[i]] = val;
+    }
+  }
+}
+
+/*!
+ * Keys and raw values of a MongooseMap, or of a map in a lean document.
+ */
+
+function getMapKeys(map) {
+  return map instanceof Map ? Array.from(map.keys()) : Object.keys(map);
+}
+
+function getMapValue(map, key) {
+  return map instanceof Map ? map.get(key) : map[key];
+}
+
 /*!
  * Assign `vals` returned by mongo query to the `rawIds`
  * structure returned from utils.getVals() honoring
@@ -3333,7 +4057,7 @@ function assignRawDocsToIdStructure(rawIds, resultDocs, resultOrder, options, lo
       continue;
     }
 
-    sid = String(id);
+    sid = utils.idToString(id);
 
     if (recursed) {
       // apply find behavior
@@ -3375,8 +4099,18 @@ function getModelsMapForPopulate(model, docs, options) {
   let i;
   let doc;
   let len = docs.length;
-  let available = {};
+  let available = new Map();
   let map = [];
+
+  // `populate({ path, model: { connection, model } })`
+  if (options.model != null && typeof options.model === 'object') {
+    try {
+      options.model = getModelFromRef(options.model, model.db);
+    } catch (error) {
+      return error;
+    }
+  }
+
   let modelNameFromQuery = options.model && options.model.modelName || options.model;
   let schema;
   let refPath;
@@ -3392,10 +4126,20 @@ function getModelsMapForPopulate(model, docs, options) {
   var isRefPathArray = false;
   var modelSchema = model.schema;
 
+  // `populate('map')` and `populate('map.$*')` populate every value of a map
+  var mapPath = options.path.replace(/\.\$\*$/, '');
+  var isMap = get(modelSchema.path(mapPath), '$isSchemaMap') === true;
+  if (isMap) {
+    options.path = mapPath;
+  }
+
   for (i = 0; i < len; i++) {
     doc = docs[i];
 
     schema = getSchemaTypes(modelSchema, doc, options.path);
+    if (isMap) {
+      schema = schema.$__schemaType;
+    }
     const isUnderneathDocArray = schema && schema.$isUnderneathDocArray;
     if (isUnderneathDocArray && get(options, 'options.sort') != null) {
       return new Error('Cannot populate with `sort` on path ' + options.path +
@@ -3440,12 +4184,16 @@ function getModelsMapForPopulate(model, docs, options) {
       virtual.options.foreignField :
       '_id';
     let justOne = true;
+    let count = false;
     if (virtual && virtual.options && virtual.options.ref) {
-      justOne = virtual.options.justOne;
+      count = !!virtual.options.count;
+      justOne = count ? false : virtual.options.justOne;
       isVirtual = true;
       if (!modelNames) {
         modelNames = [virtual.options.ref];
       }
+    } else if (isMap) {
+      justOne = false;
     } else if (schema) {
       justOne = !schema.$isMongooseArray;
     }
@@ -3466,9 +4214,35 @@ function getModelsMapForPopulate(model, docs, options) {
     if (typeof foreignField === 'function') {
       foreignField = foreignField.call(doc);
     }
-    const ret = convertTo_id(utils.getValue(localField, doc));
-    const id = String(utils.getValue(foreignField, doc));
-    options._docs[id] = Array.isArray(ret) ? ret.slice() : ret;
+    // A `match` function or a `perDocumentLimit` needs a separate query for
+    // each document
+    let match = options.match != null ?
+      options.match :
+      get(virtual, 'options.match', null);
+    const hasMatchFunction = typeof match === 'function';
+    if (hasMatchFunction) {
+      match = match.call(doc, doc);
+    }
+    const perDocumentLimit = options.perDocumentLimit != null ?
+      options.perDocumentLimit :
+      get(virtual, 'options.perDocumentLimit', null);
+    // Counts ignore `perDocumentLimit`, so only a `match` function needs it
+    const separateQuery = hasMatchFunction || (perDocumentLimit != null && !count);
+
+    let ret;
+    const id = utils.idToString(utils.getValue(foreignField, doc));
+    if (isMap) {
+      const map = utils.getValue(localField, doc);
+      const keys = map == null ? [] : getMapKeys(map);
+      ret = convertTo_id(keys.map(key => getMapValue(map, key)));
+      options._docs[id] = keys.reduce((ids, key, i) => {
+        ids[key] = ret[i];
+        return ids;
+      }, {});
+    } else {
+      ret = convertTo_id(utils.getValue(localField, doc));
+      options._docs[id] = Array.isArray(ret) ? ret.slice() : ret;
+    }
 
     let k = modelNames.length;
     while (k--) {
@@ -3481,12 +4255,12 @@ function getModelsMapForPopulate(model, docs, options) {
       try {
         Model = originalModel && originalModel.modelName ?
           originalModel :
-          model.db.model(modelName);
+          getModelFromRef(modelName, model.db);
       } catch (error) {
         return error;
       }
 
-      if (!available[modelName]) {
+      if (!available.has(Model) || separateQuery) {
         currentOptions = {
           model: Model
         };
@@ -3494,13 +4268,22 @@ function getModelsMapForPopulate(model, docs, options) {
         if (isVirtual && virtual.options && virtual.options.options) {
           currentOptions.options = utils.clone(virtual.options.options);
         }
+        if (match != null) {
+          currentOptions.match = match;
+        }
         utils.merge(currentOptions, options);
         if (schema && !discriminatorKey) {
           currentOptions.model = Model;
         }
+        if (perDocumentLimit != null) {
+          // don't share the options, populate() changes `limit` while querying
+          currentOptions.options = Object.assign({}, currentOptions.options, {
+            limit: perDocumentLimit
+          });
+        }
         options.model = Model;
 
-        available[modelName] = {
+        const mod = {
           Model: Model,
           options: currentOptions,
           docs: [_doc],
@@ -3510,13 +4293,19 @@ function getModelsMapForPopulate(model, docs, options) {
           localField: localField,
           foreignField: foreignField,
           justOne: justOne,
-          isVirtual: isVirtual
+          isVirtual: isVirtual,
+          isMap: isMap,
+          count: count,
+          separateQuery: separateQuery
         };
-        map.push(available[modelName]);
+        if (!separateQuery) {
+          available.set(Model, mod);
+        }
+        map.push(mod);
       } else {
-        available[modelName].docs.push(_doc);
-        available[modelName].ids.push(_ret);
-        available[modelName].allIds.push(ret);
+        available.get(Model).docs.push(_doc);
+        available.get(Model).ids.push(_ret);
+        available.get(Model).allIds.push(ret);
       }
     }
   }
@@ -3568,7 +4357,9 @@ function getModelsMapForPopulate(model, docs, options) {
         if ((ref = get(schemaForCurrentDoc, 'options.ref')) != null) {
           modelNames = [ref];
         } else if ((ref = get(virtual, 'options.ref')) != null) {
-          if (typeof ref === 'function') {
+          // a function that returns the ref, not a model
+          if (typeof ref === 'function' &&
+              (ref.prototype == null || !ref.prototype.$isMongooseModelPrototype)) {
             ref = ref.call(doc, doc);
           }
 
@@ -3796,8 +4587,19 @@ Model.compile = function compile(name, schema, collectionName, connection, base)
     bufferCommands = _userProvidedOptions.bufferCommands;
   }
 
+  // `bufferTimeoutMS` follows the same precedence, buffered operations
+  // never time out by default
+  var bufferTimeoutMS = connection.base.get('bufferTimeoutMS');
+  if (connection.config.bufferTimeoutMS != null) {
+    bufferTimeoutMS = connection.config.bufferTimeoutMS;
+  }
+  if (_userProvidedOptions.bufferTimeoutMS != null) {
+    bufferTimeoutMS = _userProvidedOptions.bufferTimeoutMS;
+  }
+
   var collectionOptions = {
     bufferCommands: bufferCommands,
+    bufferTimeoutMS: bufferTimeoutMS,
     capped: schema.options.capped
   };
 
@@ -3916,6 +4718,7 @@ Model.__subclass = function subclass(conn, schema, collection) {
   }
 
   var bufferCommands = true;
+  var bufferTimeoutMS = conn.base.get('bufferTimeoutMS');
   if (s) {
     if (conn.config.bufferCommands != null) {
       bufferCommands = conn.config.bufferCommands;
@@ -3923,9 +4726,16 @@ Model.__subclass = function subclass(conn, schema, collection) {
     if (_userProvidedOptions.bufferCommands != null) {
       bufferCommands = _userProvidedOptions.bufferCommands;
     }
+    if (conn.config.bufferTimeoutMS != null) {
+      bufferTimeoutMS = conn.config.bufferTimeoutMS;
+    }
+    if (_userProvidedOptions.bufferTimeoutMS != null) {
+      bufferTimeoutMS = _userProvidedOptions.bufferTimeoutMS;
+    }
   }
   var collectionOptions = {
     bufferCommands: bufferCommands,
+    bufferTimeoutMS: bufferTimeoutMS,
     capped: s && options.capped
   };
 
@@ -8,7 +8,7 @@ var each = require('async/each');
 
 module.exports = function(schema) {
   const unshift = true;
-  schema.s.hooks.pre('remove', false, function(next) {
+  schema.s.hooks.pre('remove', false, function(next, options) {
     if (this.ownerDocument) {
       next();
       return;
@@ -23,7 +23,7 @@ module.exports = function(schema) {
     }
 
     each(subdocs, function(subdoc, cb) {
-      subdoc.$__remove(function(err) {
+      subdoc.$__remove(options, function(err) {
         cb(err);
       });
     }, function(error) {
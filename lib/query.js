@@ -4,17 +4,23 @@
 
 var CastError = require('./error/cast');
 var ObjectParameterError = require('./error/objectParameter');
+var VersionError = require('./error/version');
 var QueryCursor = require('./cursor/QueryCursor');
 var ReadPreference = require('./drivers').ReadPreference;
+var applyVirtualDependencies = require('./services/projection/applyVirtualDependencies');
 var cast = require('./cast');
 var castUpdate = require('./services/query/castUpdate');
+var encryption = require('./services/encryption/transform');
 var hasDollarKeys = require('./services/query/hasDollarKeys');
 var helpers = require('./queryhelpers');
+var history = require('./services/history');
 var isInclusive = require('./services/projection/isInclusive');
 var mquery = require('mquery');
+var profiler = require('./services/profiler');
 var selectPopulatedFields = require('./services/query/selectPopulatedFields');
 var setDefaultsOnInsert = require('./services/setDefaultsOnInsert');
 var slice = require('sliced');
+var softDelete = require('./services/softDelete');
 var updateValidators = require('./services/updateValidators');
 var util = require('util');
 var utils = require('./utils');
@@ -171,7 +177,8 @@ Query.prototype.toConstructor = function toConstructor() {
   p._conditions = utils.clone(this._conditions);
   p._fields = utils.clone(this._fields);
   p._update = utils.clone(this._update, {
-    flattenDecimals: false
+    flattenDecimals: false,
+    flattenUUIDs: false
   });
   p._path = this._path;
   p._distinct = this._distinct;
@@ -811,6 +818,9 @@ Query.prototype.mod = function() {
  *     // 强制包含已经在 schema level 排除的字段
  *     query.select('+path')
  *
+ *     // 选择 virtual 会选择它的 `dependsOn` 路径
+ *     query.select('fullName')
+ *
  * @method select
  * @memberOf Query
  * @param {Object|String} arg
@@ -964,9 +974,12 @@ Query.prototype.read = function read(pref, tags) {
  * 以下选项只适用于 `update()`, `updateOne()`, `updateMany()`, `replaceOne()`, `findOneAndUpdate()` 和 `findByIdAndUpdate()`:
  * - [upsert](https://docs.mongodb.com/manual/reference/method/db.collection.update/)
  * - [writeConcern](https://docs.mongodb.com/manual/reference/method/db.collection.update/)
+ * - `actor`: 开启了 `history` 选项的 schema 记录到历史记录里的操作者
  *
  * 以下选项只适用于 `find()`, `findOne()`, `findById()`, `findOneAndUpdate()` 和 `findByIdAndUpdate()`:
  * - [lean](./api.html#query_Query-lean)
+ * - [withDeleted](./api.html#query_Query-withDeleted)
+ * - [onlyDeleted](./api.html#query_Query-onlyDeleted)
  *
  * 以下选项适用于所有操作 （**除这些以外** `update()`, `updateOne()`, `updateMany()`, `remove()`, `deleteOne()` 和 `deleteMany()` ）:
  * - [maxTimeMS](https://docs.mongodb.com/manual/reference/operator/meta/maxTimeMS/)
@@ -1012,6 +1025,22 @@ Query.prototype.setOptions = function(options, overwrite) {
     this._mongooseOptions.omitUndefined = options.omitUndefined;
     delete options.omitUndefined;
   }
+  if ('withDeleted' in options) {
+    this._mongooseOptions.withDeleted = options.withDeleted;
+    delete options.withDeleted;
+  }
+  if ('onlyDeleted' in options) {
+    this._mongooseOptions.onlyDeleted = options.onlyDeleted;
+    delete options.onlyDeleted;
+  }
+  if ('actor' in options) {
+    this._mongooseOptions.actor = options.actor;
+    delete options.actor;
+  }
+  if ('expectedVersion' in options) {
+    this._mongooseOptions.expectedVersion = options.expectedVersion;
+    delete options.expectedVersion;
+  }
 
   return Query.base.setOptions.call(this, options);
 };
@@ -1070,7 +1099,8 @@ Query.prototype.getUpdate = function() {
 Query.prototype._updateForExec = function() {
   var update = utils.clone(this._update, {
     transform: false,
-    depopulate: true
+    depopulate: true,
+    flattenUUIDs: false
   });
   var ops = Object.keys(update);
   var i = ops.length;
@@ -1136,6 +1166,10 @@ Query.prototype._updateForExec = function() {
 
 Query.prototype._optionsForExec = function(model) {
   const options = utils.clone(this.options);
+  if (this.options.session != null) {
+    // sessions must be passed to the driver as is
+    options.session = this.options.session;
+  }
 
   delete options.populate;
   model = model || this.model;
@@ -1177,6 +1211,16 @@ Query.prototype._optionsForExec = function(model) {
  *
  * 在高性能只读场景下这个选项就 [厉害](https://groups.google.com/forum/#!topic/mongoose-orm/u2_DzDydcnA/discussion) 了，特别是跟 [stream](#query_Query-stream) 组合使用时。
  *
+ * 传入对象时，返回的依然是普通对象，但会应用 schema 定义的默认值、getters 和 virtuals（包括 `id`），
+ * 结果与 `doc.toObject({ getters: true, virtuals: true })` 一致。
+ * 这些转换也会应用到子文档和 populate 的文档上，不会创建 Mongoose Documents。
+ *
+ *     Model.find().lean({ defaults: true, getters: true, virtuals: true });
+ *
+ * - `defaults`: 给缺失的路径设置默认值，被映射排除的路径除外
+ * - `getters`: 执行 getters
+ * - `virtuals`: 计算 virtuals，populate virtuals 除外
+ *
  * @param {Boolean|Object} bool 默认值 true
  * @return {Query} this
  * @api public
@@ -1187,6 +1231,70 @@ Query.prototype.lean = function(v) {
   return this;
 };
 
+/**
+ * 让开启了 `softDelete` 选项的 schema 的查询包含已软删除的文档。
+ *
+ * ####示例:
+ *
+ *     var schema = new Schema({ name: String }, { softDelete: true });
+ *     var User = mongoose.model('User', schema);
+ *
+ *     User.find(); // 只返回未删除的文档
+ *     User.find().withDeleted(); // 返回全部文档
+ *
+ * @param {Boolean} [bool] 默认值 true
+ * @return {Query} this
+ * @api public
+ */
+
+Query.prototype.withDeleted = function(v) {
+  this._mongooseOptions.withDeleted = arguments.length ? v : true;
+  return this;
+};
+
+/**
+ * 让开启了 `softDelete` 选项的 schema 的查询只匹配已软删除的文档。
+ *
+ * ####示例:
+ *
+ *     User.find().onlyDeleted(); // 只返回 `deletedAt` 不为空的文档
+ *
+ * @param {Boolean} [bool] 默认值 true
+ * @return {Query} this
+ * @api public
+ */
+
+Query.prototype.onlyDeleted = function(v) {
+  this._mongooseOptions.onlyDeleted = arguments.length ? v : true;
+  return this;
+};
+
+/**
+ * 设置这个查询使用的 [MongoDB session](https://docs.mongodb.com/manual/reference/server-sessions/)。
+ * 用 [`Connection#startSession()`](#connection_Connection-startSession) 创建 session。
+ *
+ * 查询返回的文档会记住这个 session，之后调用 `save()` 和 `remove()` 时默认使用它。
+ * populate 的查询也使用同一个 session。
+ *
+ * ####示例:
+ *
+ *     const s = await mongoose.startSession();
+ *     await mongoose.model('Person').findOne({ name: 'Axl Rose' }).session(s);
+ *
+ * @param {ClientSession} [session] 传入 `null` 删除当前 session
+ * @return {Query} this
+ * @api public
+ */
+
+Query.prototype.session = function session(v) {
+  if (v == null) {
+    delete this.options.session;
+    return this;
+  }
+  this.options.session = v;
+  return this;
+};
+
 /**
  * 读取/赋值 query 的 error 标识。如果标识不是 null 或
  * undefined，`exec()` promise 会直接执行 reject.
@@ -1273,6 +1381,7 @@ Query.prototype._castConditions = function() {
  * @api private
  */
 Query.prototype._find = function(callback) {
+  prepareSoftDeleteCriteria(this);
   this._castConditions();
 
   if (this.error() != null) {
@@ -1297,10 +1406,15 @@ Query.prototype._find = function(callback) {
       return callback(null, docs);
     }
 
+    if (!!mongooseOptions.lean === true) {
+      helpers.decryptLean(_this.model, docs);
+      helpers.applyLeanVirtuals(_this.model, docs, _this._selectedVirtuals);
+    }
+
     if (!mongooseOptions.populate) {
       return !!mongooseOptions.lean === true
-        ? callback(null, docs)
-        : completeMany(_this.model, docs, fields, userProvidedFields, null, callback);
+        ? callback(null, helpers.applyLeanOptions(_this.model, docs, mongooseOptions.lean, fields))
+        : completeMany(_this.model, docs, fields, userProvidedFields, _initOptions(_this), callback);
     }
 
     var pop = helpers.preparePopulationOptionsMQ(_this, mongooseOptions);
@@ -1308,8 +1422,8 @@ Query.prototype._find = function(callback) {
     _this.model.populate(docs, pop, function(err, docs) {
       if (err) return callback(err);
       return !!mongooseOptions.lean === true
-        ? callback(null, docs)
-        : completeMany(_this.model, docs, fields, userProvidedFields, pop, callback);
+        ? callback(null, helpers.applyLeanOptions(_this.model, docs, mongooseOptions.lean, fields))
+        : completeMany(_this.model, docs, fields, userProvidedFields, _initOptions(_this, pop), callback);
     });
   };
 
@@ -1422,15 +1536,14 @@ Query.prototype.merge = function(source) {
  * @param {Array} docs
  * @param {Object} fields
  * @param {Query} self
- * @param {Array} [pop] array of paths used in population
+ * @param {Object} [opts] options for `Document#init()`
  * @param {Function} callback
  */
 
-function completeMany(model, docs, fields, userProvidedFields, pop, callback) {
+function completeMany(model, docs, fields, userProvidedFields, opts, callback) {
   var arr = [];
   var count = docs.length;
   var len = count;
-  var opts = pop ? { populated: pop } : undefined;
   var error = null;
   function init(_error) {
     if (_error != null) {
@@ -1478,6 +1591,7 @@ Query.prototype.collation = function(value) {
  */
 
 Query.prototype._findOne = function(callback) {
+  prepareSoftDeleteCriteria(this);
   this._castConditions();
 
   if (this.error()) {
@@ -1501,10 +1615,15 @@ Query.prototype._findOne = function(callback) {
       return callback(null, null);
     }
 
+    if (!!options.lean === true) {
+      helpers.decryptLean(_this.model, doc);
+      helpers.applyLeanVirtuals(_this.model, doc, _this._selectedVirtuals);
+    }
+
     if (!options.populate) {
       return !!options.lean === true
-        ? callback(null, doc)
-        : completeOne(_this.model, doc, null, {}, projection, userProvidedFields, null, callback);
+        ? callback(null, helpers.applyLeanOptions(_this.model, doc, options.lean, projection))
+        : completeOne(_this.model, doc, null, {}, projection, userProvidedFields, _initOptions(_this), callback);
     }
 
     var pop = helpers.preparePopulationOptionsMQ(_this, options);
@@ -1514,8 +1633,8 @@ Query.prototype._findOne = function(callback) {
         return callback(err);
       }
       return !!options.lean === true
-        ? callback(null, doc)
-        : completeOne(_this.model, doc, null, {}, projection, userProvidedFields, pop, callback);
+        ? callback(null, helpers.applyLeanOptions(_this.model, doc, options.lean, projection))
+        : completeOne(_this.model, doc, null, {}, projection, userProvidedFields, _initOptions(_this, pop), callback);
     });
   });
 };
@@ -1608,6 +1727,7 @@ Query.prototype.findOne = function(conditions, projection, options, callback) {
  */
 
 Query.prototype._count = function(callback) {
+  prepareSoftDeleteCriteria(this);
   try {
     this.cast(this.model);
   } catch (err) {
@@ -1722,6 +1842,7 @@ Query.prototype.distinct = function(field, conditions, callback) {
   }
 
   if (callback != null) {
+    prepareSoftDeleteCriteria(this);
     this._castConditions();
 
     if (this.error() != null) {
@@ -1833,6 +1954,11 @@ Query.prototype.remove = function(filter, callback) {
  */
 
 Query.prototype._remove = function(callback) {
+  if (softDelete.getPath(this.model.schema) != null) {
+    var single = this.options.single || this.options.justOne;
+    return _softDelete.call(this, single ? 'updateOne' : 'updateMany', callback);
+  }
+
   this._castConditions();
 
   if (this.error() != null) {
@@ -1892,6 +2018,10 @@ Query.prototype.deleteOne = function(filter, callback) {
  */
 
 Query.prototype._deleteOne = function(callback) {
+  if (softDelete.getPath(this.model.schema) != null) {
+    return _softDelete.call(this, 'updateOne', callback);
+  }
+
   this._castConditions();
 
   if (this.error() != null) {
@@ -1950,6 +2080,10 @@ Query.prototype.deleteMany = function(filter, callback) {
  */
 
 Query.prototype._deleteMany = function(callback) {
+  if (softDelete.getPath(this.model.schema) != null) {
+    return _softDelete.call(this, 'updateMany', callback);
+  }
+
   this._castConditions();
 
   if (this.error() != null) {
@@ -1960,6 +2094,43 @@ Query.prototype._deleteMany = function(callback) {
   return Query.base.deleteMany.call(this, helpers.handleWriteOpResult(callback));
 };
 
+/*!
+ * Soft deletes the matching documents with `op`, either `updateOne` or
+ * `updateMany`, instead of removing them.
+ */
+
+function _softDelete(op, callback) {
+  prepareSoftDeleteCriteria(this);
+  this._castConditions();
+
+  if (this.error() != null) {
+    callback(this.error());
+    return this;
+  }
+
+  var update = softDelete.getUpdate(this.model.schema);
+  if (history.getCollectionName(this.model) == null) {
+    this._collection[op](this._conditions, update, this._optionsForExec(),
+      helpers.handleWriteOpResult(callback));
+    return this;
+  }
+
+  history.findBeforeUpdate(this, (error, before) => {
+    if (error) {
+      return callback(error);
+    }
+    this._collection[op](this._conditions, update, this._optionsForExec(),
+      helpers.handleWriteOpResult((error, res) => {
+        if (error) {
+          return callback(error);
+        }
+        history.recordUpdate(this, before, res, error => callback(error, res));
+      }));
+  });
+
+  return this;
+}
+
 /*!
  * hydrates a document
  *
@@ -1968,15 +2139,11 @@ Query.prototype._deleteMany = function(callback) {
  * @param {Object} res 3rd parameter to callback
  * @param {Object} fields
  * @param {Query} self
- * @param {Array} [pop] array of paths used in population
+ * @param {Object} [opts] options for `Document#init()`
  * @param {Function} callback
  */
 
-function completeOne(model, doc, res, options, fields, userProvidedFields, pop, callback) {
-  var opts = pop ?
-    {populated: pop}
-    : undefined;
-
+function completeOne(model, doc, res, options, fields, userProvidedFields, opts, callback) {
   var casted = helpers.createModel(model, doc, fields, userProvidedFields);
   try {
     casted.init(doc, opts, _init);
@@ -1997,6 +2164,22 @@ function completeOne(model, doc, res, options, fields, userProvidedFields, pop,
   }
 }
 
+/*!
+ * Options for `Document#init()` of the documents a query returns: the paths
+ * that were populated and the session to remember.
+ */
+
+function _initOptions(query, pop) {
+  var opts = {};
+  if (pop) {
+    opts.populated = pop;
+  }
+  if (query.options.session != null) {
+    opts.session = query.options.session;
+  }
+  return opts;
+}
+
 /*!
  * If the model is a discriminator type and not root, then add the key & value to the criteria.
  */
@@ -2013,6 +2196,19 @@ function prepareDiscriminatorCriteria(query) {
   }
 }
 
+/*!
+ * Excludes soft deleted documents unless `withDeleted()` was called.
+ */
+
+function prepareSoftDeleteCriteria(query) {
+  if (!query || !query.model || !query.model.schema) {
+    return;
+  }
+
+  softDelete.applyFilter(query.model.schema, query._conditions,
+    query._mongooseOptions);
+}
+
 /**
  * 向 mongodb 发起一条 [findAndModify](http://www.mongodb.org/display/DOCS/findAndModify+Command) 更新指令。
  *
@@ -2033,6 +2229,7 @@ function prepareDiscriminatorCriteria(query) {
  * - `setDefaultsOnInsert`: 如果该选项和 `upsert` 都是 true， mongoose 会在插入新文档时应用 schema 中指定的 [默认值](http://mongoosejs.com/docs/defaults.html)。该选项只会在 MongoDB 2.4 版本及以上生效，因为它依赖 MongoDB 的 [`$setOnInsert`](https://docs.mongodb.org/v2.4/reference/operator/update/setOnInsert/) 操作符。
  * - `rawResult`: 如果值为 true，将返回 MongoDB 驱动的 [原生结果（raw result）](http://mongodb.github.io/node-mongodb-native/2.0/api/Collection.html#findAndModify)
  * - `context`: string - if set to 'query' and `runValidators` is on, `this` will refer to the query in custom validator functions that update validation runs. Does nothing if `runValidators` is false.
+ * - `expectedVersion`: number - 只在文档的 [versionKey](/docs/guide.html#versionKey) 等于该值时更新，并把版本号加 1。如果文档存在但版本不匹配，返回 `VersionError`。不能和 `upsert` 同时使用
  *
  * ####回调函数签名
  *     function(error, doc) {
@@ -2140,7 +2337,49 @@ Query.prototype._findOneAndUpdate = function(callback) {
     return callback(this.error());
   }
 
-  this._findAndModify('update', callback);
+  var expectedVersion = this._mongooseOptions.expectedVersion;
+  var versionKey = this.model.schema.options.versionKey;
+  if (expectedVersion == null || !versionKey) {
+    this._findAndModify('update', callback);
+    return this;
+  }
+  if (this.options.upsert) {
+    // a stale version would insert a copy of the document instead
+    callback(new Error('Can\'t combine `expectedVersion` with `upsert`'));
+    return this;
+  }
+
+  var conditions = utils.clone(this._conditions);
+  this._conditions[versionKey] = expectedVersion;
+  this._update = this._update || {};
+  if (this.options.overwrite) {
+    this._update[versionKey] = expectedVersion + 1;
+  } else {
+    this._update.$inc = this._update.$inc || {};
+    this._update.$inc[versionKey] = 1;
+  }
+
+  this._findAndModify('update', (error, res) => {
+    var doc = res != null && this.options.rawResult ? res.value : res;
+    if (error != null || doc != null) {
+      return callback(error, res);
+    }
+
+    // tell a stale version apart from a document that doesn't exist
+    this.model.findOne(conditions).
+      select(versionKey).
+      setOptions({ lean: true, withDeleted: true }).
+      session(this.options.session).
+      exec((error, stale) => {
+        if (error != null) {
+          return callback(error);
+        }
+        if (stale != null) {
+          return callback(new VersionError(stale, expectedVersion));
+        }
+        callback(null, res);
+      });
+  });
   return this;
 };
 
@@ -2233,6 +2472,13 @@ Query.prototype._findOneAndRemove = function(callback) {
     return callback(this.error());
   }
 
+  if (softDelete.getPath(this.model.schema) != null) {
+    prepareSoftDeleteCriteria(this);
+    this._update = softDelete.getUpdate(this.model.schema);
+    this._findAndModify('update', callback);
+    return;
+  }
+
   Query.base.findOneAndRemove.call(this, callback);
 };
 
@@ -2346,11 +2592,17 @@ Query.prototype._findAndModify = function(type, callback) {
       return callback(null, null);
     }
 
+    if (!!options.lean === true) {
+      helpers.decryptLean(_this.model, doc);
+      helpers.applyLeanVirtuals(_this.model, doc, _this._selectedVirtuals);
+    }
+
     if (!options.populate) {
       if (!!options.lean === true) {
+        helpers.applyLeanOptions(_this.model, doc, options.lean, fields);
         return _completeOneLean(doc, res, opts, callback);
       }
-      return completeOne(_this.model, doc, res, opts, fields, userProvidedFields, null, callback);
+      return completeOne(_this.model, doc, res, opts, fields, userProvidedFields, _initOptions(_this), callback);
     }
 
     var pop = helpers.preparePopulationOptionsMQ(_this, options);
@@ -2361,9 +2613,10 @@ Query.prototype._findAndModify = function(type, callback) {
       }
 
       if (!!options.lean === true) {
+        helpers.applyLeanOptions(_this.model, doc, options.lean, fields);
         return _completeOneLean(doc, res, opts, callback);
       }
-      return completeOne(_this.model, doc, res, opts, fields, userProvidedFields, pop, callback);
+      return completeOne(_this.model, doc, res, opts, fields, userProvidedFields, _initOptions(_this, pop), callback);
     });
   };
 
@@ -2402,8 +2655,10 @@ Query.prototype._findAndModify = function(type, callback) {
         if (error) {
           return callback(error);
         }
-        if (castedDoc && castedDoc.toBSON) {
-          castedDoc = castedDoc.toBSON();
+        try {
+          castedDoc = _updateForExec(schema, castedDoc);
+        } catch (error) {
+          return callback(error);
         }
         collection.findOneAndUpdate(castedQuery, castedDoc, opts, utils.tick(function(error, res) {
           return cb(error, res ? res.value : res, res);
@@ -2416,8 +2671,11 @@ Query.prototype._findAndModify = function(type, callback) {
         callback(error);
       }
     } else {
-      if (castedDoc && castedDoc.toBSON) {
-        castedDoc = castedDoc.toBSON();
+      try {
+        castedDoc = _updateForExec(schema, castedDoc);
+      } catch (error) {
+        callback(error);
+        return this;
       }
       collection.findOneAndUpdate(castedQuery, castedDoc, opts, utils.tick(function(error, res) {
         return cb(error, res ? res.value : res, res);
@@ -2432,8 +2690,10 @@ Query.prototype._findAndModify = function(type, callback) {
       if (error) {
         return callback(error);
       }
-      if (castedDoc && castedDoc.toBSON) {
-        castedDoc = castedDoc.toBSON();
+      try {
+        castedDoc = _updateForExec(schema, castedDoc);
+      } catch (error) {
+        return callback(error);
       }
       _this._collection.findAndModify(castedQuery, castedDoc, opts, utils.tick(function(error, res) {
         return cb(error, res ? res.value : res, res);
@@ -2446,8 +2706,11 @@ Query.prototype._findAndModify = function(type, callback) {
       callback(error);
     }
   } else {
-    if (castedDoc && castedDoc.toBSON) {
-      castedDoc = castedDoc.toBSON();
+    try {
+      castedDoc = _updateForExec(schema, castedDoc);
+    } catch (error) {
+      callback(error);
+      return this;
     }
     this._collection.findAndModify(castedQuery, castedDoc, opts, utils.tick(function(error, res) {
       return cb(error, res ? res.value : res, res);
@@ -2531,7 +2794,8 @@ function _updateThunk(op, callback) {
   var castedDoc;
   var options = this._optionsForExec(this.model);
 
-  this._update = utils.clone(this._update, options);
+  this._update = utils.clone(this._update,
+    Object.assign({}, options, { flattenUUIDs: false }));
   var isOverwriting = this.options.overwrite && !hasDollarKeys(this._update);
   if (isOverwriting) {
     castedDoc = new this.model(this._update, null, true);
@@ -2565,8 +2829,10 @@ function _updateThunk(op, callback) {
         return callback(err);
       }
 
-      if (castedDoc.toBSON) {
-        castedDoc = castedDoc.toBSON();
+      try {
+        castedDoc = _updateForExec(schema, castedDoc);
+      } catch (error) {
+        return callback(error);
       }
       _this._collection[op](castedQuery, castedDoc, options, callback);
     };
@@ -2580,14 +2846,31 @@ function _updateThunk(op, callback) {
     return this;
   }
 
-  if (castedDoc.toBSON) {
-    castedDoc = castedDoc.toBSON();
+  try {
+    castedDoc = _updateForExec(schema, castedDoc);
+  } catch (err) {
+    process.nextTick(function() {
+      callback(err);
+    });
+    return this;
   }
 
   this._collection[op](castedQuery, castedDoc, options, callback);
   return this;
 }
 
+/*!
+ * Converts an overwriting document to a POJO and encrypts the update's
+ * values for [encrypted paths](#schematype_SchemaType-encrypt).
+ */
+
+function _updateForExec(schema, castedDoc) {
+  if (castedDoc && castedDoc.toBSON) {
+    castedDoc = castedDoc.toBSON();
+  }
+  return encryption.encryptUpdate(schema, castedDoc);
+}
+
 /*!
  * Internal thunk for .update()
  *
@@ -2999,6 +3282,7 @@ Query.prototype.exec = function exec(op, callback) {
       return;
     }
 
+    cb = profiler.track(this.model, this, this.op, cb);
     this[this.op].call(this, (error, res) => {
       if (error) {
         cb(error);
@@ -3061,7 +3345,8 @@ Query.prototype._castUpdate = function _castUpdate(obj, overwrite) {
   return castUpdate(this.schema, obj, {
     overwrite: overwrite,
     strict: strict,
-    omitUndefined
+    omitUndefined,
+    filter: this._conditions
   }, this);
 };
 
@@ -3114,6 +3399,18 @@ function castDoc(query, overwrite) {
  *       console.log(kittens[0].owner.name) // Zoopa
  *     })
  *
+ *     // 每只小猫最多关联 2 个玩具。`options.limit` 限制的是所有小猫一共关联的玩具数量
+ *     Kitten.find().populate({ path: 'toys', perDocumentLimit: 2 });
+ *
+ *     // `match` 也可以是一个函数，参数是每个父文档
+ *     Kitten.find().populate({
+ *       path: 'toys',
+ *       match: function(kitten) { return { color: kitten.favoriteColor }; }
+ *     });
+ *
+ * 使用 `perDocumentLimit` 或函数形式的 `match` 时，每个父文档的表关联由一个独立的查询执行。
+ * `count` virtual 关联的是所有匹配文档的数量，`limit` 和 `perDocumentLimit` 对它没有作用。
+ *
  * 字段的表关联在查询结束并收到响应之后执行。每个指定表关联的路径都由一个独立的查询执行。收到所有查询的响应之后，查询结果被传递给回调函数。
  *
  * @param {Object|String} path 需要做表关联的字段路径，或者包含所有参数的对象
@@ -3261,6 +3558,8 @@ Query.prototype._castFields = function _castFields(fields) {
 
 Query.prototype._applyPaths = function applyPaths() {
   this._fields = this._fields || {};
+  this._selectedVirtuals =
+    applyVirtualDependencies(this._fields, this.model.schema);
   helpers.applyPaths(this._fields, this.model.schema);
   selectPopulatedFields(this);
 };
@@ -3313,6 +3612,7 @@ Query.prototype.cursor = function cursor(opts) {
     this.setOptions(opts);
   }
 
+  prepareSoftDeleteCriteria(this);
   try {
     this.cast(this.model);
   } catch (err) {
@@ -3,8 +3,11 @@
  * Module dependencies
  */
 
+var applyLeanOptions = require('./services/query/applyLeanOptions');
+var decryptDocument = require('./services/encryption/transform').decryptDocument;
 var get = require('lodash.get');
 var isDefiningProjection = require('./services/projection/isDefiningProjection');
+var mpath = require('mpath');
 var utils = require('./utils');
 
 /*!
@@ -43,6 +46,17 @@ exports.preparePopulationOptionsMQ = function preparePopulationOptionsMQ(query,
     pop.forEach(makeLean(options.lean));
   }
 
+  // so should the session
+  var session = query.options.session;
+  if (session != null) {
+    pop.forEach(function(option) {
+      option.options || (option.options = {});
+      if (!('session' in option.options)) {
+        option.options.session = session;
+      }
+    });
+  }
+
   return pop;
 };
 
@@ -74,6 +88,88 @@ function getDiscriminatorByValue(model, value) {
 
 exports.getDiscriminatorByValue = getDiscriminatorByValue;
 
+/*!
+ * Decrypts the encrypted paths of raw documents returned by a `lean()`
+ * query. Non-lean results are decrypted by `Document#init()`.
+ *
+ * @param {Model} model
+ * @param {Object|Object[]} docs
+ */
+
+exports.decryptLean = function decryptLean(model, docs) {
+  var key = model.schema.options.discriminatorKey;
+  [].concat(docs).forEach(function(doc) {
+    if (doc == null) {
+      return;
+    }
+    var discriminator = doc[key] != null ?
+      getDiscriminatorByValue(model, doc[key]) :
+      null;
+    decryptDocument(discriminator ? discriminator.schema : model.schema, doc);
+  });
+};
+
+/*!
+ * Computes the virtuals that a `lean()` query selected, like `fullName` in
+ * `Model.find().select('fullName').lean()`. Getters run with the raw
+ * document as `this`.
+ *
+ * @param {Model} model
+ * @param {Object|Object[]} docs
+ * @param {String[]} virtuals
+ */
+
+exports.applyLeanVirtuals = function applyLeanVirtuals(model, docs, virtuals) {
+  if (virtuals == null || virtuals.length === 0) {
+    return;
+  }
+  var key = model.schema.options.discriminatorKey;
+  [].concat(docs).forEach(function(doc) {
+    if (doc == null) {
+      return;
+    }
+    var discriminator = doc[key] != null ?
+      getDiscriminatorByValue(model, doc[key]) :
+      null;
+    var schema = discriminator ? discriminator.schema : model.schema;
+    virtuals.forEach(function(path) {
+      var virtual = schema.virtuals[path];
+      if (virtual != null) {
+        mpath.set(path, virtual.applyGetters(void 0, doc), doc);
+      }
+    });
+  });
+};
+
+/*!
+ * Applies the `defaults`, `getters` and `virtuals` options of
+ * `Query#lean()` to the raw documents a query returned.
+ *
+ * @param {Model} model
+ * @param {Object|Object[]} docs
+ * @param {Boolean|Object} lean the lean option
+ * @param {Object} [fields] the query projection
+ * @return {Object|Object[]} docs
+ */
+
+exports.applyLeanOptions = function(model, docs, lean, fields) {
+  if (lean == null || typeof lean !== 'object') {
+    return docs;
+  }
+  var key = model.schema.options.discriminatorKey;
+  [].concat(docs).forEach(function(doc) {
+    if (doc == null) {
+      return;
+    }
+    var discriminator = doc[key] != null ?
+      getDiscriminatorByValue(model, doc[key]) :
+      null;
+    applyLeanOptions(discriminator ? discriminator.schema : model.schema, doc,
+      lean, fields);
+  });
+  return docs;
+};
+
 /*!
  * If the document is a mapped discriminator type, it returns a model instance for that type, otherwise,
  * it returns an instance of the given model.
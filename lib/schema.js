@@ -10,6 +10,11 @@ var MongooseTypes;
 var Kareem = require('kareem');
 var SchemaType = require('./schematype');
 var mpath = require('mpath');
+var applyMigrations = require('./services/schema/applyMigrations');
+var history = require('./services/history');
+var softDelete = require('./services/softDelete');
+var toJSONSchema = require('./services/schema/toJSONSchema');
+var fromJSONSchema;
 
 /**
  * Schema 构造函数。
@@ -27,14 +32,18 @@ var mpath = require('mpath');
  *
  * - [autoIndex](/docs/guide.html#autoIndex): bool - 缺省值 null （即使用数据库连接自带的 autoIndex 选项）
  * - [bufferCommands](/docs/guide.html#bufferCommands): bool - 缺省值 true
+ * - `bufferTimeoutMS`: number - 缺省值 null。数据库连接没有打开时，缓冲的操作超过这个毫秒数后以 `BufferTimeoutError` 失败。覆盖数据库连接和全局的 `bufferTimeoutMS` 选项
  * - [capped](/docs/guide.html#capped): bool - 缺省值 false
  * - [collection](/docs/guide.html#collection): string - 没有缺省值
+ * - `history`: bool|object - 缺省值 false。开启后每次 save 和 update 都会把变更记录到历史集合，参见 [Document#history](#document_Document-history)
  * - [id](/docs/guide.html#id): bool - 缺省值 true
  * - [_id](/docs/guide.html#_id): bool - 缺省值 true
  * - `minimize`: bool - 当 [document#toObject](#document_Document-toObject) 被手动调用时控制其行为 - 缺省值 true
+ * - `optimisticConcurrency`: bool - 缺省值 false。开启后每次 save 都会检查并递增 [versionKey](/docs/guide.html#versionKey)，而不只是修改数组时，版本过期时报 `VersionError`
  * - [read](/docs/guide.html#read): string
  * - [safe](/docs/guide.html#safe): bool - 缺省值 true.
  * - [shardKey](/docs/guide.html#shardKey): bool - 缺省值 `null`
+ * - `softDelete`: bool|object - 缺省值 false。开启后删除文档只会设置 `deletedAt` 路径，查询默认排除已删除文档，参见 [Query#withDeleted](#query_Query-withDeleted)
  * - [strict](/docs/guide.html#strict): bool - 缺省值 true
  * - [toJSON](/docs/guide.html#toJSON) - object - 没有缺省值
  * - [toObject](/docs/guide.html#toObject) - object - 没有缺省值
@@ -76,6 +85,7 @@ function Schema(obj, options) {
   this.query = {};
   this.childSchemas = [];
   this.plugins = [];
+  this._migrations = [];
 
   this.s = {
     hooks: new Kareem()
@@ -105,6 +115,14 @@ function Schema(obj, options) {
     this.setupTimestamp(this.options.timestamps);
   }
 
+  if (this.options.softDelete) {
+    this.setupSoftDelete();
+  }
+
+  if (this.options.history) {
+    this.setupHistory();
+  }
+
   // Assign virtual properties based on alias option
   aliasFields(this);
 }
@@ -242,6 +260,7 @@ Schema.prototype.clone = function() {
   s.query = utils.clone(this.query);
   s.plugins = Array.prototype.slice.call(this.plugins);
   s._indexes = utils.clone(this._indexes);
+  s._migrations = this._migrations.slice();
   s.s.hooks = this.s.hooks.clone();
 
   s.tree = utils.clone(this.tree);
@@ -296,6 +315,7 @@ Schema.prototype.defaultOptions = function(options) {
     capped: false, // { size, max, autoIndexId }
     versionKey: '__v',
     discriminatorKey: '__t',
+    schemaVersionKey: '__sv',
     minimize: true,
     autoIndex: null,
     shardKey: null,
@@ -443,6 +463,11 @@ Schema.prototype.path = function(path, obj) {
       return this.singleNestedPaths[path];
     }
 
+    var mapPath = getMapPath(this, path);
+    if (mapPath) {
+      return mapPath;
+    }
+
     // subpaths?
     return /\.\d+\.?.*$/.test(path)
       ? getPositionalPath(this, path)
@@ -502,8 +527,29 @@ Schema.prototype.path = function(path, obj) {
       schema: this.paths[path].schema,
       model: this.paths[path].casterConstructor
     });
+  } else if (this.paths[path].$isSchemaMap) {
+    // map 的值的类型，`of` 缺省为 Mixed
+    var of = obj != null && obj.constructor &&
+      utils.getFunctionName(obj.constructor) === 'Object' && obj.of != null ?
+      obj.of :
+      {};
+    var valueType = Schema.interpretAsType(path + '.$*', of, this.options);
+    if (valueType.$isSingleNested) {
+      // 每个值的 `$basePath` 在放进 map 时设置为 `path.key`
+      valueType.caster.prototype.$basePath = null;
+      this.childSchemas.push({
+        schema: valueType.schema,
+        model: valueType.caster
+      });
+    }
+    this.paths[path].$__schemaType = valueType;
   } else if (this.paths[path].path === '_id' && this.paths[path].options && this.paths[path].options.unique) {
     throw new Error('Cannot put unique index on _id');
+  } else if (this.paths[path].$isMongooseArray && this.paths[path].caster &&
+      this.paths[path].caster.options && this.paths[path].caster.options.encrypt) {
+    // 加密的是整个路径的值，不支持单独加密数组元素
+    throw new Error('Cannot encrypt the elements of array `' + path + '`, ' +
+      'set `encrypt` on the array instead');
   }
 
   return this;
@@ -722,6 +768,10 @@ Schema.prototype.pathType = function(path) {
     return 'real';
   }
 
+  if (getMapPath(this, path)) {
+    return 'real';
+  }
+
   if (/\.\d+\.|\.\d+$/.test(path)) {
     return getPositionalPathType(this, path);
   }
@@ -879,6 +929,185 @@ function handleTimestampOption(arg, prop) {
   return arg[prop];
 }
 
+/**
+ * 开启软删除时添加记录删除时间的路径。
+ *
+ * 开启后：
+ *
+ * - `doc.remove()`、`Query#remove()`、`deleteOne()`、`deleteMany()` 和
+ *   `findOneAndRemove()` 不会删除文档，而是把 `deletedAt` 设为当前时间
+ * - `find()`、`findOne()`、`count()`、`distinct()` 和 `Model.aggregate()`
+ *   默认排除已删除的文档，用 [Query#withDeleted()](#query_Query-withDeleted)
+ *   或 [Query#onlyDeleted()](#query_Query-onlyDeleted) 改变这一行为
+ * - `update()` 和 `findOneAndUpdate()` 等更新操作不受影响
+ *
+ * ####示例:
+ *
+ *     var schema = new Schema({ name: String }, { softDelete: true });
+ *     // 自定义路径名
+ *     var schema = new Schema({ name: String }, { softDelete: { deletedAt: 'removedAt' } });
+ *
+ * @api private
+ */
+
+Schema.prototype.setupSoftDelete = function() {
+  var path = softDelete.getPath(this);
+  if (path != null && !this.paths[path]) {
+    var schemaAdditions = {};
+    schemaAdditions[path] = Date;
+    this.add(schemaAdditions);
+  }
+};
+
+/**
+ * 开启历史记录时注册记录变更的中间件和 `history()`、`revertTo()` 方法。
+ *
+ * 每次 `save()`，以及 `update()`、`updateOne()`、`updateMany()`、`replaceOne()`
+ * 和 `findOneAndUpdate()` 改变的每一条文档，都会在历史集合里插入一条记录。
+ * 同时开启 `softDelete` 时，软删除的文档也会被记录：
+ *
+ *     {
+ *       ref: ObjectId('...'), // 文档的 _id
+ *       model: 'User',
+ *       version: 2, // 同一文档的记录从 1 开始递增
+ *       op: 'update', // 'create'、'save'、'update'、'delete' 或 'revert'
+ *       actor: 'alice', // save 或查询的 `actor` 选项
+ *       at: Date('...'),
+ *       changes: [{ path: 'name', before: 'Val', after: 'Valeri' }]
+ *     }
+ *
+ * 历史集合默认是模型集合名加上 `_history`，`{ ref, version }` 上有唯一索引。
+ * `encrypt` 的路径在 `changes` 里也是加密的，`history()` 会解密。
+ *
+ * ####示例:
+ *
+ *     var schema = new Schema({ name: String }, { history: true });
+ *     // 自定义历史集合
+ *     var schema = new Schema({ name: String }, { history: { collection: 'audit' } });
+ *
+ *     doc.save({ actor: 'alice' });
+ *     User.updateMany({}, { $set: { active: false } }, { actor: 'bob' });
+ *
+ *     doc.history(function(err, entries) {});
+ *     doc.revertTo(1, { actor: 'alice' }); // 恢复到第 1 条记录之后的状态
+ *
+ * @api private
+ */
+
+Schema.prototype.setupHistory = function() {
+  this.post('init', function(doc) {
+    doc.$__.historySnapshot = history.snapshot(doc);
+  });
+
+  this.pre('save', function(next, options) {
+    this.$__.historyOp = this.$__.historyOp || (this.isNew ? 'create' : 'save');
+    this.$__.historyActor = options != null ? options.actor : null;
+    next();
+  });
+
+  this.post('save', function(doc, next) {
+    var snapshot = history.snapshot(doc);
+    var changeset = {
+      ref: doc._id,
+      op: doc.$__.historyOp,
+      changes: history.diff(doc.$__.historySnapshot, snapshot)
+    };
+    var options = { actor: doc.$__.historyActor, session: doc.$session() };
+    doc.$__.historySnapshot = snapshot;
+    doc.$__.historyOp = null;
+    doc.$__.historyActor = null;
+
+    history.record(doc.constructor, [changeset], options, next);
+  });
+
+  var updateOps = ['update', 'updateOne', 'updateMany', 'replaceOne', 'findOneAndUpdate'];
+
+  if (softDelete.getPath(this) != null) {
+    // 软删除是更新，记录为 `op` 为 `'delete'` 的历史记录。`Query#remove()`、
+    // `deleteOne()` 和 `deleteMany()` 没有查询中间件，由 `Query` 自己记录
+    updateOps.push('findOneAndRemove');
+
+    this.pre('remove', function(next, options) {
+      this.$__.historyActor = options != null ? options.actor : null;
+      next();
+    });
+
+    this.post('remove', function(doc, next) {
+      var snapshot = history.snapshot(doc);
+      var changeset = {
+        ref: doc._id,
+        op: 'delete',
+        changes: history.diff(doc.$__.historySnapshot, snapshot)
+      };
+      var options = { actor: doc.$__.historyActor, session: doc.$session() };
+      doc.$__.historySnapshot = snapshot;
+      doc.$__.historyActor = null;
+
+      history.record(doc.constructor, [changeset], options, next);
+    });
+  }
+
+  updateOps.forEach(function(op) {
+    this.pre(op, function(next) {
+      history.findBeforeUpdate(this, (error, docs) => {
+        this._historyBefore = docs;
+        next(error);
+      });
+    });
+
+    this.post(op, function(res, next) {
+      history.recordUpdate(this, this._historyBefore || [], res, next);
+    });
+  }, this);
+
+  // `doc.history([callback])`: 读取文档的历史记录，按 `version` 升序排列
+  this.methods.history = function(callback) {
+    if (callback) {
+      callback = this.constructor.$wrapCallback(callback);
+    }
+    return utils.promiseOrCallback(callback, cb => {
+      history.find(this.constructor, this._id, {}, { session: this.$session() }, cb);
+    });
+  };
+
+  // `doc.revertTo(version, [options], [callback])`: 把文档恢复到第 `version`
+  // 条记录之后的状态并用 `options` 保存，恢复本身也会被记录，`op` 为 `'revert'`
+  this.methods.revertTo = function(version, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+    if (callback) {
+      callback = this.constructor.$wrapCallback(callback);
+    }
+
+    return utils.promiseOrCallback(callback, cb => {
+      var conditions = { version: { $gte: version } };
+      var findOptions = { session: this.$session() };
+      history.find(this.constructor, this._id, conditions, findOptions, (error, entries) => {
+        if (error) {
+          return cb(error);
+        }
+        if (entries.length === 0 || entries[0].version !== version) {
+          return cb(new Error('No history entry with version ' + version +
+            ' for document ' + this._id));
+        }
+
+        for (var i = entries.length - 1; i > 0; --i) {
+          entries[i].changes.forEach(change => {
+            this.set(change.path, change.before);
+          });
+        }
+        this.$__.historyOp = 'revert';
+        this.save(options, (error, doc) => {
+          this.$__.historyOp = null;
+          cb(error, doc);
+        });
+      });
+    });
+  };
+};
+
 /*!
  * ignore
  */
@@ -1035,6 +1264,33 @@ function getPositionalPathType(self, path) {
 }
 
 
+/*!
+ * 返回 map 中的值的 schematype，比如 `map.key`、`map.$*` 或者
+ * `map.key.name`（值是子文档时）。
+ */
+
+function getMapPath(self, path) {
+  if (typeof path !== 'string' || path.indexOf('.') === -1) {
+    return undefined;
+  }
+
+  var parts = path.split('.');
+  for (var i = 1; i < parts.length; ++i) {
+    var schematype = self.paths[parts.slice(0, i).join('.')];
+    if (!schematype || !schematype.$isSchemaMap) {
+      continue;
+    }
+    var valueType = schematype.$__schemaType;
+    if (i + 1 === parts.length) {
+      return valueType;
+    }
+    return valueType.schema ?
+      valueType.schema.path(parts.slice(i + 1).join('.')) :
+      undefined;
+  }
+  return undefined;
+}
+
 /*!
  * ignore
  */
@@ -1194,6 +1450,62 @@ Schema.prototype.method = function(name, fn) {
   return this;
 };
 
+/**
+ * 注册一个迁移函数，把文档的结构 (shape) 从版本 `from` 升级到版本 `to`。
+ *
+ * 文档的结构版本保存在 `schemaVersionKey` 选项指定的字段中（缺省值 `__sv`），
+ * 新文档的版本是所有迁移中最高的 `to`。没有版本的旧文档被视为最低的 `from` 版本。
+ *
+ * 从数据库加载文档时 ([Document#init](#document_Document-init))，
+ * 旧版本的文档会被依次执行迁移函数升级，被修改的字段会被标记为已修改，下次 `save()` 时写入数据库。
+ * 用 [Model.migrate()](#model_Model.migrate) 可以批量升级整个集合。
+ *
+ * 迁移函数接收文档的原始数据 (plain object)，必须是同步的。
+ * 它可以直接修改这个对象，也可以返回一个新对象。
+ *
+ * ####示例
+ *
+ *     var schema = new Schema({ firstName: String, lastName: String });
+ *     schema.migration(0, 1, function(doc) {
+ *       var parts = doc.name.split(' ');
+ *       doc.firstName = parts[0];
+ *       doc.lastName = parts[1];
+ *       delete doc.name;
+ *     });
+ *
+ * @param {Number} from 迁移前的版本
+ * @param {Number} to 迁移后的版本，必须大于 `from`
+ * @param {Function} fn 迁移函数
+ * @return {Schema} this
+ * @api public
+ */
+
+Schema.prototype.migration = function(from, to, fn) {
+  if (typeof from !== 'number' || typeof to !== 'number' || !(to > from)) {
+    throw new Error('schema.migration() requires numeric versions with ' +
+      '`to` greater than `from`, got ' + from + ' and ' + to);
+  }
+  if (typeof fn !== 'function') {
+    throw new Error('schema.migration() requires a function, got ' + fn);
+  }
+
+  this._migrations.push({ from: from, to: to, fn: fn });
+
+  var key = this.options.schemaVersionKey;
+  if (!this.paths[key]) {
+    var obj = {};
+    obj[key] = {
+      default: function() {
+        return applyMigrations.latestVersion(this.schema);
+      }
+    };
+    obj[key][this.options.typeKey] = Number;
+    this.add(obj);
+  }
+
+  return this;
+};
+
 /**
  * 向由该 schema 编译生成的 Model 添加静态类方法
  *
@@ -1288,6 +1600,18 @@ Schema.prototype.set = function(key, value, _tags) {
       this.options[key] = value;
       this._userProvidedOptions[key] = this.options[key];
       break;
+    case 'softDelete':
+      this.options[key] = value;
+      this._userProvidedOptions[key] = this.options[key];
+      this.setupSoftDelete();
+      break;
+    case 'history':
+      if (value && !this.options.history) {
+        this.setupHistory();
+      }
+      this.options[key] = value;
+      this._userProvidedOptions[key] = this.options[key];
+      break;
     default:
       this.options[key] = value;
       this._userProvidedOptions[key] = this.options[key];
@@ -1447,11 +1771,119 @@ Schema.prototype.indexes = function() {
   }
 };
 
+/**
+ * 把 schema 转换成 [JSON Schema (draft-07)](http://json-schema.org/)。
+ * 如果 `options.mongodb` 为 true，则返回可以用作 MongoDB 集合验证器的
+ * `{ $jsonSchema: ... }` 对象，用 `bsonType` 代替 `type`。
+ *
+ * 内置验证器 `required`、`enum`、`min`、`max`、`minlength`、`maxlength`
+ * 和 `match` 会被转换成对应的关键字。非必需的字段允许 `null`，
+ * Mixed 类型的字段可以是任意值。自定义验证器和函数形式的 `required` 无法转换，会被忽略。
+ *
+ * ####示例
+ *
+ *     var schema = new Schema({ name: { type: String, required: true } });
+ *     schema.toJSONSchema();
+ *     // { $schema: 'http://json-schema.org/draft-07/schema#',
+ *     //   type: 'object',
+ *     //   properties: { name: { type: 'string', minLength: 1 }, _id: ... },
+ *     //   required: ['name'] }
+ *
+ *     db.createCollection('users', {
+ *       validator: schema.toJSONSchema({ mongodb: true })
+ *     });
+ *
+ * @param {Object} [options]
+ * @param {Boolean} [options.mongodb] 如果为 true，返回 MongoDB 的 `$jsonSchema` 验证器
+ * @return {Object}
+ * @see Schema.fromJSONSchema #schema_Schema.fromJSONSchema
+ * @api public
+ */
+
+Schema.prototype.toJSONSchema = function(options) {
+  return toJSONSchema(this, options);
+};
+
+/**
+ * 根据 JSON Schema (draft-07) 或者 MongoDB 的 `$jsonSchema` 验证器创建一个 schema，
+ * 是 [`Schema#toJSONSchema()`](#schema_Schema-toJSONSchema) 的逆操作。
+ *
+ * 类型为 `object` 的属性会成为嵌套路径，数组中的 `object` 会成为子文档。
+ * 子文档只有在 JSON Schema 中声明了 `_id` 时才会有 `_id`。
+ * 没有类型或者有多个类型的属性会成为 Mixed 类型。
+ *
+ * ####示例
+ *
+ *     var schema = Schema.fromJSONSchema({
+ *       type: 'object',
+ *       properties: { name: { type: 'string', maxLength: 20 } },
+ *       required: ['name']
+ *     });
+ *     schema.path('name').isRequired; // true
+ *
+ * @param {Object} jsonSchema
+ * @param {Object} [options] schema 选项参数
+ * @return {Schema}
+ * @api public
+ */
+
+Schema.fromJSONSchema = function(jsonSchema, options) {
+  // lazy load, the schema types depend on this module
+  fromJSONSchema || (fromJSONSchema = require('./services/schema/fromJSONSchema'));
+  return fromJSONSchema(this, jsonSchema, options);
+};
+
 /**
  * 以给定名称创建一个虚拟类型 (virtual type)
  *
+ * `dependsOn` 选项声明 virtual 依赖的路径。查询 select 这个 virtual 时，
+ * 这些路径会被自动选择，`lean()` 查询也会计算这个 virtual。
+ *
+ * ####示例
+ *
+ *     schema.virtual('fullName', { dependsOn: ['first', 'last'] }).get(function() {
+ *       return this.first + ' ' + this.last;
+ *     });
+ *
+ *     // 选择 `first` 和 `last`
+ *     Model.find().select('fullName');
+ *     // [{ _id: ..., first: 'Jean', last: 'Valjean', fullName: 'Jean Valjean' }]
+ *     Model.find().select('fullName').lean();
+ *
+ * 带 `ref` 的 virtual 可以用 `populate()` 做表关联。`count: true` 时关联结果是匹配文档的数量，
+ * 由一个按 `foreignField` 分组的聚合算出，不会加载文档，`limit`、`perDocumentLimit` 和 `sort` 对计数没有作用。
+ * `match` 可以是一个函数，参数是父文档，返回这个父文档的查询条件。
+ * `perDocumentLimit` 限制每个父文档关联的文档数量。
+ *
+ * ####示例
+ *
+ *     authorSchema.virtual('numPosts', {
+ *       ref: 'Post',
+ *       localField: '_id',
+ *       foreignField: 'author',
+ *       count: true
+ *     });
+ *     authorSchema.virtual('recentPosts', {
+ *       ref: 'Post',
+ *       localField: '_id',
+ *       foreignField: 'author',
+ *       match: function(author) { return { year: { $gte: author.since } }; },
+ *       perDocumentLimit: 10
+ *     });
+ *
+ *     const authors = await Author.find().populate('numPosts');
+ *     authors[0].numPosts; // 3
+ *
  * @param {String} name
  * @param {Object} [options]
+ * @param {String|String[]} [options.dependsOn] virtual 依赖的路径，可以是其他 virtual
+ * @param {String|Model} [options.ref] 表关联的 model
+ * @param {String} [options.localField] 本地字段，`ref` 存在时必须指定
+ * @param {String} [options.foreignField] 关联 model 中对应的字段，`ref` 存在时必须指定
+ * @param {Boolean} [options.justOne=false] 只关联一个文档
+ * @param {Boolean} [options.count=false] 关联匹配文档的数量，而不是文档本身
+ * @param {Object|Function} [options.match] 额外的查询条件，或者根据父文档返回查询条件的函数
+ * @param {Number} [options.perDocumentLimit] 每个父文档最多关联的文档数量
  * @return {VirtualType}
  */
 
@@ -1472,7 +1904,9 @@ Schema.prototype.virtual = function(name, options) {
           this.$$populatedVirtuals = {};
         }
 
-        if (options.justOne) {
+        if (options.count) {
+          this.$$populatedVirtuals[name] = _v;
+        } else if (options.justOne) {
           this.$$populatedVirtuals[name] = Array.isArray(_v) ?
             _v[0] :
             _v;
@@ -1503,7 +1937,9 @@ Schema.prototype.virtual = function(name, options) {
           this.$$populatedVirtuals = {};
         }
 
-        if (options.justOne) {
+        if (options.count) {
+          this.$$populatedVirtuals[name] = _v;
+        } else if (options.justOne) {
           this.$$populatedVirtuals[name] = Array.isArray(_v) ?
             _v[0] :
             _v;
@@ -1839,6 +2275,7 @@ module.exports = exports = Schema;
  * - [Date](#schema-date-js)
  * - [ObjectId](#schema-objectid-js) | Oid
  * - [Mixed](#schema-mixed-js)
+ * - [Map](#schema-map-js)
  *
  * 通过这里的暴露入口，我们可以在 schema 中使用 `Mixed` SchemaType
  *
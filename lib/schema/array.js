@@ -11,9 +11,12 @@ var Types = {
   Boolean: require('./boolean'),
   Date: require('./date'),
   Number: require('./number'),
+  Int32: require('./int32'),
+  Long: require('./long'),
   String: require('./string'),
   ObjectId: require('./objectid'),
-  Buffer: require('./buffer')
+  Buffer: require('./buffer'),
+  UUID: require('./uuid')
 };
 var Mixed = require('./mixed');
 var cast = require('../cast');
@@ -24,6 +27,7 @@ var castToNumber = require('./operators/helpers').castToNumber;
 var geospatial = require('./operators/geospatial');
 var getDiscriminatorByValue = require('../queryhelpers').getDiscriminatorByValue;
 
+var MongooseError = require('../error');
 var MongooseArray;
 var EmbeddedDoc;
 
@@ -140,6 +144,224 @@ SchemaArray.prototype.enum = function() {
   return this;
 };
 
+/**
+ * Sets a minimum length validator.
+ *
+ * ####Example:
+ *
+ *     var s = new Schema({ tags: { type: [String], minItems: 1 }})
+ *     var M = db.model('M', s)
+ *     var m = new M({ tags: [] })
+ *     m.save(function (err) {
+ *       console.error(String(err)) // ValidationError: Path `tags` has fewer than 1 items.
+ *     })
+ *
+ * The `{MINITEMS}` token in custom messages is replaced with `value`.
+ *
+ * @param {Number} value minimum number of items
+ * @param {String} [message] optional custom error message
+ * @return {SchemaType} this
+ * @see Customized Error Messages #error_messages_MongooseError-messages
+ * @api public
+ */
+
+SchemaArray.prototype.minItems = function(value, message) {
+  if (this.minItemsValidator) {
+    this.validators = this.validators.filter(function(v) {
+      return v.validator !== this.minItemsValidator;
+    }, this);
+    this.minItemsValidator = false;
+  }
+
+  if (value !== null && value !== undefined) {
+    var msg = message || MongooseError.messages.Array.minItems;
+    msg = msg.replace(/{MINITEMS}/, value);
+    this.validators.push({
+      validator: this.minItemsValidator = function(v) {
+        return v == null || v.length >= value;
+      },
+      message: msg,
+      type: 'minItems',
+      minItems: value
+    });
+  }
+
+  return this;
+};
+
+/**
+ * Sets a maximum length validator. With [update validators](/docs/validation.html#update-validators),
+ * a `$push` or `$addToSet` is rejected if it would make the array of a
+ * matching document longer than `value`. `$addToSet` only counts the items
+ * the array doesn't have yet.
+ *
+ * ####Example:
+ *
+ *     var s = new Schema({ tags: { type: [String], maxItems: 2 }})
+ *     var M = db.model('M', s)
+ *     var m = new M({ tags: ['a', 'b', 'c'] })
+ *     m.save(function (err) {
+ *       console.error(String(err)) // ValidationError: Path `tags` has more than 2 items.
+ *     })
+ *
+ * The `{MAXITEMS}` token in custom messages is replaced with `value`.
+ *
+ * @param {Number} value maximum number of items
+ * @param {String} [message] optional custom error message
+ * @return {SchemaType} this
+ * @see Customized Error Messages #error_messages_MongooseError-messages
+ * @api public
+ */
+
+SchemaArray.prototype.maxItems = function(value, message) {
+  if (this.maxItemsValidator) {
+    this.validators = this.validators.filter(function(v) {
+      return v.validator !== this.maxItemsValidator;
+    }, this);
+    this.maxItemsValidator = false;
+  }
+
+  if (value !== null && value !== undefined) {
+    var msg = message || MongooseError.messages.Array.maxItems;
+    msg = msg.replace(/{MAXITEMS}/, value);
+    this.validators.push({
+      validator: this.maxItemsValidator = function(v) {
+        return v == null || v.length <= value;
+      },
+      message: msg,
+      type: 'maxItems',
+      maxItems: value
+    });
+  }
+
+  return this;
+};
+
+/**
+ * Sets a validator that rejects arrays with duplicate items. Items are
+ * compared by value, or, for document arrays, by the value of their `key`
+ * path if there is one. With [update validators](/docs/validation.html#update-validators),
+ * a `$push` or `$addToSet` is rejected if an item it adds is already in the
+ * array of a matching document.
+ *
+ * ####Example:
+ *
+ *     var s = new Schema({
+ *       tags: { type: [String], uniqueItems: true },
+ *       lines: { type: [{ sku: String, qty: Number }], uniqueItems: 'sku' }
+ *     })
+ *     var M = db.model('M', s)
+ *     var m = new M({ lines: [{ sku: 'a', qty: 1 }, { sku: 'a', qty: 2 }] })
+ *     m.save(function (err) {
+ *       console.error(String(err)) // ValidationError: Path `lines` contains duplicate items.
+ *     })
+ *
+ *     // or with a custom error message
+ *     var s = new Schema({
+ *       lines: {
+ *         type: [{ sku: String, qty: Number }],
+ *         uniqueItems: { key: 'sku', message: 'Each sku may only appear once' }
+ *       }
+ *     })
+ *
+ * @param {Boolean|String|Object} key `true` to compare whole items, the path to compare document array items by, or an object with `key` and `message`
+ * @param {String} [message] optional custom error message
+ * @return {SchemaType} this
+ * @see Customized Error Messages #error_messages_MongooseError-messages
+ * @api public
+ */
+
+SchemaArray.prototype.uniqueItems = function(key, message) {
+  if (this.uniqueItemsValidator) {
+    this.validators = this.validators.filter(function(v) {
+      return v.validator !== this.uniqueItemsValidator;
+    }, this);
+    this.uniqueItemsValidator = false;
+  }
+
+  if (utils.isObject(key)) {
+    message = key.message;
+    key = key.key == null ? true : key.key;
+  }
+  if (!key) {
+    return this;
+  }
+  if (typeof key === 'string' && !get(this, 'caster.$isArraySubdocument')) {
+    throw new Error('`uniqueItems` can only compare items by a key in ' +
+      'document arrays, path `' + this.path + '` is not one');
+  }
+
+  var getKey = typeof key === 'string' ?
+    function(item) { return item == null ? item : utils.getValue(key, item); } :
+    function(item) { return item; };
+  this.validators.push({
+    validator: this.uniqueItemsValidator = function(v) {
+      return v == null || findDuplicate(v.map(getKey)) === -1;
+    },
+    message: message || MongooseError.messages.Array.uniqueItems,
+    type: 'uniqueItems',
+    uniqueItems: key
+  });
+
+  return this;
+};
+
+/*!
+ * Returns the index of the first item of `values` that equals an earlier
+ * one, or -1. Primitives, dates, ObjectIds and buffers are hashed, anything
+ * else is compared with `deepEqual()`.
+ */
+
+function findDuplicate(values) {
+  var seen = {};
+  var objects = [];
+  for (var i = 0; i < values.length; ++i) {
+    var hash = hashValue(values[i]);
+    if (hash == null) {
+      for (var j = 0; j < objects.length; ++j) {
+        if (utils.deepEqual(objects[j], values[i])) {
+          return i;
+        }
+      }
+      objects.push(values[i]);
+    } else if (seen.hasOwnProperty(hash)) {
+      return i;
+    } else {
+      seen[hash] = true;
+    }
+  }
+  return -1;
+}
+
+/*!
+ * ignore
+ */
+
+function hashValue(v) {
+  if (v == null) {
+    return 'null';
+  }
+  if (v instanceof Number || v instanceof String || v instanceof Boolean) {
+    v = v.valueOf();
+  }
+  switch (typeof v) {
+    case 'number':
+    case 'string':
+    case 'boolean':
+      return typeof v + ':' + v;
+  }
+  if (v instanceof Date) {
+    return 'date:' + v.valueOf();
+  }
+  if (Buffer.isBuffer(v)) {
+    return 'buffer:' + v.toString('base64');
+  }
+  if (v._bsontype === 'ObjectID' || v._bsontype === 'Decimal128') {
+    return v._bsontype + ':' + v.toString();
+  }
+  return null;
+}
+
 /**
  * Check if the given value satisfies a `required` validator. The given value
  * must be an array (that is, not `null` or `undefined`).
@@ -6,6 +6,7 @@ var MongooseError = require('../error');
 var utils = require('../utils');
 
 var SchemaType = require('../schematype');
+var timezone = require('../services/date/timezone');
 
 var CastError = SchemaType.CastError;
 
@@ -19,6 +20,9 @@ var CastError = SchemaType.CastError;
  */
 
 function SchemaDate(key, options) {
+  this._timezone = null;
+  this._truncate = null;
+  this._iso = false;
   SchemaType.call(this, key, options, 'Date');
 }
 
@@ -77,6 +81,86 @@ SchemaDate.prototype.expires = function(when) {
   return this;
 };
 
+/**
+ * Sets the time zone that strings without an offset are read in, and that
+ * [truncation](#schema_date_SchemaDate-truncate) uses for day boundaries.
+ * Either an IANA time zone name or a fixed offset like `+05:30` or `UTC`.
+ *
+ * Once a path has a time zone, strings must be ISO 8601, like `2018-05-01`
+ * or `2018-05-01T10:30`, or end with an explicit zone, like
+ * `Tue, 01 May 2018 10:00:00 GMT`. Other strings, like `05/01/2018`, are
+ * ambiguous and fail to cast.
+ *
+ * ####Example:
+ *
+ *     var s = new Schema({ due: { type: Date, timezone: 'America/New_York' }});
+ *     var M = db.model('M', s);
+ *     new M({ due: '2018-05-01' }).due; // 2018-05-01T04:00:00.000Z
+ *     new M({ due: '2018-05-01T10:30Z' }).due; // 2018-05-01T10:30:00.000Z
+ *     new M({ due: 'May 1, 2018' }).validateSync(); // CastError
+ *
+ * @param {String} zone pass `null` to remove
+ * @return {SchemaType} this
+ * @api public
+ */
+
+SchemaDate.prototype.timezone = function(zone) {
+  if (zone != null) {
+    timezone.validate(zone);
+  }
+  this._timezone = zone == null ? null : zone;
+  return this;
+};
+
+/**
+ * Truncates dates to the start of their `day`, `hour`, `minute` or
+ * `second` when they're cast, in the path's
+ * [time zone](#schema_date_SchemaDate-timezone) or UTC.
+ *
+ * ####Example:
+ *
+ *     var s = new Schema({ day: { type: Date, truncate: 'day', timezone: 'Asia/Tokyo' }});
+ *     var M = db.model('M', s);
+ *     new M({ day: '2018-05-01T23:30+09:00' }).day; // 2018-04-30T15:00:00.000Z
+ *
+ * Range conditions, like `$gte` and `$lt`, are not truncated in queries.
+ *
+ * @param {String} unit pass `null` to remove
+ * @return {SchemaType} this
+ * @api public
+ */
+
+SchemaDate.prototype.truncate = function(unit) {
+  if (unit != null && !timezone.isUnit(unit)) {
+    throw new TypeError('Invalid `truncate` unit `' + unit + '` for path `' +
+      this.path + '`, must be one of day, hour, minute, second');
+  }
+  this._truncate = unit == null ? null : unit;
+  return this;
+};
+
+/**
+ * Only casts ISO 8601 strings, like `2018-05-01` or
+ * `2018-05-01T10:30:00.000+02:00`. Other strings throw a CastError, as do
+ * values other than strings, numbers and dates.
+ *
+ * ####Example:
+ *
+ *     var s = new Schema({ at: { type: Date, iso: true }});
+ *     var M = db.model('M', s);
+ *     new M({ at: '2018-05-01T10:30Z' }).at; // 2018-05-01T10:30:00.000Z
+ *     new M({ at: 'Tue, 01 May 2018 10:30:00 GMT' }).validateSync(); // CastError
+ *
+ * @param {Boolean} [shouldApply] defaults to `true`
+ * @return {SchemaType} this
+ * @api public
+ */
+
+SchemaDate.prototype.iso = function(shouldApply) {
+  this._iso = arguments.length === 0 || !!shouldApply;
+  return this;
+};
+
 /**
  * Check if the given value satisfies a required validator. To satisfy
  * a required validator, the given value must be an instance of `Date`.
@@ -211,11 +295,32 @@ SchemaDate.prototype.max = function(value, message) {
  */
 
 SchemaDate.prototype.cast = function(value) {
+  var date = this._castDate(value);
+  if (date != null && this._truncate != null) {
+    return timezone.truncate(date, this._truncate, this._timezone);
+  }
+  return date;
+};
+
+/*!
+ * Casts to date without truncating.
+ */
+
+SchemaDate.prototype._castDate = function(value) {
   // If null or undefined
   if (value === null || value === void 0 || value === '') {
     return null;
   }
 
+  if (typeof value === 'string' && (this._iso || this._timezone != null)) {
+    return this._castString(value);
+  }
+  if (this._iso && !(value instanceof Date) &&
+      !(value instanceof Number || typeof value === 'number')) {
+    throw new CastError('date', value, this.path,
+      new Error('Only ISO 8601 strings, numbers and dates are allowed'));
+  }
+
   if (value instanceof Date) {
     if (isNaN(value.valueOf())) {
       throw new CastError('date', value, this.path);
@@ -249,13 +354,33 @@ SchemaDate.prototype.cast = function(value) {
 };
 
 /*!
- * Date Query casting.
+ * Casts strings for paths with a time zone or in ISO mode.
+ */
+
+SchemaDate.prototype._castString = function(value) {
+  var date = timezone.parseISO(value.trim(), this._timezone);
+  if (date == null && !this._iso && timezone.hasExplicitZone(value)) {
+    date = new Date(value);
+  }
+  if (date != null && !isNaN(date.valueOf())) {
+    return date;
+  }
+
+  var reason = this._iso ?
+    'Expected an ISO 8601 string' :
+    'Strings without an explicit zone must be ISO 8601';
+  throw new CastError('date', value, this.path, new Error(reason));
+};
+
+/*!
+ * Date Query casting. Range conditions aren't truncated, `$lt` the end of a
+ * day shouldn't turn into `$lt` its start.
  *
  * @api private
  */
 
 function handleSingle(val) {
-  return this.cast(val);
+  return this._castDate(val);
 }
 
 SchemaDate.prototype.$conditionalHandlers =
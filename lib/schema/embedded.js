@@ -11,6 +11,7 @@ const castToNumber = require('./operators/helpers').castToNumber;
 const discriminator = require('../services/model/discriminator');
 const geospatial = require('./operators/geospatial');
 const internalToObjectOptions = require('../options').internalToObjectOptions;
+const utils = require('../utils');
 var getDiscriminatorByValue = require('../queryhelpers').getDiscriminatorByValue;
 
 let Subdocument;
@@ -269,17 +270,49 @@ Embedded.prototype.doValidateSync = function(value, scope) {
 };
 
 /**
- * Adds a discriminator to this property
+ * Adds a discriminator to this property. Values set on, loaded into or
+ * `$set` on this path are cast to the discriminator that their
+ * discriminator key names.
+ *
+ * ####Example:
+ *
+ *     var shapeSchema = new Schema({ name: String }, { discriminatorKey: 'kind' });
+ *     var schema = new Schema({ shape: shapeSchema });
+ *     schema.path('shape').discriminator('Circle', new Schema({ radius: Number }));
+ *     schema.path('shape').discriminator('Square', new Schema({ side: Number }));
+ *
+ *     var doc = new Model({ shape: { kind: 'Circle', radius: 5 } });
+ *     doc.shape.radius; // 5
+ *
+ *     // `shape.radius` is cast using the `Circle` schema
+ *     Model.updateOne({ 'shape.kind': 'Circle' }, { 'shape.radius': '7' });
  *
  * @param {String} name
  * @param {Schema} schema fields to add to the schema for instances of this sub-class
+ * @return {Function} the constructor for subdocs of this discriminator
  * @api public
  */
 
 Embedded.prototype.discriminator = function(name, schema) {
-  discriminator(this.caster, name, schema);
+  if (typeof name === 'function') {
+    name = utils.getFunctionName(name);
+  }
+
+  schema = discriminator(this.caster, name, schema);
+
+  var Constructor = _createConstructor(schema);
+  Constructor.prototype.$basePath = this.path;
+  Constructor.baseCasterConstructor = this.caster;
+
+  try {
+    Object.defineProperty(Constructor, 'name', {
+      value: name
+    });
+  } catch (error) {
+    // Ignore error, only happens on old versions of node
+  }
 
-  this.caster.discriminators[name] = _createConstructor(schema);
+  this.caster.discriminators[name] = Constructor;
 
   return this.caster.discriminators[name];
 };
@@ -7,6 +7,10 @@ exports.String = require('./string');
 
 exports.Number = require('./number');
 
+exports.Int32 = require('./int32');
+
+exports.Long = require('./long');
+
 exports.Boolean = require('./boolean');
 
 exports.DocumentArray = require('./documentarray');
@@ -25,6 +29,10 @@ exports.Mixed = require('./mixed');
 
 exports.Decimal128 = exports.Decimal = require('./decimal128');
 
+exports.Map = require('./map');
+
+exports.UUID = require('./uuid');
+
 // alias
 
 exports.Oid = exports.ObjectId;
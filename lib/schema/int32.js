@@ -0,0 +1,220 @@
+/*!
+ * Module requirements.
+ */
+
+var SchemaType = require('../schematype');
+var CastError = SchemaType.CastError;
+var handleBitwiseOperator = require('./operators/bitwise');
+var MongooseError = require('../error');
+var utils = require('../utils');
+
+/*!
+ * Range of 32-bit signed integers.
+ */
+
+var INT32_MIN = -0x80000000;
+var INT32_MAX = 0x7fffffff;
+
+/**
+ * Int32 SchemaType constructor. Values are JavaScript numbers that must be
+ * integers between -2147483648 and 2147483647, which the driver stores as
+ * BSON 32-bit integers.
+ *
+ * @param {String} key
+ * @param {Object} options
+ * @inherits SchemaType
+ * @api public
+ */
+
+function SchemaInt32(key, options) {
+  SchemaType.call(this, key, options, 'Int32');
+}
+
+/**
+ * This schema type's name, to defend against minifiers that mangle
+ * function names.
+ *
+ * @api public
+ */
+SchemaInt32.schemaName = 'Int32';
+
+/*!
+ * Inherits from SchemaType.
+ */
+SchemaInt32.prototype = Object.create(SchemaType.prototype);
+SchemaInt32.prototype.constructor = SchemaInt32;
+
+/**
+ * Check if the given value satisfies a required validator.
+ *
+ * @param {Any} value
+ * @param {Document} doc
+ * @return {Boolean}
+ * @api public
+ */
+
+SchemaInt32.prototype.checkRequired = function checkRequired(value) {
+  return typeof value === 'number';
+};
+
+/**
+ * Sets a minimum number validator.
+ *
+ * ####Example:
+ *
+ *     var s = new Schema({ n: { type: Schema.Types.Int32, min: 10 })
+ *
+ * @param {Number} value minimum number
+ * @param {String} [message] optional custom error message
+ * @return {SchemaType} this
+ * @see Customized Error Messages #error_messages_MongooseError-messages
+ * @api public
+ */
+
+SchemaInt32.prototype.min = function(value, message) {
+  if (this.minValidator) {
+    this.validators = this.validators.filter(function(v) {
+      return v.validator !== this.minValidator;
+    }, this);
+  }
+
+  if (value !== null && value !== undefined) {
+    var msg = message || MongooseError.messages.Number.min;
+    msg = msg.replace(/{MIN}/, value);
+    this.validators.push({
+      validator: this.minValidator = function(v) {
+        return v == null || v >= value;
+      },
+      message: msg,
+      type: 'min',
+      min: value
+    });
+  }
+
+  return this;
+};
+
+/**
+ * Sets a maximum number validator.
+ *
+ * ####Example:
+ *
+ *     var s = new Schema({ n: { type: Schema.Types.Int32, max: 10 })
+ *
+ * @param {Number} maximum number
+ * @param {String} [message] optional custom error message
+ * @return {SchemaType} this
+ * @see Customized Error Messages #error_messages_MongooseError-messages
+ * @api public
+ */
+
+SchemaInt32.prototype.max = function(value, message) {
+  if (this.maxValidator) {
+    this.validators = this.validators.filter(function(v) {
+      return v.validator !== this.maxValidator;
+    }, this);
+  }
+
+  if (value !== null && value !== undefined) {
+    var msg = message || MongooseError.messages.Number.max;
+    msg = msg.replace(/{MAX}/, value);
+    this.validators.push({
+      validator: this.maxValidator = function(v) {
+        return v == null || v <= value;
+      },
+      message: msg,
+      type: 'max',
+      max: value
+    });
+  }
+
+  return this;
+};
+
+/**
+ * Casts to a 32-bit integer. Numbers, numeric strings and BSON numbers are
+ * accepted if they are integers in range, anything else, including values
+ * that would overflow, is a CastError.
+ *
+ * @param {Object} value
+ * @param {Document} doc document that triggers the casting
+ * @param {Boolean} init
+ * @api private
+ */
+
+SchemaInt32.prototype.cast = function(value) {
+  if (value == null) {
+    return value;
+  }
+  if (value === '') {
+    return null;
+  }
+
+  var val = value;
+  if (typeof val === 'string') {
+    val = /^\s*[+-]?\d+\s*$/.test(val) ? Number(val) : NaN;
+  } else if (val._bsontype === 'Long' || val._bsontype === 'Decimal128') {
+    val = Number(val.toString());
+  } else if (typeof val === 'object' && typeof val.valueOf === 'function') {
+    // Number objects, BSON Int32 and Double
+    val = val.valueOf();
+  }
+
+  if (typeof val !== 'number' || val % 1 !== 0) {
+    throw new CastError('Int32', value, this.path,
+      new Error('Value is not an integer'));
+  }
+  if (val < INT32_MIN || val > INT32_MAX) {
+    throw new CastError('Int32', value, this.path,
+      new Error('Value is outside the Int32 range'));
+  }
+
+  // no `-0`, it is stored as a double
+  return val === 0 ? 0 : val;
+};
+
+/*!
+ * ignore
+ */
+
+function handleSingle(val) {
+  return this.cast(val);
+}
+
+SchemaInt32.prototype.$conditionalHandlers =
+    utils.options(SchemaType.prototype.$conditionalHandlers, {
+      $bitsAllClear: handleBitwiseOperator,
+      $bitsAnyClear: handleBitwiseOperator,
+      $bitsAllSet: handleBitwiseOperator,
+      $bitsAnySet: handleBitwiseOperator,
+      $gt: handleSingle,
+      $gte: handleSingle,
+      $lt: handleSingle,
+      $lte: handleSingle
+    });
+
+/**
+ * Casts contents for queries and for update operators like `$inc`.
+ *
+ * @param {String} $conditional
+ * @param {any} [value]
+ * @api private
+ */
+
+SchemaInt32.prototype.castForQuery = function($conditional, val) {
+  var handler;
+  if (arguments.length === 2) {
+    handler = this.$conditionalHandlers[$conditional];
+    if (!handler) {
+      throw new Error('Can\'t use ' + $conditional + ' with Int32.');
+    }
+    return handler.call(this, val);
+  }
+  return this._castForQuery($conditional);
+};
+
+/*!
+ * Module exports.
+ */
+
+module.exports = SchemaInt32;
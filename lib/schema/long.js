@@ -0,0 +1,257 @@
+/*!
+ * Module requirements.
+ */
+
+var SchemaType = require('../schematype');
+var CastError = SchemaType.CastError;
+var LongType = require('../types/long');
+var MongooseError = require('../error');
+var utils = require('../utils');
+
+/*!
+ * 2^63, the first number past the range of 64-bit signed integers. It is
+ * exactly representable as a double.
+ */
+
+var TWO_PWR_63 = 9223372036854775808;
+
+/**
+ * Long SchemaType constructor. Values are [Longs](#types-long-js), 64-bit
+ * integers that are stored as BSON longs and keep their precision past
+ * `Number.MAX_SAFE_INTEGER`.
+ *
+ * ####Example:
+ *
+ *     var schema = new Schema({ views: { type: Schema.Types.Long, min: 0 } });
+ *     var Page = mongoose.model('Page', schema);
+ *     var page = new Page({ views: '9007199254740993' });
+ *     page.views.toString(); // '9007199254740993'
+ *
+ * @param {String} key
+ * @param {Object} options
+ * @inherits SchemaType
+ * @api public
+ */
+
+function SchemaLong(key, options) {
+  SchemaType.call(this, key, options, 'Long');
+}
+
+/**
+ * This schema type's name, to defend against minifiers that mangle
+ * function names.
+ *
+ * @api public
+ */
+SchemaLong.schemaName = 'Long';
+
+/*!
+ * Inherits from SchemaType.
+ */
+SchemaLong.prototype = Object.create(SchemaType.prototype);
+SchemaLong.prototype.constructor = SchemaLong;
+
+/**
+ * Check if the given value satisfies a required validator.
+ *
+ * @param {Any} value
+ * @param {Document} doc
+ * @return {Boolean}
+ * @api public
+ */
+
+SchemaLong.prototype.checkRequired = function checkRequired(value) {
+  return value != null && value._bsontype === 'Long';
+};
+
+/**
+ * Sets a minimum number validator.
+ *
+ * ####Example:
+ *
+ *     var s = new Schema({ n: { type: Schema.Types.Long, min: '-9007199254740993' })
+ *
+ * @param {Long|Number|String} value minimum number
+ * @param {String} [message] optional custom error message
+ * @return {SchemaType} this
+ * @see Customized Error Messages #error_messages_MongooseError-messages
+ * @api public
+ */
+
+SchemaLong.prototype.min = function(value, message) {
+  if (this.minValidator) {
+    this.validators = this.validators.filter(function(v) {
+      return v.validator !== this.minValidator;
+    }, this);
+  }
+
+  if (value !== null && value !== undefined) {
+    var min = this.cast(value);
+    var msg = message || MongooseError.messages.Number.min;
+    msg = msg.replace(/{MIN}/, min.toString());
+    this.validators.push({
+      validator: this.minValidator = function(v) {
+        return v == null || v.compare(min) >= 0;
+      },
+      message: msg,
+      type: 'min',
+      min: min
+    });
+  }
+
+  return this;
+};
+
+/**
+ * Sets a maximum number validator.
+ *
+ * ####Example:
+ *
+ *     var s = new Schema({ n: { type: Schema.Types.Long, max: '9007199254740993' })
+ *
+ * @param {Long|Number|String} maximum number
+ * @param {String} [message] optional custom error message
+ * @return {SchemaType} this
+ * @see Customized Error Messages #error_messages_MongooseError-messages
+ * @api public
+ */
+
+SchemaLong.prototype.max = function(value, message) {
+  if (this.maxValidator) {
+    this.validators = this.validators.filter(function(v) {
+      return v.validator !== this.maxValidator;
+    }, this);
+  }
+
+  if (value !== null && value !== undefined) {
+    var max = this.cast(value);
+    var msg = message || MongooseError.messages.Number.max;
+    msg = msg.replace(/{MAX}/, max.toString());
+    this.validators.push({
+      validator: this.maxValidator = function(v) {
+        return v == null || v.compare(max) <= 0;
+      },
+      message: msg,
+      type: 'max',
+      max: max
+    });
+  }
+
+  return this;
+};
+
+/**
+ * Casts to a Long. Numbers, numeric strings and BSON numbers are accepted
+ * if they are integers in range, anything else, including values that would
+ * overflow, is a CastError.
+ *
+ * @param {Object} value
+ * @param {Document} doc document that triggers the casting
+ * @param {Boolean} init
+ * @api private
+ */
+
+SchemaLong.prototype.cast = function(value) {
+  if (value == null) {
+    return value;
+  }
+  if (value === '') {
+    return null;
+  }
+  if (value._bsontype === 'Long') {
+    // Longs from another copy of the bson module
+    return value instanceof LongType ?
+      value :
+      LongType.fromBits(value.getLowBits(), value.getHighBits());
+  }
+
+  var val = value;
+  if (val._bsontype === 'Decimal128') {
+    val = val.toString();
+  } else if (typeof val === 'object' && typeof val.valueOf === 'function') {
+    // Number objects, BSON Int32 and Double
+    val = val.valueOf();
+  }
+
+  if (typeof val === 'string') {
+    return fromString(val, value, this.path);
+  }
+  if (typeof val !== 'number' || val % 1 !== 0) {
+    throw new CastError('Long', value, this.path,
+      new Error('Value is not an integer'));
+  }
+  if (val < -TWO_PWR_63 || val >= TWO_PWR_63) {
+    throw overflow(value, this.path);
+  }
+  return LongType.fromNumber(val);
+};
+
+/*!
+ * ignore
+ */
+
+function handleSingle(val) {
+  return this.cast(val);
+}
+
+SchemaLong.prototype.$conditionalHandlers =
+    utils.options(SchemaType.prototype.$conditionalHandlers, {
+      $gt: handleSingle,
+      $gte: handleSingle,
+      $lt: handleSingle,
+      $lte: handleSingle
+    });
+
+/**
+ * Casts contents for queries and for update operators like `$inc`.
+ *
+ * @param {String} $conditional
+ * @param {any} [value]
+ * @api private
+ */
+
+SchemaLong.prototype.castForQuery = function($conditional, val) {
+  var handler;
+  if (arguments.length === 2) {
+    handler = this.$conditionalHandlers[$conditional];
+    if (!handler) {
+      throw new Error('Can\'t use ' + $conditional + ' with Long.');
+    }
+    return handler.call(this, val);
+  }
+  return this._castForQuery($conditional);
+};
+
+/*!
+ * Parses a base 10 integer. `Long.fromString()` wraps around on overflow,
+ * so the result is checked by printing it back.
+ */
+
+function fromString(str, value, path) {
+  var match = /^\s*([+-]?)0*(\d+)\s*$/.exec(str);
+  if (match == null) {
+    throw new CastError('Long', value, path,
+      new Error('Value is not an integer'));
+  }
+  var digits = (match[1] === '-' && match[2] !== '0' ? '-' : '') + match[2];
+  var ret = LongType.fromString(digits);
+  if (ret.toString() !== digits) {
+    throw overflow(value, path);
+  }
+  return ret;
+}
+
+/*!
+ * ignore
+ */
+
+function overflow(value, path) {
+  return new CastError('Long', value, path,
+    new Error('Value is outside the Long range'));
+}
+
+/*!
+ * Module exports.
+ */
+
+module.exports = SchemaLong;
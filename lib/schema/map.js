@@ -0,0 +1,83 @@
+'use strict';
+
+/*!
+ * Module dependencies.
+ */
+
+const MongooseMap = require('../types/map');
+const SchemaType = require('../schematype');
+
+const CastError = SchemaType.CastError;
+
+/**
+ * Map SchemaType constructor. Values are cast to the schematype declared
+ * with the `of` option, `Mixed` by default.
+ *
+ * ####Example:
+ *
+ *     new Schema({
+ *       scores: { type: Map, of: Number },
+ *       addresses: { type: Map, of: new Schema({ city: String }) }
+ *     });
+ *
+ * @param {String} path
+ * @param {Object} options
+ * @inherits SchemaType
+ * @api public
+ */
+
+function SchemaMap(path, options) {
+  SchemaType.call(this, path, options, 'Map');
+  this.$isSchemaMap = true;
+}
+
+/**
+ * This schema type's name, to defend against minifiers that mangle
+ * function names.
+ *
+ * @api public
+ */
+SchemaMap.schemaName = 'Map';
+
+/*!
+ * Inherits from SchemaType.
+ */
+SchemaMap.prototype = Object.create(SchemaType.prototype);
+SchemaMap.prototype.constructor = SchemaMap;
+
+/**
+ * Casts `val` to a MongooseMap. Values are cast with the `of` schematype,
+ * which `Schema#path()` sets as `$__schemaType`.
+ *
+ * @param {Object|Map} val
+ * @param {Document} [doc]
+ * @param {Boolean} [init] whether `val` comes from the database
+ * @api private
+ */
+
+SchemaMap.prototype.cast = function(val, doc, init) {
+  if (val instanceof MongooseMap) {
+    return val;
+  }
+  if (val == null || typeof val !== 'object' || Array.isArray(val)) {
+    throw new CastError('Map', val, this.path);
+  }
+
+  if (!init) {
+    return new MongooseMap(val, this.path, doc, this.$__schemaType);
+  }
+
+  const map = new MongooseMap(null, this.path, doc, this.$__schemaType);
+  const keys = val instanceof Map ? Array.from(val.keys()) : Object.keys(val);
+  for (const key of keys) {
+    const value = val instanceof Map ? val.get(key) : val[key];
+    map.$init(key, map.$__schemaType.cast(value, doc, true));
+  }
+  return map;
+};
+
+/*!
+ * Module exports.
+ */
+
+module.exports = SchemaMap;
@@ -19,6 +19,7 @@ var Document;
  */
 
 function SchemaNumber(key, options) {
+  this.enumValues = [];
   SchemaType.call(this, key, options, 'Number');
 }
 
@@ -160,6 +161,313 @@ SchemaNumber.prototype.max = function(value, message) {
   return this;
 };
 
+/**
+ * Adds an enum validator
+ *
+ * ####Example:
+ *
+ *     var s = new Schema({ quantity: { type: Number, enum: [1, 10, 100] }})
+ *     var M = db.model('M', s)
+ *     var m = new M({ quantity: 5 })
+ *     m.save(function (err) {
+ *       console.error(String(err)) // ValidationError: `5` is not a valid enum value for path `quantity`.
+ *       m.quantity = 10
+ *       m.save(callback) // success
+ *     })
+ *
+ *     // or with custom error messages
+ *     var s = new Schema({
+ *       quantity: {
+ *         type: Number,
+ *         enum: { values: [1, 10, 100], message: 'Pack size `{VALUE}` is not sold' }
+ *       }
+ *     })
+ *
+ * @param {Number|Object} [args...] enumeration values
+ * @return {SchemaType} this
+ * @see Customized Error Messages #error_messages_MongooseError-messages
+ * @api public
+ */
+
+SchemaNumber.prototype.enum = function() {
+  if (this.enumValidator) {
+    this.validators = this.validators.filter(function(v) {
+      return v.validator !== this.enumValidator;
+    }, this);
+    this.enumValidator = false;
+  }
+
+  if (arguments[0] === void 0 || arguments[0] === false) {
+    return this;
+  }
+
+  var values;
+  var errorMessage;
+
+  if (utils.isObject(arguments[0]) && !Array.isArray(arguments[0])) {
+    values = arguments[0].values;
+    errorMessage = arguments[0].message;
+  } else {
+    values = Array.isArray(arguments[0]) ? arguments[0] : arguments;
+  }
+  errorMessage = errorMessage || MongooseError.messages.Number.enum;
+
+  for (var i = 0; i < values.length; i++) {
+    if (values[i] != null) {
+      this.enumValues.push(Number(this.cast(values[i])));
+    }
+  }
+
+  var vals = this.enumValues;
+  this.enumValidator = function(v) {
+    return v == null || vals.indexOf(Number(v)) !== -1;
+  };
+  this.validators.push({
+    validator: this.enumValidator,
+    message: errorMessage,
+    type: 'enum',
+    enumValues: vals
+  });
+
+  return this;
+};
+
+/**
+ * Adds a validator that only allows integers.
+ *
+ * ####Example:
+ *
+ *     var s = new Schema({ quantity: { type: Number, integer: true }})
+ *     var M = db.model('M', s)
+ *     var m = new M({ quantity: 1.5 })
+ *     m.save(function (err) {
+ *       console.error(String(err)) // ValidationError: Path `quantity` (1.5) is not an integer.
+ *     })
+ *
+ * @param {Boolean} [shouldApply] pass `false` to remove the validator
+ * @param {String} [message] optional custom error message
+ * @return {SchemaType} this
+ * @see Customized Error Messages #error_messages_MongooseError-messages
+ * @api public
+ */
+
+SchemaNumber.prototype.integer = function(shouldApply, message) {
+  if (this.integerValidator) {
+    this.validators = this.validators.filter(function(v) {
+      return v.validator !== this.integerValidator;
+    }, this);
+    this.integerValidator = false;
+  }
+
+  if (arguments.length > 0 && !shouldApply) {
+    return this;
+  }
+
+  this.validators.push({
+    validator: this.integerValidator = function(v) {
+      return v == null || Number.isInteger(Number(v));
+    },
+    message: message || MongooseError.messages.Number.integer,
+    type: 'integer'
+  });
+
+  return this;
+};
+
+/**
+ * Adds a validator that only allows multiples of `value`.
+ *
+ * ####Example:
+ *
+ *     var s = new Schema({ price: { type: Number, multipleOf: 0.05 }})
+ *     var M = db.model('M', s)
+ *     var m = new M({ price: 1.02 })
+ *     m.save(function (err) {
+ *       console.error(String(err)) // ValidationError: Path `price` (1.02) is not a multiple of 0.05.
+ *       m.price = 1.05
+ *       m.save() // success
+ *     })
+ *
+ * The `{MULTIPLEOF}` token in custom messages is replaced with `value`.
+ *
+ * @param {Number} value a positive number
+ * @param {String} [message] optional custom error message
+ * @return {SchemaType} this
+ * @see Customized Error Messages #error_messages_MongooseError-messages
+ * @api public
+ */
+
+SchemaNumber.prototype.multipleOf = function(value, message) {
+  if (value != null && (typeof value !== 'number' || !(value > 0))) {
+    throw new TypeError('`multipleOf` must be a positive number, got ' + value);
+  }
+
+  if (this.multipleOfValidator) {
+    this.validators = this.validators.filter(function(v) {
+      return v.validator !== this.multipleOfValidator;
+    }, this);
+    this.multipleOfValidator = false;
+  }
+
+  if (value === null || value === undefined) {
+    return this;
+  }
+
+  var msg = message || MongooseError.messages.Number.multipleOf;
+  msg = msg.replace(/{MULTIPLEOF}/, value);
+  this.validators.push({
+    validator: this.multipleOfValidator = function(v) {
+      return v == null || isMultipleOf(Number(v), value);
+    },
+    message: msg,
+    type: 'multipleOf',
+    multipleOf: value
+  });
+
+  return this;
+};
+
+/**
+ * Limits the number of decimal places.
+ *
+ * Without a rounding mode, values with more than `digits` decimal places
+ * fail validation. With one, they're rounded when they're set, including in
+ * queries and updates. The rounding modes are:
+ *
+ * - `round`: to the nearest value, halves away from zero
+ * - `halfEven`: to the nearest value, halves to the even neighbour (banker's rounding)
+ * - `floor`: towards negative infinity
+ * - `ceil`: towards positive infinity
+ * - `trunc`: towards zero
+ *
+ * ####Example:
+ *
+ *     var s = new Schema({
+ *       amount: { type: Number, precision: 2 },
+ *       total: { type: Number, precision: [2, 'halfEven'] },
+ *       rate: { type: Number, precision: { digits: 4, rounding: 'floor' } }
+ *     })
+ *     var M = db.model('M', s)
+ *     var m = new M({ amount: 1.005, total: 2.345, rate: 0.12345 })
+ *     m.total // 2.34
+ *     m.rate // 0.1234
+ *     m.save(function (err) {
+ *       console.error(String(err)) // ValidationError: Path `amount` (1.005) has more than 2 decimal places.
+ *     })
+ *
+ * The `{PRECISION}` token in custom messages is replaced with `digits`.
+ *
+ * @param {Number|Object} digits number of decimal places, or an object with `digits`, `rounding` and `message`
+ * @param {String} [rounding] one of the rounding modes above
+ * @param {String} [message] optional custom error message
+ * @return {SchemaType} this
+ * @see Customized Error Messages #error_messages_MongooseError-messages
+ * @api public
+ */
+
+SchemaNumber.prototype.precision = function(digits, rounding, message) {
+  if (utils.isObject(digits)) {
+    rounding = digits.rounding;
+    message = digits.message;
+    digits = digits.digits;
+  }
+  if (digits != null && (!Number.isInteger(digits) || digits < 0)) {
+    throw new TypeError('`precision` must be a non-negative integer, got ' + digits);
+  }
+  var round = rounding == null ? null : roundingModes[rounding];
+  if (rounding != null && round == null) {
+    throw new TypeError('Invalid rounding mode `' + rounding + '` for path `' +
+      this.path + '`, must be one of ' + Object.keys(roundingModes).join(', '));
+  }
+
+  if (this.precisionValidator) {
+    this.validators = this.validators.filter(function(v) {
+      return v.validator !== this.precisionValidator;
+    }, this);
+    this.precisionValidator = false;
+  }
+  if (this.precisionSetter) {
+    this.setters = this.setters.filter(function(fn) {
+      return fn !== this.precisionSetter;
+    }, this);
+    this.precisionSetter = false;
+  }
+
+  if (digits === null || digits === undefined) {
+    return this;
+  }
+
+  if (round != null) {
+    this.precisionSetter = function(v, self) {
+      if (v == null || v === '') {
+        return v;
+      }
+      v = Number(self.cast(v));
+      if (!isFinite(v)) {
+        return v;
+      }
+      return shift(round(shift(v, digits)), -digits);
+    };
+    this.setters.push(this.precisionSetter);
+    return this;
+  }
+
+  var msg = message || MongooseError.messages.Number.precision;
+  msg = msg.replace(/{PRECISION}/, digits);
+  this.validators.push({
+    validator: this.precisionValidator = function(v) {
+      return v == null || !isFinite(v) || Number.isInteger(shift(Number(v), digits));
+    },
+    message: msg,
+    type: 'precision',
+    precision: digits
+  });
+
+  return this;
+};
+
+/*!
+ * Moves the decimal point of `v` by `digits` places without the rounding
+ * errors of multiplying by a power of 10, e.g. `shift(1.005, 2) === 100.5`.
+ */
+
+function shift(v, digits) {
+  var parts = String(v).split('e');
+  return Number(parts[0] + 'e' + (Number(parts[1] || 0) + digits));
+}
+
+/*!
+ * Floating point division isn't exact, `0.3 / 0.1 === 2.9999999999999996`,
+ * so allow an error of a few ulps.
+ */
+
+function isMultipleOf(v, factor) {
+  var quotient = v / factor;
+  return Math.abs(quotient - Math.round(quotient)) <=
+    4 * Number.EPSILON * Math.max(1, Math.abs(quotient));
+}
+
+/*!
+ * Rounding modes for `precision`, they round to an integer.
+ */
+
+var roundingModes = {
+  round: function(v) {
+    return v < 0 ? -Math.round(-v) : Math.round(v);
+  },
+  halfEven: function(v) {
+    var floor = Math.floor(v);
+    var diff = v - floor;
+    if (diff !== 0.5) {
+      return Math.round(v);
+    }
+    return floor % 2 === 0 ? floor : floor + 1;
+  },
+  floor: Math.floor,
+  ceil: Math.ceil,
+  trunc: Math.trunc
+};
+
 /**
  * Casts to number
  *
@@ -0,0 +1,251 @@
+/*!
+ * Module dependencies.
+ */
+
+var utils = require('../utils');
+
+var MongooseBuffer = require('../types/buffer');
+var SchemaType = require('../schematype');
+
+var Binary = MongooseBuffer.Binary;
+var CastError = SchemaType.CastError;
+var Document;
+
+/*!
+ * A UUID with or without hyphens, like `1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed`.
+ */
+
+var UUID_REGEXP = /^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i;
+
+/*!
+ * BSON binary subtypes for UUIDs. Subtype 3 is the legacy one some drivers
+ * still write, it is read but never written.
+ */
+
+var SUBTYPE_UUID = 4;
+var SUBTYPE_UUID_OLD = 3;
+
+/**
+ * UUID SchemaType constructor. UUIDs are cast from strings like
+ * `1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed` and stored as BSON Binary subtype 4.
+ *
+ * Getting a UUID path, `toJSON()` and `toObject()` return the canonical,
+ * lowercase and hyphenated string.
+ *
+ * ####Example:
+ *
+ *     var schema = new Schema({ _id: Schema.Types.UUID, owner: 'UUID' });
+ *     var Thing = mongoose.model('Thing', schema);
+ *     var thing = new Thing({ _id: '1B9D6BCD-BBFD-4B2D-9B5D-AB8DFBBD4BED' });
+ *     thing._id; // '1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed'
+ *
+ * @param {String} key
+ * @param {Object} options
+ * @inherits SchemaType
+ * @api public
+ */
+
+function SchemaUUID(key, options) {
+  SchemaType.call(this, key, options, 'UUID');
+  this.getters.push(toUUIDString);
+}
+
+/**
+ * This schema type's name, to defend against minifiers that mangle
+ * function names.
+ *
+ * @api public
+ */
+SchemaUUID.schemaName = 'UUID';
+
+/*!
+ * Inherits from SchemaType.
+ */
+SchemaUUID.prototype = Object.create(SchemaType.prototype);
+SchemaUUID.prototype.constructor = SchemaUUID;
+
+/**
+ * Check if the given value satisfies a required validator.
+ *
+ * @param {Any} value
+ * @param {Document} doc
+ * @return {Boolean}
+ * @api public
+ */
+
+SchemaUUID.prototype.checkRequired = function checkRequired(value, doc) {
+  if (SchemaType._isRef(this, value, doc, true)) {
+    return !!value;
+  }
+  return !!(value && value.$isUUID);
+};
+
+/**
+ * Casts to a UUID, a `Buffer` with subtype 4.
+ *
+ * @param {Object} value
+ * @param {Document} doc document that triggers the casting
+ * @param {Boolean} init
+ * @api private
+ */
+
+SchemaUUID.prototype.cast = function(value, doc, init) {
+  if (SchemaType._isRef(this, value, doc, init)) {
+    // wait! we may need to cast this to a document
+
+    if (value === null || value === undefined) {
+      return value;
+    }
+
+    // lazy load
+    Document || (Document = require('./../document'));
+
+    if (value instanceof Document) {
+      value.$__.wasPopulated = true;
+      return value;
+    }
+
+    // setting a populated path
+    if (typeof value === 'string' || Buffer.isBuffer(value) || value instanceof Binary) {
+      return this.cast(value, doc, true);
+    } else if (!utils.isObject(value)) {
+      throw new CastError('UUID', value, this.path);
+    }
+
+    // Handle the case where user directly sets a populated
+    // path to a plain object; cast to the Model used in
+    // the population query.
+    var path = doc.$__fullPath(this.path);
+    var owner = doc.ownerDocument ? doc.ownerDocument() : doc;
+    var pop = owner.populated(path, true);
+    var ret = new pop.options.model(value);
+    ret.$__.wasPopulated = true;
+    return ret;
+  }
+
+  if (value == null) {
+    return value;
+  }
+
+  // documents
+  if (value._id != null) {
+    value = value._id;
+  }
+
+  if (value.$isUUID) {
+    return value;
+  }
+
+  var buf = null;
+  if (typeof value === 'string') {
+    if (UUID_REGEXP.test(value)) {
+      buf = Buffer.from(value.replace(/-/g, ''), 'hex');
+    }
+  } else if (Buffer.isBuffer(value)) {
+    buf = value.length === 16 ? value : null;
+  } else if (value instanceof Binary) {
+    if (value.sub_type === SUBTYPE_UUID || value.sub_type === SUBTYPE_UUID_OLD) {
+      buf = value.value(true);
+    }
+  }
+
+  if (buf == null || buf.length !== 16) {
+    throw new CastError('UUID', value, this.path);
+  }
+
+  return createUUID(buf, this.path, doc);
+};
+
+/*!
+ * ignore
+ */
+
+function handleSingle(val) {
+  return this.castForQuery(val);
+}
+
+SchemaUUID.prototype.$conditionalHandlers =
+    utils.options(SchemaType.prototype.$conditionalHandlers, {
+      $gt: handleSingle,
+      $gte: handleSingle,
+      $lt: handleSingle,
+      $lte: handleSingle
+    });
+
+/**
+ * Casts contents for queries.
+ *
+ * @param {String} $conditional
+ * @param {any} [value]
+ * @api private
+ */
+
+SchemaUUID.prototype.castForQuery = function($conditional, val) {
+  var handler;
+  if (arguments.length === 2) {
+    handler = this.$conditionalHandlers[$conditional];
+    if (!handler) {
+      throw new Error('Can\'t use ' + $conditional + ' with UUID.');
+    }
+    return handler.call(this, val);
+  }
+  val = $conditional;
+  var casted = this._castForQuery(val);
+  return casted && casted.$isUUID ?
+    casted.toObject({ transform: false, virtuals: false }) :
+    casted;
+};
+
+/*!
+ * Wraps the 16 bytes of a UUID in a MongooseBuffer with subtype 4 that
+ * converts to its string in JSON, in `toObject()` with the `flattenUUIDs`
+ * option, the default for `Document#toObject()` and `Document#toJSON()`,
+ * and in `toString()` without an encoding.
+ */
+
+function createUUID(buf, path, doc) {
+  var ret = new MongooseBuffer(buf, [path, doc]);
+  ret._subtype = SUBTYPE_UUID;
+  Object.defineProperty(ret, '$isUUID', { value: true });
+
+  ret.toObject = function(options) {
+    if (options && options.flattenUUIDs) {
+      return toUUIDString(this);
+    }
+    return MongooseBuffer.mixin.toObject.call(this, options);
+  };
+  ret.toJSON = function() {
+    return toUUIDString(this);
+  };
+  ret.toString = function() {
+    if (arguments.length === 0) {
+      return toUUIDString(this);
+    }
+    return Buffer.prototype.toString.apply(this, arguments);
+  };
+  return ret;
+}
+
+/*!
+ * Converts UUIDs, and the raw Binaries that `lean()` returns, to strings.
+ * Anything else, like populated documents, is returned as is.
+ */
+
+function toUUIDString(val) {
+  if (val == null) {
+    return val;
+  }
+  if (val.$isUUID) {
+    return utils.uuidToString(val);
+  }
+  if (val._bsontype === 'Binary' && val.sub_type === 4) {
+    return utils.uuidToString(val.value(true));
+  }
+  return val;
+}
+
+/*!
+ * Module exports.
+ */
+
+module.exports = SchemaUUID;
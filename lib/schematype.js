@@ -772,6 +772,42 @@ SchemaType.prototype.select = function select(val) {
   return this;
 };
 
+/**
+ * Encrypts this path's value in MongoDB. Documents hold plaintext: values
+ * are encrypted when saving and updating, and decrypted when loading
+ * documents and `lean()` results. Keys come from the
+ * `encryptionKeyProvider` set with [`mongoose.set()`](#index_Mongoose-set).
+ *
+ * By default each save uses a random IV, so the path can't be queried.
+ * With `deterministic`, equal values have equal ciphertexts, so equality
+ * queries (`$eq`, `$ne`, `$in`, `$nin`) work, at the cost of revealing
+ * which documents share a value.
+ *
+ * ####Example:
+ *
+ *     mongoose.set('encryptionKeyProvider', keyId => keys[keyId]);
+ *     var schema = new Schema({
+ *       notes: { type: String, encrypt: true },
+ *       ssn: { type: String, encrypt: { keyId: 'pii', deterministic: true } }
+ *     });
+ *     var Person = db.model('Person', schema);
+ *     Person.findOne({ ssn: '123-45-6789' }); // works, `notes` can't be queried
+ *
+ * The whole value of the path is encrypted, so `$inc`, `$push` and other
+ * operators that modify part of a value can't be used on it.
+ *
+ * @param {Boolean|Object} val
+ * @param {String} [val.keyId='default'] passed to the key provider
+ * @param {Boolean} [val.deterministic=false]
+ * @return {SchemaType} this
+ * @api public
+ */
+
+SchemaType.prototype.encrypt = function encrypt(val) {
+  this.options.encrypt = val;
+  return this;
+};
+
 /**
  * Performs a validation of `value` using the validators declared for this SchemaType.
  *
@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * Counts `cursor`, a QueryCursor or AggregationCursor, as open in
+ * [`Connection#health()`](#connection_Connection-health) until it is
+ * closed or exhausted, or until the driver cursor `driverCursor` emits
+ * `close`, for example when it's closed directly.
+ *
+ * @param {Connection} conn
+ * @param {QueryCursor|AggregationCursor} cursor
+ * @param {Cursor} driverCursor
+ * @api private
+ */
+
+module.exports = function trackCursor(conn, cursor, driverCursor) {
+  conn._openCursors.add(cursor);
+  if (driverCursor != null && typeof driverCursor.once === 'function') {
+    driverCursor.once('close', function() {
+      conn._openCursors.delete(cursor);
+    });
+  }
+};
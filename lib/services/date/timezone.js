@@ -0,0 +1,220 @@
+'use strict';
+
+/*!
+ * ISO 8601 dates and date times in the extended format, like `2018-05-01`,
+ * `2018-05-01T10:30`, `2018-05-01T10:30:15.250Z` or `2018-05-01T10:30+02:00`.
+ */
+
+const ISO_REGEXP = new RegExp('^(\\d{4})-(\\d{2})-(\\d{2})' +
+  '(?:T(\\d{2}):(\\d{2})(?::(\\d{2})(?:[.,](\\d{1,9}))?)?' +
+  '(Z|[+-]\\d{2}(?::?\\d{2})?)?)?$');
+
+/*!
+ * Fixed offsets, like `Z`, `+02`, `-0530` or `+05:30`.
+ */
+
+const OFFSET_REGEXP = /^(?:Z|([+-])(\d{2})(?::?(\d{2}))?)$/;
+
+/*!
+ * Strings that `Date.parse()` reads in a known zone because they end with
+ * one, like `Tue, 01 May 2018 10:00:00 GMT` or `May 1 2018 10:00 +0200`.
+ */
+
+const EXPLICIT_ZONE_REGEXP = /(?:\b(?:GMT|UTC)|\bZ|[+-]\d{2}:?\d{2})(?:\s*\([^)]*\))?$/i;
+
+const UNITS = ['day', 'hour', 'minute', 'second'];
+
+const formatters = {};
+
+/**
+ * Throws if `zone` is neither `UTC`, a fixed offset nor an IANA time zone
+ * name that this runtime knows about.
+ *
+ * @param {String} zone
+ * @api private
+ */
+
+exports.validate = function(zone) {
+  if (typeof zone !== 'string' || parseOffset(zone) == null && getFormatter(zone) == null) {
+    throw new TypeError('Invalid time zone `' + zone + '`, must be an IANA ' +
+      'time zone name like `Europe/Paris` or an offset like `+02:00`');
+  }
+};
+
+/**
+ * Whether `unit` is a unit dates can be truncated to.
+ *
+ * @param {String} unit
+ * @return {Boolean}
+ * @api private
+ */
+
+exports.isUnit = function(unit) {
+  return UNITS.indexOf(unit) !== -1;
+};
+
+/**
+ * Parses an ISO 8601 string. Strings without an offset are read in `zone`,
+ * or like `new Date()` reads them if `zone` is not set: date only strings
+ * in UTC, date time strings in the local time zone.
+ *
+ * @param {String} str
+ * @param {String} [zone]
+ * @return {Date|null} `null` if `str` is not ISO 8601 or not a valid date
+ * @api private
+ */
+
+exports.parseISO = function(str, zone) {
+  const match = ISO_REGEXP.exec(str);
+  if (match == null) {
+    return null;
+  }
+
+  const fields = match.slice(1, 7).map(v => v == null ? 0 : parseInt(v, 10));
+  const ms = match[7] == null ? 0 : Math.floor(Number('0.' + match[7]) * 1000);
+  const wallTime = Date.UTC(fields[0], fields[1] - 1, fields[2], fields[3],
+    fields[4], fields[5], ms);
+
+  // reject out of range fields rather than rolling them over, `new Date()`
+  // reads `2018-02-31` as March 3
+  const check = new Date(wallTime);
+  if (check.getUTCFullYear() !== fields[0] ||
+      check.getUTCMonth() !== fields[1] - 1 ||
+      check.getUTCDate() !== fields[2] ||
+      check.getUTCHours() !== fields[3] ||
+      check.getUTCMinutes() !== fields[4] ||
+      check.getUTCSeconds() !== fields[5]) {
+    return null;
+  }
+
+  const offset = match[8] || zone;
+  if (offset == null) {
+    return new Date(str);
+  }
+  return new Date(toInstant(wallTime, offset));
+};
+
+/**
+ * Whether `Date.parse()` can read `str` without guessing its time zone.
+ *
+ * @param {String} str
+ * @return {Boolean}
+ * @api private
+ */
+
+exports.hasExplicitZone = function(str) {
+  return EXPLICIT_ZONE_REGEXP.test(str.trim());
+};
+
+/**
+ * Returns the start of the `unit` that `date` falls in, in `zone`.
+ *
+ * @param {Date} date
+ * @param {String} unit `day`, `hour`, `minute` or `second`
+ * @param {String} [zone] defaults to UTC
+ * @return {Date}
+ * @api private
+ */
+
+exports.truncate = function(date, unit, zone) {
+  zone = zone || 'Z';
+  const wall = new Date(date.valueOf() + getOffset(date.valueOf(), zone));
+  switch (unit) {
+    case 'day':
+      wall.setUTCHours(0, 0, 0, 0);
+      break;
+    case 'hour':
+      wall.setUTCMinutes(0, 0, 0);
+      break;
+    case 'minute':
+      wall.setUTCSeconds(0, 0);
+      break;
+    case 'second':
+      wall.setUTCMilliseconds(0);
+      break;
+  }
+  return new Date(toInstant(wall.valueOf(), zone));
+};
+
+/*!
+ * Converts a wall clock time, expressed as milliseconds since the epoch as
+ * if it were UTC, to the instant it denotes in `zone`. Wall times skipped by
+ * a DST transition are moved forward, repeated ones resolve to the earlier
+ * instant.
+ */
+
+function toInstant(wallTime, zone) {
+  const fixed = parseOffset(zone);
+  if (fixed != null) {
+    return wallTime - fixed;
+  }
+  const before = getOffset(wallTime - 864e5, zone);
+  const after = getOffset(wallTime + 864e5, zone);
+  const candidates = [wallTime - before, wallTime - after].
+    filter(instant => instant + getOffset(instant, zone) === wallTime).
+    sort((a, b) => a - b);
+  return candidates.length > 0 ? candidates[0] : wallTime - Math.min(before, after);
+}
+
+/*!
+ * Returns the offset of `zone` from UTC at `instant`, in milliseconds.
+ */
+
+function getOffset(instant, zone) {
+  const fixed = parseOffset(zone);
+  if (fixed != null) {
+    return fixed;
+  }
+
+  const parts = {};
+  getFormatter(zone).formatToParts(new Date(instant)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  const wallTime = Date.UTC(+parts.year, +parts.month - 1, +parts.day,
+    +parts.hour % 24, +parts.minute, +parts.second);
+  return wallTime - (instant - ((instant % 1000) + 1000) % 1000);
+}
+
+/*!
+ * Returns the offset in milliseconds for `Z`, `UTC` and fixed offsets, and
+ * `null` for anything else.
+ */
+
+function parseOffset(zone) {
+  if (zone === 'UTC') {
+    return 0;
+  }
+  const match = OFFSET_REGEXP.exec(zone);
+  if (match == null) {
+    return null;
+  }
+  if (match[1] == null) {
+    return 0;
+  }
+  const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3] || '0', 10);
+  return (match[1] === '-' ? -1 : 1) * minutes * 60000;
+}
+
+/*!
+ * ignore
+ */
+
+function getFormatter(zone) {
+  if (!formatters.hasOwnProperty(zone)) {
+    try {
+      formatters[zone] = new Intl.DateTimeFormat('en-US', {
+        timeZone: zone,
+        hour12: false,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      });
+    } catch (error) {
+      formatters[zone] = null;
+    }
+  }
+  return formatters[zone];
+}
@@ -0,0 +1,247 @@
+'use strict';
+
+/*!
+ * Module dependencies.
+ */
+
+const Binary = require('../../drivers').Binary;
+const Decimal128 = require('../../drivers').Decimal128;
+const ObjectId = require('../../drivers').ObjectId;
+const crypto = require('crypto');
+
+/*!
+ * BSON binary subtype for encrypted values.
+ */
+
+const SUBTYPE = 6;
+
+/*!
+ * Payload layout: version, mode, key id length, key id, iv, auth tag,
+ * ciphertext.
+ */
+
+const VERSION = 1;
+const RANDOM = 0;
+const DETERMINISTIC = 1;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+const DEFAULT_KEY_ID = 'default';
+
+let keyProvider = null;
+
+/**
+ * Sets the function that returns the key for a key id. Called with the key
+ * id from the path's `encrypt` option (`'default'` unless set) when
+ * encrypting, and with the key id stored in the ciphertext when decrypting,
+ * so keys can be rotated by adding a new key id. Must return a `Buffer` of
+ * at least 32 bytes synchronously.
+ *
+ * @param {Function|null} fn
+ * @api private
+ */
+
+exports.setKeyProvider = function(fn) {
+  if (fn != null && typeof fn !== 'function') {
+    throw new TypeError('`encryptionKeyProvider` must be a function, got ' +
+      typeof fn);
+  }
+  keyProvider = fn;
+};
+
+/**
+ * Normalizes a path's `encrypt` option to `{ keyId, deterministic }`, or
+ * `null` if the path isn't encrypted.
+ *
+ * @param {SchemaType} schematype
+ * @return {Object|null}
+ * @api private
+ */
+
+exports.getOptions = function(schematype) {
+  const encrypt = schematype != null && schematype.options != null ?
+    schematype.options.encrypt :
+    null;
+  if (!encrypt) {
+    return null;
+  }
+  if (encrypt === true) {
+    return { keyId: DEFAULT_KEY_ID, deterministic: false };
+  }
+  return {
+    keyId: encrypt.keyId == null ? DEFAULT_KEY_ID : String(encrypt.keyId),
+    deterministic: !!encrypt.deterministic
+  };
+};
+
+/**
+ * Whether `val` is a value encrypted by `encrypt()`.
+ *
+ * @param {any} val
+ * @return {Boolean}
+ * @api private
+ */
+
+exports.isEncrypted = function(val) {
+  return val != null && val._bsontype === 'Binary' && val.sub_type === SUBTYPE;
+};
+
+/**
+ * Encrypts `val` with AES-256-GCM. With `deterministic`, the IV is derived
+ * from the key and the plaintext, so the same value always encrypts to the
+ * same ciphertext and equality queries work.
+ *
+ * @param {any} val an already cast value
+ * @param {Object} options from `getOptions()`
+ * @return {Binary}
+ * @api private
+ */
+
+exports.encrypt = function(val, options) {
+  const keys = deriveKeys(options.keyId);
+  const plaintext = Buffer.from(JSON.stringify(serialize(val)), 'utf8');
+  const iv = options.deterministic ?
+    crypto.createHmac('sha256', keys.iv).update(plaintext).digest().slice(0, IV_LENGTH) :
+    crypto.randomBytes(IV_LENGTH);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', keys.enc, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  const keyId = Buffer.from(options.keyId, 'utf8');
+  if (keyId.length > 255) {
+    throw new Error('Encryption key ids must be at most 255 bytes long');
+  }
+
+  const header = Buffer.from([
+    VERSION,
+    options.deterministic ? DETERMINISTIC : RANDOM,
+    keyId.length
+  ]);
+  return new Binary(Buffer.concat([header, keyId, iv, cipher.getAuthTag(), ciphertext]),
+    SUBTYPE);
+};
+
+/**
+ * Decrypts a value encrypted by `encrypt()`. Other values are returned as is.
+ *
+ * @param {any} val
+ * @return {any}
+ * @api private
+ */
+
+exports.decrypt = function(val) {
+  if (!exports.isEncrypted(val)) {
+    return val;
+  }
+
+  const payload = val.value(true);
+  if (payload[0] !== VERSION) {
+    throw new Error('Unsupported encrypted value version ' + payload[0]);
+  }
+  let offset = 3 + payload[2];
+  const keyId = payload.slice(3, offset).toString('utf8');
+  const iv = payload.slice(offset, offset += IV_LENGTH);
+  const tag = payload.slice(offset, offset += TAG_LENGTH);
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKeys(keyId).enc, iv);
+  decipher.setAuthTag(tag);
+  const plaintext = Buffer.concat([decipher.update(payload.slice(offset)), decipher.final()]);
+  return deserialize(JSON.parse(plaintext.toString('utf8')));
+};
+
+/*!
+ * Derives separate encryption and IV keys from the provider's key.
+ */
+
+function deriveKeys(keyId) {
+  if (keyProvider == null) {
+    throw new Error('Cannot encrypt or decrypt without a key provider, ' +
+      'use `mongoose.set(\'encryptionKeyProvider\', fn)`');
+  }
+  const key = keyProvider(keyId);
+  if (!Buffer.isBuffer(key) || key.length < 32) {
+    throw new Error('Encryption key provider must return a Buffer of at ' +
+      'least 32 bytes for key id "' + keyId + '"');
+  }
+  return {
+    enc: crypto.createHmac('sha256', key).update('mongoose:enc').digest(),
+    iv: crypto.createHmac('sha256', key).update('mongoose:iv').digest()
+  };
+}
+
+/*!
+ * Converts a value to JSON, tagging the BSON types JSON can't represent so
+ * values decrypt to the same type without a schema (for `lean()`).
+ */
+
+function serialize(val) {
+  if (val == null || typeof val !== 'object') {
+    return val === undefined ? null : val;
+  }
+  if (val instanceof Date) {
+    return { $date: val.valueOf() };
+  }
+  if (Buffer.isBuffer(val)) {
+    return { $binary: val.toString('base64') };
+  }
+  switch (val._bsontype) {
+    case 'ObjectID':
+      return { $oid: val.toHexString() };
+    case 'Decimal128':
+      return { $numberDecimal: val.toString() };
+    case 'Binary':
+      return { $binary: val.value(true).toString('base64'), $type: val.sub_type };
+  }
+  if (typeof val.toBSON === 'function') {
+    return serialize(val.toBSON());
+  }
+  if (Array.isArray(val)) {
+    return val.map(serialize);
+  }
+  if (val instanceof Map) {
+    val = Array.from(val).reduce((obj, entry) => {
+      obj[entry[0]] = entry[1];
+      return obj;
+    }, {});
+  }
+
+  const ret = {};
+  Object.keys(val).forEach(key => {
+    if (val[key] !== undefined) {
+      ret[key.charAt(0) === '$' ? '$' + key : key] = serialize(val[key]);
+    }
+  });
+  return ret;
+}
+
+/*!
+ * Reverses `serialize()`. Keys that start with `$` were escaped by
+ * doubling the `$`.
+ */
+
+function deserialize(val) {
+  if (val == null || typeof val !== 'object') {
+    return val;
+  }
+  if (Array.isArray(val)) {
+    return val.map(deserialize);
+  }
+  if ('$date' in val) {
+    return new Date(val.$date);
+  }
+  if ('$oid' in val) {
+    return new ObjectId(val.$oid);
+  }
+  if ('$numberDecimal' in val) {
+    return Decimal128.fromString(val.$numberDecimal);
+  }
+  if ('$binary' in val) {
+    const buffer = Buffer.from(val.$binary, 'base64');
+    return '$type' in val ? new Binary(buffer, val.$type) : buffer;
+  }
+
+  const ret = {};
+  Object.keys(val).forEach(key => {
+    ret[key.charAt(0) === '$' ? key.substr(1) : key] = deserialize(val[key]);
+  });
+  return ret;
+}
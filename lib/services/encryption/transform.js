@@ -0,0 +1,351 @@
+'use strict';
+
+/*!
+ * Module dependencies.
+ */
+
+const cipher = require('./cipher');
+const internalToObjectOptions = require('../../options').internalToObjectOptions;
+const utils = require('../../utils');
+
+/*!
+ * Paths of each schema whose values are, or contain, encrypted values.
+ * Computed on first use, schemas shouldn't change after compiling a model.
+ */
+
+const encryptedPaths = new WeakMap();
+
+/**
+ * Whether `schema` or one of its subdocument schemas has an encrypted path.
+ *
+ * @param {Schema} schema
+ * @return {Boolean}
+ * @api private
+ */
+
+exports.hasEncryptedPaths = function(schema) {
+  return getEncryptedPaths(schema).length > 0;
+};
+
+/**
+ * Whether `path` is encrypted as a whole, rather than containing encrypted
+ * paths. Such paths are always saved with `$set`.
+ *
+ * @param {Schema} schema
+ * @param {String} path
+ * @return {Boolean}
+ * @api private
+ */
+
+exports.isEncryptedPath = function(schema, path) {
+  return exports.hasEncryptedPaths(schema) &&
+    cipher.getOptions(schema._getSchema(path)) != null;
+};
+
+/**
+ * Encrypts the encrypted paths of the POJO `obj` in place.
+ *
+ * @param {Schema} schema
+ * @param {Object} obj
+ * @return {Object} obj
+ * @api private
+ */
+
+exports.encryptDocument = function(schema, obj) {
+  return transformDocument(schema, obj, encrypt, '');
+};
+
+/**
+ * Decrypts the encrypted paths of the raw document `obj` in place.
+ *
+ * @param {Schema} schema
+ * @param {Object} obj
+ * @return {Object} obj
+ * @api private
+ */
+
+exports.decryptDocument = function(schema, obj) {
+  return transformDocument(schema, obj, cipher.decrypt, '');
+};
+
+/**
+ * Encrypts the values of a cast update before it is sent to MongoDB. Runs
+ * after update validators, so they see plaintext. Operators other than
+ * `$set`, `$setOnInsert`, `$unset` and `$rename` can't work on ciphertext
+ * and throw for encrypted paths.
+ *
+ * @param {Schema} schema
+ * @param {Object} update
+ * @return {Object} update
+ * @api private
+ */
+
+exports.encryptUpdate = function(schema, update) {
+  if (update == null || !exports.hasEncryptedPaths(schema)) {
+    return update;
+  }
+
+  const ops = Object.keys(update);
+  if (!ops.some(op => op.charAt(0) === '$')) {
+    // replacement document
+    return exports.encryptDocument(schema, toPlain(update));
+  }
+
+  ops.forEach(op => {
+    const values = update[op];
+    if (values == null || typeof values !== 'object') {
+      return;
+    }
+    Object.keys(values).forEach(path => {
+      switch (op) {
+        case '$set':
+        case '$setOnInsert':
+          values[path] = encryptPath(schema, path, values[path]);
+          break;
+        case '$push':
+        case '$addToSet':
+          assertNotEncrypted(schema, path, op);
+          if (values[path] != null && Array.isArray(values[path].$each)) {
+            values[path] = Object.assign({}, values[path], {
+              $each: values[path].$each.map(el => encryptArrayElement(schema, path, el))
+            });
+          } else {
+            values[path] = encryptArrayElement(schema, path, values[path]);
+          }
+          break;
+        case '$unset':
+        case '$rename':
+          break;
+        default:
+          assertNotEncrypted(schema, path, op);
+      }
+    });
+  });
+
+  return update;
+};
+
+/**
+ * Casts a query filter value for an encrypted path. Only equality
+ * operators and `$exists` can match ciphertext, and only on paths with
+ * `encrypt.deterministic`.
+ *
+ * @param {SchemaType} schematype
+ * @param {any} val
+ * @param {Query} context
+ * @return {any}
+ * @api private
+ */
+
+exports.castForQuery = function(schematype, val, context) {
+  const options = cipher.getOptions(schematype);
+  const castAndEncrypt = function(v) {
+    if (!options.deterministic) {
+      throw new Error('Can\'t query encrypted path "' + schematype.path +
+        '" by value unless `encrypt.deterministic` is set');
+    }
+    if (v instanceof RegExp) {
+      throw new Error('Can\'t use a RegExp on encrypted path "' +
+        schematype.path + '"');
+    }
+    v = schematype.castForQueryWrapper({ val: v, context: context });
+    return v == null ? v : cipher.encrypt(v, options);
+  };
+
+  if (val.constructor.name === 'Object' &&
+      Object.keys(val).some(key => key.charAt(0) === '$')) {
+    Object.keys(val).forEach($cond => {
+      switch ($cond) {
+        case '$eq':
+        case '$ne':
+          val[$cond] = castAndEncrypt(val[$cond]);
+          break;
+        case '$in':
+        case '$nin':
+          val[$cond] = [].concat(val[$cond]).map(castAndEncrypt);
+          break;
+        case '$exists':
+          val[$cond] = schematype.castForQueryWrapper({
+            $conditional: $cond,
+            val: val[$cond],
+            context: context
+          });
+          break;
+        default:
+          throw new Error('Can\'t use ' + $cond + ' on encrypted path "' +
+            schematype.path + '"');
+      }
+    });
+    return val;
+  }
+
+  if (Array.isArray(val) && ['Buffer', 'Array'].indexOf(schematype.instance) === -1) {
+    return { $in: val.map(castAndEncrypt) };
+  }
+  return castAndEncrypt(val);
+};
+
+/*!
+ * ignore
+ */
+
+function getEncryptedPaths(schema) {
+  let ret = encryptedPaths.get(schema);
+  if (ret != null) {
+    return ret;
+  }
+
+  // guard against recursive schemas while computing
+  ret = [];
+  encryptedPaths.set(schema, ret);
+  schema.eachPath((path, schematype) => {
+    if (containsEncryptedValues(schematype)) {
+      ret.push({ path: path, schematype: schematype });
+    }
+  });
+  return ret;
+}
+
+/*!
+ * ignore
+ */
+
+function containsEncryptedValues(schematype) {
+  if (cipher.getOptions(schematype) != null) {
+    return true;
+  }
+  if (schematype.$isSchemaMap) {
+    return containsEncryptedValues(schematype.$__schemaType);
+  }
+  return schematype.schema != null && exports.hasEncryptedPaths(schematype.schema);
+}
+
+/*!
+ * Applies `fn` to the values of encrypted paths under `prefix`.
+ */
+
+function transformDocument(schema, obj, fn, prefix) {
+  if (obj == null || typeof obj !== 'object') {
+    return obj;
+  }
+
+  getEncryptedPaths(schema).forEach(entry => {
+    if (entry.path.indexOf(prefix) !== 0) {
+      return;
+    }
+    const path = entry.path.substr(prefix.length);
+    const val = utils.getValue(path, obj);
+    if (val == null) {
+      return;
+    }
+    const transformed = transformValue(entry.schematype, val, fn);
+    if (transformed !== val) {
+      utils.setValue(path, transformed, obj);
+    }
+  });
+
+  return obj;
+}
+
+/*!
+ * ignore
+ */
+
+function transformValue(schematype, val, fn) {
+  if (val == null) {
+    return val;
+  }
+
+  const options = cipher.getOptions(schematype);
+  if (options != null) {
+    return fn(val, options);
+  }
+
+  if (schematype.$isSchemaMap) {
+    const valueType = schematype.$__schemaType;
+    if (val instanceof Map) {
+      val.forEach((value, key) => {
+        val.set(key, transformValue(valueType, value, fn));
+      });
+    } else {
+      Object.keys(val).forEach(key => {
+        val[key] = transformValue(valueType, val[key], fn);
+      });
+    }
+    return val;
+  }
+
+  if (schematype.schema != null) {
+    if (Array.isArray(val)) {
+      return val.map(doc => transformDocument(schematype.schema, toPlain(doc), fn, ''));
+    }
+    return transformDocument(schematype.schema, toPlain(val), fn, '');
+  }
+
+  return val;
+}
+
+/*!
+ * ignore
+ */
+
+function encrypt(val, options) {
+  return cipher.isEncrypted(val) ? val : cipher.encrypt(val, options);
+}
+
+/*!
+ * Encrypts the value for `path` in a `$set`, where `path` may be nested or
+ * positional, like `arr.0.name`.
+ */
+
+function encryptPath(schema, path, val) {
+  if (val == null) {
+    return val;
+  }
+
+  const schematype = schema._getSchema(path);
+  if (schematype == null) {
+    return schema.pathType(path) === 'nested' ?
+      transformDocument(schema, toPlain(val), encrypt, path + '.') :
+      val;
+  }
+  if (cipher.getOptions(schematype) == null && !containsEncryptedValues(schematype)) {
+    return val;
+  }
+  return transformValue(schematype, toPlain(val), encrypt);
+}
+
+/*!
+ * ignore
+ */
+
+function encryptArrayElement(schema, path, val) {
+  const schematype = schema._getSchema(path);
+  if (val == null || schematype == null || schematype.schema == null) {
+    return val;
+  }
+  return transformDocument(schematype.schema, toPlain(val), encrypt, '');
+}
+
+/*!
+ * ignore
+ */
+
+function assertNotEncrypted(schema, path, op) {
+  if (exports.isEncryptedPath(schema, path)) {
+    throw new Error('Can\'t use ' + op + ' on encrypted path "' + path + '"');
+  }
+}
+
+/*!
+ * ignore
+ */
+
+function toPlain(val) {
+  if (Array.isArray(val)) {
+    return val.map(toPlain);
+  }
+  return utils.isMongooseObject(val) ?
+    val.toObject(internalToObjectOptions) :
+    val;
+}
@@ -0,0 +1,445 @@
+'use strict';
+
+/*!
+ * Module dependencies.
+ */
+
+const ObjectId = require('../types/objectid');
+const encryption = require('./encryption/transform');
+const internalToObjectOptions = require('../options').internalToObjectOptions;
+const softDelete = require('./softDelete');
+const utils = require('../utils');
+
+/*!
+ * How often `record()` renumbers entries that lost a race for a version.
+ */
+
+const MAX_RETRIES = 5;
+
+/*!
+ * Query ops that soft delete documents when the schema has `softDelete`.
+ */
+
+const removeOps = {
+  remove: true,
+  deleteOne: true,
+  deleteMany: true,
+  findOneAndRemove: true
+};
+
+/*!
+ * Names of the history collections whose unique index was created, by
+ * connection.
+ */
+
+const indexed = new WeakMap();
+
+/*!
+ * Options for the snapshots that history entries are computed from.
+ */
+
+const snapshotOptions = Object.assign({}, internalToObjectOptions, {
+  versionKey: false,
+  flattenMaps: true
+});
+
+/**
+ * Returns the name of the collection that stores the history of `model`'s
+ * documents, or `null` if its schema doesn't have the `history` option.
+ *
+ * @param {Model} model
+ * @return {String|null}
+ * @api private
+ */
+
+exports.getCollectionName = function(model) {
+  const history = model.schema.options.history;
+  if (!history) {
+    return null;
+  }
+  if (typeof history === 'object' && history.collection) {
+    return history.collection;
+  }
+  return model.collection.collectionName + '_history';
+};
+
+/**
+ * Returns a copy of the document's current state to diff against.
+ *
+ * @param {Document} doc
+ * @return {Object}
+ * @api private
+ */
+
+exports.snapshot = function(doc) {
+  return doc.toObject(snapshotOptions);
+};
+
+/**
+ * Returns `{ path, before, after }` for every path whose value differs
+ * between the POJOs `before` and `after`. Nested objects are compared path
+ * by path, everything else, including arrays, as a whole.
+ *
+ * @param {Object} before
+ * @param {Object} after
+ * @return {Array}
+ * @api private
+ */
+
+exports.diff = function(before, after) {
+  const changes = [];
+  diffObjects(before || {}, after || {}, '', changes);
+  return changes.filter(change => change.path !== '_id');
+};
+
+/**
+ * Inserts one history entry per item of `changesets`, which look like
+ * `{ ref, op, changes }`, numbering them after the last entry of the same
+ * document. Changesets without changes are skipped. Values of encrypted
+ * paths are stored encrypted.
+ *
+ * A unique index on `{ ref, version }` keeps concurrent writes from
+ * numbering two entries the same, entries that lose the race are
+ * renumbered.
+ *
+ * @param {Model} model
+ * @param {Array} changesets
+ * @param {Object} options
+ * @param {any} [options.actor] who made the changes
+ * @param {ClientSession} [options.session]
+ * @param {Function} callback
+ * @api private
+ */
+
+exports.record = function(model, changesets, options, callback) {
+  changesets = changesets.filter(changeset => changeset.ref != null &&
+    changeset.changes.length > 0);
+  if (changesets.length === 0) {
+    return utils.immediate(() => callback(null));
+  }
+
+  const collection = model.db.collection(exports.getCollectionName(model));
+  ensureIndex(model.db, collection, error => {
+    if (error) {
+      return callback(error);
+    }
+    insertEntries(model, collection, changesets, options, 0, callback);
+  });
+};
+
+/**
+ * Loads the history entries of the document with id `ref`, oldest first.
+ *
+ * @param {Model} model
+ * @param {any} ref
+ * @param {Object} [conditions] extra conditions, for example on `version`
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session]
+ * @param {Function} callback
+ * @api private
+ */
+
+exports.find = function(model, ref, conditions, options, callback) {
+  const collection = model.db.collection(exports.getCollectionName(model));
+  const query = Object.assign({}, conditions, { ref: ref });
+  const findOptions = Object.assign(sessionOptions(options), { sort: { version: 1 } });
+  collection.find(query, findOptions, (error, cursor) => {
+    if (error) {
+      return callback(error);
+    }
+    cursor.toArray((error, entries) => {
+      if (error) {
+        return callback(error);
+      }
+      try {
+        entries.forEach(entry => {
+          entry.changes = transformChanges(model.schema, entry.changes,
+            encryption.decryptDocument);
+        });
+      } catch (error) {
+        return callback(error);
+      }
+      callback(null, entries);
+    });
+  });
+};
+
+/**
+ * Loads the documents an update query is about to change, so the post hook
+ * can diff them against their updated state.
+ *
+ * @param {Query} query
+ * @param {Function} callback
+ * @api private
+ */
+
+exports.findBeforeUpdate = function(query, callback) {
+  const multi = query.op === 'updateMany' || query.op === 'deleteMany' ||
+    (query.op === 'update' && query.options.multi) ||
+    (query.op === 'remove' && !query.options.single && !query.options.justOne);
+
+  // soft deletes skip documents that are already deleted
+  const filter = Object.assign({}, query.getQuery());
+  if (removeOps[query.op]) {
+    softDelete.applyFilter(query.model.schema, filter, query._mongooseOptions);
+  }
+
+  const before = query.model.find(filter).
+    setOptions({ lean: true, withDeleted: true }).
+    session(query.options.session);
+  if (!multi) {
+    before.limit(1);
+    if (query.options.sort != null) {
+      before.sort(query.options.sort);
+    }
+  }
+  before.exec(callback);
+};
+
+/**
+ * Records a history entry for every document changed by an update query,
+ * or soft deleted by a remove query.
+ *
+ * @param {Query} query
+ * @param {Array} before documents loaded by `findBeforeUpdate()`
+ * @param {Object|Document} res the result of the update
+ * @param {Function} callback
+ * @api private
+ */
+
+exports.recordUpdate = function(query, before, res, callback) {
+  const model = query.model;
+  const ids = before.map(doc => doc._id);
+  getResultIds(query, res).forEach(id => ids.push(id));
+  if (ids.length === 0) {
+    return utils.immediate(() => callback(null));
+  }
+
+  const after = model.find({ _id: { $in: ids } }).
+    setOptions({ lean: true, withDeleted: true }).
+    session(query.options.session);
+  after.exec((error, docs) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const beforeById = {};
+    before.forEach(doc => {
+      beforeById[String(doc._id)] = doc;
+    });
+    const changesets = docs.map(doc => {
+      const original = beforeById[String(doc._id)];
+      return {
+        ref: doc._id,
+        op: removeOps[query.op] ? 'delete' : original == null ? 'create' : 'update',
+        changes: exports.diff(original, doc)
+      };
+    });
+
+    const options = {
+      actor: query._mongooseOptions.actor,
+      session: query.options.session
+    };
+    exports.record(model, changesets, options, callback);
+  });
+};
+
+/*!
+ * Numbers and inserts the entries for `changesets`. If another write took
+ * one of the versions first, renumbers the entries that weren't inserted.
+ */
+
+function insertEntries(model, collection, changesets, options, attempt, callback) {
+  const pipeline = [
+    { $match: { ref: { $in: changesets.map(changeset => changeset.ref) } } },
+    { $group: { _id: '$ref', version: { $max: '$version' } } }
+  ];
+  collection.aggregate(pipeline, sessionOptions(options), (error, cursor) => {
+    if (error) {
+      return callback(error);
+    }
+    cursor.toArray((error, res) => {
+      if (error) {
+        return callback(error);
+      }
+
+      const versions = {};
+      res.forEach(v => {
+        versions[String(v._id)] = v.version;
+      });
+
+      const now = new Date();
+      let entries;
+      try {
+        entries = changesets.map(changeset => {
+          const key = String(changeset.ref);
+          versions[key] = (versions[key] || 0) + 1;
+
+          const entry = {
+            _id: new ObjectId(),
+            ref: changeset.ref,
+            model: model.modelName,
+            version: versions[key],
+            op: changeset.op,
+            at: now,
+            changes: transformChanges(model.schema, changeset.changes,
+              encryption.encryptDocument)
+          };
+          if (options.actor != null) {
+            entry.actor = options.actor;
+          }
+          return entry;
+        });
+      } catch (error) {
+        return callback(error);
+      }
+
+      collection.insertMany(entries, sessionOptions(options), error => {
+        if (error == null || error.code !== 11000 || attempt >= MAX_RETRIES) {
+          return callback(error);
+        }
+
+        const ids = entries.map(entry => entry._id);
+        const findOptions = Object.assign(sessionOptions(options), { projection: { _id: 1 } });
+        collection.find({ _id: { $in: ids } }, findOptions, (error, cursor) => {
+          if (error) {
+            return callback(error);
+          }
+          cursor.toArray((error, inserted) => {
+            if (error) {
+              return callback(error);
+            }
+            const done = {};
+            inserted.forEach(entry => {
+              done[String(entry._id)] = true;
+            });
+            const rest = changesets.filter((changeset, i) => !done[String(ids[i])]);
+            insertEntries(model, collection, rest, options, attempt + 1, callback);
+          });
+        });
+      });
+    });
+  });
+}
+
+/*!
+ * Creates the unique `{ ref, version }` index once per connection.
+ */
+
+function ensureIndex(conn, collection, callback) {
+  let names = indexed.get(conn);
+  if (names == null) {
+    names = {};
+    indexed.set(conn, names);
+  }
+  const name = collection.collectionName;
+  if (names[name]) {
+    return utils.immediate(() => callback(null));
+  }
+
+  collection.createIndex({ ref: 1, version: 1 }, { unique: true }, error => {
+    if (error) {
+      return callback(error);
+    }
+    names[name] = true;
+    callback(null);
+  });
+}
+
+/*!
+ * Returns copies of `changes` whose `before` and `after` values went
+ * through `fn`, `encryptDocument()` or `decryptDocument()`, at their path.
+ */
+
+function transformChanges(schema, changes, fn) {
+  if (!encryption.hasEncryptedPaths(schema) || !Array.isArray(changes)) {
+    return changes;
+  }
+
+  return changes.map(change => {
+    const ret = Object.assign({}, change);
+    ['before', 'after'].forEach(key => {
+      if (ret[key] === undefined) {
+        return;
+      }
+      const parts = change.path.split('.');
+      const obj = {};
+      let cur = obj;
+      for (let i = 0; i < parts.length - 1; ++i) {
+        cur = cur[parts[i]] = {};
+      }
+      cur[parts[parts.length - 1]] = utils.clone(ret[key]);
+      fn(schema, obj);
+      ret[key] = utils.getValue(change.path, obj);
+    });
+    return ret;
+  });
+}
+
+/*!
+ * Driver options that run an operation in `options.session`, if any.
+ */
+
+function sessionOptions(options) {
+  return options != null && options.session != null ?
+    { session: options.session } :
+    {};
+}
+
+/*!
+ * ignore
+ */
+
+function getResultIds(query, res) {
+  if (res == null) {
+    return [];
+  }
+  if (query.op === 'findOneAndUpdate') {
+    const doc = query.options.rawResult ? res.value : res;
+    return doc != null && doc._id != null ? [doc._id] : [];
+  }
+  const result = res.result || res;
+  return (result.upserted || []).map(upserted => upserted._id);
+}
+
+/*!
+ * ignore
+ */
+
+function diffObjects(before, after, prefix, changes) {
+  const keys = Object.keys(before);
+  Object.keys(after).forEach(key => {
+    if (!before.hasOwnProperty(key)) {
+      keys.push(key);
+    }
+  });
+
+  keys.forEach(key => {
+    const path = prefix + key;
+    const a = before[key];
+    const b = after[key];
+    if (isPlainObject(a) && isPlainObject(b)) {
+      return diffObjects(a, b, path + '.', changes);
+    }
+    if (utils.deepEqual(a, b)) {
+      return;
+    }
+    const change = { path: path };
+    if (a !== undefined) {
+      change.before = a;
+    }
+    if (b !== undefined) {
+      change.after = b;
+    }
+    changes.push(change);
+  });
+}
+
+/*!
+ * ignore
+ */
+
+function isPlainObject(val) {
+  return val != null && typeof val === 'object' &&
+    val.constructor != null && val.constructor.name === 'Object';
+}
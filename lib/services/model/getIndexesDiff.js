@@ -0,0 +1,130 @@
+'use strict';
+
+var utils = require('../../utils');
+
+/*!
+ * Options that make two indexes on the same key different. Other options,
+ * like `background`, only affect how an index is built.
+ */
+
+var COMPARED_OPTIONS = ['unique', 'sparse', 'expireAfterSeconds',
+  'partialFilterExpression'];
+
+/*!
+ * Compares the indexes declared in `schemas` with the `existing` indexes
+ * reported by `listIndexes`. An existing index with the same key but
+ * different options is both dropped and recreated.
+ *
+ * @param {Schema[]} schemas the model's schema and its discriminators' schemas
+ * @param {Object[]} existing
+ * @return {Object} `{ toCreate: [[fields, options]], toDrop: [names] }`
+ */
+
+module.exports = function getIndexesDiff(schemas, existing) {
+  var declared = [];
+  schemas.forEach(function(schema) {
+    schema.indexes().forEach(function(index) {
+      var options = Object.assign({}, index[1]);
+      utils.expires(options);
+      var isDuplicate = declared.some(function(other) {
+        return utils.deepEqual(other[0], index[0]) &&
+          utils.deepEqual(other[1], options);
+      });
+      if (!isDuplicate) {
+        declared.push([index[0], options]);
+      }
+    });
+  });
+
+  existing = existing.filter(function(index) {
+    return index.name !== '_id_';
+  });
+
+  var matched = [];
+  var toCreate = declared.filter(function(index) {
+    for (var i = 0; i < existing.length; ++i) {
+      if (matched.indexOf(existing[i]) === -1 && isSameIndex(index, existing[i])) {
+        matched.push(existing[i]);
+        return false;
+      }
+    }
+    return true;
+  });
+  var toDrop = existing.
+    filter(function(index) {
+      return matched.indexOf(index) === -1;
+    }).
+    map(function(index) {
+      return index.name;
+    });
+
+  return { toCreate: toCreate, toDrop: toDrop };
+};
+
+/*!
+ * ignore
+ */
+
+function isSameIndex(declared, existing) {
+  var options = declared[1];
+  var key = normalizeKey(declared[0], options.weights);
+  if (!utils.deepEqual(key, normalizeKey(existing.key, existing.weights))) {
+    return false;
+  }
+
+  if (options.name != null && options.name !== existing.name) {
+    return false;
+  }
+
+  for (var i = 0; i < COMPARED_OPTIONS.length; ++i) {
+    var name = COMPARED_OPTIONS[i];
+    var isBoolean = name === 'unique' || name === 'sparse';
+    var a = isBoolean ? !!options[name] : options[name];
+    var b = isBoolean ? !!existing[name] : existing[name];
+    if (!utils.deepEqual(a, b)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/*!
+ * Converts an index key to an array of `[field, type]` pairs. MongoDB
+ * stores text indexes as `{ _fts: 'text', _ftsx: 1 }` with the fields in
+ * `weights`, so text fields are listed in sorted order with their weight
+ * in place of the first text field.
+ */
+
+function normalizeKey(key, weights) {
+  var ret = [];
+  var textFields = null;
+  Object.keys(key).forEach(function(field) {
+    var type = key[field];
+    if (field === '_ftsx') {
+      return;
+    }
+    if (type !== 'text') {
+      ret.push([field, type]);
+      return;
+    }
+    if (textFields == null) {
+      textFields = [];
+      ret.push(textFields);
+    }
+    if (field === '_fts') {
+      Object.keys(weights || {}).forEach(function(name) {
+        textFields.push([name, 'text', weights[name]]);
+      });
+      return;
+    }
+    textFields.push([field, 'text', weights && weights[field] || 1]);
+  });
+
+  if (textFields != null) {
+    textFields.sort(function(a, b) {
+      return a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0;
+    });
+  }
+  return ret;
+}
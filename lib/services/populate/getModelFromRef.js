@@ -0,0 +1,27 @@
+'use strict';
+
+const getRefModelName = require('./getRefModelName');
+
+/*!
+ * Resolves a populate `ref` to a model. A `ref` can be:
+ *
+ * - a model name, looked up on `connection`
+ * - a Model, which may belong to any connection
+ * - `{ connection, model }`, a model name (or Model, by its name) looked up
+ *   on another connection
+ *
+ * @param {String|Model|Object} ref
+ * @param {Connection} connection the connection of the model being populated
+ * @return {Model}
+ */
+
+module.exports = function getModelFromRef(ref, connection) {
+  if (typeof ref === 'function' && ref.prototype != null &&
+      ref.prototype.$isMongooseModelPrototype) {
+    return ref;
+  }
+  if (ref != null && typeof ref === 'object') {
+    return (ref.connection || connection).model(getRefModelName(ref));
+  }
+  return connection.model(ref);
+};
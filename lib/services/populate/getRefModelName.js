@@ -0,0 +1,19 @@
+'use strict';
+
+/*!
+ * Returns the name of the model a `ref` points to, whether the `ref` is a
+ * model name, a Model or a `{ connection, model }` pair.
+ *
+ * @param {String|Model|Object} ref
+ * @return {String}
+ */
+
+module.exports = function getRefModelName(ref) {
+  if (ref == null || typeof ref === 'string') {
+    return ref;
+  }
+  if (typeof ref === 'function') {
+    return ref.modelName;
+  }
+  return typeof ref.model === 'string' ? ref.model : ref.model && ref.model.modelName;
+};
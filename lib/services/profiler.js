@@ -0,0 +1,189 @@
+'use strict';
+
+/*!
+ * Query ops that can be explained with a `find` command.
+ */
+
+var explainableOps = { find: true, findOne: true };
+
+/**
+ * Wraps `callback` so the operation that `target` runs is reported to the
+ * profiler of `model`'s connection, see
+ * [`Connection#profile()`](#connection_Connection-profile). Returns
+ * `callback` itself if the connection isn't profiling.
+ *
+ * @param {Model} model
+ * @param {Query|Aggregate} target
+ * @param {String} op
+ * @param {Function} callback
+ * @return {Function}
+ * @api private
+ */
+
+exports.track = function(model, target, op, callback) {
+  var conn = model != null ? model.db : null;
+  if (conn == null || conn._profiler == null) {
+    return callback;
+  }
+
+  var profiler = conn._profiler;
+  var start = Date.now();
+
+  return function(error, res) {
+    var event = createEvent(model, target, op, error, res, Date.now() - start);
+    var threshold = getThreshold(profiler.slowMS, model.modelName, op);
+    event.slow = threshold != null && event.duration >= threshold;
+
+    callback.apply(this, arguments);
+
+    conn.emit('profile', event);
+    if (!event.slow) {
+      return;
+    }
+    if (!profiler.explain || error != null) {
+      conn.emit('slowQuery', event);
+      return;
+    }
+    explain(model, target, op, function(error, res) {
+      if (error != null) {
+        event.explainError = error;
+      } else if (res != null) {
+        event.explain = res;
+      }
+      conn.emit('slowQuery', event);
+    });
+  };
+};
+
+/**
+ * Replaces the values in a filter with `'?'` so filters that only differ
+ * in their values have the same shape. Arrays of values, like the value of
+ * `$in`, become a single `'?'`.
+ *
+ * ####Example:
+ *
+ *     shape({ age: { $gt: 18 }, $or: [{ name: 'a' }, { tags: { $in: [1, 2] } }] });
+ *     // { age: { $gt: '?' }, $or: [{ name: '?' }, { tags: { $in: '?' } }] }
+ *
+ * @param {Object} filter
+ * @return {Object}
+ * @api private
+ */
+
+exports.shape = function shape(filter) {
+  if (Array.isArray(filter)) {
+    return filter.length > 0 && filter.every(isPlainObject) ?
+      filter.map(shape) :
+      '?';
+  }
+  if (!isPlainObject(filter)) {
+    return '?';
+  }
+  var ret = {};
+  Object.keys(filter).forEach(function(key) {
+    ret[key] = shape(filter[key]);
+  });
+  return ret;
+};
+
+/*!
+ * ignore
+ */
+
+function createEvent(model, target, op, error, res, duration) {
+  var event = {
+    model: model,
+    modelName: model.modelName,
+    collection: model.collection.name,
+    op: op,
+    filter: null,
+    duration: duration,
+    docsReturned: error == null ? numDocs(op, res) : null,
+    error: error || null,
+    query: target
+  };
+
+  if (op === 'aggregate') {
+    var pipeline = target.pipeline();
+    event.filter = pipeline.length > 0 && pipeline[0].$match != null ?
+      exports.shape(pipeline[0].$match) :
+      {};
+    event.pipeline = exports.shape(pipeline);
+  } else {
+    event.filter = exports.shape(target.getQuery());
+  }
+
+  return event;
+}
+
+/*!
+ * ignore
+ */
+
+function numDocs(op, res) {
+  if (Array.isArray(res)) {
+    return res.length;
+  }
+  if (op.indexOf('findOne') === 0) {
+    return res == null ? 0 : 1;
+  }
+  return null;
+}
+
+/*!
+ * `slowMS` is either a number or an object keyed by `Model.op`, model name
+ * and `default`, most specific first.
+ */
+
+function getThreshold(slowMS, modelName, op) {
+  if (slowMS == null || typeof slowMS === 'number') {
+    return slowMS;
+  }
+  var keys = [modelName + '.' + op, modelName, 'default'];
+  for (var i = 0; i < keys.length; ++i) {
+    if (typeof slowMS[keys[i]] === 'number') {
+      return slowMS[keys[i]];
+    }
+  }
+  return null;
+}
+
+/*!
+ * Explains aggregations and `find()` and `findOne()` queries, other ops
+ * report no plan.
+ */
+
+function explain(model, target, op, callback) {
+  if (op === 'aggregate') {
+    target.explain().then(function(res) {
+      callback(null, res);
+    }, callback);
+    return;
+  }
+  if (!explainableOps[op]) {
+    return callback(null, null);
+  }
+
+  var options = target._optionsForExec(model);
+  options.projection = target._fieldsForExec();
+  if (op === 'findOne') {
+    options.limit = 1;
+  }
+  try {
+    model.collection.find(target.getQuery(), options).explain(callback);
+  } catch (error) {
+    // the driver doesn't support `explain`, like the in-memory driver
+    callback(error);
+  }
+}
+
+/*!
+ * ignore
+ */
+
+function isPlainObject(val) {
+  return val != null &&
+    typeof val === 'object' &&
+    Object.prototype.toString.call(val) === '[object Object]' &&
+    val._bsontype == null;
+}
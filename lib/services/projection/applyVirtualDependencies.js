@@ -0,0 +1,79 @@
+'use strict';
+
+var isDefiningProjection = require('./isDefiningProjection');
+
+/*!
+ * Adds the stored paths that the selected virtuals depend on to an
+ * inclusive projection, so `{ fullName: 1 }` also selects `first` and
+ * `last` if the `fullName` virtual was declared with
+ * `dependsOn: ['first', 'last']`. Paths that are already in the projection
+ * are left alone.
+ *
+ * @param {Object} fields the query projection
+ * @param {Schema} schema
+ * @return {String[]} the names of the selected virtuals
+ */
+
+module.exports = function applyVirtualDependencies(fields, schema) {
+  var selected = [];
+  if (fields == null || schema == null) {
+    return selected;
+  }
+
+  var keys = Object.keys(fields);
+  for (var i = 0; i < keys.length; ++i) {
+    var virtual = getVirtual(schema, keys[i]);
+    if (virtual == null ||
+        !isDefiningProjection(fields[keys[i]]) ||
+        !fields[keys[i]]) {
+      continue;
+    }
+    selected.push(keys[i]);
+    addDependencies(fields, schema, virtual, [keys[i]]);
+  }
+
+  return selected;
+};
+
+/*!
+ * ignore
+ */
+
+function addDependencies(fields, schema, virtual, stack) {
+  var dependsOn = virtual.options.dependsOn;
+  if (dependsOn == null) {
+    return;
+  }
+
+  dependsOn = [].concat(dependsOn);
+  for (var i = 0; i < dependsOn.length; ++i) {
+    var path = dependsOn[i];
+    var dependency = getVirtual(schema, path);
+    if (dependency != null) {
+      // virtuals may depend on other virtuals, guard against cycles
+      if (stack.indexOf(path) === -1) {
+        addDependencies(fields, schema, dependency, stack.concat([path]));
+      }
+      continue;
+    }
+    if (!(path in fields)) {
+      fields[path] = 1;
+    }
+  }
+}
+
+/*!
+ * Returns the virtual at `path`, skipping populate virtuals because those
+ * are handled by `populate()`.
+ */
+
+function getVirtual(schema, path) {
+  if (schema.paths[path] != null || !schema.virtuals.hasOwnProperty(path)) {
+    return null;
+  }
+  var virtual = schema.virtuals[path];
+  if (virtual.options.ref != null) {
+    return null;
+  }
+  return virtual;
+}
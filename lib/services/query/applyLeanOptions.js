@@ -0,0 +1,225 @@
+'use strict';
+
+var SchemaType = require('../../schematype');
+var isDefiningProjection = require('../projection/isDefiningProjection');
+var isInclusive = require('../projection/isInclusive');
+var mpath = require('mpath');
+var queryhelpers = require('../../queryhelpers');
+var utils = require('../../utils');
+
+/*!
+ * Applies the schema's defaults, getters and virtuals to the plain objects
+ * a `lean()` query returned, depending on the lean options:
+ *
+ *     Model.find().lean({ defaults: true, getters: true, virtuals: true });
+ *
+ * Defaults are applied first so getters and virtuals see them, and getters
+ * before virtuals, the same order as hydrated documents. Single nested and
+ * array subdocs are transformed with their own schema. Populated docs are
+ * left alone because the populate query already transformed them.
+ *
+ * @param {Schema} schema
+ * @param {Object} doc
+ * @param {Object} options the lean options
+ * @param {Object} [fields] the query projection, defaults aren't applied to paths it excludes
+ */
+
+module.exports = function applyLeanOptions(schema, doc, options, fields) {
+  if (doc == null || typeof doc !== 'object') {
+    return;
+  }
+  var projection = fields != null && Object.keys(fields).length > 0 ?
+    { fields: fields, inclusive: isInclusive(fields) } :
+    null;
+  transform(schema, doc, options, projection, '');
+};
+
+/*!
+ * ignore
+ */
+
+function transform(schema, doc, options, projection, prefix) {
+  var paths = Object.keys(schema.paths);
+  var i;
+  var path;
+  var schematype;
+
+  if (options.defaults) {
+    for (i = 0; i < paths.length; ++i) {
+      path = paths[i];
+      schematype = schema.paths[path];
+      // like `init()`, don't generate ids for loaded docs
+      if (path === '_id' ||
+          schematype.defaultValue === void 0 ||
+          mpath.get(path, doc) !== void 0 ||
+          !isSelected(projection, prefix + path)) {
+        continue;
+      }
+      var def = getDefault(schematype, doc);
+      if (def !== void 0) {
+        setNested(path, def, doc);
+      }
+    }
+  }
+
+  for (i = 0; i < paths.length; ++i) {
+    path = paths[i];
+    schematype = schema.paths[path];
+    if (schematype.schema == null) {
+      continue;
+    }
+    var subdocs = mpath.get(path, doc);
+    if (subdocs == null) {
+      continue;
+    }
+    [].concat(subdocs).forEach(function(subdoc) {
+      if (subdoc == null || typeof subdoc !== 'object') {
+        return;
+      }
+      transform(getSubdocSchema(schematype, subdoc), subdoc, options,
+        projection, prefix + path + '.');
+    });
+  }
+
+  if (options.getters) {
+    for (i = 0; i < paths.length; ++i) {
+      path = paths[i];
+      schematype = schema.paths[path];
+      if (schematype.schema != null || !isSelected(projection, prefix + path)) {
+        continue;
+      }
+      applyGetters(schematype, path, doc);
+    }
+  }
+
+  if (options.virtuals) {
+    var virtuals = Object.keys(schema.virtuals);
+    for (i = 0; i < virtuals.length; ++i) {
+      var virtual = schema.virtuals[virtuals[i]];
+      // populate virtuals are set by `populate()`
+      if (virtual.options.ref != null) {
+        continue;
+      }
+      var pieces = virtuals[i].split('.');
+      if (pieces.length > 1 &&
+          mpath.get(pieces.slice(0, -1).join('.'), doc) == null) {
+        continue;
+      }
+      mpath.set(virtuals[i], virtual.applyGetters(void 0, doc), doc);
+    }
+  }
+}
+
+/*!
+ * Like `mpath.set()`, but creates missing nested objects.
+ */
+
+function setNested(path, val, doc) {
+  var pieces = path.split('.');
+  var cur = doc;
+  for (var i = 0; i < pieces.length - 1; ++i) {
+    if (cur[pieces[i]] == null) {
+      cur[pieces[i]] = {};
+    } else if (typeof cur[pieces[i]] !== 'object') {
+      return;
+    }
+    cur = cur[pieces[i]];
+  }
+  cur[pieces[pieces.length - 1]] = val;
+}
+
+/*!
+ * Computes the default without casting subdocs and arrays into mongoose
+ * types, the result should stay a plain object.
+ */
+
+function getDefault(schematype, doc) {
+  if (!schematype.$isSingleNested && !schematype.$isMongooseArray) {
+    return schematype.getDefault(doc, true);
+  }
+
+  var ret = typeof schematype.defaultValue === 'function' ?
+    schematype.defaultValue.call(doc) :
+    schematype.defaultValue;
+  if (ret == null || typeof ret !== 'object') {
+    return ret;
+  }
+  ret = utils.clone(ret);
+  if (Array.isArray(ret) &&
+      !schematype.$isMongooseDocumentArray &&
+      schematype.caster instanceof SchemaType) {
+    ret = ret.map(function(v) {
+      return schematype.caster.cast(v);
+    });
+  }
+  return ret;
+}
+
+/*!
+ * ignore
+ */
+
+function applyGetters(schematype, path, doc) {
+  if (schematype.getters.length === 0) {
+    return;
+  }
+
+  var val = mpath.get(path, doc);
+  if (isPopulated(schematype, val)) {
+    return;
+  }
+  mpath.set(path, schematype.applyGetters(val, doc), doc);
+}
+
+/*!
+ * ignore
+ */
+
+function isPopulated(schematype, val) {
+  var ref = schematype.options.ref ||
+    (schematype.caster && schematype.caster.options && schematype.caster.options.ref);
+  if (ref == null || val == null) {
+    return false;
+  }
+  val = Array.isArray(val) ? val[0] : val;
+  return val != null &&
+    typeof val === 'object' &&
+    val._bsontype == null &&
+    !Buffer.isBuffer(val) &&
+    !(val instanceof Date);
+}
+
+/*!
+ * ignore
+ */
+
+function getSubdocSchema(schematype, subdoc) {
+  var Constructor = schematype.casterConstructor || schematype.caster;
+  var key = schematype.schema.options.discriminatorKey;
+  if (Constructor.discriminators == null || typeof subdoc[key] !== 'string') {
+    return schematype.schema;
+  }
+  var discriminator = Constructor.discriminators[subdoc[key]] ||
+    queryhelpers.getDiscriminatorByValue(Constructor, subdoc[key]);
+  return discriminator ? discriminator.schema : schematype.schema;
+}
+
+/*!
+ * ignore
+ */
+
+function isSelected(projection, path) {
+  if (projection == null) {
+    return true;
+  }
+  var pieces = path.split('.');
+  var cur = '';
+  for (var i = 0; i < pieces.length; ++i) {
+    cur += (cur.length === 0 ? '' : '.') + pieces[i];
+    if (cur in projection.fields &&
+        isDefiningProjection(projection.fields[cur])) {
+      return !!projection.fields[cur];
+    }
+  }
+  return !projection.inclusive;
+}
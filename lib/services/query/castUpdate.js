@@ -2,6 +2,7 @@
 
 var StrictModeError = require('../../error/strict');
 var ValidationError = require('../../error/validation');
+var getEmbeddedDiscriminatorPath = require('./getEmbeddedDiscriminatorPath');
 var utils = require('../../utils');
 
 /*!
@@ -12,6 +13,7 @@ var utils = require('../../utils');
  * @param {Object} options
  * @param {Boolean} [options.overwrite] defaults to false
  * @param {Boolean|String} [options.strict] defaults to true
+ * @param {Object} [options.filter] query filter, used to pick single nested discriminators
  * @param {Query} context passed to setters
  * @return {Boolean} true iff the update is non-empty
  */
@@ -126,7 +128,7 @@ function walkUpdatePath(schema, obj, op, options, context, pref) {
 
     if (val && val.constructor.name === 'Object') {
       // watch for embedded doc schemas
-      schematype = schema._getSchema(prefix + key);
+      schematype = getSchemaType(schema, prefix + key, obj, options);
       if (schematype && schematype.caster && op in castOps) {
         // embedded doc schema
         if ('$each' in val) {
@@ -207,7 +209,7 @@ function walkUpdatePath(schema, obj, op, options, context, pref) {
     } else {
       var checkPath = (key === '$each' || key === '$or' || key === '$and') ?
         pref : prefix + key;
-      schematype = schema._getSchema(checkPath);
+      schematype = getSchemaType(schema, checkPath, obj, options);
 
       var pathDetails = schema._getPathType(checkPath);
       var isStrict = strict;
@@ -263,6 +265,16 @@ function walkUpdatePath(schema, obj, op, options, context, pref) {
   return hasKeys;
 }
 
+/*!
+ * Looks up the schematype for `path`, including paths that only exist
+ * in a single nested discriminator.
+ */
+
+function getSchemaType(schema, path, obj, options) {
+  return schema._getSchema(path) ||
+    getEmbeddedDiscriminatorPath(schema, path, obj, options.filter);
+}
+
 /*!
  * ignore
  */
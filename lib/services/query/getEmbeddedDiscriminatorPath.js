@@ -0,0 +1,51 @@
+'use strict';
+
+var getDiscriminatorByValue = require('../../queryhelpers').getDiscriminatorByValue;
+
+/*!
+ * Finds the schematype for `path` when it is underneath a single nested
+ * path with discriminators, like `shape.radius` where `radius` is only in
+ * the `Circle` schema. The discriminator is picked by the value of the
+ * discriminator key in the update or in the filter, e.g.
+ * `{ 'shape.kind': 'Circle' }`.
+ *
+ * @param {Schema} schema
+ * @param {String} path
+ * @param {Object} [update] the update op being cast, like the `$set` object
+ * @param {Object} [filter] the query filter
+ * @return {SchemaType|null}
+ */
+
+module.exports = function getEmbeddedDiscriminatorPath(schema, path, update, filter) {
+  var parts = path.split('.');
+
+  for (var i = 1; i < parts.length; ++i) {
+    var subpath = parts.slice(0, i).join('.');
+    var schematype = schema.path(subpath);
+    if (schematype == null ||
+        !schematype.$isSingleNested ||
+        schematype.caster.discriminators == null) {
+      continue;
+    }
+
+    var key = subpath + '.' + schematype.schema.options.discriminatorKey;
+    var value = null;
+    if (update != null && typeof update[key] === 'string') {
+      value = update[key];
+    } else if (filter != null && typeof filter[key] === 'string') {
+      value = filter[key];
+    }
+    if (value == null) {
+      return null;
+    }
+
+    var Constructor = schematype.caster.discriminators[value] ||
+      getDiscriminatorByValue(schematype.caster, value);
+    if (Constructor == null) {
+      return null;
+    }
+    return Constructor.schema._getSchema(parts.slice(i).join('.')) || null;
+  }
+
+  return null;
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+var utils = require('../../utils');
+
+/*!
+ * Upgrades the raw document `obj` to the latest version of `schema` by
+ * running the migrations registered with `schema.migration()` in order.
+ * Returns a migrated copy, or `null` if `obj` is already up to date.
+ *
+ * Documents without a version are treated as the lowest version any
+ * migration starts from.
+ *
+ * @param {Schema} schema
+ * @param {Object} obj
+ * @return {Object|null}
+ */
+
+module.exports = function applyMigrations(schema, obj) {
+  var migrations = schema._migrations;
+  if (migrations.length === 0) {
+    return null;
+  }
+
+  var key = schema.options.schemaVersionKey;
+  var latest = latestVersion(schema);
+  var version = obj[key] == null ? lowestVersion(schema) : obj[key];
+  if (version >= latest) {
+    return null;
+  }
+
+  var ret = utils.clone(obj);
+  while (version < latest) {
+    var migration = findMigration(migrations, version);
+    if (migration == null) {
+      throw new Error('No migration from version ' + version + ' to ' +
+        latest + ' for document with _id "' + obj._id + '"');
+    }
+    var res = migration.fn(ret);
+    if (res != null && typeof res === 'object') {
+      ret = res;
+    }
+    version = migration.to;
+    ret[key] = version;
+  }
+
+  return ret;
+};
+
+/*!
+ * The version new documents get, the highest version any migration goes to.
+ *
+ * @param {Schema} schema
+ * @return {Number}
+ */
+
+function latestVersion(schema) {
+  return schema._migrations.reduce(function(max, migration) {
+    return Math.max(max, migration.to);
+  }, -Infinity);
+}
+
+/*!
+ * ignore
+ */
+
+function lowestVersion(schema) {
+  return schema._migrations.reduce(function(min, migration) {
+    return Math.min(min, migration.from);
+  }, Infinity);
+}
+
+/*!
+ * Prefers the migration that skips the most versions.
+ */
+
+function findMigration(migrations, version) {
+  var ret = null;
+  for (var i = 0; i < migrations.length; ++i) {
+    if (migrations[i].from === version &&
+        (ret == null || migrations[i].to > ret.to)) {
+      ret = migrations[i];
+    }
+  }
+  return ret;
+}
+
+module.exports.latestVersion = latestVersion;
+module.exports.lowestVersion = lowestVersion;
@@ -0,0 +1,77 @@
+'use strict';
+
+var utils = require('../../utils');
+
+/*!
+ * Compares two `$jsonSchema` validators path by path. Each document path,
+ * like `name` or `comments.text` for an array of subdocuments, is compared
+ * by its own keywords and whether it is required, so a change to a nested
+ * path doesn't report its parents as changed.
+ *
+ * A `current` validator that isn't a `$jsonSchema`, like a query expression,
+ * has no paths, so every path in `desired` is added.
+ *
+ * @param {Object} [current] the collection's validator
+ * @param {Object} desired
+ * @return {Object} `{ added, removed, changed }`, arrays of paths
+ */
+
+module.exports = function diffJSONSchema(current, desired) {
+  var before = flatten(current != null ? current.$jsonSchema : null, '', {});
+  var after = flatten(desired != null ? desired.$jsonSchema : null, '', {});
+
+  var ret = { added: [], removed: [], changed: [] };
+  Object.keys(after).forEach(function(path) {
+    if (!before.hasOwnProperty(path)) {
+      ret.added.push(path);
+    } else if (!utils.deepEqual(before[path], after[path])) {
+      ret.changed.push(path);
+    }
+  });
+  Object.keys(before).forEach(function(path) {
+    if (!after.hasOwnProperty(path)) {
+      ret.removed.push(path);
+    }
+  });
+  return ret;
+};
+
+/*!
+ * Maps each path to its keywords, without the keywords that describe its
+ * children.
+ */
+
+function flatten(schema, prefix, ret) {
+  if (schema == null || typeof schema !== 'object' || schema.properties == null) {
+    return ret;
+  }
+
+  var required = schema.required || [];
+  Object.keys(schema.properties).forEach(function(key) {
+    var path = prefix + key;
+    var child = schema.properties[key] || {};
+    var rule = omitChildren(child);
+    if (required.indexOf(key) !== -1) {
+      rule.required = true;
+    }
+    if (child.items != null && typeof child.items === 'object' && !Array.isArray(child.items)) {
+      rule.items = omitChildren(child.items);
+      flatten(child.items, path + '.', ret);
+    }
+    ret[path] = rule;
+    flatten(child, path + '.', ret);
+  });
+  return ret;
+}
+
+/*!
+ * ignore
+ */
+
+function omitChildren(schema) {
+  var ret = Object.assign({}, schema);
+  delete ret.properties;
+  delete ret.required;
+  delete ret.items;
+  return ret;
+}
@@ -0,0 +1,326 @@
+'use strict';
+
+var Types = require('../../schema/index');
+
+/*!
+ * The pattern `toJSONSchema()` emits for ObjectIds.
+ */
+
+var OBJECT_ID_PATTERN = '^[0-9a-fA-F]{24}$';
+
+/*!
+ * SchemaTypes for JSON Schema `type`s and MongoDB `bsonType`s. Strings
+ * are refined using `format`, `pattern` and `contentEncoding`, integers
+ * using `format`.
+ */
+
+var TYPES = {
+  number: Types.Number,
+  integer: Types.Number,
+  double: Types.Number,
+  int: Types.Int32,
+  long: Types.Long,
+  decimal: Types.Decimal128,
+  boolean: Types.Boolean,
+  bool: Types.Boolean,
+  date: Types.Date,
+  objectId: Types.ObjectId,
+  binData: Types.Buffer
+};
+
+/*!
+ * Creates a schema from a draft-07 JSON Schema or a MongoDB `$jsonSchema`
+ * validator, the inverse of `toJSONSchema()`.
+ *
+ * @param {Function} Schema the Schema constructor
+ * @param {Object} jsonSchema
+ * @param {Object} [options] schema options
+ * @return {Schema}
+ */
+
+module.exports = function fromJSONSchema(Schema, jsonSchema, options) {
+  if (jsonSchema == null || typeof jsonSchema !== 'object') {
+    throw new TypeError('fromJSONSchema() requires a JSON Schema object');
+  }
+  if (jsonSchema.$jsonSchema != null) {
+    jsonSchema = jsonSchema.$jsonSchema;
+  }
+  if (getTypes(jsonSchema).join() !== 'object') {
+    throw new TypeError('fromJSONSchema() requires a JSON Schema of type ' +
+      '"object", got ' + JSON.stringify(getTypes(jsonSchema)));
+  }
+
+  var definition = objectDefinition(Schema, jsonSchema);
+  // `_id` and `__v` are added by mongoose itself
+  if (isAutoId(jsonSchema.properties && jsonSchema.properties._id)) {
+    delete definition._id;
+  }
+  if (definition.__v != null && definition.__v.type === Types.Number) {
+    delete definition.__v;
+  }
+  return new Schema(definition, options);
+};
+
+/*!
+ * Converts the `properties` of an object schema to a schema definition.
+ */
+
+function objectDefinition(Schema, jsonSchema) {
+  var properties = jsonSchema.properties || {};
+  var required = jsonSchema.required || [];
+  var ret = {};
+
+  Object.keys(properties).forEach(function(key) {
+    ret[key] = pathDefinition(Schema, properties[key],
+      required.indexOf(key) !== -1);
+  });
+
+  return ret;
+}
+
+/*!
+ * Converts the JSON Schema for a single property.
+ */
+
+function pathDefinition(Schema, jsonSchema, required) {
+  var patterns = [];
+  var multiples = [];
+  jsonSchema = merge(jsonSchema, patterns, multiples);
+
+  var types = getTypes(jsonSchema);
+  if (types.length !== 1) {
+    return types.length > 1 && types.every(isNumberType) ?
+      { type: Types.Number } :
+      { type: Types.Mixed };
+  }
+
+  var type = types[0];
+  if (type === 'object') {
+    if (jsonSchema.properties == null ||
+        Object.keys(jsonSchema.properties).length === 0) {
+      return { type: Types.Mixed };
+    }
+    // Nested paths can't be `null` and don't have an `_id`, single nested
+    // subdocuments can
+    if (!isNullable(jsonSchema) && !isAutoId(jsonSchema.properties._id)) {
+      return objectDefinition(Schema, jsonSchema);
+    }
+    var nested = { type: subdocumentSchema(Schema, jsonSchema) };
+    if (required) {
+      nested.required = true;
+    }
+    return nested;
+  }
+
+  if (type === 'array') {
+    var array = { type: [itemDefinition(Schema, jsonSchema.items)] };
+    ['minItems', 'maxItems'].forEach(function(key) {
+      if (jsonSchema[key] != null) {
+        array[key] = jsonSchema[key];
+      }
+    });
+    if (jsonSchema.uniqueItems === true) {
+      array.uniqueItems = true;
+    }
+    return array;
+  }
+
+  var ret = { type: scalarType(type, jsonSchema) };
+  if (ret.type === Types.Mixed) {
+    return ret;
+  }
+
+  if (required) {
+    ret.required = true;
+  }
+  if (jsonSchema['default'] !== undefined) {
+    ret['default'] = jsonSchema['default'];
+  }
+
+  if ((ret.type === Types.String || ret.type === Types.Number) &&
+      Array.isArray(jsonSchema['enum'])) {
+    ret['enum'] = jsonSchema['enum'].filter(function(v) {
+      return v !== null;
+    });
+  }
+
+  if (ret.type === Types.String) {
+    // `toJSONSchema()` adds `minLength: 1` because required strings can't
+    // be empty
+    if (jsonSchema.minLength != null && !(required && jsonSchema.minLength === 1)) {
+      ret.minlength = jsonSchema.minLength;
+    }
+    if (jsonSchema.maxLength != null) {
+      ret.maxlength = jsonSchema.maxLength;
+    }
+    if (patterns.length === 1) {
+      ret.match = new RegExp(patterns[0]);
+    } else if (patterns.length > 1) {
+      // A string must match every pattern
+      ret.match = new RegExp('^' + patterns.map(function(pattern) {
+        return '(?=[\\s\\S]*?(?:' + pattern + '))';
+      }).join(''));
+    }
+  }
+
+  if (ret.type === Types.Number || ret.type === Types.Int32 || ret.type === Types.Long) {
+    if (jsonSchema.minimum != null) {
+      ret.min = jsonSchema.minimum;
+    }
+    if (jsonSchema.maximum != null) {
+      ret.max = jsonSchema.maximum;
+    }
+  }
+
+  if (ret.type === Types.Number) {
+    // `toJSONSchema()` emits `multipleOf: 1` for integers in `$jsonSchema`
+    // validators
+    if (type === 'integer' || multiples.indexOf(1) !== -1) {
+      ret.integer = true;
+    }
+    multiples = multiples.filter(function(multipleOf) {
+      return multipleOf !== 1;
+    });
+    // a number must be a multiple of every value, mongoose only checks one
+    if (multiples.length > 0) {
+      ret.multipleOf = multiples[0];
+    }
+  }
+
+  return ret;
+}
+
+/*!
+ * Converts the `items` of an array schema. Objects become subdocuments,
+ * which only get an `_id` if the JSON Schema declares one.
+ */
+
+function itemDefinition(Schema, items) {
+  if (items == null || Array.isArray(items)) {
+    return Types.Mixed;
+  }
+  var types = getTypes(merge(items, [], []));
+  if (types.length === 1 && types[0] === 'object' && items.properties != null &&
+      Object.keys(items.properties).length > 0) {
+    return subdocumentSchema(Schema, items);
+  }
+  var ret = pathDefinition(Schema, items, false);
+  // Arrays of arrays are declared as `[[Number]]`
+  return Array.isArray(ret.type) ? ret.type : ret;
+}
+
+/*!
+ * Creates the schema for a subdocument.
+ */
+
+function subdocumentSchema(Schema, jsonSchema) {
+  var definition = objectDefinition(Schema, jsonSchema);
+  var hasId = isAutoId(jsonSchema.properties._id);
+  if (hasId) {
+    delete definition._id;
+  }
+  return new Schema(definition, { _id: hasId || definition._id != null });
+}
+
+/*!
+ * Maps a scalar type to a SchemaType.
+ */
+
+function scalarType(type, jsonSchema) {
+  if (type === 'string') {
+    if (jsonSchema.format === 'date-time' || jsonSchema.format === 'date') {
+      return Types.Date;
+    }
+    if (jsonSchema.format === 'decimal') {
+      return Types.Decimal128;
+    }
+    if (jsonSchema.format === 'uuid') {
+      return Types.UUID;
+    }
+    if (jsonSchema.contentEncoding === 'base64') {
+      return Types.Buffer;
+    }
+    if (jsonSchema.pattern === OBJECT_ID_PATTERN) {
+      return Types.ObjectId;
+    }
+    return Types.String;
+  }
+  if (type === 'integer') {
+    if (jsonSchema.format === 'int32') {
+      return Types.Int32;
+    }
+    if (jsonSchema.format === 'int64') {
+      return Types.Long;
+    }
+  }
+  return TYPES.hasOwnProperty(type) ? TYPES[type] : Types.Mixed;
+}
+
+/*!
+ * Merges the members of `allOf` into `jsonSchema`, collecting every
+ * `pattern` and `multipleOf` because a schema can only have one.
+ */
+
+function merge(jsonSchema, patterns, multiples) {
+  var ret = Object.assign({}, jsonSchema);
+  delete ret.allOf;
+  [jsonSchema].concat(jsonSchema.allOf || []).forEach(function(member) {
+    if (member.pattern != null && member.pattern !== OBJECT_ID_PATTERN) {
+      patterns.push(member.pattern);
+    }
+    if (typeof member.multipleOf === 'number') {
+      multiples.push(member.multipleOf);
+    }
+    if (member !== jsonSchema) {
+      Object.assign(ret, member);
+    }
+  });
+  if (patterns.length > 0 && jsonSchema.pattern !== OBJECT_ID_PATTERN) {
+    delete ret.pattern;
+  }
+  return ret;
+}
+
+/*!
+ * The `type` or `bsonType` of `jsonSchema` as an array, without `'null'`.
+ */
+
+function getTypes(jsonSchema) {
+  var type = jsonSchema.bsonType != null ? jsonSchema.bsonType : jsonSchema.type;
+  if (type == null) {
+    return [];
+  }
+  return [].concat(type).filter(function(t) {
+    return t !== 'null';
+  });
+}
+
+/*!
+ * ignore
+ */
+
+function isNullable(jsonSchema) {
+  var type = jsonSchema.bsonType != null ? jsonSchema.bsonType : jsonSchema.type;
+  return Array.isArray(type) && type.indexOf('null') !== -1;
+}
+
+/*!
+ * ignore
+ */
+
+function isNumberType(type) {
+  return TYPES[type] === Types.Number;
+}
+
+/*!
+ * True if `jsonSchema` describes an ObjectId, which mongoose generates.
+ */
+
+function isAutoId(jsonSchema) {
+  if (jsonSchema == null) {
+    return false;
+  }
+  var types = getTypes(jsonSchema);
+  return types.length === 1 && (types[0] === 'objectId' ||
+    (types[0] === 'string' && jsonSchema.pattern === OBJECT_ID_PATTERN));
+}
@@ -0,0 +1,270 @@
+'use strict';
+
+/*!
+ * JSON Schema types and BSON types for each SchemaType `instance`.
+ */
+
+var TYPES = {
+  String: { type: 'string', bsonType: 'string' },
+  Number: { type: 'number', bsonType: 'number' },
+  Int32: { type: 'integer', format: 'int32', bsonType: 'int' },
+  Long: { type: 'integer', format: 'int64', bsonType: 'long' },
+  Boolean: { type: 'boolean', bsonType: 'bool' },
+  Date: { type: 'string', format: 'date-time', bsonType: 'date' },
+  ObjectID: { type: 'string', pattern: '^[0-9a-fA-F]{24}$', bsonType: 'objectId' },
+  Buffer: { type: 'string', contentEncoding: 'base64', bsonType: 'binData' },
+  Decimal128: { type: 'string', format: 'decimal', bsonType: 'decimal' },
+  UUID: { type: 'string', format: 'uuid', bsonType: 'binData' }
+};
+
+/*!
+ * SchemaTypes whose `min` and `max` are JSON Schema `minimum` and `maximum`.
+ */
+
+var NUMERIC = ['Number', 'Int32', 'Long'];
+
+/*!
+ * Converts `schema` to a JSON Schema object. With `options.mongodb`, the
+ * result uses `bsonType` and only the keywords MongoDB's `$jsonSchema`
+ * supports.
+ *
+ * @param {Schema} schema
+ * @param {Object} [options]
+ * @param {Boolean} [options.mongodb] emit a `$jsonSchema` validator
+ * @return {Object}
+ */
+
+module.exports = function toJSONSchema(schema, options) {
+  options = options || {};
+
+  var ret = objectSchema(schema, options, []);
+  if (options.mongodb) {
+    return { $jsonSchema: ret };
+  }
+  return Object.assign({ $schema: 'http://json-schema.org/draft-07/schema#' }, ret);
+};
+
+/*!
+ * Builds the JSON Schema for the paths of `schema`. Nested paths like
+ * `name.first` become nested objects.
+ */
+
+function objectSchema(schema, options, schemaStack) {
+  // Recursive schemas can't be expanded, so stop at the first repeat
+  if (schemaStack.indexOf(schema) !== -1) {
+    return typed({}, 'object', options);
+  }
+  schemaStack = schemaStack.concat([schema]);
+
+  var ret = typed({}, 'object', options);
+  ret.properties = {};
+
+  var paths = Object.keys(schema.paths);
+  for (var i = 0; i < paths.length; ++i) {
+    var schematype = schema.paths[paths[i]];
+    var pieces = paths[i].split('.');
+    var parent = ret;
+    for (var j = 0; j < pieces.length - 1; ++j) {
+      if (parent.properties[pieces[j]] == null) {
+        parent.properties[pieces[j]] = typed({ properties: {} }, 'object', options);
+      }
+      parent = parent.properties[pieces[j]];
+    }
+
+    var last = pieces[pieces.length - 1];
+    var required = isRequired(schematype);
+    parent.properties[last] = pathSchema(schematype, options, schemaStack, required);
+    if (required) {
+      parent.required = (parent.required || []).concat([last]);
+    }
+  }
+
+  return ret;
+}
+
+/*!
+ * Builds the JSON Schema for a single SchemaType.
+ */
+
+function pathSchema(schematype, options, schemaStack, required) {
+  var ret;
+
+  if (options.mongodb && schematype.options != null && schematype.options.encrypt) {
+    // stored as ciphertext, see `SchemaType#encrypt()`
+    ret = { bsonType: 'binData' };
+  } else if (schematype.$isSingleNested) {
+    ret = objectSchema(schematype.schema, options, schemaStack);
+  } else if (schematype.$isMongooseDocumentArray) {
+    ret = typed({}, 'array', options);
+    ret.items = objectSchema(schematype.schema, options, schemaStack);
+  } else if (schematype.$isMongooseArray) {
+    ret = typed({}, 'array', options);
+    ret.items = schematype.caster ?
+      pathSchema(schematype.caster, options, schemaStack, false) :
+      {};
+  } else if (schematype.$isSchemaMap) {
+    ret = typed({}, 'object', options);
+    var values = pathSchema(schematype.$__schemaType, options, schemaStack, false);
+    if (Object.keys(values).length > 0) {
+      ret.additionalProperties = values;
+    }
+  } else if (TYPES.hasOwnProperty(schematype.instance)) {
+    ret = scalarSchema(schematype, options, required);
+  } else {
+    // Mixed, or a custom type we know nothing about
+    return {};
+  }
+
+  if (schematype.$isMongooseArray) {
+    arrayValidators(schematype, ret);
+  }
+
+  if (!required && ret.type != null) {
+    ret.type = [ret.type, 'null'];
+  } else if (!required && ret.bsonType != null) {
+    ret.bsonType = [ret.bsonType, 'null'];
+  }
+
+  var defaultValue = schematype.defaultValue;
+  if (!options.mongodb && defaultValue !== undefined &&
+      typeof defaultValue !== 'function' &&
+      (defaultValue === null || typeof defaultValue !== 'object')) {
+    ret['default'] = defaultValue;
+  }
+
+  return ret;
+}
+
+/*!
+ * Builds the JSON Schema for strings, numbers and other scalars, including
+ * the built-in validators.
+ */
+
+function scalarSchema(schematype, options, required) {
+  var type = TYPES[schematype.instance];
+  var ret;
+  if (options.mongodb) {
+    ret = { bsonType: type.bsonType };
+  } else {
+    ret = { type: type.type };
+    ['format', 'pattern', 'contentEncoding'].forEach(function(key) {
+      if (type[key] != null) {
+        ret[key] = type[key];
+      }
+    });
+  }
+
+  var patterns = [];
+  var multiples = [];
+  var integer = false;
+  schematype.validators.forEach(function(v) {
+    switch (v.type) {
+      case 'enum':
+        ret['enum'] = v.enumValues.slice();
+        break;
+      case 'integer':
+        integer = true;
+        break;
+      case 'multipleOf':
+        multiples.push(v.multipleOf);
+        break;
+      case 'min':
+        if (NUMERIC.indexOf(schematype.instance) !== -1) {
+          ret.minimum = Number(v.min);
+        }
+        break;
+      case 'max':
+        if (NUMERIC.indexOf(schematype.instance) !== -1) {
+          ret.maximum = Number(v.max);
+        }
+        break;
+      case 'minlength':
+        ret.minLength = v.minlength;
+        break;
+      case 'maxlength':
+        ret.maxLength = v.maxlength;
+        break;
+      case 'regexp':
+        if (v.regexp) {
+          patterns.push(v.regexp.source);
+        }
+        break;
+    }
+  });
+
+  // The `required` validator rejects empty strings
+  if (required && schematype.instance === 'String' && !(ret.minLength > 0)) {
+    ret.minLength = 1;
+  }
+
+  // `bsonType: 'int'` would reject integers stored as doubles, so
+  // `$jsonSchema` validators require a multiple of 1 instead
+  if (integer && options.mongodb) {
+    multiples.push(1);
+  } else if (integer) {
+    ret.type = 'integer';
+  }
+
+  var allOf = [];
+  if (patterns.length === 1) {
+    ret.pattern = patterns[0];
+  } else if (patterns.length > 1) {
+    allOf = patterns.map(function(pattern) {
+      return { pattern: pattern };
+    });
+  }
+  if (multiples.length === 1) {
+    ret.multipleOf = multiples[0];
+  } else if (multiples.length > 1) {
+    allOf = allOf.concat(multiples.map(function(multipleOf) {
+      return { multipleOf: multipleOf };
+    }));
+  }
+  if (allOf.length > 0) {
+    ret.allOf = allOf;
+  }
+
+  return ret;
+}
+
+/*!
+ * Adds the length and uniqueness validators of arrays. Uniqueness by a key
+ * can't be expressed.
+ */
+
+function arrayValidators(schematype, ret) {
+  schematype.validators.forEach(function(v) {
+    switch (v.type) {
+      case 'minItems':
+        ret.minItems = v.minItems;
+        break;
+      case 'maxItems':
+        ret.maxItems = v.maxItems;
+        break;
+      case 'uniqueItems':
+        if (v.uniqueItems === true) {
+          ret.uniqueItems = true;
+        }
+        break;
+    }
+  });
+}
+
+/*!
+ * Only a plain `required: true` can be expressed, not a function.
+ */
+
+function isRequired(schematype) {
+  return !!schematype.isRequired &&
+    typeof schematype.originalRequiredValue !== 'function';
+}
+
+/*!
+ * ignore
+ */
+
+function typed(obj, type, options) {
+  var ret = {};
+  ret[options.mongodb ? 'bsonType' : 'type'] = type;
+  return Object.assign(ret, obj);
+}
@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * Returns the path that stores when a document was soft deleted, or `null`
+ * if the schema doesn't have the `softDelete` option.
+ *
+ * @param {Schema} schema
+ * @return {String|null}
+ * @api private
+ */
+
+exports.getPath = function(schema) {
+  var softDelete = schema != null ? schema.options.softDelete : null;
+  if (!softDelete) {
+    return null;
+  }
+  return typeof softDelete === 'object' && softDelete.deletedAt ?
+    softDelete.deletedAt :
+    'deletedAt';
+};
+
+/**
+ * Adds the condition that excludes soft deleted documents to `filter`,
+ * unless `filter` already has a condition on the deleted path.
+ *
+ * @param {Schema} schema
+ * @param {Object} filter
+ * @param {Object} [options]
+ * @param {Boolean} [options.withDeleted] include soft deleted documents
+ * @param {Boolean} [options.onlyDeleted] only match soft deleted documents
+ * @return {Boolean} whether a condition was added
+ * @api private
+ */
+
+exports.applyFilter = function(schema, filter, options) {
+  var path = exports.getPath(schema);
+  options = options || {};
+  if (path == null || options.withDeleted || filter.hasOwnProperty(path)) {
+    return false;
+  }
+
+  filter[path] = options.onlyDeleted ? { $ne: null } : null;
+  return true;
+};
+
+/**
+ * Returns the update that soft deletes documents.
+ *
+ * @param {Schema} schema
+ * @return {Object}
+ * @api private
+ */
+
+exports.getUpdate = function(schema) {
+  var update = { $set: {} };
+  update.$set[exports.getPath(schema)] = new Date();
+  return update;
+};
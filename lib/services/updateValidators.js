@@ -6,9 +6,11 @@
 
 const Mixed = require('../schema/mixed');
 const ValidationError = require('../error/validation');
+const ValidatorError = require('../error/validator');
 const flatten = require('./common').flatten;
 const modifiedPaths = require('./common').modifiedPaths;
 const parallel = require('async/parallel');
+const utils = require('../utils');
 
 /**
  * Applies validators and defaults to update and findOneAndUpdate operations,
@@ -28,6 +30,8 @@ module.exports = function(query, schema, castedDoc, options) {
   var updatedKeys = {};
   var updatedValues = {};
   var arrayAtomicUpdates = {};
+  var arrayAtomicOps = {};
+  var numericUpdates = {};
   var numKeys = keys.length;
   var hasDollarUpdate = false;
   var modified = {};
@@ -41,6 +45,10 @@ module.exports = function(query, schema, castedDoc, options) {
         _keys = Object.keys(castedDoc[keys[i]]);
         for (var ii = 0; ii < _keys.length; ++ii) {
           currentUpdate = castedDoc[keys[i]][_keys[ii]];
+          arrayAtomicOps[_keys[ii]] = {
+            op: keys[i],
+            slice: currentUpdate && currentUpdate.$each ? currentUpdate.$slice : null
+          };
           if (currentUpdate && currentUpdate.$each) {
             arrayAtomicUpdates[_keys[ii]] = (arrayAtomicUpdates[_keys[ii]] || []).
               concat(currentUpdate.$each);
@@ -69,6 +77,8 @@ module.exports = function(query, schema, castedDoc, options) {
           updatedValues[updatedPath] = flat[paths[j]];
         } else if (key === '$unset') {
           updatedValues[updatedPath] = undefined;
+        } else if (key === '$inc' || key === '$mul') {
+          numericUpdates[updatedPath] = { op: key, value: flat[paths[j]] };
         }
         updatedKeys[updatedPath] = true;
       }
@@ -136,7 +146,23 @@ module.exports = function(query, schema, castedDoc, options) {
   for (i = 0; i < numArrayUpdates; ++i) {
     (function(i) {
       var schemaPath = schema._getSchema(arrayUpdates[i]);
+      var arrayPath = schemaPath;
+      if (arrayPath && arrayPath.$isMongooseArray) {
+        validatorsToExecute.push(function(callback) {
+          validateArrayAtomic(query, arrayPath, arrayUpdates[i],
+            arrayAtomicOps[arrayUpdates[i]], arrayAtomicUpdates[arrayUpdates[i]],
+            function(err) {
+              if (err) {
+                validationErrors.push(err);
+              }
+              callback(null);
+            });
+        });
+      }
       if (schemaPath && schemaPath.$isMongooseDocumentArray) {
+        // the array has more items than the ones being added, so its length
+        // is checked against the matching documents by `validateArrayAtomic()`
+        schemaPath = withoutValidators(schemaPath, ARRAY_VALIDATORS);
         validatorsToExecute.push(function(callback) {
           schemaPath.doValidate(
             arrayAtomicUpdates[arrayUpdates[i]],
@@ -172,6 +198,40 @@ module.exports = function(query, schema, castedDoc, options) {
     })(i);
   }
 
+  // `$inc` and `$mul` don't say what the new value is, but some validators
+  // hold for it whenever they hold for the operand and the current value
+  var numericPaths = Object.keys(numericUpdates);
+  for (i = 0; i < numericPaths.length; ++i) {
+    (function(path) {
+      var schemaPath = schema._getSchema(path);
+      if (schemaPath == null || schemaPath.instance !== 'Number') {
+        return;
+      }
+      var update = numericUpdates[path];
+      var types = update.op === '$inc' ? ['integer', 'multipleOf'] : ['integer'];
+      var validators = schemaPath.validators.filter(function(v) {
+        return types.indexOf(v.type) !== -1;
+      });
+      if (validators.length === 0) {
+        return;
+      }
+      var operandPath = withValidators(schemaPath, validators);
+      validatorsToExecute.push(function(callback) {
+        operandPath.doValidate(
+          update.value,
+          function(err) {
+            if (err) {
+              err.path = path;
+              validationErrors.push(err);
+            }
+            callback(null);
+          },
+          options && options.context === 'query' ? query : null,
+          { updateValidator: true });
+      });
+    })(numericPaths[i]);
+  }
+
   return function(callback) {
     parallel(validatorsToExecute, function() {
       if (validationErrors.length) {
@@ -185,3 +245,131 @@ module.exports = function(query, schema, castedDoc, options) {
     });
   };
 };
+
+/*!
+ * Validators of array paths that apply to the whole array rather than to
+ * its items.
+ */
+
+const ARRAY_VALIDATORS = ['minItems', 'maxItems', 'uniqueItems'];
+
+/*!
+ * Returns a view of `schemaPath` that only runs `validators`.
+ */
+
+function withValidators(schemaPath, validators) {
+  return Object.create(schemaPath, {
+    validators: { value: validators }
+  });
+}
+
+/*!
+ * ignore
+ */
+
+function withoutValidators(schemaPath, types) {
+  return withValidators(schemaPath, schemaPath.validators.filter(v => {
+    return types.indexOf(v.type) === -1;
+  }));
+}
+
+/*!
+ * Checks that a `$push` or `$addToSet` of `items` doesn't make the array at
+ * `path` longer than `maxItems` or add duplicates if it has `uniqueItems`,
+ * first for `items` themselves, then for the documents `query` matches.
+ */
+
+function validateArrayAtomic(query, schemaPath, path, atomic, items, callback) {
+  const validators = schemaPath.validators.filter(v => {
+    return v.type === 'maxItems' || v.type === 'uniqueItems';
+  });
+  if (validators.length === 0) {
+    return callback(null);
+  }
+
+  withValidators(schemaPath, validators).doValidate(items, error => {
+    if (error) {
+      error.path = path;
+      return callback(error);
+    }
+
+    const checks = [];
+    validators.forEach(v => {
+      const conditions = getConflictConditions(schemaPath, path, atomic, items, v);
+      if (conditions != null) {
+        checks.push({ validator: v, conditions: conditions });
+      }
+    });
+
+    parallel(checks.map(check => cb => {
+      query.model.count({ $and: [query.getQuery(), check.conditions] }).
+        setOptions({ withDeleted: true }).
+        session(query.options.session).
+        exec((error, count) => {
+          if (error) {
+            return cb(error);
+          }
+          cb(null, count > 0 ? check.validator : null);
+        });
+    }), (error, failed) => {
+      if (error) {
+        return callback(error);
+      }
+      const validator = (failed || []).filter(v => v != null)[0];
+      if (validator == null) {
+        return callback(null);
+      }
+      const properties = Object.assign({}, validator, { path: path, value: items });
+      const err = new ValidatorError(properties);
+      err.$isValidatorError = true;
+      callback(err);
+    });
+  }, null, { updateValidator: true });
+}
+
+/*!
+ * Returns the conditions matching documents whose array `validator` would
+ * fail for after the update, or `null` if no document can.
+ */
+
+function getConflictConditions(schemaPath, path, atomic, items, validator) {
+  const conditions = {};
+  if (validator.type === 'maxItems') {
+    if (atomic.slice != null && Math.abs(atomic.slice) <= validator.maxItems) {
+      return null;
+    }
+    // the array is too long to add all `items` if it has an item at index
+    // `maxItems - items.length`
+    conditions[path + '.' + (validator.maxItems - items.length)] = { $exists: true };
+    if (atomic.op === '$addToSet' && !schemaPath.$isMongooseDocumentArray) {
+      // `$addToSet` only adds the items the array doesn't have yet
+      const current = { $ifNull: ['$' + path, []] };
+      const added = {
+        $filter: {
+          input: { $literal: items },
+          as: 'item',
+          cond: { $not: [{ $in: ['$$item', current] }] }
+        }
+      };
+      conditions.$expr = {
+        $gt: [{ $add: [{ $size: current }, { $size: added }] }, validator.maxItems]
+      };
+    }
+    return conditions;
+  }
+
+  const key = validator.uniqueItems;
+  if (typeof key === 'string') {
+    conditions[path + '.' + key] = {
+      $in: items.map(item => item == null ? item : utils.getValue(key, item))
+    };
+    return conditions;
+  }
+  if (atomic.op === '$addToSet' || schemaPath.$isMongooseDocumentArray) {
+    // `$addToSet` doesn't add duplicates, and new subdocuments have a new
+    // `_id` so can't already be in the array
+    return null;
+  }
+  conditions[path] = { $in: items };
+  return conditions;
+}
@@ -6,6 +6,7 @@ const EmbeddedDocument = require('./embedded');
 const Document = require('../document');
 const ObjectId = require('./objectid');
 const cleanModifiedSubpaths = require('../services/document/cleanModifiedSubpaths');
+const getRefModelName = require('../services/populate/getRefModelName');
 const internalToObjectOptions = require('../options').internalToObjectOptions;
 const utils = require('../utils');
 
@@ -205,7 +206,7 @@ MongooseArray.mixin = {
       if (val[0] instanceof EmbeddedDocument) {
         selector = pullOp['$or'] || (pullOp['$or'] = []);
         Array.prototype.push.apply(selector, val.map(function(v) {
-          return v.toObject({transform: false, virtuals: false});
+          return v.toObject({transform: false, virtuals: false, flattenUUIDs: false});
         }));
       } else {
         selector = pullOp['_id'] || (pullOp['_id'] = {$in: []});
@@ -740,7 +741,13 @@ MongooseArray.mixin = {
       return this.map(function(doc) {
         return doc instanceof Document
           ? doc.toObject(options)
-          : doc;
+          : flattenUUID(doc, options);
+      });
+    }
+
+    if (options && options.flattenUUIDs) {
+      return this.map(function(v) {
+        return flattenUUID(v, options);
       });
     }
 
@@ -770,7 +777,7 @@ MongooseArray.mixin = {
    */
 
   indexOf: function indexOf(obj) {
-    if (obj instanceof ObjectId) {
+    if (obj instanceof ObjectId || obj && obj.$isUUID) {
       obj = obj.toString();
     }
     for (var i = 0, len = this.length; i < len; ++i) {
@@ -822,7 +829,8 @@ function _isAllSubdocs(docs, ref) {
  */
 
 function _checkManualPopulation(arr, docs) {
-  var ref = arr._schema.caster.options && arr._schema.caster.options.ref;
+  var ref = arr._schema.caster.options &&
+    getRefModelName(arr._schema.caster.options.ref);
   if (arr.length === 0 &&
       docs.length > 0) {
     if (_isAllSubdocs(docs, ref)) {
@@ -831,6 +839,14 @@ function _checkManualPopulation(arr, docs) {
   }
 }
 
+/*!
+ * Converts UUIDs to strings if `options.flattenUUIDs` is set.
+ */
+
+function flattenUUID(val, options) {
+  return val && val.$isUUID && options.flattenUUIDs ? val.toObject(options) : val;
+}
+
 /*!
  * Module exports.
  */
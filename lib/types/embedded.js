@@ -102,14 +102,21 @@ EmbeddedDocument.prototype.populate = function() {
  *
  * _This is a no-op. Does not actually save the doc to the db._
  *
+ * @param {Object} [options] the options the top-level document is saved with
  * @param {Function} [fn]
  * @return {Promise} resolved Promise
  * @api private
  */
 
-EmbeddedDocument.prototype.save = function(fn) {
+EmbeddedDocument.prototype.save = function(options, fn) {
+  if (typeof options === 'function') {
+    fn = options;
+    options = {};
+  }
+  options = options || {};
+
   return utils.promiseOrCallback(fn, cb => {
-    this.$__save(cb);
+    this.$__save(options, cb);
   });
 };
 
@@ -120,12 +127,13 @@ EmbeddedDocument.prototype.save = function(fn) {
  *
  * _This is a no-op. Does not actually save the doc to the db._
  *
+ * @param {Object} options
  * @param {Function} [fn]
  * @method $__save
  * @api private
  */
 
-EmbeddedDocument.prototype.$__save = function(fn) {
+EmbeddedDocument.prototype.$__save = function(options, fn) {
   return utils.immediate(() => fn(null, this));
 };
 
@@ -156,7 +164,10 @@ function registerRemoveListener(sub) {
  * no-op for hooks
  */
 
-EmbeddedDocument.prototype.$__remove = function(cb) {
+EmbeddedDocument.prototype.$__remove = function(options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+  }
   return cb(null, this);
 };
 
@@ -11,6 +11,8 @@ exports.Embedded = require('./embedded');
 
 exports.DocumentArray = require('./documentarray');
 exports.Decimal128 = require('./decimal128');
+exports.Long = require('./long');
 exports.ObjectId = require('./objectid');
+exports.Map = require('./map');
 
 exports.Subdocument = require('./subdocument');
@@ -0,0 +1,11 @@
+/**
+ * Long type constructor, a 64-bit integer
+ *
+ * ####Example
+ *
+ *     var n = mongoose.Types.Long.fromString('9007199254740993');
+ *
+ * @constructor Long
+ */
+
+module.exports = require('../drivers').Long;
@@ -0,0 +1,216 @@
+'use strict';
+
+/*!
+ * Module dependencies.
+ */
+
+const Mixed = require('../schema/mixed');
+const utils = require('../utils');
+
+/**
+ * Mongoose Map constructor. A `Map` whose values are cast to the map's
+ * `of` schematype, and whose changes are tracked per key: `set()` and
+ * `delete()` mark `path.key` as modified on the parent document, so saving
+ * `$set`s or `$unset`s only that key.
+ *
+ * Keys must be strings that don't contain `.` and don't start with `$`.
+ *
+ * @param {Object|Map} [v] initial entries
+ * @param {String} path the map's path in `doc`
+ * @param {Document} [doc] the parent document
+ * @param {SchemaType} [schemaType] the schematype of the map's values
+ * @inherits Map https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map
+ * @api public
+ */
+
+class MongooseMap extends Map {
+  constructor(v, path, doc, schemaType) {
+    super();
+
+    this.$__parent = doc != null && doc.$__ != null ? doc : null;
+    this.$__path = path;
+    this.$__schemaType = schemaType == null ? new Mixed(path) : schemaType;
+
+    if (v == null) {
+      return;
+    }
+    const keys = v instanceof Map ? Array.from(v.keys()) : Object.keys(v);
+    for (const key of keys) {
+      this.$__set(key, v instanceof Map ? v.get(key) : v[key]);
+    }
+  }
+
+  /**
+   * Sets `key` to an already cast `value`, without marking it modified.
+   *
+   * @param {String} key
+   * @param {any} value
+   * @api private
+   */
+
+  $init(key, value) {
+    checkValidKey(key);
+    super.set(key, value);
+    if (value != null && value.$isSingleNested) {
+      value.$basePath = this.$__path + '.' + key;
+    }
+  }
+
+  /*!
+   * Casts and sets `value` without marking it modified.
+   */
+
+  $__set(key, value) {
+    checkValidKey(key);
+
+    const fullPath = this.$__path + '.' + key;
+    const parent = this.$__parent;
+    const populated = parent != null ? parent.populated(this.$__path) : null;
+    if (populated != null && value != null && value.$__ != null) {
+      value.$__.wasPopulated = true;
+    } else {
+      try {
+        value = this.$__schemaType.applySetters(value, parent, false, super.get(key));
+      } catch (error) {
+        if (parent == null) {
+          throw error;
+        }
+        parent.invalidate(fullPath, error);
+        return false;
+      }
+    }
+
+    this.$init(key, value);
+    return true;
+  }
+
+  /**
+   * Casts `value` to the map's `of` type and sets it. Marks `key` modified
+   * on the parent document.
+   *
+   * ####Example:
+   *
+   *     doc.scores.set('alice', '42');
+   *     doc.scores.get('alice'); // 42
+   *     doc.modifiedPaths(); // ['scores', 'scores.alice']
+   *
+   * @param {String} key
+   * @param {any} value
+   * @return {MongooseMap} this
+   * @api public
+   */
+
+  set(key, value) {
+    if (this.$__set(key, value) && this.$__parent != null) {
+      this.$__parent.markModified(this.$__path + '.' + key);
+    }
+    return this;
+  }
+
+  /**
+   * Removes `key`. Marks `key` modified on the parent document, so saving
+   * `$unset`s it.
+   *
+   * @param {String} key
+   * @return {Boolean} whether `key` was in the map
+   * @api public
+   */
+
+  delete(key) {
+    const had = super.delete(key);
+    if (had && this.$__parent != null) {
+      this.$__parent.markModified(this.$__path + '.' + key);
+    }
+    return had;
+  }
+
+  /**
+   * Removes every key, marking each modified.
+   *
+   * @api public
+   */
+
+  clear() {
+    for (const key of Array.from(this.keys())) {
+      this.delete(key);
+    }
+  }
+
+  /**
+   * Converts this map to a plain `Map`, or to a POJO with the `flattenMaps`
+   * option. Values are cloned with `options`.
+   *
+   * @param {Object} [options]
+   * @param {Boolean} [options.flattenMaps] return a POJO instead of a `Map`
+   * @return {Map|Object}
+   * @api public
+   */
+
+  toObject(options) {
+    if (options && options.flattenMaps) {
+      const ret = {};
+      this.forEach((value, key) => {
+        ret[key] = utils.clone(value, options);
+      });
+      return ret;
+    }
+
+    const ret = new Map();
+    this.forEach((value, key) => {
+      ret.set(key, utils.clone(value, options));
+    });
+    return ret;
+  }
+
+  /**
+   * Converts this map to a POJO for `JSON.stringify()`.
+   *
+   * @param {Object} [options]
+   * @return {Object}
+   * @api public
+   */
+
+  toJSON(options) {
+    options = options != null && typeof options === 'object' ?
+      options :
+      { json: true };
+    return this.toObject(Object.assign({}, options, { flattenMaps: true }));
+  }
+
+  /*!
+   * ignore
+   */
+
+  toBSON() {
+    return new Map(this);
+  }
+}
+
+Object.defineProperty(MongooseMap.prototype, '$isMongooseMap', {
+  value: true
+});
+
+/*!
+ * ignore
+ */
+
+function checkValidKey(key) {
+  if (typeof key !== 'string') {
+    throw new TypeError('Mongoose maps only support string keys, got ' +
+      typeof key);
+  }
+  if (key.indexOf('.') !== -1) {
+    throw new Error('Mongoose maps do not support keys that contain ".", ' +
+      'got "' + key + '"');
+  }
+  if (key.charAt(0) === '$') {
+    throw new Error('Mongoose maps do not support keys that start with ' +
+      '"$", got "' + key + '"');
+  }
+}
+
+/*!
+ * Module exports.
+ */
+
+module.exports = MongooseMap;
@@ -31,14 +31,21 @@ Subdocument.prototype.toBSON = function() {
  *
  * _This is a no-op. Does not actually save the doc to the db._
  *
+ * @param {Object} [options] the options the top-level document is saved with
  * @param {Function} [fn]
  * @return {Promise} resolved Promise
  * @api private
  */
 
-Subdocument.prototype.save = function(fn) {
+Subdocument.prototype.save = function(options, fn) {
+  if (typeof options === 'function') {
+    fn = options;
+    options = {};
+  }
+  options = options || {};
+
   return utils.promiseOrCallback(fn, cb => {
-    this.$__save(cb);
+    this.$__save(options, cb);
   });
 };
 
@@ -49,12 +56,13 @@ Subdocument.prototype.save = function(fn) {
  *
  * _This is a no-op. Does not actually save the doc to the db._
  *
+ * @param {Object} options
  * @param {Function} [fn]
  * @method $__save
  * @api private
  */
 
-Subdocument.prototype.$__save = function(fn) {
+Subdocument.prototype.$__save = function(options, fn) {
   return utils.immediate(() => fn(null, this));
 };
 
@@ -134,7 +142,10 @@ Subdocument.prototype.parent = function() {
  * no-op for hooks
  */
 
-Subdocument.prototype.$__remove = function(cb) {
+Subdocument.prototype.$__remove = function(options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+  }
   return cb(null, this);
 };
 
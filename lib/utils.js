@@ -99,6 +99,15 @@ exports.deepEqual = function deepEqual(a, b) {
     b = b.toObject();
   }
 
+  if (a instanceof Map || b instanceof Map) {
+    if (!(a instanceof Map) || !(b instanceof Map) || a.size !== b.size) {
+      return false;
+    }
+    return Array.from(a.keys()).every(function(key) {
+      return b.has(key) && deepEqual(a.get(key), b.get(key));
+    });
+  }
+
   try {
     var ka = Object.keys(a),
         kb = Object.keys(b),
@@ -448,7 +457,8 @@ exports.isMongooseObject = function(v) {
 
   return v instanceof Document ||
       (v && v.isMongooseArray) ||
-      (v && v.isMongooseBuffer);
+      (v && v.isMongooseBuffer) ||
+      (v && v.$isMongooseMap);
 };
 var isMongooseObject = exports.isMongooseObject;
 
@@ -504,6 +514,8 @@ exports.PopulateOptions = PopulateOptions;
  */
 
 exports.populate = function populate(path, select, model, match, options, subPopulate) {
+  var perDocumentLimit;
+
   // The order of select/conditions args is opposite Model.find but
   // necessary to keep backward compatibility (select could be
   // an array, string, or object literal).
@@ -526,6 +538,7 @@ exports.populate = function populate(path, select, model, match, options, subPop
       select = path.select;
       model = path.model;
       subPopulate = path.populate;
+      perDocumentLimit = path.perDocumentLimit;
       path = path.path;
     }
   } else if (typeof model !== 'string' && typeof model !== 'function') {
@@ -561,12 +574,57 @@ exports.populate = function populate(path, select, model, match, options, subPop
   var paths = path.split(' ');
   options = exports.clone(options);
   for (var i = 0; i < paths.length; ++i) {
-    ret.push(new PopulateOptions(paths[i], select, match, options, model, subPopulate));
+    var populateOptions = new PopulateOptions(paths[i], select, match, options, model, subPopulate);
+    if (perDocumentLimit != null) {
+      populateOptions.perDocumentLimit = perDocumentLimit;
+    }
+    ret.push(populateOptions);
   }
 
   return ret;
 };
 
+/*!
+ * Returns the string populate matches `id` by. UUIDs, buffers and `Binary`s
+ * with subtype 4, use the canonical UUID string, so they match the strings
+ * UUID getters return. Other buffers use their hex bytes because their
+ * default `toString()` is lossy.
+ *
+ * @param {any} id
+ * @return {String}
+ */
+
+exports.idToString = function(id) {
+  var buf;
+  var subtype;
+  if (Buffer.isBuffer(id)) {
+    buf = id;
+    subtype = id._subtype;
+  } else if (id != null && id._bsontype === 'Binary') {
+    buf = id.value(true);
+    subtype = id.sub_type;
+  } else {
+    return String(id);
+  }
+  if (subtype === 4 && buf.length === 16) {
+    return exports.uuidToString(buf);
+  }
+  return Buffer.prototype.toString.call(buf, 'hex');
+};
+
+/*!
+ * Formats 16 bytes as `xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx`.
+ *
+ * @param {Buffer} buf
+ * @return {String}
+ */
+
+exports.uuidToString = function(buf) {
+  var hex = Buffer.prototype.toString.call(buf, 'hex');
+  return hex.substr(0, 8) + '-' + hex.substr(8, 4) + '-' + hex.substr(12, 4) +
+    '-' + hex.substr(16, 4) + '-' + hex.substr(20);
+};
+
 /*!
  * Return the value of `obj` at the given `path`.
  *
@@ -575,7 +633,7 @@ exports.populate = function populate(path, select, model, match, options, subPop
  */
 
 exports.getValue = function(path, obj, map) {
-  return mpath.get(path, obj, '_doc', map);
+  return mpath.get(path, obj, lookup, map);
 };
 
 /*!
@@ -587,9 +645,28 @@ exports.getValue = function(path, obj, map) {
  */
 
 exports.setValue = function(path, val, obj, map, _copying) {
-  mpath.set(path, val, obj, '_doc', map, _copying);
+  mpath.set(path, val, obj, lookup, map, _copying);
 };
 
+/*!
+ * Reads, or writes if `val` is passed, `obj[part]` for mpath, walking
+ * through documents' `_doc` and using `get()` and `set()` for the keys of
+ * maps. mpath before 0.4.1 reads maps' own properties instead.
+ */
+
+function lookup(obj, part, val) {
+  var target = obj._doc ? obj._doc : obj;
+  if (arguments.length > 2) {
+    if (target instanceof Map) {
+      target.set(part, val);
+    } else {
+      target[part] = val;
+    }
+    return;
+  }
+  return target instanceof Map ? target.get(part) : target[part];
+}
+
 /*!
  * Returns an array of values from object `o`.
  *
@@ -764,7 +841,8 @@ exports.mergeClone = function(to, fromObj) {
       virtuals: false,
       depopulate: true,
       getters: false,
-      flattenDecimals: false
+      flattenDecimals: false,
+      flattenUUIDs: false
     });
   }
   var keys = Object.keys(fromObj);
@@ -780,7 +858,8 @@ exports.mergeClone = function(to, fromObj) {
         virtuals: false,
         depopulate: true,
         getters: false,
-        flattenDecimals: false
+        flattenDecimals: false,
+        flattenUUIDs: false
       });
     } else {
       var val = fromObj[key];
@@ -795,7 +874,8 @@ exports.mergeClone = function(to, fromObj) {
             virtuals: false,
             depopulate: true,
             getters: false,
-            flattenDecimals: false
+            flattenDecimals: false,
+            flattenUUIDs: false
           });
         }
         if (val.isMongooseBuffer) {
@@ -804,7 +884,8 @@ exports.mergeClone = function(to, fromObj) {
         exports.mergeClone(to[key], obj);
       } else {
         to[key] = exports.clone(val, {
-          flattenDecimals: false
+          flattenDecimals: false,
+          flattenUUIDs: false
         });
       }
     }
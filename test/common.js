@@ -6,6 +6,12 @@
 
 Error.stackTraceLimit = 10;
 
+// Run the suite without a MongoDB server with `MONGOOSE_TEST_DRIVER=memory`
+const useMemoryDriver = process.env.MONGOOSE_TEST_DRIVER === 'memory';
+if (useMemoryDriver) {
+  global.MONGOOSE_DRIVER_PATH = './drivers/memory';
+}
+
 const Server = require('mongodb-topology-manager').Server;
 const mongoose = require('../');
 const Collection = mongoose.Collection;
@@ -144,12 +150,18 @@ function dropDBs(done) {
 }
 
 before(function() {
+  if (useMemoryDriver) {
+    return;
+  }
   return server.purge();
 });
 
 after(function() {
   this.timeout(15000);
 
+  if (useMemoryDriver) {
+    return;
+  }
   return server.stop();
 });
 
@@ -755,6 +755,64 @@ describe('connections:', function() {
     });
   });
 
+  describe('bufferTimeoutMS', function() {
+    it('fails buffered operations that time out', function() {
+      const m = new mongoose.Mongoose();
+      m.set('bufferTimeoutMS', 60000);
+      const db = m.createConnection();
+      const M = db.model('BufferTimeout', new Schema({ name: String }, {
+        bufferTimeoutMS: 20
+      }));
+      const sizes = [];
+      db.on('queueSize', size => sizes.push(size));
+
+      return co(function*() {
+        const promise = M.findOne({ name: 'a' }).then(() => null, error => error);
+        // query middleware runs before the operation is queued
+        yield cb => setImmediate(cb);
+        assert.deepEqual(M.collection.getBufferedOperations().map(op => op.method),
+          ['findOne']);
+        const op = M.collection.getBufferedOperations()[0];
+        assert.deepEqual(op.args[0], { name: 'a' });
+        assert.ok(op.queuedAt instanceof Date);
+
+        const error = yield promise;
+        assert.ok(error instanceof mongoose.Error.BufferTimeoutError);
+        assert.equal(error.message, 'Operation `' + M.collection.name +
+          '.findOne()` buffering timed out after 20ms');
+        assert.equal(error.method, 'findOne');
+        assert.equal(error.collectionName, M.collection.name);
+        assert.deepEqual(M.collection.getBufferedOperations(), []);
+        assert.deepEqual(sizes, [1, 0]);
+
+        // The global option applies to schemas without their own
+        assert.equal(db.model('BufferTimeout2', new Schema({})).
+          collection.opts.bufferTimeoutMS, 60000);
+      });
+    });
+
+    it('runs buffered operations when the connection opens', function() {
+      const db = mongoose.createConnection();
+      db.config.bufferTimeoutMS = 1000;
+      const M = db.model('BufferTimeout3', new Schema({ name: String }));
+      const sizes = [];
+      db.on('queueSize', size => sizes.push(size));
+
+      return co(function*() {
+        const promise = M.find().exec();
+        yield cb => setImmediate(cb);
+        assert.equal(M.collection.opts.bufferTimeoutMS, 1000);
+        assert.equal(M.collection.getBufferedOperations().length, 1);
+
+        yield db.openUri(start.uri);
+        assert.deepEqual(yield promise, []);
+        assert.deepEqual(M.collection.getBufferedOperations(), []);
+        assert.deepEqual(sizes, [1, 0]);
+        yield db.close();
+      });
+    });
+  });
+
   describe('modelNames()', function() {
     it('returns names of all models registered on it', function(done) {
       var m = new mongoose.Mongoose;
@@ -781,6 +839,190 @@ describe('connections:', function() {
     });
   });
 
+  describe('profile()', function() {
+    let db;
+    let M;
+
+    before(function() {
+      db = start();
+      M = db.model('Profiled', new Schema({ name: String, age: Number }));
+      return M.create([{ name: 'a', age: 1 }, { name: 'b', age: 2 }]);
+    });
+
+    afterEach(function() {
+      db.profile(false);
+      db.removeAllListeners('profile');
+      db.removeAllListeners('slowQuery');
+    });
+
+    after(function(done) {
+      db.close(done);
+    });
+
+    it('emits an event per query and aggregation', function() {
+      const events = [];
+      db.profile().on('profile', event => events.push(event));
+
+      return co(function*() {
+        const query = M.find({ age: { $gte: 1 }, name: { $in: ['a', 'b'] } });
+        yield query;
+        yield M.findOne({ name: 'c' });
+        yield M.updateOne({ name: 'a' }, { age: 3 });
+        yield M.aggregate([{ $match: { age: { $gt: 1 } } }, { $count: 'n' }]);
+        yield M.findById('not an id').catch(() => null);
+
+        assert.deepEqual(events.map(e => e.op),
+          ['find', 'findOne', 'updateOne', 'aggregate', 'findOne']);
+        assert.strictEqual(events[0].model, M);
+        assert.equal(events[0].modelName, 'Profiled');
+        assert.equal(events[0].collection, M.collection.name);
+        assert.deepEqual(events[0].filter, { age: { $gte: '?' }, name: { $in: '?' } });
+        assert.strictEqual(events[0].query, query);
+        assert.equal(typeof events[0].duration, 'number');
+        assert.strictEqual(events[0].slow, false);
+        assert.deepEqual(events.map(e => e.docsReturned), [2, 0, null, 1, null]);
+
+        assert.deepEqual(events[3].filter, { age: { $gt: '?' } });
+        assert.deepEqual(events[3].pipeline, [{ $match: { age: { $gt: '?' } } }, { $count: '?' }]);
+        assert.equal(events[4].error.name, 'CastError');
+
+        db.profile(false);
+        yield M.find();
+        assert.equal(events.length, 5);
+      });
+    });
+
+    it('reports slow queries', function() {
+      const events = [];
+      db.profile({ slowMS: { default: 60000, 'Profiled.find': 0 }, explain: true }).
+        on('slowQuery', event => events.push(event));
+
+      return co(function*() {
+        yield M.findOne();
+        yield M.find({ name: 'a' });
+        // the explain runs after the query
+        yield cb => setTimeout(cb, 50);
+
+        assert.equal(events.length, 1);
+        assert.equal(events[0].op, 'find');
+        assert.strictEqual(events[0].slow, true);
+        // drivers that can't explain, like the in-memory driver, report why
+        assert.ok(events[0].explain != null || events[0].explainError != null);
+      });
+    });
+  });
+
+  describe('health checks', function() {
+    let db;
+    let M;
+
+    before(function() {
+      db = start();
+      M = db.model('Health', new Schema({ name: String }));
+      return M.create([{ name: 'a' }, { name: 'b' }]);
+    });
+
+    after(function(done) {
+      db.close(done);
+    });
+
+    function mockResponse(done) {
+      const res = { headers: {} };
+      res.setHeader = (name, value) => { res.headers[name] = value; };
+      res.end = body => {
+        res.body = JSON.parse(body);
+        done(null, res);
+      };
+      return res;
+    }
+
+    it('ping() and health()', function() {
+      return co(function*() {
+        const ms = yield db.ping();
+        assert.equal(typeof ms, 'number');
+
+        let health = db.health();
+        assert.strictEqual(health.ok, true);
+        assert.equal(health.state, 'connected');
+        assert.ok(health.lastHeartbeat.at instanceof Date);
+        assert.strictEqual(health.lastHeartbeat.ok, true);
+        assert.strictEqual(health.lastHeartbeat.error, null);
+        assert.equal(health.bufferedOperations, 0);
+        assert.equal(health.openCursors, 0);
+        assert.deepEqual(health.models, ['Health']);
+
+        const cursor = M.find().cursor();
+        yield cursor.next();
+        const aggCursor = M.aggregate([{ $match: {} }]).cursor({}).exec();
+        yield aggCursor.next();
+        assert.equal(db.health().openCursors, 2);
+
+        yield cursor.close();
+        while ((yield aggCursor.next()) != null) {
+          // exhaust the cursor
+        }
+        assert.equal(db.health().openCursors, 0);
+
+        const closed = mongoose.createConnection();
+        closed.model('Health', new Schema({})).find().exec();
+        yield cb => setImmediate(cb);
+        const error = yield closed.ping().then(() => null, error => error);
+        assert.equal(error.message, 'Connection is not open, its state is `disconnected`');
+        health = closed.health();
+        assert.strictEqual(health.ok, false);
+        assert.equal(health.state, 'disconnected');
+        assert.strictEqual(health.lastHeartbeat.ok, false);
+        assert.equal(health.bufferedOperations, 1);
+      });
+    });
+
+    it('stops counting cursors the driver or the connection closes', function() {
+      const conn = start();
+      const Model = conn.model('Health', new Schema({ name: String }),
+        M.collection.collectionName);
+
+      return co(function*() {
+        const cursor = Model.find().cursor();
+        yield cursor.next();
+        const aggCursor = Model.aggregate([{ $match: {} }]).cursor({}).exec();
+        yield aggCursor.next();
+        assert.equal(conn.health().openCursors, 2);
+
+        yield cursor.cursor.close();
+        yield aggCursor.cursor.close();
+        assert.equal(conn.health().openCursors, 0);
+
+        // abandoned
+        yield Model.find().cursor().next();
+        assert.equal(conn.health().openCursors, 1);
+        yield conn.close();
+        assert.equal(conn.health().openCursors, 0);
+      });
+    });
+
+    it('healthHandler()', function() {
+      const closed = mongoose.createConnection();
+
+      return co(function*() {
+        let res = yield cb => db.healthHandler()({}, mockResponse(cb));
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.headers['Content-Type'], 'application/json');
+        assert.strictEqual(res.body.ok, true);
+        assert.equal(res.body.state, 'connected');
+
+        res = yield cb => closed.healthHandler()({}, mockResponse(cb));
+        assert.equal(res.statusCode, 503);
+        assert.strictEqual(res.body.ok, false);
+        assert.equal(res.body.lastHeartbeat.error,
+          'Connection is not open, its state is `disconnected`');
+
+        res = yield cb => closed.healthHandler({ liveness: true })({}, mockResponse(cb));
+        assert.equal(res.statusCode, 200);
+        assert.strictEqual(res.body.ok, false);
+      });
+    });
+  });
+
   describe('connection pool sharing: ', function() {
     it('works', function(done) {
       var db = mongoose.createConnection('mongodb://localhost/mongoose1');
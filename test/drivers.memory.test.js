@@ -0,0 +1,217 @@
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+const Long = require('../lib/drivers/memory').Long;
+const MemoryDb = require('../lib/drivers/memory/db');
+const ObjectId = require('../lib/drivers/memory').ObjectId;
+const aggregate = require('../lib/drivers/memory/aggregate');
+const assert = require('power-assert');
+const filter = require('../lib/drivers/memory/filter');
+const projection = require('../lib/drivers/memory/projection');
+const update = require('../lib/drivers/memory/update');
+
+describe('drivers: memory', function() {
+  describe('filter', function() {
+    it('compares across array elements', function() {
+      const doc = { tags: ['a', 'b'], nested: [{ x: 1 }, { x: 5 }] };
+
+      assert.ok(filter.matches(doc, { tags: 'b' }));
+      assert.ok(filter.matches(doc, { 'nested.x': { $gt: 4 } }));
+      assert.ok(filter.matches(doc, { tags: { $all: ['a', 'b'] } }));
+      assert.ok(filter.matches(doc, { 'nested.x': { $all: [1, 5] } }));
+      assert.ok(!filter.matches(doc, { nested: { $elemMatch: { x: { $gt: 1, $lt: 5 } } } }));
+      assert.ok(!filter.matches(doc, { tags: { $size: 3 } }));
+    });
+
+    it('supports logical operators and $where', function() {
+      const doc = { name: 'test', age: 30 };
+
+      assert.ok(filter.matches(doc, { $or: [{ name: 'other' }, { age: 30 }] }));
+      assert.ok(!filter.matches(doc, { $nor: [{ name: /^te/ }] }));
+      assert.ok(filter.matches(doc, { age: { $not: { $lt: 18 } } }));
+      assert.ok(filter.matches(doc, { $where: function() { return this.age > 18; } }));
+      assert.ok(filter.matches(doc, { $where: 'this.name === "test"' }));
+    });
+
+    it('treats null as missing', function() {
+      assert.ok(filter.matches({}, { name: null }));
+      assert.ok(!filter.matches({}, { name: { $exists: true } }));
+      assert.ok(filter.matches({ name: null }, { name: { $exists: true } }));
+    });
+
+    it('throws on unknown operators', function() {
+      assert.throws(function() {
+        filter.matches({}, { name: { $fake: 1 } });
+      }, /unknown operator: \$fake/);
+    });
+  });
+
+  describe('update', function() {
+    it('applies update operators', function() {
+      const doc = { _id: 1, n: 1, arr: [1, 2, 3], sub: { a: 1 } };
+      const res = update.applyUpdate(doc, {
+        $inc: { n: 2 },
+        $push: { arr: { $each: [4], $slice: -3 } },
+        $unset: { 'sub.a': 1 },
+        $set: { 'sub.b': 2 }
+      }, {});
+
+      assert.deepEqual(res, { _id: 1, n: 3, arr: [2, 3, 4], sub: { b: 2 } });
+    });
+
+    it('supports the positional operator', function() {
+      const doc = { arr: [{ x: 1 }, { x: 2 }] };
+      const res = update.applyUpdate(doc, { $set: { 'arr.$.y': true } }, {
+        filter: { 'arr.x': 2 }
+      });
+
+      assert.deepEqual(res.arr, [{ x: 1 }, { x: 2, y: true }]);
+    });
+
+    it('$pull with a query on subdocuments', function() {
+      const doc = { arr: [{ x: 1 }, { x: 2 }, { x: 3 }] };
+      const res = update.applyUpdate(doc, {
+        $pull: { arr: { $or: [{ x: 1 }, { x: 3 }] } }
+      }, {});
+
+      assert.deepEqual(res.arr, [{ x: 2 }]);
+    });
+
+    it('$inc and $mul integers as longs', function() {
+      const doc = { a: 0x7fffffff, b: Long.fromString('9007199254740993'), c: 2 };
+      const res = update.applyUpdate(doc, {
+        $inc: { a: 1, b: 2 },
+        $mul: { c: 3 }
+      }, {});
+
+      assert.equal(res.a.toString(), '2147483648');
+      assert.ok(res.a instanceof Long);
+      assert.equal(res.b.toString(), '9007199254740995');
+      assert.strictEqual(res.c, 6);
+      assert.ok(filter.matches(res, { b: { $gt: Long.fromString('9007199254740994') } }));
+
+      assert.throws(function() {
+        update.applyUpdate({ n: Long.MAX_VALUE }, { $inc: { n: 1 } }, {});
+      }, /64-bit/);
+      assert.throws(function() {
+        update.applyUpdate({ n: Long.MIN_VALUE }, { $mul: { n: -1 } }, {});
+      }, /64-bit/);
+    });
+
+    it('does not allow modifying _id', function() {
+      assert.throws(function() {
+        update.applyUpdate({ _id: 1 }, { $set: { _id: 2 } }, {});
+      }, /_id/);
+    });
+  });
+
+  describe('projection', function() {
+    const doc = { _id: 1, name: 'test', arr: [{ x: 1 }, { x: 2 }] };
+
+    it('inclusive and exclusive', function() {
+      assert.deepEqual(projection.project(doc, { name: 1 }), { _id: 1, name: 'test' });
+      assert.deepEqual(projection.project(doc, { name: 1, _id: 0 }), { name: 'test' });
+      assert.deepEqual(projection.project(doc, { arr: 0, name: 0 }), { _id: 1 });
+      assert.throws(function() {
+        projection.project(doc, { name: 1, arr: 0 });
+      }, /mix of inclusion and exclusion/);
+    });
+
+    it('positional and $elemMatch', function() {
+      assert.deepEqual(projection.project(doc, { 'arr.$': 1 }, { 'arr.x': 2 }),
+        { _id: 1, arr: [{ x: 2 }] });
+      assert.deepEqual(projection.project(doc, { arr: { $elemMatch: { x: 1 } } }),
+        { _id: 1, arr: [{ x: 1 }] });
+    });
+  });
+
+  describe('aggregate', function() {
+    it('runs pipelines', function() {
+      const docs = [
+        { _id: 1, type: 'a', n: 1 },
+        { _id: 2, type: 'b', n: 2 },
+        { _id: 3, type: 'a', n: 3 }
+      ];
+      const res = aggregate.run(docs, [
+        { $match: { n: { $gte: 1 } } },
+        { $group: { _id: '$type', total: { $sum: '$n' } } },
+        { $sort: { total: -1 } }
+      ], {});
+
+      assert.deepEqual(res, [{ _id: 'a', total: 4 }, { _id: 'b', total: 2 }]);
+    });
+  });
+
+  describe('collection', function() {
+    let collection;
+
+    beforeEach(function(done) {
+      collection = MemoryDb.get('mongoose_memory_test').collection('tests');
+      MemoryDb.get('mongoose_memory_test').dropDatabase(done);
+    });
+
+    it('inserts, updates and finds documents', function(done) {
+      collection.insertMany([{ name: 'a', n: 1 }, { name: 'b', n: 2 }], function(error, res) {
+        assert.ifError(error);
+        assert.equal(res.insertedCount, 2);
+        assert.ok(res.ops[0]._id instanceof ObjectId);
+
+        collection.updateOne({ name: 'b' }, { $inc: { n: 1 } }, function(error, res) {
+          assert.ifError(error);
+          assert.equal(res.result.n, 1);
+          assert.equal(res.result.nModified, 1);
+
+          collection.find({ n: { $gt: 1 } }, { projection: { _id: 0 } }).toArray(function(error, docs) {
+            assert.ifError(error);
+            assert.deepEqual(docs, [{ name: 'b', n: 3 }]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('upserts', function() {
+      return collection.findOneAndUpdate({ name: 'c' }, { $set: { n: 1 } }, {
+        upsert: true,
+        returnOriginal: false
+      }).then(function(res) {
+        assert.equal(res.value.name, 'c');
+        assert.equal(res.value.n, 1);
+        assert.ok(res.lastErrorObject.upserted);
+        return collection.count({});
+      }).then(function(count) {
+        assert.equal(count, 1);
+      });
+    });
+
+    it('enforces unique indexes', function(done) {
+      collection.createIndex({ name: 1 }, { unique: true }, function(error) {
+        assert.ifError(error);
+        collection.insertOne({ name: 'a' }, function(error) {
+          assert.ifError(error);
+          collection.insertOne({ name: 'a' }, function(error) {
+            assert.ok(error);
+            assert.equal(error.code, 11000);
+            done();
+          });
+        });
+      });
+    });
+
+    it('keeps data per database name', function(done) {
+      collection.insertOne({ name: 'a' }, function(error) {
+        assert.ifError(error);
+        const other = MemoryDb.get('mongoose_memory_test').collection('tests');
+        assert.strictEqual(other, collection);
+        MemoryDb.get('mongoose_memory_test_2').collection('tests').count({}, function(error, count) {
+          assert.ifError(error);
+          assert.equal(count, 0);
+          done();
+        });
+      });
+    });
+  });
+});
@@ -5,6 +5,7 @@
  */
 
 const assert = require('power-assert');
+const co = require('co');
 const clone = require('../lib/utils').clone;
 const random = require('../lib/utils').random;
 const start = require('./common');
@@ -958,6 +959,79 @@ describe('model', function() {
         }).
         catch(done);
     });
+
+    it('single nested discriminators track changes and validate', function() {
+      var shapeSchema = new Schema({ name: String },
+        { discriminatorKey: 'kind', _id: false });
+      var drawingSchema = new Schema({ shape: shapeSchema });
+      var Circle = drawingSchema.path('shape').discriminator('Circle',
+        new Schema({ radius: { type: Number, max: 10 } }, { _id: false }));
+
+      var Drawing = db.model('SingleNestedDiscriminator1', drawingSchema);
+
+      return co(function*() {
+        var doc = yield Drawing.create({ shape: { kind: 'Circle', radius: '5' } });
+        doc = yield Drawing.findById(doc._id);
+        assert.ok(doc.shape instanceof Circle);
+        assert.equal(Circle.name, 'Circle');
+
+        doc.shape.radius = 7;
+        assert.deepEqual(doc.modifiedPaths(), ['shape', 'shape.radius']);
+        yield doc.save();
+        assert.equal((yield Drawing.findById(doc._id)).shape.radius, 7);
+
+        doc.shape.radius = 70;
+        var error = doc.validateSync();
+        assert.ok(error.errors['shape.radius']);
+        assert.equal(error.errors['shape.radius'].kind, 'max');
+      });
+    });
+
+    it('casts updates to single nested discriminator paths', function() {
+      var shapeSchema = new Schema({ name: String },
+        { discriminatorKey: 'kind', _id: false });
+      var drawingSchema = new Schema({ shape: shapeSchema });
+      drawingSchema.path('shape').discriminator('Circle',
+        new Schema({ radius: Number }, { _id: false }));
+      drawingSchema.path('shape').discriminator('Square',
+        new Schema({ side: Number }, { _id: false }));
+
+      var Drawing = db.model('SingleNestedDiscriminator2', drawingSchema);
+
+      return co(function*() {
+        var doc = yield Drawing.create({ shape: { kind: 'Square', side: 3 } });
+
+        // Discriminator from the filter
+        yield Drawing.updateOne({ 'shape.kind': 'Square' }, { 'shape.side': '8' });
+        var raw = yield Drawing.collection.findOne({ _id: doc._id });
+        assert.deepEqual(raw.shape, { kind: 'Square', side: 8 });
+
+        // Discriminator from the update, paths of other discriminators are
+        // stripped
+        yield Drawing.updateOne({ _id: doc._id }, {
+          'shape.kind': 'Circle',
+          'shape.radius': '9',
+          'shape.side': 1
+        });
+        raw = yield Drawing.collection.findOne({ _id: doc._id });
+        assert.deepEqual(raw.shape, { kind: 'Circle', side: 8, radius: 9 });
+
+        var error = yield Drawing.
+          updateOne({ 'shape.kind': 'Circle' }, { 'shape.radius': 'fail' }).
+          then(() => null, error => error);
+        assert.equal(error.name, 'CastError');
+        assert.equal(error.path, 'radius');
+
+        // Without a discriminator value the path is unknown
+        yield Drawing.updateOne({ _id: doc._id }, { 'shape.radius': 1 });
+        raw = yield Drawing.collection.findOne({ _id: doc._id });
+        assert.equal(raw.shape.radius, 9);
+
+        doc = yield Drawing.findById(doc._id);
+        assert.equal(doc.shape.radius, 9);
+        assert.equal(doc.shape.constructor.name, 'Circle');
+      });
+    });
     describe('embedded discriminators + hooks (gh-5706)', function(){
       var counters = {
         eventPreSave: 0,
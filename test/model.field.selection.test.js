@@ -4,6 +4,7 @@
 
 var start = require('./common'),
     assert = require('power-assert'),
+    co = require('co'),
     mongoose = start.mongoose,
     random = require('../lib/utils').random,
     Schema = mongoose.Schema,
@@ -447,4 +448,64 @@ describe('model field selection', function() {
       });
     });
   });
+
+  describe('virtuals with dependsOn', function() {
+    var Person;
+
+    before(function() {
+      var schema = new Schema({ first: String, last: String, age: Number });
+      schema.virtual('fullName', { dependsOn: ['first', 'last'] }).get(function() {
+        return this.first + ' ' + this.last;
+      });
+      schema.virtual('greeting', { dependsOn: 'fullName' }).get(function() {
+        return 'Hello, ' + this.first + ' ' + this.last;
+      });
+      Person = db.model('VirtualDependsOn', schema, 'virtualdependson' + random());
+      return Person.create({ first: 'Jean', last: 'Valjean', age: 52 });
+    });
+
+    it('selects the paths a virtual depends on', function() {
+      return co(function*() {
+        var doc = yield Person.findOne().select('fullName');
+        assert.equal(doc.fullName, 'Jean Valjean');
+        assert.ok(doc.isSelected('first'));
+        assert.ok(!doc.isSelected('age'));
+        assert.strictEqual(doc.age, void 0);
+
+        // dependencies of virtuals are followed
+        doc = yield Person.findOne().select('greeting -_id');
+        assert.deepEqual(doc.toObject(), { first: 'Jean', last: 'Valjean' });
+
+        // excluding a virtual doesn't exclude its dependencies
+        doc = yield Person.findOne().select('-fullName');
+        assert.equal(doc.age, 52);
+        assert.equal(doc.fullName, 'Jean Valjean');
+      });
+    });
+
+    it('computes selected virtuals with lean()', function() {
+      return co(function*() {
+        var docs = yield Person.find().select('fullName age -_id').lean();
+        assert.deepEqual(docs, [
+          { first: 'Jean', last: 'Valjean', age: 52, fullName: 'Jean Valjean' }
+        ]);
+
+        var doc = yield Person.findOne().select({ greeting: 1 }).lean();
+        assert.equal(doc.greeting, 'Hello, Jean Valjean');
+        assert.strictEqual(doc.fullName, void 0);
+
+        doc = yield Person.findOneAndUpdate({}, { age: 53 }, { new: true }).
+          select('fullName').
+          lean();
+        assert.equal(doc.fullName, 'Jean Valjean');
+
+        doc = yield Person.find().select('fullName').lean().cursor().next();
+        assert.equal(doc.fullName, 'Jean Valjean');
+
+        // virtuals that aren't selected aren't computed
+        doc = yield Person.findOne().lean();
+        assert.strictEqual(doc.fullName, void 0);
+      });
+    });
+  });
 });
@@ -0,0 +1,229 @@
+/**
+ * Test dependencies.
+ */
+
+var start = require('./common'),
+    assert = require('power-assert'),
+    co = require('co'),
+    crypto = require('crypto'),
+    mongoose = start.mongoose,
+    random = require('../lib/utils').random,
+    Schema = mongoose.Schema;
+
+describe('schema history option', function() {
+  var db;
+
+  before(function() {
+    db = start();
+  });
+
+  after(function(done) {
+    db.close(done);
+  });
+
+  function getModel(name, options) {
+    var schema = new Schema({
+      name: String,
+      age: Number,
+      address: { city: String, zip: String },
+      tags: [String]
+    }, options || { history: true });
+    return db.model(name, schema, 'history' + random());
+  }
+
+  it('records creates and saves with the changed paths', function() {
+    var M = getModel('History1');
+
+    return co(function*() {
+      var doc = yield M.create({ name: 'Val', address: { city: 'Paris' } });
+      doc = yield M.findById(doc._id);
+      doc.name = 'Valeri';
+      doc.address.zip = '75001';
+      doc.tags.push('a');
+      yield doc.save({ actor: 'alice' });
+
+      // nothing changed, nothing recorded
+      yield doc.save();
+
+      var entries = yield doc.history();
+      assert.equal(entries.length, 2);
+
+      assert.equal(entries[0].version, 1);
+      assert.equal(entries[0].op, 'create');
+      assert.equal(entries[0].model, 'History1');
+      assert.ok(!('actor' in entries[0]));
+      assert.deepEqual(entries[0].changes.map(c => c.path).sort(),
+        ['address', 'name', 'tags']);
+
+      assert.equal(entries[1].version, 2);
+      assert.equal(entries[1].op, 'save');
+      assert.equal(entries[1].actor, 'alice');
+      assert.ok(entries[1].at instanceof Date);
+      var changes = entries[1].changes.sort((a, b) => a.path < b.path ? -1 : 1);
+      assert.deepEqual(changes, [
+        { path: 'address.zip', after: '75001' },
+        { path: 'name', before: 'Val', after: 'Valeri' },
+        { path: 'tags', before: [], after: ['a'] }
+      ]);
+
+      var raw = yield db.collection(M.collection.collectionName + '_history').
+        findOne({ ref: doc._id, version: 2 });
+      assert.equal(raw.actor, 'alice');
+    });
+  });
+
+  it('records updates for every matched document', function() {
+    var M = getModel('History2');
+
+    return co(function*() {
+      var docs = yield M.create([{ name: 'a', age: 1 }, { name: 'b', age: 2 }, { name: 'c', age: 3 }]);
+
+      yield M.updateMany({ age: { $lt: 3 } }, { $inc: { age: 10 } }, { actor: 'bob' });
+      yield M.updateOne({ name: 'c' }, { name: 'C' });
+      yield M.findOneAndUpdate({ name: 'a' }, { $set: { 'address.city': 'Rome' } }).
+        setOptions({ actor: 'carol' });
+      yield M.update({ name: 'd' }, { age: 4 }, { upsert: true });
+      // no changes
+      yield M.updateMany({ name: 'b' }, { name: 'b' });
+
+      var entries = yield docs[0].history();
+      assert.deepEqual(entries.map(e => e.op), ['create', 'update', 'update']);
+      assert.deepEqual(entries[1].changes, [{ path: 'age', before: 1, after: 11 }]);
+      assert.equal(entries[1].actor, 'bob');
+      assert.deepEqual(entries[2].changes, [{ path: 'address', after: { city: 'Rome' } }]);
+      assert.equal(entries[2].actor, 'carol');
+
+      entries = yield docs[1].history();
+      assert.deepEqual(entries.map(e => e.version), [1, 2]);
+
+      entries = yield docs[2].history();
+      assert.deepEqual(entries[1].changes, [{ path: 'name', before: 'c', after: 'C' }]);
+
+      var upserted = yield M.findOne({ name: 'd' });
+      entries = yield upserted.history();
+      assert.equal(entries.length, 1);
+      assert.equal(entries[0].op, 'create');
+    });
+  });
+
+  it('reverts to a version', function() {
+    var M = getModel('History3', { history: { collection: 'audit' + random() } });
+
+    return co(function*() {
+      var doc = yield M.create({ name: 'v1', age: 1 });
+      doc.name = 'v2';
+      yield doc.save();
+      yield M.updateOne({ _id: doc._id }, { name: 'v3', address: { city: 'Oslo' } });
+
+      doc = yield M.findById(doc._id);
+      yield doc.revertTo(1, { actor: 'dave' });
+      assert.equal(doc.name, 'v1');
+      assert.strictEqual(doc.address.city, undefined);
+
+      doc = yield M.findById(doc._id);
+      assert.equal(doc.name, 'v1');
+      assert.strictEqual(doc.address.city, undefined);
+      assert.equal(doc.age, 1);
+
+      var entries = yield doc.history();
+      assert.deepEqual(entries.map(e => e.op), ['create', 'save', 'update', 'revert']);
+      assert.equal(entries[3].actor, 'dave');
+
+      var error = yield doc.revertTo(42).then(() => null, err => err);
+      assert.ok(/No history entry with version 42/.test(error.message));
+    });
+  });
+
+  it('records soft deletes', function() {
+    var M = getModel('History5', { history: true, softDelete: true });
+
+    return co(function*() {
+      var docs = yield M.create([{ name: 'a' }, { name: 'b' }, { name: 'c' }, { name: 'd' }]);
+
+      var doc = yield M.findById(docs[0]._id);
+      yield doc.remove({ actor: 'erin' });
+      yield M.deleteOne({ name: 'b' });
+      yield M.findOneAndRemove({ name: 'c' }).setOptions({ actor: 'frank' });
+      yield M.deleteMany({});
+
+      var entries = yield Promise.all(docs.map(doc => doc.history()));
+      entries.forEach(function(entries) {
+        assert.deepEqual(entries.map(e => e.op), ['create', 'delete']);
+        assert.deepEqual(entries[1].changes.map(c => c.path), ['deletedAt']);
+        assert.ok(entries[1].changes[0].after instanceof Date);
+      });
+      assert.equal(entries[0][1].actor, 'erin');
+      assert.equal(entries[2][1].actor, 'frank');
+    });
+  });
+
+  it('numbers concurrent writes uniquely', function() {
+    var M = getModel('History6');
+
+    return co(function*() {
+      var doc = yield M.create({ name: 'a', age: 0 });
+      yield [1, 2, 3, 4].map(age => M.updateOne({ _id: doc._id }, { age: age }));
+
+      var entries = yield doc.history();
+      assert.deepEqual(entries.map(e => e.version), [1, 2, 3, 4, 5]);
+    });
+  });
+
+  it('encrypts encrypted paths in changes', function() {
+    var key = crypto.randomBytes(32);
+    mongoose.set('encryptionKeyProvider', function() {
+      return key;
+    });
+
+    var schema = new Schema({
+      name: String,
+      notes: { type: String, encrypt: true },
+      address: { zip: { type: String, encrypt: true } }
+    }, { history: true });
+    var M = db.model('History7', schema, 'history' + random());
+
+    return co(function*() {
+      var doc = yield M.create({ name: 'a', notes: 'secret', address: { zip: '1' } });
+      yield M.updateOne({ _id: doc._id }, { notes: 'more secret', 'address.zip': '2' });
+
+      var raw = yield db.collection(M.collection.collectionName + '_history').
+        find({ ref: doc._id }).sort({ version: 1 }).toArray();
+      var changes = raw[1].changes.sort((a, b) => a.path < b.path ? -1 : 1);
+      assert.equal(changes[0].path, 'address.zip');
+      assert.equal(changes[0].after._bsontype, 'Binary');
+      assert.equal(changes[1].before._bsontype, 'Binary');
+      assert.equal(raw[0].changes.find(c => c.path === 'address').after.zip._bsontype,
+        'Binary');
+
+      var entries = yield doc.history();
+      changes = entries[1].changes.sort((a, b) => a.path < b.path ? -1 : 1);
+      assert.deepEqual(changes, [
+        { path: 'address.zip', before: '1', after: '2' },
+        { path: 'notes', before: 'secret', after: 'more secret' }
+      ]);
+
+      doc = yield M.findById(doc._id);
+      yield doc.revertTo(1);
+      doc = yield M.findById(doc._id);
+      assert.equal(doc.notes, 'secret');
+      assert.equal(doc.address.zip, '1');
+    }).then(function() {
+      mongoose.set('encryptionKeyProvider', null);
+    }, function(error) {
+      mongoose.set('encryptionKeyProvider', null);
+      throw error;
+    });
+  });
+
+  it('does not record without the option', function() {
+    var M = getModel('History4', {});
+
+    return co(function*() {
+      var doc = yield M.create({ name: 'a' });
+      yield M.updateOne({ _id: doc._id }, { name: 'b' });
+      assert.equal(doc.history, undefined);
+      var names = (yield db.db.listCollections().toArray()).map(c => c.name);
+      assert.equal(names.indexOf(M.collection.collectionName + '_history'), -1);
+    });
+  });
+});
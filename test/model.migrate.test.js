@@ -0,0 +1,260 @@
+/**
+ * Test dependencies.
+ */
+
+var start = require('./common'),
+    assert = require('power-assert'),
+    co = require('co'),
+    crypto = require('crypto'),
+    mongoose = start.mongoose,
+    random = require('../lib/utils').random,
+    Schema = mongoose.Schema;
+
+describe('model: migrations:', function() {
+  var db;
+
+  before(function() {
+    db = start();
+  });
+
+  after(function(done) {
+    db.close(done);
+  });
+
+  function createSchema() {
+    var schema = new Schema({ firstName: String, lastName: String, tags: [String] });
+    schema.migration(0, 1, function(doc) {
+      var parts = (doc.name || '').split(' ');
+      doc.firstName = parts[0];
+      doc.lastName = parts[1];
+      delete doc.name;
+    });
+    schema.migration(1, 2, function(doc) {
+      return Object.assign({}, doc, { tags: doc.tags || ['new'] });
+    });
+    return schema;
+  }
+
+  describe('schema.migration()', function() {
+    it('adds the version path with the latest version as default', function(done) {
+      var schema = createSchema();
+      assert.equal(schema.path('__sv').instance, 'Number');
+
+      var M = db.model('Migration1', schema, 'migration' + random());
+      assert.equal(new M().__sv, 2);
+      done();
+    });
+
+    it('supports a custom schemaVersionKey', function(done) {
+      var schema = new Schema({ name: String }, { schemaVersionKey: 'shape' });
+      schema.migration(3, 4, function() {});
+      assert.ok(schema.path('shape'));
+      assert.ok(!schema.path('__sv'));
+      done();
+    });
+
+    it('validates its arguments', function(done) {
+      var schema = new Schema({ name: String });
+      assert.throws(function() {
+        schema.migration(2, 1, function() {});
+      }, /`to` greater than `from`/);
+      assert.throws(function() {
+        schema.migration(1, 2);
+      }, /requires a function/);
+      done();
+    });
+  });
+
+  describe('init', function() {
+    it('upgrades documents lazily and saves the upgrade', function() {
+      var M = db.model('Migration2', createSchema(), 'migration' + random());
+
+      return co(function*() {
+        yield M.collection.insertOne({ name: 'Val Kilmer' });
+
+        var doc = yield M.findOne();
+        assert.equal(doc.firstName, 'Val');
+        assert.equal(doc.lastName, 'Kilmer');
+        assert.deepEqual(doc.tags.toObject(), ['new']);
+        assert.equal(doc.__sv, 2);
+        assert.ok(doc.isModified('firstName'));
+        assert.ok(doc.isModified('name'));
+
+        yield doc.save();
+        var raw = yield M.collection.findOne({ _id: doc._id });
+        assert.equal(raw.firstName, 'Val');
+        assert.equal(raw.__sv, 2);
+        assert.ok(!('name' in raw));
+      });
+    });
+
+    it('leaves up to date documents alone', function() {
+      var M = db.model('Migration3', createSchema(), 'migration' + random());
+
+      return co(function*() {
+        yield M.create({ firstName: 'Val', tags: [] });
+        var doc = yield M.findOne();
+        assert.deepEqual(doc.modifiedPaths(), []);
+        assert.deepEqual(doc.tags.toObject(), []);
+      });
+    });
+
+    it('skips documents loaded with an inclusive projection', function() {
+      var M = db.model('Migration4', createSchema(), 'migration' + random());
+
+      return co(function*() {
+        yield M.collection.insertOne({ name: 'Val Kilmer' });
+        var doc = yield M.findOne().select('firstName __sv');
+        assert.equal(doc.firstName, undefined);
+        assert.deepEqual(doc.modifiedPaths(), []);
+      });
+    });
+
+    it('reports missing migrations as errors', function() {
+      var schema = new Schema({ name: String });
+      schema.migration(1, 2, function() {});
+      var M = db.model('Migration5', schema, 'migration' + random());
+
+      return co(function*() {
+        yield M.collection.insertOne({ name: 'test', __sv: 0 });
+        var error = yield M.findOne().then(() => null, err => err);
+        assert.ok(error);
+        assert.ok(/No migration from version 0 to 2/.test(error.message));
+      });
+    });
+  });
+
+  describe('Model.migrate()', function() {
+    it('upgrades every outdated document and records progress', function() {
+      var M = db.model('Migration6', createSchema(), 'migration' + random());
+
+      return co(function*() {
+        yield M.collection.insertMany([
+          { name: 'A B' },
+          { firstName: 'C', __sv: 1 },
+          { firstName: 'D', tags: ['x'], __sv: 2 }
+        ]);
+
+        var res = yield M.migrate({ batchSize: 2 });
+        assert.deepEqual(res, {
+          collection: M.collection.collectionName,
+          version: 2,
+          migrated: 2
+        });
+
+        var docs = yield M.collection.find().sort({ _id: 1 }).toArray();
+        assert.deepEqual(docs.map(doc => doc.__sv), [2, 2, 2]);
+        assert.equal(docs[0].firstName, 'A');
+        assert.ok(!('name' in docs[0]));
+        assert.deepEqual(docs[1].tags, ['new']);
+        assert.deepEqual(docs[2].tags, ['x']);
+
+        var progress = yield db.collection('migrations').
+          findOne({ _id: M.collection.collectionName });
+        assert.equal(progress.model, 'Migration6');
+        assert.equal(progress.version, 2);
+        assert.equal(progress.migrated, 2);
+        assert.ok(progress.completedAt instanceof Date);
+
+        res = yield M.migrate();
+        assert.equal(res.migrated, 0);
+      });
+    });
+
+    it('resumes an interrupted run', function() {
+      var M = db.model('Migration7', createSchema(), 'migration' + random());
+
+      return co(function*() {
+        var res = yield M.collection.insertMany([{ name: 'A B' }, { name: 'C D' }]);
+        var ids = [res.insertedIds[0], res.insertedIds[1]];
+        yield db.collection('progress').insertOne({
+          _id: M.collection.collectionName,
+          version: 2,
+          migrated: 1,
+          lastId: ids[0],
+          completedAt: null
+        });
+
+        res = yield M.migrate({ collection: 'progress' });
+        assert.equal(res.migrated, 1);
+
+        var docs = yield M.collection.find().sort({ _id: 1 }).toArray();
+        assert.equal(docs[0].__sv, undefined);
+        assert.equal(docs[1].__sv, 2);
+
+        var progress = yield db.collection('progress').
+          findOne({ _id: M.collection.collectionName });
+        assert.equal(progress.migrated, 2);
+      });
+    });
+
+    it('keeps encrypted paths encrypted', function() {
+      var key = crypto.randomBytes(32);
+      mongoose.set('encryptionKeyProvider', function() {
+        return key;
+      });
+
+      var schema = new Schema({
+        name: String,
+        notes: { type: String, encrypt: true }
+      });
+      schema.migration(0, 1, function(doc) {
+        doc.name = doc.name.toUpperCase();
+      });
+      var M = db.model('Migration9', schema, 'migration' + random());
+
+      return co(function*() {
+        var doc = yield M.create({ name: 'a', notes: 'secret' });
+        yield M.collection.updateOne({ _id: doc._id }, { $unset: { __sv: 1 } });
+
+        var res = yield M.migrate();
+        assert.equal(res.migrated, 1);
+
+        var raw = yield M.collection.findOne({ _id: doc._id });
+        assert.equal(raw.name, 'A');
+        assert.equal(raw.notes._bsontype, 'Binary');
+
+        doc = yield M.findById(doc._id);
+        assert.equal(doc.notes, 'secret');
+      }).then(function() {
+        mongoose.set('encryptionKeyProvider', null);
+      }, function(error) {
+        mongoose.set('encryptionKeyProvider', null);
+        throw error;
+      });
+    });
+
+    it('upgrades soft deleted documents', function() {
+      var schema = new Schema({ name: String }, { softDelete: true });
+      schema.migration(0, 1, function(doc) {
+        doc.name = doc.name.toUpperCase();
+      });
+      var M = db.model('Migration10', schema, 'migration' + random());
+
+      return co(function*() {
+        yield M.collection.insertMany([
+          { name: 'a' },
+          { name: 'b', deletedAt: new Date() }
+        ]);
+
+        var res = yield M.migrate();
+        assert.equal(res.migrated, 2);
+
+        var docs = yield M.collection.find().sort({ _id: 1 }).toArray();
+        assert.deepEqual(docs.map(doc => doc.name), ['A', 'B']);
+        assert.deepEqual(docs.map(doc => doc.__sv), [1, 1]);
+        assert.ok(docs[1].deletedAt instanceof Date);
+      });
+    });
+
+    it('resolves immediately without migrations (callback)', function(done) {
+      var M = db.model('Migration8', new Schema({ name: String }),
+        'migration' + random());
+      M.migrate(function(error, res) {
+        assert.ifError(error);
+        assert.equal(res.migrated, 0);
+        done();
+      });
+    });
+  });
+});
@@ -3183,6 +3183,222 @@ describe('model: populate:', function() {
     }
   });
 
+  describe('across connections', function() {
+    var usersDb;
+    var ordersDb;
+    var User;
+
+    before(function() {
+      usersDb = start({ uri: start.uri + '_users' });
+      ordersDb = start();
+      User = usersDb.model('User', new Schema({ name: String }));
+    });
+
+    after(function(done) {
+      usersDb.close(function() {
+        ordersDb.close(done);
+      });
+    });
+
+    it('with a Model or { connection, model } as ref', function() {
+      var Order = ordersDb.model('CrossConnection1', new Schema({
+        buyer: { type: Schema.Types.ObjectId, ref: User },
+        watchers: [{
+          type: Schema.Types.ObjectId,
+          ref: { connection: usersDb, model: 'User' }
+        }]
+      }));
+
+      return co(function*() {
+        var users = yield User.create([{ name: 'a' }, { name: 'b' }]);
+        yield Order.create({
+          buyer: users[0]._id,
+          watchers: [users[1]._id, users[0]._id]
+        });
+
+        var order = yield Order.findOne().populate('buyer watchers');
+        assert.equal(order.buyer.name, 'a');
+        assert.ok(order.buyer instanceof User);
+        assert.deepEqual(order.watchers.map(w => w.name), ['b', 'a']);
+        assert.equal(order.populated('buyer').toHexString(), users[0].id);
+
+        order = yield Order.findOne().populate('buyer').lean();
+        assert.equal(order.buyer.name, 'a');
+
+        // Setting docs from the other connection marks the path populated
+        order = new Order({ buyer: users[1], watchers: [users[0]] });
+        assert.equal(order.buyer.name, 'b');
+        assert.ok(order.populated('watchers'));
+
+        // The ref isn't a model on the order connection
+        var error = yield Order.findOne().
+          populate({ path: 'buyer', model: 'User' }).
+          then(() => null, error => error);
+        assert.equal(error.name, 'MissingSchemaError');
+      });
+    });
+
+    it('with populate options and virtuals', function() {
+      var schema = new Schema({ buyerId: Schema.Types.ObjectId });
+      schema.virtual('buyer', {
+        ref: User,
+        localField: 'buyerId',
+        foreignField: '_id',
+        justOne: true
+      });
+      var Order = ordersDb.model('CrossConnection2', schema);
+
+      return co(function*() {
+        var user = yield User.create({ name: 'c' });
+        yield Order.create({ buyerId: user._id });
+
+        var order = yield Order.findOne().populate('buyer');
+        assert.equal(order.buyer.name, 'c');
+
+        order = yield Order.findOne().populate({
+          path: 'buyerId',
+          model: { connection: usersDb, model: 'User' }
+        });
+        assert.equal(order.buyerId.name, 'c');
+
+        order = yield Order.findOne().populate({ path: 'buyerId', model: User });
+        assert.equal(order.buyerId.name, 'c');
+
+        // Sessions aren't used for populating from other connections
+        var session = yield ordersDb.startSession();
+        order = yield Order.findOne().session(session).populate('buyer');
+        assert.equal(order.buyer.name, 'c');
+        session.endSession();
+      });
+    });
+  });
+
+  describe('virtuals with count, match functions and limits per document', function() {
+    var db;
+    var Author;
+    var Post;
+
+    before(function() {
+      db = start();
+
+      var authorSchema = new Schema({ name: String, since: Number });
+      authorSchema.virtual('posts', {
+        ref: 'VirtualPost',
+        localField: '_id',
+        foreignField: 'author'
+      });
+      authorSchema.virtual('numPosts', {
+        ref: 'VirtualPost',
+        localField: '_id',
+        foreignField: 'author',
+        count: true
+      });
+      authorSchema.virtual('numCoauthored', {
+        ref: 'VirtualPost',
+        localField: '_id',
+        foreignField: 'coauthors',
+        count: true
+      });
+      authorSchema.virtual('recentPosts', {
+        ref: 'VirtualPost',
+        localField: '_id',
+        foreignField: 'author',
+        match: author => ({ year: { $gte: author.since } }),
+        options: { sort: { year: 1 } }
+      });
+      Author = db.model('VirtualAuthor', authorSchema);
+      Post = db.model('VirtualPost', new Schema({
+        author: Schema.Types.ObjectId,
+        coauthors: [Schema.Types.ObjectId],
+        year: Number,
+        title: String
+      }));
+
+      return co(function*() {
+        var authors = yield Author.create([
+          { name: 'a', since: 2010 },
+          { name: 'b', since: 2000 },
+          { name: 'c', since: 0 }
+        ]);
+        yield Post.create([
+          { author: authors[0]._id, year: 2005, title: 'a1', coauthors: [authors[1]._id, authors[2]._id] },
+          { author: authors[0]._id, year: 2015, title: 'a2' },
+          { author: authors[0]._id, year: 2016, title: 'a3' },
+          { author: authors[1]._id, year: 1999, title: 'b1', coauthors: [authors[2]._id] },
+          { author: authors[1]._id, year: 2001, title: 'b2' }
+        ]);
+      });
+    });
+
+    after(function(done) {
+      db.close(done);
+    });
+
+    it('count and match functions', function() {
+      return co(function*() {
+        var authors = yield Author.find().sort({ name: 1 }).populate('numPosts');
+        assert.deepEqual(authors.map(a => a.numPosts), [3, 2, 0]);
+        assert.equal(authors[0].toObject({ virtuals: true }).numPosts, 3);
+
+        authors = yield Author.find().sort({ name: 1 }).
+          populate({ path: 'numPosts', match: { year: { $gt: 2000 } } }).
+          lean();
+        assert.deepEqual(authors.map(a => a.numPosts), [3, 1, 0]);
+
+        // counts aggregate by the foreign field instead of loading posts,
+        // limits don't apply to them
+        var find = Post.find;
+        Post.find = function() {
+          throw new Error('should not load posts');
+        };
+        try {
+          authors = yield Author.find().sort({ name: 1 }).populate({
+            path: 'numPosts',
+            match: author => ({ year: { $gte: author.since } }),
+            perDocumentLimit: 1,
+            options: { limit: 1 }
+          });
+        } finally {
+          Post.find = find;
+        }
+        assert.deepEqual(authors.map(a => a.numPosts), [2, 1, 0]);
+
+        authors = yield Author.find().sort({ name: 1 }).populate('numCoauthored').lean();
+        assert.deepEqual(authors.map(a => a.numCoauthored), [0, 1, 2]);
+
+        authors = yield Author.find().sort({ name: 1 }).populate('recentPosts');
+        assert.deepEqual(authors.map(a => a.recentPosts.map(p => p.title)),
+          [['a2', 'a3'], ['b2'], []]);
+
+        authors = yield Author.find().sort({ name: 1 }).populate({
+          path: 'posts',
+          match: author => ({ year: { $lt: author.since } })
+        }).lean();
+        assert.deepEqual(authors.map(a => a.posts.map(p => p.title)),
+          [['a1'], ['b1'], []]);
+      });
+    });
+
+    it('perDocumentLimit', function() {
+      return co(function*() {
+        // `limit` applies across all authors, so 'b' gets no posts
+        var authors = yield Author.find().sort({ name: 1 }).populate({
+          path: 'posts',
+          options: { sort: { year: -1 }, limit: 1 }
+        });
+        assert.deepEqual(authors.map(a => a.posts.length), [1, 0, 0]);
+
+        authors = yield Author.find().sort({ name: 1 }).populate({
+          path: 'posts',
+          perDocumentLimit: 2,
+          options: { sort: { year: -1 } }
+        });
+        assert.deepEqual(authors.map(a => a.posts.map(p => p.title)),
+          [['a3', 'a2'], ['b2', 'b1'], []]);
+      });
+    });
+  });
+
   describe('github issues', function() {
     var db;
 
@@ -6,6 +6,7 @@
 
 const Query = require('../lib/query');
 const assert = require('power-assert');
+const co = require('co');
 const random = require('../lib/utils').random;
 const start = require('./common');
 
@@ -2575,6 +2576,100 @@ describe('model: querying:', function() {
       return Test.find({ _id: { $in: [void 0] } });
     });
 
+    it('applies defaults, getters and virtuals with options', function() {
+      const schema = new Schema({
+        name: String,
+        price: { type: Number, get: v => v == null ? v : v / 100 },
+        status: { type: String, default: 'draft' },
+        meta: { views: { type: Number, default: 0 } },
+        tags: { type: [String], get: v => v.join(', ') }
+      });
+      schema.virtual('label').get(function() {
+        return this.name + ' (' + this.status + ')';
+      });
+
+      const Product = db.model('LeanOptions1', schema);
+
+      return co(function*() {
+        const _id = new DocumentObjectId();
+        yield Product.collection.insertOne({ _id: _id, name: 'a', price: 1250, tags: ['x'] });
+
+        let doc = yield Product.findById(_id).lean();
+        assert.deepEqual(Object.keys(doc).sort(), ['_id', 'name', 'price', 'tags']);
+
+        doc = yield Product.findById(_id).
+          lean({ defaults: true, getters: true, virtuals: true });
+        assert.ok(!(doc instanceof mongoose.Document));
+        assert.deepEqual(doc, {
+          _id: _id,
+          name: 'a',
+          price: 12.5,
+          status: 'draft',
+          meta: { views: 0 },
+          tags: 'x',
+          label: 'a (draft)',
+          id: _id.toHexString()
+        });
+
+        // Same result as hydrating the document
+        const hydrated = yield Product.findById(_id);
+        assert.deepEqual(hydrated.toObject({ getters: true, virtuals: true }), doc);
+
+        doc = yield Product.findById(_id).lean({ virtuals: true });
+        assert.equal(doc.price, 1250);
+        assert.equal(doc.label, 'a (undefined)');
+
+        // Defaults aren't applied to paths the projection excludes
+        const docs = yield Product.find().select('name').lean({ defaults: true });
+        assert.deepEqual(docs, [{ _id: _id, name: 'a' }]);
+
+        doc = yield Product.findOneAndUpdate({ _id: _id }, { name: 'b' }, { new: true }).
+          lean({ defaults: true });
+        assert.equal(doc.status, 'draft');
+
+        doc = yield Product.find().lean({ getters: true }).cursor().next();
+        assert.equal(doc.price, 12.5);
+      });
+    });
+
+    it('applies options to subdocs and populated docs', function() {
+      const Author = db.model('LeanOptions2', new Schema({
+        name: { type: String, get: v => v.toUpperCase() }
+      }));
+      const commentSchema = new Schema({
+        body: String,
+        likes: { type: Number, default: 0 }
+      });
+      commentSchema.virtual('summary').get(function() {
+        return this.body + ' +' + this.likes;
+      });
+      const Post = db.model('LeanOptions3', new Schema({
+        author: { type: ObjectId, ref: 'LeanOptions2' },
+        comments: [commentSchema],
+        location: new Schema({ city: { type: String, default: 'Paris' } })
+      }));
+
+      return co(function*() {
+        const author = yield Author.create({ name: 'val' });
+        yield Post.collection.insertOne({
+          author: author._id,
+          comments: [{ _id: new DocumentObjectId(), body: 'hi' }],
+          location: {}
+        });
+
+        const doc = yield Post.findOne().
+          populate('author').
+          lean({ defaults: true, getters: true, virtuals: true });
+        assert.equal(doc.author.name, 'VAL');
+        assert.equal(doc.author.id, author.id);
+        assert.equal(doc.comments[0].likes, 0);
+        assert.equal(doc.comments[0].summary, 'hi +0');
+        assert.equal(doc.location.city, 'Paris');
+        // No `_id` is generated for subdocs loaded without one
+        assert.strictEqual(doc.location._id, void 0);
+      });
+    });
+
     describe('$eq', function() {
       var mongo26 = false;
 
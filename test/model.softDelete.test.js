@@ -0,0 +1,138 @@
+/**
+ * Test dependencies.
+ */
+
+var start = require('./common'),
+    assert = require('power-assert'),
+    co = require('co'),
+    mongoose = start.mongoose,
+    random = require('../lib/utils').random,
+    Schema = mongoose.Schema;
+
+describe('schema softDelete option', function() {
+  var db;
+
+  before(function() {
+    db = start();
+  });
+
+  after(function(done) {
+    db.close(done);
+  });
+
+  function getModel(name, options) {
+    var schema = new Schema({ name: String }, options || { softDelete: true });
+    return db.model(name, schema, 'softdelete' + random());
+  }
+
+  it('adds the deletedAt path', function(done) {
+    var schema = new Schema({ name: String }, { softDelete: true });
+    assert.equal(schema.path('deletedAt').instance, 'Date');
+
+    schema = new Schema({ name: String }, { softDelete: { deletedAt: 'removedAt' } });
+    assert.equal(schema.path('removedAt').instance, 'Date');
+    assert.ok(!schema.path('deletedAt'));
+    done();
+  });
+
+  it('soft deletes on document remove()', function() {
+    var M = getModel('SoftDelete1');
+
+    return co(function*() {
+      var doc = yield M.create({ name: 'a' });
+      yield doc.remove();
+      assert.ok(doc.deletedAt instanceof Date);
+
+      var raw = yield M.collection.findOne({ _id: doc._id });
+      assert.ok(raw.deletedAt instanceof Date);
+      assert.strictEqual(yield M.findById(doc._id), null);
+      assert.equal((yield M.findById(doc._id).withDeleted()).name, 'a');
+    });
+  });
+
+  it('soft deletes with query deletes', function() {
+    var M = getModel('SoftDelete2');
+
+    return co(function*() {
+      yield M.create([
+        { name: 'a' }, { name: 'b' }, { name: 'c' }, { name: 'd' }, { name: 'e' }
+      ]);
+
+      yield M.deleteOne({ name: 'a' });
+      yield M.deleteMany({ name: { $in: ['b', 'c'] } });
+      var doc = yield M.findOneAndRemove({ name: 'd' });
+      assert.equal(doc.name, 'd');
+      yield M.remove({ name: 'e' });
+
+      assert.equal(yield M.collection.count({}), 5);
+      assert.equal(yield M.collection.count({ deletedAt: { $ne: null } }), 5);
+
+      // deleting again doesn't change the deletion date
+      var raw = yield M.collection.findOne({ name: 'a' });
+      var res = yield M.deleteOne({ name: 'a' });
+      assert.equal(res.n, 0);
+      assert.equal((yield M.collection.findOne({ name: 'a' })).deletedAt.valueOf(),
+        raw.deletedAt.valueOf());
+    });
+  });
+
+  it('excludes deleted documents from find, count, distinct and aggregate', function() {
+    var M = getModel('SoftDelete3');
+
+    return co(function*() {
+      yield M.create([{ name: 'a' }, { name: 'b' }]);
+      yield M.deleteOne({ name: 'b' });
+
+      assert.deepEqual((yield M.find()).map(doc => doc.name), ['a']);
+      assert.equal(yield M.count(), 1);
+      assert.deepEqual(yield M.distinct('name'), ['a']);
+      var res = yield M.aggregate([{ $group: { _id: null, n: { $sum: 1 } } }]);
+      assert.equal(res[0].n, 1);
+      res = yield M.aggregate([{ $match: {} }]);
+      assert.deepEqual(res.map(doc => doc.name), ['a']);
+
+      assert.equal(yield M.find().withDeleted().count(), 2);
+      assert.equal(yield M.count().setOptions({ withDeleted: true }), 2);
+      assert.deepEqual((yield M.find().onlyDeleted()).map(doc => doc.name), ['b']);
+      assert.deepEqual((yield M.distinct('name').onlyDeleted()), ['b']);
+      res = yield M.aggregate([{ $match: {} }]).withDeleted();
+      assert.equal(res.length, 2);
+      res = yield M.aggregate([{ $project: { name: 1 } }]).onlyDeleted();
+      assert.deepEqual(res.map(doc => doc.name), ['b']);
+
+      // explicit conditions on the deleted path win
+      assert.equal(yield M.count({ deletedAt: { $exists: true } }), 1);
+    });
+  });
+
+  it('leaves updates and schemas without the option alone', function() {
+    var M = getModel('SoftDelete4');
+    var N = getModel('SoftDelete5', {});
+
+    return co(function*() {
+      var doc = yield M.create({ name: 'a' });
+      yield doc.remove();
+      yield M.updateOne({ _id: doc._id }, { name: 'b' });
+      assert.equal((yield M.collection.findOne({ _id: doc._id })).name, 'b');
+
+      yield N.create({ name: 'a' });
+      yield N.deleteOne({ name: 'a' });
+      assert.equal(yield N.collection.count({}), 0);
+    });
+  });
+
+  it('supports a custom path name', function() {
+    var M = getModel('SoftDelete6', { softDelete: { deletedAt: 'removedAt' } });
+
+    return co(function*() {
+      var doc = yield M.create({ name: 'a' });
+      yield M.deleteOne({ _id: doc._id });
+
+      var raw = yield M.collection.findOne({ _id: doc._id });
+      assert.ok(raw.removedAt instanceof Date);
+      assert.ok(!('deletedAt' in raw));
+      assert.equal(yield M.count(), 0);
+      assert.ok((yield M.findOne().onlyDeleted()).removedAt instanceof Date);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Test dependencies.
+ */
+
+var start = require('./common'),
+    assert = require('power-assert'),
+    co = require('co'),
+    mongoose = start.mongoose,
+    random = require('../lib/utils').random,
+    Schema = mongoose.Schema,
+    STATES = require('../lib/connectionstate');
+
+describe('model: syncIndexes:', function() {
+  var db;
+
+  before(function() {
+    db = start();
+  });
+
+  after(function(done) {
+    db.close(done);
+  });
+
+  function getIndexes(Model) {
+    return Model.collection.listIndexes().toArray().then(function(indexes) {
+      return indexes.map(index => index.name).sort();
+    });
+  }
+
+  describe('Model.diffIndexes()', function() {
+    it('reports declared indexes that do not exist yet', function() {
+      var schema = new Schema({ name: { type: String, index: true } }, { autoIndex: false });
+      schema.index({ name: 1, age: -1 }, { unique: true });
+      var M = db.model('DiffIndexes1', schema, 'diffindexes' + random());
+
+      return co(function*() {
+        var res = yield M.diffIndexes();
+        assert.equal(res.model, 'DiffIndexes1');
+        assert.equal(res.collection, M.collection.collectionName);
+        assert.deepEqual(res.toCreate.map(index => index[0]),
+          [{ name: 1 }, { name: 1, age: -1 }]);
+        assert.deepEqual(res.toDrop, []);
+
+        yield M.ensureIndexes();
+        res = yield M.diffIndexes();
+        assert.deepEqual(res.toCreate, []);
+        assert.deepEqual(res.toDrop, []);
+      });
+    });
+
+    it('reports undeclared indexes and option mismatches', function() {
+      var schema = new Schema({
+        email: { type: String, unique: true },
+        nick: { type: String, sparse: true },
+        createdAt: { type: Date, expires: '1h' },
+        score: Number,
+        other: String
+      }, { autoIndex: false });
+      schema.index({ score: 1 }, { partialFilterExpression: { score: { $gt: 0 } } });
+      var M = db.model('DiffIndexes2', schema, 'diffindexes' + random());
+
+      return co(function*() {
+        yield M.collection.createIndex({ email: 1 });
+        yield M.collection.createIndex({ nick: 1 }, { sparse: true });
+        yield M.collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: 60 });
+        yield M.collection.createIndex({ score: 1 },
+          { partialFilterExpression: { score: { $gt: 1 } } });
+        yield M.collection.createIndex({ other: 1 });
+
+        var res = yield M.diffIndexes();
+        assert.deepEqual(res.toDrop.sort(),
+          ['createdAt_1', 'email_1', 'other_1', 'score_1']);
+        assert.deepEqual(res.toCreate.map(index => Object.keys(index[0])[0]),
+          ['email', 'createdAt', 'score']);
+        assert.strictEqual(res.toCreate[1][1].expireAfterSeconds, 3600);
+      });
+    });
+
+    it('includes discriminator indexes', function() {
+      var schema = new Schema({ name: String }, { autoIndex: false });
+      var M = db.model('DiffIndexes3', schema, 'diffindexes' + random());
+      M.discriminator('DiffIndexes3Child', new Schema({
+        age: { type: Number, index: true }
+      }, { autoIndex: false }));
+
+      return co(function*() {
+        var res = yield M.diffIndexes();
+        assert.deepEqual(res.toCreate.map(index => index[0]), [{ age: 1 }]);
+      });
+    });
+
+    it('matches text indexes (callback)', function(done) {
+      var schema = new Schema({ title: String, body: String }, { autoIndex: false });
+      schema.index({ title: 'text', body: 'text' }, { weights: { title: 2 } });
+      var M = db.model('DiffIndexes4', schema, 'diffindexes' + random());
+
+      M.collection.createIndex({ body: 'text', title: 'text' }, { weights: { title: 2 } }, function(error) {
+        assert.ifError(error);
+        M.diffIndexes(function(error, res) {
+          assert.ifError(error);
+          assert.deepEqual(res.toCreate, []);
+          assert.deepEqual(res.toDrop, []);
+          done();
+        });
+      });
+    });
+
+    it('fails if the connection never opens', function() {
+      var conn = mongoose.createConnection();
+      var M = conn.model('DiffIndexes5', new Schema({ name: String }));
+
+      return co(function*() {
+        var error = yield M.diffIndexes().then(() => null, error => error);
+        assert.equal(error.message, 'Connection is not open, can\'t call ' +
+          '`DiffIndexes5.diffIndexes()` while it is disconnected');
+
+        // Still connecting after `bufferTimeoutMS`
+        conn.readyState = STATES.connecting;
+        M = conn.model('DiffIndexes6', new Schema({ name: String }, {
+          bufferTimeoutMS: 10
+        }));
+        error = yield M.syncIndexes().then(() => null, error => error);
+        assert.equal(error.name, 'BufferTimeoutError');
+        assert.equal(error.method, 'diffIndexes');
+        assert.equal(conn.listeners('open').length, 0);
+      });
+    });
+  });
+
+  describe('Model.syncIndexes()', function() {
+    it('drops and creates indexes to match the schema', function() {
+      var schema = new Schema({
+        email: { type: String, unique: true },
+        name: { type: String, index: true }
+      }, { autoIndex: false });
+      var M = db.model('SyncIndexes1', schema, 'syncindexes' + random());
+
+      return co(function*() {
+        yield M.collection.createIndex({ email: 1 });
+        yield M.collection.createIndex({ other: 1 });
+
+        var res = yield M.syncIndexes();
+        assert.deepEqual(res.toDrop.sort(), ['email_1', 'other_1']);
+        assert.equal(res.toCreate.length, 2);
+
+        assert.deepEqual(yield getIndexes(M), ['_id_', 'email_1', 'name_1']);
+        var indexes = yield M.collection.listIndexes().toArray();
+        assert.ok(indexes.find(index => index.name === 'email_1').unique);
+
+        res = yield M.syncIndexes();
+        assert.deepEqual(res.toCreate, []);
+        assert.deepEqual(res.toDrop, []);
+      });
+    });
+  });
+
+  describe('connection.syncIndexes()', function() {
+    it('syncs every base model once', function() {
+      var conn = start();
+      var name = 'syncindexes' + random();
+      var Base = conn.model('Base', new Schema({
+        name: { type: String, index: true }
+      }, { autoIndex: false }), name);
+      Base.discriminator('Child', new Schema({
+        age: { type: Number, index: true }
+      }, { autoIndex: false }));
+      conn.model('SameCollection', new Schema({ other: String }, { autoIndex: false }), name);
+      var Other = conn.model('Other', new Schema({
+        tag: { type: String, index: true }
+      }, { autoIndex: false }), 'syncindexes' + random());
+
+      return co(function*() {
+        var results = yield conn.syncIndexes();
+        assert.deepEqual(results.map(res => res.model), ['Base', 'Other']);
+        assert.deepEqual(yield getIndexes(Base), ['_id_', 'age_1', 'name_1']);
+        assert.deepEqual(yield getIndexes(Other), ['_id_', 'tag_1']);
+
+        yield conn.close();
+      });
+    });
+  });
+});
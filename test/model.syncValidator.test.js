@@ -0,0 +1,170 @@
+/**
+ * Test dependencies.
+ */
+
+var start = require('./common'),
+    assert = require('power-assert'),
+    co = require('co'),
+    mongoose = start.mongoose,
+    random = require('../lib/utils').random,
+    Schema = mongoose.Schema,
+    STATES = require('../lib/connectionstate');
+
+describe('model: syncValidator:', function() {
+  var db;
+
+  before(function() {
+    db = start();
+  });
+
+  after(function(done) {
+    db.close(done);
+  });
+
+  function getOptions(name) {
+    return db.db.listCollections({ name: name }).toArray().then(function(res) {
+      return res.length ? res[0].options : null;
+    });
+  }
+
+  it('creates the collection with a validator', function() {
+    var schema = new Schema({ name: { type: String, required: true } });
+    var M = db.model('SyncValidator1', schema, 'syncvalidator' + random());
+
+    return co(function*() {
+      var res = yield M.syncValidator();
+      assert.equal(res.model, 'SyncValidator1');
+      assert.equal(res.collection, M.collection.collectionName);
+      assert.equal(res.action, 'create');
+      assert.strictEqual(res.current, null);
+      assert.deepEqual(res.validator, schema.toJSONSchema({ mongodb: true }));
+
+      var options = yield getOptions(M.collection.collectionName);
+      assert.deepEqual(options.validator, res.validator);
+
+      res = yield M.syncValidator();
+      assert.equal(res.action, 'none');
+    });
+  });
+
+  it('updates an existing validator with collMod', function() {
+    var name = 'syncvalidator' + random();
+    var M = db.model('SyncValidator2', new Schema({ age: Number }), name);
+
+    return co(function*() {
+      yield db.createCollection(name, { validator: { age: { $gte: 0 } } });
+
+      var res = yield M.syncValidator({ validationAction: 'warn' });
+      assert.equal(res.action, 'update');
+      assert.deepEqual(res.current, { age: { $gte: 0 } });
+
+      var options = yield getOptions(name);
+      assert.deepEqual(options.validator, M.schema.toJSONSchema({ mongodb: true }));
+      assert.equal(options.validationAction, 'warn');
+    });
+  });
+
+  it('does not change anything with dryRun', function() {
+    var name = 'syncvalidator' + random();
+    var M = db.model('SyncValidator3', new Schema({ age: Number }), name);
+
+    return co(function*() {
+      var res = yield M.syncValidator({ dryRun: true });
+      assert.equal(res.action, 'create');
+      assert.strictEqual(yield getOptions(name), null);
+
+      yield db.createCollection(name);
+      res = yield M.syncValidator({ dryRun: true });
+      assert.equal(res.action, 'update');
+      assert.deepEqual((yield getOptions(name)).validator, undefined);
+    });
+  });
+
+  it('reports the paths that would change', function() {
+    var name = 'syncvalidator' + random();
+    var M = db.model('SyncValidator5', new Schema({
+      name: { type: String, required: true },
+      age: { type: Number, min: 0 },
+      comments: [{ text: String }]
+    }), name);
+
+    return co(function*() {
+      yield db.createCollection(name, {
+        validator: new Schema({
+          name: String,
+          age: { type: Number, min: 0 },
+          email: String,
+          comments: [{ text: Number }]
+        }).toJSONSchema({ mongodb: true })
+      });
+
+      var res = yield M.syncValidator({ dryRun: true, validationLevel: 'moderate' });
+      assert.equal(res.action, 'update');
+      assert.deepEqual(res.diff, {
+        added: ['__v'],
+        removed: ['email'],
+        changed: ['name', 'comments.text', 'validationLevel']
+      });
+
+      yield M.syncValidator();
+      res = yield M.syncValidator({ dryRun: true });
+      assert.deepEqual(res.diff, { added: [], removed: [], changed: [] });
+    });
+  });
+
+  it('fails if the connection never opens', function() {
+    var conn = mongoose.createConnection();
+    var M = conn.model('SyncValidator6', new Schema({ name: String }));
+
+    return co(function*() {
+      var error = yield M.syncValidator().then(() => null, error => error);
+      assert.equal(error.message, 'Connection is not open, can\'t call ' +
+        '`SyncValidator6.syncValidator()` while it is disconnected');
+
+      // Still connecting after `bufferTimeoutMS`
+      conn.readyState = STATES.connecting;
+      M = conn.model('SyncValidator7', new Schema({ name: String }, {
+        bufferTimeoutMS: 10
+      }));
+      error = yield M.syncValidator().then(() => null, error => error);
+      assert.equal(error.name, 'BufferTimeoutError');
+      assert.equal(error.method, 'syncValidator');
+      assert.equal(conn.listeners('open').length, 0);
+    });
+  });
+
+  it('supports callbacks', function(done) {
+    var M = db.model('SyncValidator4', new Schema({ age: Number }),
+      'syncvalidator' + random());
+
+    M.syncValidator({ dryRun: true }, function(error, res) {
+      assert.ifError(error);
+      assert.equal(res.action, 'create');
+      done();
+    });
+  });
+
+  describe('connection.syncValidators()', function() {
+    it('syncs every base model once (dryRun)', function() {
+      var conn = start();
+      var name = 'syncvalidator' + random();
+      var Base = conn.model('Base', new Schema({ name: String }), name);
+      Base.discriminator('Child', new Schema({ age: Number }));
+      conn.model('SameCollection', new Schema({ other: String }), name);
+      conn.model('Other', new Schema({ other: String }), 'syncvalidator' + random());
+
+      return co(function*() {
+        var results = yield conn.syncValidators({ dryRun: true });
+        assert.deepEqual(results.map(res => res.model), ['Base', 'Other']);
+        assert.ok(results.every(res => res.action === 'create'));
+
+        results = yield conn.syncValidators();
+        assert.ok(results.every(res => res.action === 'create'));
+        results = yield conn.syncValidators({ dryRun: true });
+        assert.ok(results.every(res => res.action === 'none'));
+
+        yield conn.close();
+      });
+    });
+  });
+});
@@ -6,6 +6,7 @@
 
 var start = require('./common'),
     assert = require('power-assert'),
+    co = require('co'),
     mongoose = start.mongoose,
     random = require('../lib/utils').random,
     Schema = mongoose.Schema,
@@ -1195,6 +1196,117 @@ describe('model: update:', function() {
       });
     });
 
+    it('number enum, integer, multipleOf and precision validators', function(done) {
+      var s = new Schema({
+        size: {type: Number, enum: [1, 2, 3]},
+        eggs: {type: Number, integer: true},
+        price: {type: Number, multipleOf: 0.05, precision: 2},
+        total: {type: Number, precision: [2, 'round']}
+      });
+      var Breakfast = db.model('gh-860-number-validators', s);
+
+      var updateOptions = {runValidators: true};
+      var update = {$set: {size: 4, eggs: 1.5, price: 1.021}};
+      Breakfast.update({}, update, updateOptions, function(error) {
+        assert.ok(error);
+        assert.deepEqual(Object.keys(error.errors).sort(), ['eggs', 'price', 'size']);
+        assert.equal(error.errors.eggs.message, 'Path `eggs` (1.5) is not an integer.');
+
+        update = {$inc: {eggs: 0.5, price: 0.02}};
+        Breakfast.update({}, update, updateOptions, function(error) {
+          assert.ok(error);
+          assert.equal(error.errors.eggs.kind, 'integer');
+          assert.equal(error.errors.price.kind, 'multipleOf');
+
+          update = {$inc: {eggs: 2, price: -0.15}, $mul: {size: 2}};
+          Breakfast.update({}, update, updateOptions, function(error) {
+            assert.ifError(error);
+
+            Breakfast.findOneAndUpdate({}, {total: 1.005}, {upsert: true, new: true}, function(error, doc) {
+              assert.ifError(error);
+              assert.strictEqual(doc.total, 1.01);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('array maxItems and uniqueItems validators with $push and $addToSet', function() {
+      var s = new Schema({
+        tags: {type: [String], minItems: 1, maxItems: 3, uniqueItems: true},
+        lines: {type: [{sku: String, qty: Number}], uniqueItems: 'sku', minItems: 1, maxItems: 2}
+      });
+      var Order = db.model('gh-860-array-validators', s);
+      var updateOptions = {runValidators: true};
+
+      function update(doc) {
+        return Order.updateOne({}, doc, updateOptions).then(() => null, error => error);
+      }
+
+      return co(function*() {
+        yield Order.create({tags: ['a', 'b'], lines: [{sku: 'x', qty: 1}]});
+
+        assert.ifError(yield update({$push: {tags: 'c'}}));
+        var error = yield update({$push: {tags: 'd'}});
+        assert.equal(error.errors.tags.kind, 'maxItems');
+        error = yield update({$addToSet: {tags: 'd'}});
+        assert.equal(error.errors.tags.kind, 'maxItems');
+        // already in the array, so the length doesn't change
+        assert.ifError(yield update({$addToSet: {tags: 'a'}}));
+        assert.ifError(yield update({$push: {tags: {$each: ['d'], $slice: -3}}}));
+        error = yield update({$push: {tags: {$each: ['e', 'f', 'g', 'h']}}});
+        assert.equal(error.errors.tags.kind, 'maxItems');
+
+        error = yield update({$push: {tags: {$each: ['b'], $slice: -3}}});
+        assert.equal(error.errors.tags.kind, 'uniqueItems');
+        assert.equal(error.errors.tags.message, 'Path `tags` contains duplicate items.');
+
+        error = yield update({$push: {lines: {sku: 'x', qty: 2}}});
+        assert.equal(error.errors.lines.kind, 'uniqueItems');
+        error = yield update({$addToSet: {lines: {sku: 'x', qty: 2}}});
+        assert.equal(error.errors.lines.kind, 'uniqueItems');
+        error = yield update({$push: {lines: {$each: [{sku: 'y'}, {sku: 'y'}]}}});
+        assert.equal(error.errors.lines.kind, 'uniqueItems');
+        assert.ifError(yield update({$push: {lines: {sku: 'y', qty: 2}}}));
+        error = yield update({$push: {lines: {sku: 'z', qty: 2}}});
+        assert.equal(error.errors.lines.kind, 'maxItems');
+
+        var doc = yield Order.findOne().lean();
+        assert.deepEqual(doc.tags, ['b', 'c', 'd']);
+        assert.deepEqual(doc.lines.map(line => line.sku), ['x', 'y']);
+
+        // `$set` validates the whole array
+        error = yield update({$set: {tags: []}});
+        assert.equal(error.errors.tags.kind, 'minItems');
+      });
+    });
+
+    it('array maxItems validator only counts new items with $addToSet', function() {
+      var s = new Schema({
+        tags: {type: [String], maxItems: 3}
+      });
+      var Post = db.model('array-validators-addToSet', s);
+      var updateOptions = {runValidators: true};
+
+      function update(doc) {
+        return Post.updateOne({}, doc, updateOptions).then(() => null, error => error);
+      }
+
+      return co(function*() {
+        yield Post.create({tags: ['a', 'b']});
+
+        // 'b' is already in the array, so only 'c' is added
+        assert.ifError(yield update({$addToSet: {tags: {$each: ['b', 'c']}}}));
+        var error = yield update({$addToSet: {tags: {$each: ['c', 'd']}}});
+        assert.equal(error.errors.tags.kind, 'maxItems');
+        assert.ifError(yield update({$addToSet: {tags: {$each: ['a', 'c']}}}));
+
+        var doc = yield Post.findOne().lean();
+        assert.deepEqual(doc.tags, ['a', 'b', 'c']);
+      });
+    });
+
     it('validators handle positional operator (gh-3167)', function(done) {
       var s = new Schema({
         toppings: [{name: {type: String, enum: ['bacon', 'cheese']}}]
@@ -2104,9 +2216,7 @@ describe('model: update:', function() {
       });
     });
 
-    it('update handles casting with mongoose-long (gh-4283)', function(done) {
-      require('mongoose-long')(mongoose);
-
+    it('update handles casting with Long (gh-4283)', function(done) {
       var Model = db.model('gh4283', {
         number: { type: mongoose.Types.Long }
       });
@@ -42,4 +42,104 @@ describe('SchemaDate', function() {
     assert.ok(doc.x instanceof Date);
     assert.equal(doc.x.valueOf(), mockDate);
   });
+
+  describe('timezone, truncate and iso', function() {
+    var T;
+
+    before(function() {
+      var schema = new Schema({
+        ny: { type: Date, timezone: 'America/New_York' },
+        paris: { type: Date, timezone: 'Europe/Paris' },
+        offset: { type: Date, timezone: '+05:30', truncate: 'hour' },
+        day: { type: Date, timezone: 'Asia/Tokyo', truncate: 'day' },
+        utcDay: { type: Date, truncate: 'day' },
+        iso: { type: Date, iso: true }
+      });
+      T = mongoose.model('DateTimezone', schema);
+    });
+
+    function castError(path, value) {
+      try {
+        T.schema.path(path).cast(value);
+      } catch (error) {
+        return error;
+      }
+      return null;
+    }
+
+    it('reads strings without an offset in the time zone', function() {
+      var doc = new T({ ny: '2018-05-01', paris: '2018-01-15T10:30:15.5' });
+      assert.equal(doc.ny.toISOString(), '2018-05-01T04:00:00.000Z');
+      assert.equal(doc.paris.toISOString(), '2018-01-15T09:30:15.500Z');
+
+      doc = new T({ ny: '2018-05-01T10:30Z', paris: '2018-05-01T10:30-02:00' });
+      assert.equal(doc.ny.toISOString(), '2018-05-01T10:30:00.000Z');
+      assert.equal(doc.paris.toISOString(), '2018-05-01T12:30:00.000Z');
+
+      doc = new T({ ny: 'Tue, 01 May 2018 10:00:00 GMT', paris: 1525168800000 });
+      assert.equal(doc.ny.toISOString(), '2018-05-01T10:00:00.000Z');
+      assert.equal(doc.paris.toISOString(), '2018-05-01T10:00:00.000Z');
+    });
+
+    it('handles daylight saving time transitions', function() {
+      // skipped wall times move forward, repeated ones resolve to the first
+      var doc = new T({ paris: '2018-03-25T02:30' });
+      assert.equal(doc.paris.toISOString(), '2018-03-25T01:30:00.000Z');
+      doc.paris = '2018-10-28T02:30';
+      assert.equal(doc.paris.toISOString(), '2018-10-28T00:30:00.000Z');
+    });
+
+    it('rejects ambiguous and invalid strings', function() {
+      ['05/01/2018', 'May 1, 2018', '2018-02-30', '2018-05-01T25:00'].forEach(function(v) {
+        var error = castError('ny', v);
+        assert.equal(error.name, 'CastError');
+        assert.ok(/must be ISO 8601/.test(error.reason.message));
+      });
+
+      assert.throws(function() {
+        new Schema({ d: { type: Date, timezone: 'Mars/Olympus_Mons' } });
+      }, /Invalid time zone `Mars\/Olympus_Mons`/);
+    });
+
+    it('truncates in the time zone', function() {
+      var doc = new T({
+        offset: '2018-05-01T10:45',
+        day: '2018-05-01T23:30+09:00',
+        utcDay: new Date('2018-05-01T23:30Z')
+      });
+      assert.equal(doc.offset.toISOString(), '2018-05-01T04:30:00.000Z');
+      assert.equal(doc.day.toISOString(), '2018-04-30T15:00:00.000Z');
+      assert.equal(doc.utcDay.toISOString(), '2018-05-01T00:00:00.000Z');
+
+      assert.throws(function() {
+        new Schema({ d: { type: Date, truncate: 'week' } });
+      }, /Invalid `truncate` unit `week`/);
+    });
+
+    it('truncates equality but not range conditions in queries', function() {
+      var conditions = T.find({
+        day: '2018-05-01T12:00',
+        utcDay: { $lt: '2018-05-01T12:00Z', $in: ['2018-05-01T12:00Z'] }
+      }).cast(T);
+      assert.equal(conditions.day.toISOString(), '2018-04-30T15:00:00.000Z');
+      assert.equal(conditions.utcDay.$lt.toISOString(), '2018-05-01T12:00:00.000Z');
+      assert.equal(conditions.utcDay.$in[0].toISOString(), '2018-05-01T00:00:00.000Z');
+    });
+
+    it('only accepts ISO 8601 strings in iso mode', function() {
+      var doc = new T({ iso: '2018-05-01T10:30:00.123+02:00' });
+      assert.equal(doc.iso.toISOString(), '2018-05-01T08:30:00.123Z');
+      doc.iso = new Date(0);
+      assert.equal(doc.iso.valueOf(), 0);
+      doc.iso = 1000;
+      assert.equal(doc.iso.valueOf(), 1000);
+
+      ['Tue, 01 May 2018 10:00:00 GMT', '2018-5-1', '20180501'].forEach(function(v) {
+        var error = castError('iso', v);
+        assert.ok(/Expected an ISO 8601 string/.test(error.reason.message));
+      });
+      var error = new T({ iso: { valueOf: () => 0 } }).validateSync();
+      assert.equal(error.errors.iso.name, 'CastError');
+    });
+  });
 });
\ No newline at end of file
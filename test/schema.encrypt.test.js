@@ -0,0 +1,247 @@
+/**
+ * Test dependencies.
+ */
+
+var start = require('./common'),
+    assert = require('power-assert'),
+    co = require('co'),
+    crypto = require('crypto'),
+    mongoose = start.mongoose,
+    random = require('../lib/utils').random,
+    Schema = mongoose.Schema;
+
+describe('schema encrypt option', function() {
+  var db;
+  var keys = {
+    default: crypto.randomBytes(32),
+    pii: crypto.randomBytes(32)
+  };
+
+  before(function() {
+    db = start();
+    mongoose.set('encryptionKeyProvider', function(keyId) {
+      return keys[keyId];
+    });
+  });
+
+  after(function(done) {
+    mongoose.set('encryptionKeyProvider', null);
+    db.close(done);
+  });
+
+  function isEncrypted(val) {
+    return val != null && val._bsontype === 'Binary' && val.sub_type === 6;
+  }
+
+  function getModel(name) {
+    var schema = new Schema({
+      name: String,
+      notes: { type: String, encrypt: true },
+      ssn: { type: String, encrypt: { keyId: 'pii', deterministic: true } },
+      born: { type: Date, encrypt: true },
+      tags: { type: [String], encrypt: true },
+      address: {
+        zip: { type: Number, encrypt: true },
+        city: String
+      },
+      card: new Schema({
+        number: { type: String, encrypt: { deterministic: true } }
+      }, { _id: false }),
+      accounts: [{ iban: { type: String, encrypt: true } }]
+    });
+    return db.model(name, schema, 'encrypt' + random());
+  }
+
+  it('encrypts on save and decrypts on init and lean()', function() {
+    var Person = getModel('Encrypt1');
+
+    return co(function*() {
+      var doc = yield Person.create({
+        name: 'Val',
+        notes: 'likes cats',
+        ssn: '123-45-6789',
+        born: new Date('1990-01-01'),
+        tags: ['a', 'b'],
+        address: { zip: 12345, city: 'Springfield' },
+        card: { number: '4111' },
+        accounts: [{ iban: 'DE00' }]
+      });
+      assert.equal(doc.notes, 'likes cats');
+
+      var raw = yield Person.collection.findOne({ _id: doc._id });
+      assert.equal(raw.name, 'Val');
+      assert.equal(raw.address.city, 'Springfield');
+      ['notes', 'ssn', 'born', 'tags'].forEach(function(path) {
+        assert.ok(isEncrypted(raw[path]), path);
+      });
+      assert.ok(isEncrypted(raw.address.zip));
+      assert.ok(isEncrypted(raw.card.number));
+      assert.ok(isEncrypted(raw.accounts[0].iban));
+
+      doc = yield Person.findById(doc._id);
+      assert.equal(doc.notes, 'likes cats');
+      assert.ok(doc.born instanceof Date);
+      assert.equal(doc.born.toISOString(), '1990-01-01T00:00:00.000Z');
+      assert.deepEqual(doc.tags.toObject(), ['a', 'b']);
+      assert.strictEqual(doc.address.zip, 12345);
+      assert.equal(doc.card.number, '4111');
+      assert.equal(doc.accounts[0].iban, 'DE00');
+      assert.deepEqual(doc.modifiedPaths(), []);
+
+      var lean = yield Person.findById(doc._id).lean();
+      assert.equal(lean.ssn, '123-45-6789');
+      assert.ok(lean.born instanceof Date);
+      assert.deepEqual(lean.tags, ['a', 'b']);
+      assert.strictEqual(lean.address.zip, 12345);
+      assert.equal(lean.accounts[0].iban, 'DE00');
+    });
+  });
+
+  it('uses a random IV unless deterministic', function() {
+    var Person = getModel('Encrypt2');
+
+    return co(function*() {
+      var docs = yield Person.create([
+        { notes: 'same', ssn: 'same' },
+        { notes: 'same', ssn: 'same' }
+      ]);
+      var raw = yield Person.collection.find({}).toArray();
+      assert.equal(raw.length, 2);
+      assert.notEqual(raw[0].notes.toString('hex'), raw[1].notes.toString('hex'));
+      assert.equal(raw[0].ssn.toString('hex'), raw[1].ssn.toString('hex'));
+      assert.ok(docs);
+    });
+  });
+
+  it('encrypts changes on save', function() {
+    var Person = getModel('Encrypt3');
+
+    return co(function*() {
+      var doc = yield Person.create({ notes: 'a', tags: ['a'], accounts: [] });
+      doc = yield Person.findById(doc._id);
+
+      doc.notes = 'b';
+      doc.tags.push('b');
+      doc.address.zip = 1;
+      var delta = doc.$__delta()[1];
+      assert.ok(isEncrypted(delta.$set.notes));
+      assert.ok(isEncrypted(delta.$set.tags));
+      assert.ok(isEncrypted(delta.$set['address.zip']));
+      assert.equal(doc.notes, 'b');
+
+      doc.accounts.push({ iban: 'FR00' });
+      yield doc.save();
+
+      var raw = yield Person.collection.findOne({ _id: doc._id });
+      assert.ok(isEncrypted(raw.tags));
+      assert.ok(isEncrypted(raw.accounts[0].iban));
+
+      doc = yield Person.findById(doc._id);
+      assert.equal(doc.notes, 'b');
+      assert.deepEqual(doc.tags.toObject(), ['a', 'b']);
+      assert.strictEqual(doc.address.zip, 1);
+      assert.equal(doc.accounts[0].iban, 'FR00');
+    });
+  });
+
+  it('encrypts updates after running update validators', function() {
+    var schema = new Schema({
+      level: {
+        type: String,
+        encrypt: true,
+        enum: ['low', 'high']
+      },
+      count: { type: Number, encrypt: true },
+      accounts: [{ iban: { type: String, encrypt: true } }]
+    });
+    var M = db.model('Encrypt4', schema, 'encrypt' + random());
+
+    return co(function*() {
+      var doc = yield M.create({ level: 'low', count: 1 });
+
+      yield M.updateOne({ _id: doc._id }, { level: 'high' }, { runValidators: true });
+      yield M.findOneAndUpdate({ _id: doc._id }, {
+        $push: { accounts: { iban: 'IT00' } }
+      });
+      var raw = yield M.collection.findOne({ _id: doc._id });
+      assert.ok(isEncrypted(raw.level));
+      assert.ok(isEncrypted(raw.accounts[0].iban));
+
+      doc = yield M.findById(doc._id);
+      assert.equal(doc.level, 'high');
+      assert.equal(doc.accounts[0].iban, 'IT00');
+
+      var error = yield M.updateOne({ _id: doc._id }, { level: 'bad' }, { runValidators: true }).
+        then(() => null, err => err);
+      assert.ok(error.errors.level);
+
+      error = yield M.updateOne({ _id: doc._id }, { $inc: { count: 1 } }).
+        then(() => null, err => err);
+      assert.ok(/Can't use \$inc on encrypted path "count"/.test(error.message));
+
+      yield M.replaceOne({ _id: doc._id }, { level: 'low' });
+      raw = yield M.collection.findOne({ _id: doc._id });
+      assert.ok(isEncrypted(raw.level));
+    });
+  });
+
+  it('supports equality queries on deterministic paths', function() {
+    var Person = getModel('Encrypt5');
+
+    return co(function*() {
+      yield Person.create([
+        { name: 'a', ssn: '1', card: { number: '4111' } },
+        { name: 'b', ssn: '2' },
+        { name: 'c' }
+      ]);
+
+      var doc = yield Person.findOne({ ssn: '1' });
+      assert.equal(doc.name, 'a');
+      assert.equal((yield Person.findOne({ 'card.number': '4111' })).name, 'a');
+      assert.equal(yield Person.count({ ssn: { $in: ['1', '2'] } }), 2);
+      assert.equal(yield Person.count({ ssn: { $ne: '1' } }), 2);
+      assert.equal(yield Person.count({ ssn: { $exists: true } }), 2);
+      assert.equal(yield Person.count({ ssn: null }), 1);
+
+      var error = yield Person.find({ notes: 'x' }).then(() => null, err => err);
+      assert.ok(/unless `encrypt.deterministic` is set/.test(error.message));
+      error = yield Person.find({ ssn: { $gt: '1' } }).then(() => null, err => err);
+      assert.ok(/Can't use \$gt on encrypted path "ssn"/.test(error.message));
+      error = yield Person.find({ ssn: /1/ }).then(() => null, err => err);
+      assert.ok(/Can't use a RegExp/.test(error.message));
+    });
+  });
+
+  it('decrypts with the key id stored in the value', function() {
+    var schema = new Schema({ secret: { type: String, encrypt: { keyId: 'v1' } } });
+    var M = db.model('Encrypt6', schema, 'encrypt' + random());
+    keys.v1 = crypto.randomBytes(32);
+
+    return co(function*() {
+      var doc = yield M.create({ secret: 'old' });
+
+      schema.path('secret').encrypt({ keyId: 'v2' });
+      keys.v2 = crypto.randomBytes(32);
+      yield M.create({ secret: 'new' });
+
+      var docs = yield M.find().sort({ _id: 1 });
+      assert.deepEqual(docs.map(doc => doc.secret), ['old', 'new']);
+
+      delete keys.v1;
+      var error = yield M.findById(doc._id).then(() => null, err => err);
+      assert.ok(/least 32 bytes for key id "v1"/.test(error.message));
+    });
+  });
+
+  it('rejects encrypting array elements and converts to $jsonSchema', function(done) {
+    assert.throws(function() {
+      new Schema({ tags: [{ type: String, encrypt: true }] });
+    }, /Cannot encrypt the elements of array `tags`/);
+
+    var schema = new Schema({ ssn: { type: String, encrypt: true, required: true } });
+    assert.deepEqual(schema.toJSONSchema({ mongodb: true }).$jsonSchema.properties.ssn,
+      { bsonType: 'binData' });
+    assert.equal(schema.toJSONSchema().properties.ssn.type, 'string');
+    done();
+  });
+});
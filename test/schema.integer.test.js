@@ -0,0 +1,133 @@
+/**
+ * Test dependencies.
+ */
+
+var start = require('./common'),
+    assert = require('power-assert'),
+    co = require('co'),
+    mongoose = start.mongoose,
+    random = require('../lib/utils').random,
+    Schema = mongoose.Schema,
+    Long = mongoose.Types.Long;
+
+describe('integer schema types', function() {
+  var db;
+
+  before(function() {
+    db = start();
+  });
+
+  after(function(done) {
+    db.close(done);
+  });
+
+  function getModel(name, schema) {
+    return db.model(name, schema, 'integer' + random());
+  }
+
+  describe('Int32', function() {
+    it('casts integers in range', function() {
+      var path = new Schema({ n: Schema.Types.Int32 }).path('n');
+      assert.strictEqual(path.cast(42), 42);
+      assert.strictEqual(path.cast('-42'), -42);
+      assert.strictEqual(path.cast(new Number(7)), 7);
+      assert.strictEqual(path.cast(Long.fromString('2147483647')), 2147483647);
+      assert.strictEqual(path.cast(-0x80000000), -0x80000000);
+      assert.strictEqual(path.cast(''), null);
+
+      assert.throws(() => path.cast(2147483648), /Cast to Int32 failed/);
+      assert.throws(() => path.cast('-2147483649'), /Cast to Int32 failed/);
+      assert.throws(() => path.cast(1.5), /Cast to Int32 failed/);
+      assert.throws(() => path.cast('1e3'), /Cast to Int32 failed/);
+      assert.throws(() => path.cast(true), /Cast to Int32 failed/);
+
+      try {
+        path.cast(2147483648);
+      } catch (error) {
+        assert.equal(error.reason.message, 'Value is outside the Int32 range');
+      }
+    });
+
+    it('min and max', function() {
+      var M = getModel('Int321', new Schema({
+        n: { type: 'Int32', min: 1, max: [10, 'too big'] }
+      }));
+
+      assert.ifError(new M({ n: 10 }).validateSync());
+      assert.equal(new M({ n: 0 }).validateSync().errors.n.kind, 'min');
+      assert.equal(new M({ n: 11 }).validateSync().errors.n.message, 'too big');
+    });
+
+    it('stores 32-bit integers and casts $inc', function() {
+      var M = getModel('Int322', new Schema({ n: Schema.Types.Int32 }));
+
+      return co(function*() {
+        yield M.create({ n: 1 });
+        yield M.updateOne({}, { $inc: { n: '2' } });
+        assert.equal((yield M.findOne({ n: { $type: 'int' } })).n, 3);
+
+        var error = yield M.updateOne({}, { $inc: { n: 2147483648 } }).
+          then(() => null, error => error);
+        assert.equal(error.name, 'CastError');
+      });
+    });
+  });
+
+  describe('Long', function() {
+    it('casts integers in range', function() {
+      var path = new Schema({ n: Schema.Types.Long }).path('n');
+      assert.ok(path.cast(1) instanceof Long);
+      assert.equal(path.cast('9007199254740993').toString(), '9007199254740993');
+      assert.equal(path.cast('-9223372036854775808').toString(), '-9223372036854775808');
+      assert.equal(path.cast('+007').toString(), '7');
+      assert.equal(path.cast(Math.pow(2, 60)).toString(), '1152921504606846976');
+      assert.strictEqual(path.cast(''), null);
+
+      assert.throws(() => path.cast('9223372036854775808'), /Cast to Long failed/);
+      assert.throws(() => path.cast(Math.pow(2, 63)), /Cast to Long failed/);
+      assert.throws(() => path.cast(1.5), /Cast to Long failed/);
+      assert.throws(() => path.cast('12abc'), /Cast to Long failed/);
+
+      try {
+        path.cast('9223372036854775808');
+      } catch (error) {
+        assert.equal(error.reason.message, 'Value is outside the Long range');
+      }
+    });
+
+    it('min and max', function() {
+      var M = getModel('Long1', new Schema({
+        n: { type: Schema.Types.Long, min: '-9007199254740993', max: '9007199254740993' }
+      }));
+
+      assert.ifError(new M({ n: '9007199254740993' }).validateSync());
+      var error = new M({ n: '9007199254740994' }).validateSync();
+      assert.equal(error.errors.n.kind, 'max');
+      assert.equal(error.errors.n.message,
+        'Path `n` (9007199254740994) is more than maximum allowed value (9007199254740993).');
+      assert.equal(new M({ n: '-9007199254740994' }).validateSync().errors.n.kind, 'min');
+    });
+
+    it('stores longs and keeps their precision', function() {
+      var M = getModel('Long2', new Schema({ n: 'Long', list: [Schema.Types.Long] }));
+
+      return co(function*() {
+        var doc = yield M.create({ n: '9007199254740993', list: [1] });
+        assert.deepEqual(JSON.parse(JSON.stringify(doc)).n, '9007199254740993');
+
+        var raw = yield M.collection.findOne({ n: { $type: 'long' } });
+        assert.equal(raw.n.toString(), '9007199254740993');
+
+        yield M.updateOne({}, { $inc: { n: '2' } });
+        doc = yield M.findOne({ n: { $gt: '9007199254740994' } });
+        assert.equal(doc.n.toString(), '9007199254740995');
+        assert.equal((yield M.find({ n: { $in: ['9007199254740995'] } })).length, 1);
+
+        doc.list.push('9223372036854775807');
+        yield doc.save();
+        doc = yield M.findById(doc._id);
+        assert.deepEqual(doc.list.map(String), ['1', '9223372036854775807']);
+      });
+    });
+  });
+});
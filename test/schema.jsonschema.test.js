@@ -0,0 +1,304 @@
+/**
+ * Module dependencies.
+ */
+
+var start = require('./common'),
+    mongoose = start.mongoose,
+    assert = require('power-assert'),
+    Schema = mongoose.Schema;
+
+describe('schema JSON Schema', function() {
+  describe('toJSONSchema()', function() {
+    it('converts types and validators', function(done) {
+      var schema = new Schema({
+        name: { type: String, required: true, enum: ['a', 'b'] },
+        email: { type: String, match: /@/, maxlength: 64 },
+        age: { type: Number, min: 0, max: 150 },
+        active: { type: Boolean, default: true },
+        born: Date,
+        meta: {}
+      });
+
+      var jsonSchema = schema.toJSONSchema();
+      assert.equal(jsonSchema.$schema, 'http://json-schema.org/draft-07/schema#');
+      assert.equal(jsonSchema.type, 'object');
+      assert.deepEqual(jsonSchema.required, ['name']);
+      assert.deepEqual(jsonSchema.properties.name, {
+        type: 'string',
+        enum: ['a', 'b'],
+        minLength: 1
+      });
+      assert.deepEqual(jsonSchema.properties.email, {
+        type: ['string', 'null'],
+        maxLength: 64,
+        pattern: '@'
+      });
+      assert.deepEqual(jsonSchema.properties.age, {
+        type: ['number', 'null'],
+        minimum: 0,
+        maximum: 150
+      });
+      assert.deepEqual(jsonSchema.properties.active, {
+        type: ['boolean', 'null'],
+        default: true
+      });
+      assert.deepEqual(jsonSchema.properties.born, {
+        type: ['string', 'null'],
+        format: 'date-time'
+      });
+      assert.deepEqual(jsonSchema.properties.meta, {});
+      assert.deepEqual(jsonSchema.properties._id, {
+        type: ['string', 'null'],
+        pattern: '^[0-9a-fA-F]{24}$'
+      });
+      done();
+    });
+
+    it('converts nested paths, subdocuments and arrays', function(done) {
+      var schema = new Schema({
+        name: { first: { type: String, required: true } },
+        address: new Schema({ city: String }, { _id: false }),
+        tags: [String],
+        comments: [{ body: String }]
+      }, { _id: false });
+
+      var properties = schema.toJSONSchema().properties;
+      assert.deepEqual(properties.name, {
+        type: 'object',
+        properties: { first: { type: 'string', minLength: 1 } },
+        required: ['first']
+      });
+      assert.deepEqual(properties.address, {
+        type: ['object', 'null'],
+        properties: { city: { type: ['string', 'null'] } }
+      });
+      assert.deepEqual(properties.tags, {
+        type: ['array', 'null'],
+        items: { type: ['string', 'null'] }
+      });
+      assert.equal(properties.comments.items.type, 'object');
+      assert.deepEqual(properties.comments.items.properties.body,
+        { type: ['string', 'null'] });
+      done();
+    });
+
+    it('converts maps', function(done) {
+      var schema = new Schema({
+        scores: { type: Map, of: Number },
+        any: Map
+      }, { _id: false });
+
+      var properties = schema.toJSONSchema().properties;
+      assert.deepEqual(properties.scores, {
+        type: ['object', 'null'],
+        additionalProperties: { type: ['number', 'null'] }
+      });
+      assert.deepEqual(properties.any, { type: ['object', 'null'] });
+      done();
+    });
+
+    it('handles recursive schemas', function(done) {
+      var schema = new Schema({ name: String });
+      schema.add({ children: [schema] });
+
+      var jsonSchema = schema.toJSONSchema();
+      assert.deepEqual(jsonSchema.properties.children.items, { type: 'object' });
+      done();
+    });
+
+    it('converts number validators', function(done) {
+      var schema = new Schema({
+        qty: { type: Number, integer: true, min: 1 },
+        price: { type: Number, multipleOf: 0.05 },
+        stars: { type: Number, enum: [1, 2, 3], integer: true, multipleOf: 0.5 }
+      });
+
+      var jsonSchema = schema.toJSONSchema();
+      assert.deepEqual(jsonSchema.properties.qty, {
+        type: ['integer', 'null'],
+        minimum: 1
+      });
+      assert.deepEqual(jsonSchema.properties.price, {
+        type: ['number', 'null'],
+        multipleOf: 0.05
+      });
+      assert.deepEqual(jsonSchema.properties.stars, {
+        type: ['integer', 'null'],
+        enum: [1, 2, 3],
+        multipleOf: 0.5
+      });
+
+      var validator = schema.toJSONSchema({ mongodb: true }).$jsonSchema;
+      assert.deepEqual(validator.properties.qty, {
+        bsonType: ['number', 'null'],
+        minimum: 1,
+        multipleOf: 1
+      });
+      assert.deepEqual(validator.properties.stars, {
+        bsonType: ['number', 'null'],
+        enum: [1, 2, 3],
+        allOf: [{ multipleOf: 0.5 }, { multipleOf: 1 }]
+      });
+      done();
+    });
+
+    it('emits a $jsonSchema validator with `mongodb`', function(done) {
+      var schema = new Schema({
+        name: { type: String, required: true },
+        count: { type: Number, default: 0 },
+        owner: Schema.Types.ObjectId,
+        data: Buffer
+      });
+
+      var validator = schema.toJSONSchema({ mongodb: true });
+      assert.deepEqual(validator, {
+        $jsonSchema: {
+          bsonType: 'object',
+          properties: {
+            name: { bsonType: 'string', minLength: 1 },
+            count: { bsonType: ['number', 'null'] },
+            owner: { bsonType: ['objectId', 'null'] },
+            data: { bsonType: ['binData', 'null'] },
+            _id: { bsonType: ['objectId', 'null'] }
+          },
+          required: ['name']
+        }
+      });
+      done();
+    });
+  });
+
+  describe('fromJSONSchema()', function() {
+    it('creates paths and validators', function(done) {
+      var schema = Schema.fromJSONSchema({
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 2, pattern: '^[a-z]+$' },
+          role: { type: 'string', enum: ['admin', 'user', null] },
+          age: { type: 'integer', minimum: 0 },
+          born: { type: 'string', format: 'date-time' },
+          meta: { type: 'object' },
+          any: {}
+        },
+        required: ['name']
+      });
+
+      assert.equal(schema.path('name').instance, 'String');
+      assert.ok(schema.path('name').isRequired);
+      assert.deepEqual(schema.path('role').enumValues, ['admin', 'user']);
+      assert.equal(schema.path('age').instance, 'Number');
+      assert.equal(schema.path('born').instance, 'Date');
+      assert.equal(schema.path('meta').instance, 'Mixed');
+      assert.equal(schema.path('any').instance, 'Mixed');
+      assert.equal(schema.path('_id').instance, 'ObjectID');
+
+      var M = mongoose.model('FromJSONSchema', schema);
+      var err = new M({ name: 'A', age: -1 }).validateSync();
+      assert.deepEqual(Object.keys(err.errors).sort(), ['age', 'name']);
+      assert.ifError(new M({ name: 'ab', age: 1 }).validateSync());
+      done();
+    });
+
+    it('accepts $jsonSchema validators', function(done) {
+      var schema = Schema.fromJSONSchema({
+        $jsonSchema: {
+          bsonType: 'object',
+          properties: {
+            owner: { bsonType: 'objectId' },
+            price: { bsonType: 'decimal' },
+            tags: { bsonType: 'array', items: { bsonType: 'string' } },
+            items: {
+              bsonType: 'array',
+              items: {
+                bsonType: 'object',
+                properties: { qty: { bsonType: 'int' } },
+                required: ['qty']
+              }
+            }
+          }
+        }
+      });
+
+      assert.equal(schema.path('owner').instance, 'ObjectID');
+      assert.equal(schema.path('price').instance, 'Decimal128');
+      assert.equal(schema.path('items').schema.path('qty').instance, 'Int32');
+      assert.equal(schema.path('tags').caster.instance, 'String');
+      assert.ok(schema.path('items').$isMongooseDocumentArray);
+      assert.ok(schema.path('items').schema.path('qty').isRequired);
+      assert.ok(!schema.path('items').schema.path('_id'));
+      done();
+    });
+
+    it('round trips toJSONSchema()', function(done) {
+      var schema = new Schema({
+        name: { type: String, required: true, maxlength: 10 },
+        nested: { count: { type: Number, min: 1 } },
+        sub: new Schema({ flag: Boolean }),
+        list: [{ value: { type: String, enum: ['x', 'y'] } }],
+        matrix: [[Number]],
+        codes: { type: [String], minItems: 1, maxItems: 5, uniqueItems: true },
+        uuid: Schema.Types.UUID,
+        small: { type: Schema.Types.Int32, min: 0 },
+        big: { type: Schema.Types.Long, max: '9007199254740992' }
+      });
+
+      var jsonSchema = schema.toJSONSchema();
+      assert.deepEqual(jsonSchema.properties.codes, {
+        type: ['array', 'null'],
+        items: { type: ['string', 'null'] },
+        minItems: 1,
+        maxItems: 5,
+        uniqueItems: true
+      });
+      assert.deepEqual(jsonSchema.properties.uuid, {
+        type: ['string', 'null'],
+        format: 'uuid'
+      });
+      assert.deepEqual(jsonSchema.properties.big, {
+        type: ['integer', 'null'],
+        format: 'int64',
+        maximum: 9007199254740992
+      });
+      var copy = Schema.fromJSONSchema(jsonSchema);
+      assert.deepEqual(copy.toJSONSchema(), jsonSchema);
+      assert.ok(copy.path('sub').$isSingleNested);
+      assert.equal(copy.pathType('nested'), 'nested');
+      assert.equal(copy.path('uuid').instance, 'UUID');
+      assert.equal(copy.path('small').instance, 'Int32');
+      assert.equal(copy.path('big').instance, 'Long');
+      done();
+    });
+
+    it('restores number validators', function(done) {
+      var schema = new Schema({
+        qty: { type: Number, integer: true, min: 1 },
+        price: { type: Number, multipleOf: 0.05 },
+        stars: { type: Number, enum: [1, 2, 3], integer: true, multipleOf: 0.5 }
+      });
+
+      [schema.toJSONSchema(), schema.toJSONSchema({ mongodb: true })].
+        forEach(function(jsonSchema) {
+          var copy = Schema.fromJSONSchema(jsonSchema);
+          assert.equal(copy.path('qty').instance, 'Number');
+          assert.ok(copy.path('qty').integerValidator);
+          assert.equal(copy.path('price').validators[0].multipleOf, 0.05);
+          assert.ok(!copy.path('price').integerValidator);
+          assert.deepEqual(copy.path('stars').enumValues, [1, 2, 3]);
+          assert.ok(copy.path('stars').integerValidator);
+          assert.ok(copy.path('stars').multipleOfValidator);
+          assert.deepEqual(copy.toJSONSchema({ mongodb: true }),
+            schema.toJSONSchema({ mongodb: true }));
+        });
+      assert.deepEqual(Schema.fromJSONSchema(schema.toJSONSchema()).toJSONSchema(),
+        schema.toJSONSchema());
+      done();
+    });
+
+    it('throws if the schema is not an object schema', function(done) {
+      assert.throws(function() {
+        Schema.fromJSONSchema({ type: 'string' });
+      }, /requires a JSON Schema of type "object"/);
+      done();
+    });
+  });
+});
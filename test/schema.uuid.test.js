@@ -0,0 +1,163 @@
+/**
+ * Test dependencies.
+ */
+
+var start = require('./common'),
+    assert = require('power-assert'),
+    co = require('co'),
+    mongoose = start.mongoose,
+    random = require('../lib/utils').random,
+    Schema = mongoose.Schema,
+    Binary = mongoose.mongo.Binary;
+
+describe('SchemaUUID', function() {
+  var db;
+  var A = '1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed';
+  var B = '0f8fad5b-d9cb-469f-a165-70867728950e';
+
+  before(function() {
+    db = start();
+  });
+
+  after(function(done) {
+    db.close(done);
+  });
+
+  function getModel(name, schema) {
+    return db.model(name, schema, 'uuid' + random());
+  }
+
+  it('casts strings, buffers and binaries', function() {
+    var M = getModel('UUID1', new Schema({ x: Schema.Types.UUID, y: 'UUID' }));
+
+    var doc = new M({ x: A.toUpperCase(), y: A.replace(/-/g, '') });
+    assert.strictEqual(doc.x, A);
+    assert.strictEqual(doc.y, A);
+    assert.ok(Buffer.isBuffer(doc._doc.x));
+    assert.equal(doc._doc.x._subtype, 4);
+
+    var bytes = Buffer.from(B.replace(/-/g, ''), 'hex');
+    assert.equal(new M({ x: bytes }).x, B);
+    assert.equal(new M({ x: new Binary(bytes, 4) }).x, B);
+    assert.equal(new M({ x: new Binary(bytes, 3) }).x, B);
+
+    ['nope', A + '0', Buffer.alloc(8), new Binary(bytes, 0), 42].forEach(function(v) {
+      var error = new M({ x: v }).validateSync();
+      assert.ok(error, String(v));
+      assert.equal(error.errors.x.name, 'CastError');
+      assert.equal(error.errors.x.kind, 'UUID');
+    });
+  });
+
+  it('stores Binary subtype 4 and serializes to strings', function() {
+    var M = getModel('UUID2', new Schema({
+      _id: Schema.Types.UUID,
+      x: Schema.Types.UUID,
+      list: [Schema.Types.UUID]
+    }));
+
+    return co(function*() {
+      var doc = yield M.create({ _id: A, x: B, list: [A, B] });
+      assert.equal(doc.id, A);
+
+      var raw = yield M.collection.findOne({});
+      assert.ok(raw._id instanceof Binary);
+      assert.equal(raw._id.sub_type, 4);
+      assert.equal(raw.x.sub_type, 4);
+      assert.deepEqual(raw.list.map(v => v.sub_type), [4, 4]);
+
+      assert.deepEqual(doc.toObject(), { _id: A, x: B, list: [A, B], __v: 0 });
+      assert.deepEqual(JSON.parse(JSON.stringify(doc)),
+        { _id: A, x: B, list: [A, B], __v: 0 });
+      var obj = doc.toObject({ flattenUUIDs: false });
+      assert.ok(obj.x instanceof Binary);
+      assert.equal(obj.x.sub_type, 4);
+
+      doc = yield M.findById(A.toUpperCase());
+      doc.x = A;
+      doc.list.pull(A);
+      doc.list.push(A);
+      yield doc.save();
+
+      raw = yield M.collection.findOne({});
+      assert.equal(raw.x.sub_type, 4);
+      assert.equal(raw.x.value(true).toString('hex'), A.replace(/-/g, ''));
+      assert.deepEqual((yield M.findById(A)).toObject().list, [B, A]);
+    });
+  });
+
+  it('keeps UUIDs in single nested subdocuments binary when saving', function() {
+    var M = getModel('UUID6', new Schema({
+      name: String,
+      child: new Schema({ x: Schema.Types.UUID, list: [Schema.Types.UUID] })
+    }));
+
+    return co(function*() {
+      var doc = yield M.create({ name: 'a' });
+      doc.child = { x: A, list: [B] };
+      yield doc.save();
+
+      var raw = yield M.collection.findOne({ _id: doc._id });
+      assert.ok(raw.child.x instanceof Binary);
+      assert.equal(raw.child.x.sub_type, 4);
+      assert.equal(raw.child.list[0].sub_type, 4);
+
+      yield M.update({ _id: doc._id }, { child: new M({ child: { x: B } }).child });
+      raw = yield M.collection.findOne({ _id: doc._id });
+      assert.equal(raw.child.x.sub_type, 4);
+
+      doc = yield M.findById(doc._id);
+      assert.equal(doc.child.x, B);
+    });
+  });
+
+  it('casts queries', function() {
+    var M = getModel('UUID3', new Schema({ x: Schema.Types.UUID, name: String }));
+
+    return co(function*() {
+      yield M.create([{ x: A, name: 'a' }, { x: B, name: 'b' }, { name: 'c' }]);
+
+      var query = M.find({ x: { $in: [A, Buffer.from(B.replace(/-/g, ''), 'hex')] } });
+      query.cast(M);
+      assert.ok(query.getQuery().x.$in[0] instanceof Binary);
+      assert.equal(query.getQuery().x.$in[0].sub_type, 4);
+
+      var docs = yield query.sort({ name: 1 });
+      assert.deepEqual(docs.map(doc => doc.name), ['a', 'b']);
+      assert.equal((yield M.findOne({ x: B.toUpperCase() })).name, 'b');
+      assert.equal((yield M.find({ x: { $nin: [A] } })).length, 2);
+
+      yield M.updateOne({ x: A }, { x: B });
+      assert.equal((yield M.count({ x: B })), 2);
+
+      var error = yield M.find({ x: 'nope' }).then(() => null, error => error);
+      assert.equal(error.name, 'CastError');
+    });
+  });
+
+  it('populates', function() {
+    var Person = getModel('UUID4', new Schema({ _id: Schema.Types.UUID, name: String }));
+    var Team = getModel('UUID5', new Schema({
+      lead: { type: Schema.Types.UUID, ref: 'UUID4' },
+      members: [{ type: Schema.Types.UUID, ref: 'UUID4' }]
+    }));
+
+    return co(function*() {
+      var a = yield Person.create({ _id: A, name: 'a' });
+      yield Person.create({ _id: B, name: 'b' });
+      var team = yield Team.create({ lead: a, members: [B, a] });
+      var raw = yield Team.collection.findOne({});
+      assert.equal(raw.lead.sub_type, 4);
+      assert.equal(raw.members[1].sub_type, 4);
+
+      team = yield Team.findById(team._id).populate('lead members');
+      assert.equal(team.lead.name, 'a');
+      assert.deepEqual(team.members.map(m => m.name), ['b', 'a']);
+      assert.deepEqual(team.toObject({ depopulate: true }).members, [B, A]);
+
+      team = yield Team.findById(team._id).populate('lead members').lean();
+      assert.equal(team.lead.name, 'a');
+      assert.deepEqual(team.members.map(m => m.name), ['b', 'a']);
+    });
+  });
+});
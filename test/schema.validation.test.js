@@ -226,6 +226,148 @@ describe('schema', function() {
         assert.equal(Tobi.path('friends').validators.length, 0);
         done();
       });
+
+      it('number enum', function(done) {
+        const schema = new Schema({
+          size: {type: Number, enum: [1, 2, '3']},
+          tier: {type: Number, enum: {values: [0, 10], message: 'Tier {VALUE} does not exist'}}
+        });
+
+        assert.deepEqual(schema.path('size').enumValues, [1, 2, 3]);
+        assert.ifError(schema.path('size').doValidateSync(3));
+        assert.ifError(schema.path('size').doValidateSync(null));
+        assert.equal(schema.path('size').doValidateSync(4).message,
+          '`4` is not a valid enum value for path `size`.');
+        assert.ifError(schema.path('tier').doValidateSync(0));
+        assert.equal(schema.path('tier').doValidateSync(5).message, 'Tier 5 does not exist');
+
+        schema.path('size').enum(false);
+        assert.equal(schema.path('size').validators.length, 0);
+        done();
+      });
+
+      it('number integer and multipleOf', function(done) {
+        const schema = new Schema({
+          qty: {type: Number, integer: true},
+          price: {type: Number, multipleOf: [0.1, '{VALUE} is not in tenths']}
+        });
+
+        assert.ifError(schema.path('qty').doValidateSync(-3));
+        const err = schema.path('qty').doValidateSync(1.5);
+        assert.equal(err.kind, 'integer');
+        assert.equal(err.message, 'Path `qty` (1.5) is not an integer.');
+
+        assert.ifError(schema.path('price').doValidateSync(0.3));
+        assert.ifError(schema.path('price').doValidateSync(123456.7));
+        assert.equal(schema.path('price').doValidateSync(0.35).message, '0.35 is not in tenths');
+        assert.equal(new Schema({n: {type: Number, multipleOf: 5}}).path('n').doValidateSync(12).message,
+          'Path `n` (12) is not a multiple of 5.');
+
+        assert.throws(function() {
+          new Schema({n: {type: Number, multipleOf: 0}});
+        }, /multipleOf/);
+
+        schema.path('qty').integer(false);
+        schema.path('price').multipleOf(null);
+        assert.equal(schema.path('qty').validators.length, 0);
+        assert.equal(schema.path('price').validators.length, 0);
+        done();
+      });
+
+      it('array minItems, maxItems and uniqueItems', function(done) {
+        const schema = new Schema({
+          tags: {type: [String], minItems: 1, maxItems: 3, uniqueItems: true},
+          dates: {type: [Date], uniqueItems: true},
+          lines: {
+            type: [{sku: String, qty: Number}],
+            uniqueItems: {key: 'sku', message: 'Duplicate sku in `{PATH}`'}
+          },
+          points: {type: [{x: Number, y: Number, _id: false}], uniqueItems: true}
+        });
+        const M = mongoose.model('ArrayItems' + random(), schema);
+
+        let doc = new M({
+          tags: ['a', 'b'],
+          dates: [new Date(0), new Date(1)],
+          lines: [{sku: 'a', qty: 1}, {sku: 'b', qty: 1}],
+          points: [{x: 1, y: 2}, {x: 2, y: 1}]
+        });
+        assert.ifError(doc.validateSync());
+
+        doc = new M({
+          tags: [],
+          dates: [new Date(0), new Date(0)],
+          lines: [{sku: 'a', qty: 1}, {sku: 'a', qty: 2}],
+          points: [{x: 1, y: 2}, {x: 1, y: 2}]
+        });
+        let err = doc.validateSync();
+        assert.equal(err.errors.tags.kind, 'minItems');
+        assert.equal(err.errors.tags.message, 'Path `tags` has fewer than 1 items.');
+        assert.equal(err.errors.dates.message, 'Path `dates` contains duplicate items.');
+        assert.equal(err.errors.lines.message, 'Duplicate sku in `lines`');
+        assert.equal(err.errors.points.kind, 'uniqueItems');
+
+        doc = new M({tags: ['a', 'b', 'c', 'a']});
+        err = doc.validateSync();
+        assert.equal(err.errors.tags.message, 'Path `tags` has more than 3 items.');
+        doc.tags.pop();
+        assert.ifError(doc.validateSync());
+        doc.tags = ['a', 'b', 'a'];
+        assert.equal(doc.validateSync().errors.tags.kind, 'uniqueItems');
+
+        assert.throws(function() {
+          new Schema({tags: {type: [String], uniqueItems: 'name'}});
+        }, /can only compare items by a key in document arrays/);
+
+        schema.path('tags').minItems(null).maxItems(null).uniqueItems(false);
+        assert.equal(schema.path('tags').validators.length, 0);
+        done();
+      });
+
+      it('number precision', function(done) {
+        const schema = new Schema({
+          amount: {type: Number, precision: 2},
+          round: {type: Number, precision: [2, 'round']},
+          halfEven: {type: Number, precision: [2, 'halfEven']},
+          floor: {type: Number, precision: {digits: 1, rounding: 'floor'}},
+          ceil: {type: Number, precision: [0, 'ceil']},
+          trunc: {type: Number, precision: [1, 'trunc']}
+        });
+        const M = mongoose.model('NumberPrecision' + random(), schema);
+
+        assert.ifError(schema.path('amount').doValidateSync(1.25));
+        assert.ifError(schema.path('amount').doValidateSync(1e21));
+        assert.equal(schema.path('amount').doValidateSync(1.005).message,
+          'Path `amount` (1.005) has more than 2 decimal places.');
+
+        const doc = new M({
+          round: -1.005,
+          halfEven: '2.345',
+          floor: -0.11,
+          ceil: 0.2,
+          trunc: -1.99
+        });
+        assert.strictEqual(doc.round, -1.01);
+        assert.strictEqual(doc.halfEven, 2.34);
+        assert.strictEqual(doc.floor, -0.2);
+        assert.strictEqual(doc.ceil, 1);
+        assert.strictEqual(doc.trunc, -1.9);
+        doc.halfEven = 2.355;
+        assert.strictEqual(doc.halfEven, 2.36);
+        doc.round = null;
+        assert.strictEqual(doc.round, null);
+
+        assert.throws(function() {
+          schema.path('round').precision(2, 'up');
+        }, /Invalid rounding mode `up`/);
+        assert.throws(function() {
+          schema.path('round').precision(1.5);
+        }, /non-negative integer/);
+
+        schema.path('round').precision(null);
+        assert.equal(schema.path('round').setters.length, 0);
+        done();
+      });
     });
 
     describe('required', function() {
@@ -0,0 +1,255 @@
+/**
+ * Test dependencies.
+ */
+
+var start = require('./common'),
+    assert = require('power-assert'),
+    co = require('co'),
+    mongoose = start.mongoose,
+    random = require('../lib/utils').random,
+    Schema = mongoose.Schema;
+
+describe('sessions', function() {
+  var db;
+
+  before(function() {
+    db = start();
+  });
+
+  after(function(done) {
+    db.close(done);
+  });
+
+  function getModel(name, schema) {
+    return db.model(name, schema || new Schema({ name: String }), 'session' + random());
+  }
+
+  it('startSession()', function(done) {
+    db.startSession(function(error, session) {
+      assert.ifError(error);
+      assert.ok(session.id);
+      session.endSession();
+
+      db.startSession().then(function(session) {
+        assert.ok(session.id);
+        session.endSession();
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('passes the session to the driver and remembers it on documents', function() {
+    var child = new Schema({ name: String });
+    var schema = new Schema({ name: String, child: child, children: [child] });
+    var saveOptions = [];
+    var subdocOptions = [];
+    schema.pre('save', function(next, options) {
+      saveOptions.push(options);
+      next();
+    });
+    child.pre('save', function(next, options) {
+      subdocOptions.push(options);
+      next();
+    });
+    var M = getModel('Session1', schema);
+
+    return co(function*() {
+      var session = yield db.startSession();
+      yield M.create({ name: 'a', child: { name: 'b' }, children: [{ name: 'c' }] });
+      saveOptions = [];
+      subdocOptions = [];
+
+      var query = M.findOne({ name: 'a' }).session(session);
+      assert.strictEqual(query._optionsForExec(M).session, session);
+      var doc = yield query;
+      assert.strictEqual(doc.$session(), session);
+
+      doc.name = 'b';
+      yield doc.save();
+      assert.strictEqual(saveOptions[0].session, session);
+      assert.equal(subdocOptions.length, 2);
+      assert.strictEqual(subdocOptions[0].session, session);
+      assert.strictEqual(subdocOptions[1].session, session);
+
+      // an explicit session option replaces the document's session
+      yield doc.save({ session: null });
+      assert.strictEqual(doc.$session(), null);
+      assert.ok(!saveOptions[1].session);
+
+      var docs = yield M.find().session(session);
+      assert.strictEqual(docs[0].$session(), session);
+      doc = yield M.findOne();
+      assert.strictEqual(doc.$session(), null);
+      query = M.findOne().session(session).session(null);
+      assert.ok(!('session' in query.options));
+
+      session.endSession();
+    });
+  });
+
+  it('does not use the document\'s session once it has ended', function() {
+    var schema = new Schema({ name: String });
+    var saveOptions = [];
+    schema.pre('save', function(next, options) {
+      saveOptions.push(options);
+      next();
+    });
+    var M = getModel('Session8', schema);
+
+    return co(function*() {
+      var session = yield db.startSession();
+      yield M.create({ name: 'a' });
+      saveOptions = [];
+
+      var doc = yield M.findOne({ name: 'a' }).session(session);
+      session.endSession();
+
+      doc.name = 'b';
+      yield doc.save();
+      assert.ok(!saveOptions[0].session);
+      assert.strictEqual(doc.$session(), null);
+      assert.equal((yield M.findOne()).name, 'b');
+
+      doc = yield M.findOne({ name: 'b' }).session(session = yield db.startSession());
+      session.endSession();
+      yield doc.remove();
+      assert.equal(yield M.count(), 0);
+    });
+  });
+
+  it('populates in the same session', function() {
+    var Author = getModel('Session2');
+    var Post = getModel('Session3', new Schema({
+      author: { type: Schema.Types.ObjectId, ref: 'Session2' }
+    }));
+
+    return co(function*() {
+      var session = yield db.startSession();
+      var author = yield Author.create({ name: 'a' });
+      yield Post.create({ author: author._id });
+
+      var post = yield Post.findOne().populate('author').session(session);
+      assert.equal(post.author.name, 'a');
+      assert.strictEqual(post.author.$session(), session);
+
+      session.endSession();
+    });
+  });
+
+  it('Aggregate#session()', function() {
+    var M = getModel('Session4');
+
+    return co(function*() {
+      var session = yield db.startSession();
+      yield M.create({ name: 'a' });
+
+      var aggregate = M.aggregate([{ $match: {} }]).session(session);
+      assert.strictEqual(aggregate.options.session, session);
+      var res = yield aggregate;
+      assert.deepEqual(res.map(doc => doc.name), ['a']);
+      assert.ok(!('session' in aggregate.session(null).options));
+
+      session.endSession();
+    });
+  });
+
+  it('withTransaction() rejects if the driver has no transactions', function() {
+    var conn = mongoose.createConnection();
+    var ended = false;
+    var called = false;
+    conn.startSession = function(cb) {
+      cb(null, {
+        endSession: function() {
+          ended = true;
+        }
+      });
+    };
+
+    return conn.withTransaction(function() {
+      called = true;
+    }).then(function() {
+      assert.ok(false);
+    }, function(error) {
+      assert.ok(error instanceof mongoose.Error);
+      assert.ok(error.message.indexOf('supports transactions') !== -1);
+      assert.ok(ended);
+      assert.ok(!called);
+    });
+  });
+
+  describe('withTransaction()', function() {
+    before(function(done) {
+      var _this = this;
+      db.startSession(function(error, session) {
+        if (error) {
+          return done(error);
+        }
+        // transactions need MongoDB 4.0 and a driver that supports them
+        var supported = typeof session.startTransaction === 'function';
+        session.endSession();
+        if (!supported) {
+          _this.skip();
+        }
+        done();
+      });
+    });
+
+    it('commits', function() {
+      var M = getModel('Session5');
+
+      return co(function*() {
+        var res = yield db.withTransaction(session => {
+          return new M({ name: 'a' }).save({ session: session }).then(doc => {
+            assert.strictEqual(doc.$session(), session);
+            return M.updateOne({ name: 'a' }, { name: 'b' }).session(session);
+          }).then(() => 42);
+        });
+        assert.equal(res, 42);
+        assert.deepEqual((yield M.find()).map(doc => doc.name), ['b']);
+      });
+    });
+
+    it('aborts when `fn` fails', function() {
+      var M = getModel('Session6');
+
+      return co(function*() {
+        yield M.create({ name: 'a' });
+        var error = yield db.withTransaction(session => {
+          return M.findOne({ name: 'a' }).session(session).then(doc => {
+            doc.name = 'b';
+            return doc.save();
+          }).then(() => {
+            throw new Error('fail');
+          });
+        }).then(() => null, error => error);
+
+        assert.equal(error.message, 'fail');
+        assert.deepEqual((yield M.find()).map(doc => doc.name), ['a']);
+      });
+    });
+
+    it('retries on TransientTransactionError', function(done) {
+      var M = getModel('Session7');
+      var calls = 0;
+
+      db.withTransaction(function(session) {
+        ++calls;
+        return new M({ name: 'a' + calls }).save({ session: session }).then(() => {
+          if (calls < 3) {
+            var error = new Error('write conflict');
+            error.errorLabels = ['TransientTransactionError'];
+            throw error;
+          }
+        });
+      }, function(error) {
+        assert.ifError(error);
+        assert.equal(calls, 3);
+        M.find(function(error, docs) {
+          assert.ifError(error);
+          assert.deepEqual(docs.map(doc => doc.name), ['a3']);
+          done();
+        });
+      });
+    });
+  });
+});
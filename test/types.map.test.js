@@ -0,0 +1,185 @@
+/**
+ * Test dependencies.
+ */
+
+var start = require('./common'),
+    assert = require('power-assert'),
+    co = require('co'),
+    mongoose = start.mongoose,
+    random = require('../lib/utils').random,
+    Schema = mongoose.Schema;
+
+describe('Map', function() {
+  var db;
+
+  before(function() {
+    db = start();
+  });
+
+  after(function(done) {
+    db.close(done);
+  });
+
+  describe('schema', function() {
+    it('casts values with `of`', function(done) {
+      var schema = new Schema({
+        scores: { type: Map, of: Number },
+        any: Map
+      });
+      assert.equal(schema.path('scores').instance, 'Map');
+      assert.equal(schema.path('scores.alice').instance, 'Number');
+      assert.equal(schema.path('scores.$*').instance, 'Number');
+      assert.equal(schema.path('any.x').instance, 'Mixed');
+      assert.equal(schema.pathType('scores.alice'), 'real');
+
+      var M = db.model('Map1', schema, 'map' + random());
+      var doc = new M({ scores: { alice: '42' }, any: { x: [1] } });
+      assert.ok(doc.scores instanceof Map);
+      assert.ok(doc.scores instanceof mongoose.Types.Map);
+      assert.strictEqual(doc.scores.get('alice'), 42);
+      assert.strictEqual(doc.get('scores.alice'), 42);
+      assert.deepEqual(doc.any.get('x'), [1]);
+
+      doc.set('scores.bob', '7');
+      assert.strictEqual(doc.scores.get('bob'), 7);
+
+      doc.scores.set('carol', 'not a number');
+      assert.ok(!doc.scores.has('carol'));
+      assert.equal(doc.validateSync().errors['scores.carol'].name, 'CastError');
+      done();
+    });
+
+    it('rejects invalid keys', function(done) {
+      var M = db.model('Map2', new Schema({ scores: { type: Map, of: Number } }),
+        'map' + random());
+      var doc = new M({ scores: {} });
+      assert.throws(function() {
+        doc.scores.set('a.b', 1);
+      }, /keys that contain "."/);
+      assert.throws(function() {
+        doc.scores.set('$a', 1);
+      }, /keys that start with "\$"/);
+      done();
+    });
+  });
+
+  describe('change tracking', function() {
+    it('saves changes to individual keys', function() {
+      var M = db.model('Map3', new Schema({ scores: { type: Map, of: Number } }),
+        'map' + random());
+
+      return co(function*() {
+        var doc = yield M.create({ scores: { alice: 1, bob: 2 } });
+        doc = yield M.findById(doc._id);
+        assert.deepEqual(doc.modifiedPaths(), []);
+
+        doc.scores.set('carol', 3);
+        doc.scores.delete('alice');
+        assert.deepEqual(doc.modifiedPaths().sort(),
+          ['scores', 'scores.alice', 'scores.carol']);
+        assert.deepEqual(doc.$__delta()[1], {
+          $set: { 'scores.carol': 3 },
+          $unset: { 'scores.alice': 1 }
+        });
+        yield doc.save();
+
+        var raw = yield M.collection.findOne({ _id: doc._id });
+        assert.deepEqual(raw.scores, { bob: 2, carol: 3 });
+      });
+    });
+
+    it('tracks changes to subdocument values and validates them', function() {
+      var schema = new Schema({
+        addresses: {
+          type: Map,
+          of: new Schema({ city: { type: String, required: true } }, { _id: false })
+        }
+      });
+      var M = db.model('Map4', schema, 'map' + random());
+
+      return co(function*() {
+        var doc = yield M.create({ addresses: { home: { city: 'Paris' } } });
+        doc = yield M.findById(doc._id);
+
+        doc.addresses.get('home').city = 'Rome';
+        assert.deepEqual(doc.$__delta()[1], { $set: { 'addresses.home.city': 'Rome' } });
+        yield doc.save();
+
+        doc.addresses.set('work', {});
+        var error = yield doc.save().then(() => null, err => err);
+        assert.ok(error);
+        assert.ok(error.errors['addresses.work.city']);
+
+        doc.addresses.get('work').city = 'Oslo';
+        yield doc.save();
+        var raw = yield M.collection.findOne({ _id: doc._id });
+        assert.deepEqual(raw.addresses, { home: { city: 'Rome' }, work: { city: 'Oslo' } });
+      });
+    });
+  });
+
+  it('converts with toObject() and toJSON()', function(done) {
+    var M = db.model('Map5', new Schema({ scores: { type: Map, of: Number } }),
+      'map' + random());
+    var doc = new M({ scores: { alice: 1 } });
+
+    var obj = doc.toObject();
+    assert.ok(obj.scores instanceof Map);
+    assert.ok(!(obj.scores instanceof mongoose.Types.Map));
+    assert.deepEqual(doc.toObject({ flattenMaps: true }).scores, { alice: 1 });
+    assert.deepEqual(JSON.parse(JSON.stringify(doc)).scores, { alice: 1 });
+    done();
+  });
+
+  it('casts queries and updates on keys', function() {
+    var M = db.model('Map6', new Schema({ scores: { type: Map, of: Number } }),
+      'map' + random());
+
+    return co(function*() {
+      var doc = yield M.create({ scores: { alice: 1 } });
+      assert.equal(yield M.count({ 'scores.alice': '1' }), 1);
+
+      yield M.updateOne({ _id: doc._id }, { $set: { 'scores.bob': '2' } });
+      yield M.updateOne({ _id: doc._id }, { $inc: { 'scores.alice': '1' } });
+      var raw = yield M.collection.findOne({ _id: doc._id });
+      assert.deepEqual(raw.scores, { alice: 2, bob: 2 });
+    });
+  });
+
+  describe('populate', function() {
+    it('populates every value', function() {
+      var Person = db.model('MapPerson', new Schema({ name: String }),
+        'map' + random());
+      var Band = db.model('MapBand', new Schema({
+        members: { type: Map, of: { type: Schema.Types.ObjectId, ref: 'MapPerson' } }
+      }), 'map' + random());
+
+      return co(function*() {
+        var people = yield Person.create([{ name: 'Axl' }, { name: 'Slash' }]);
+        yield Band.create({
+          members: { singer: people[0]._id, guitarist: people[1]._id }
+        });
+
+        var band = yield Band.findOne().populate('members');
+        assert.equal(band.members.get('singer').name, 'Axl');
+        assert.equal(band.members.get('guitarist').name, 'Slash');
+        assert.equal(band.populated('members').singer.toHexString(),
+          people[0]._id.toHexString());
+        assert.deepEqual(band.modifiedPaths(), []);
+
+        band = yield Band.findOne().populate('members.$*').lean();
+        assert.equal(band.members.singer.name, 'Axl');
+
+        band = yield Band.findOne();
+        yield band.populate('members').execPopulate();
+        assert.equal(band.members.get('guitarist').name, 'Slash');
+        band.members.set('drummer', people[0]);
+        assert.equal(band.members.get('drummer').name, 'Axl');
+        yield band.save();
+
+        var raw = yield Band.collection.findOne();
+        assert.equal(raw.members.drummer.toHexString(), people[0]._id.toHexString());
+      });
+    });
+  });
+});
@@ -583,4 +583,72 @@ describe('versioning', function() {
       }).
       catch(done);
   });
+
+  it('optimisticConcurrency versions every save', function() {
+    const schema = new Schema({ name: String, count: Number },
+      { optimisticConcurrency: true });
+    const M = db.model('OptimisticConcurrency', schema, 'oc_' + random());
+
+    return co(function*() {
+      const doc = yield M.create({ name: 'a', count: 0 });
+      assert.equal(doc.__v, 0);
+
+      const doc1 = yield M.findById(doc._id);
+      const doc2 = yield M.findById(doc._id);
+
+      doc1.count = 1;
+      yield doc1.save();
+      assert.equal(doc1.__v, 1);
+
+      doc2.name = 'b';
+      const err = yield doc2.save().then(() => null, err => err);
+      assert.ok(err instanceof VersionError);
+      assert.equal(err.version, 0);
+      assert.deepEqual(err.modifiedPaths, ['name']);
+      assert.ok(/version 0 modifiedPaths "name"/.test(err.message), err.message);
+
+      const fresh = yield M.findById(doc._id);
+      assert.equal(fresh.name, 'a');
+      assert.equal(fresh.count, 1);
+      assert.equal(fresh.__v, 1);
+
+      // saving without changes doesn't bump the version
+      yield fresh.save();
+      assert.equal((yield M.findById(doc._id)).__v, 1);
+    });
+  });
+
+  it('findOneAndUpdate() with expectedVersion', function() {
+    const M = db.model('ExpectedVersion', new Schema({ name: String }), 'ev_' + random());
+
+    return co(function*() {
+      const doc = yield M.create({ name: 'a' });
+
+      let res = yield M.findOneAndUpdate({ _id: doc._id }, { name: 'b' },
+        { expectedVersion: 0, new: true });
+      assert.equal(res.name, 'b');
+      assert.equal(res.__v, 1);
+
+      const err = yield M.findOneAndUpdate({ _id: doc._id }, { name: 'c' },
+        { expectedVersion: 0 }).then(() => null, err => err);
+      assert.ok(err instanceof VersionError);
+      assert.equal(err.version, 0);
+      assert.equal((yield M.findById(doc._id)).name, 'b');
+
+      res = yield M.findOneAndUpdate({ _id: doc._id }, { name: 'd' },
+        { expectedVersion: 1, overwrite: true, new: true });
+      assert.equal(res.name, 'd');
+      assert.equal(res.__v, 2);
+
+      // a missing document is not a version error
+      res = yield M.findOneAndUpdate({ name: 'missing' }, { name: 'e' },
+        { expectedVersion: 0 });
+      assert.strictEqual(res, null);
+
+      const upsertErr = yield M.findOneAndUpdate({ _id: doc._id }, { name: 'f' },
+        { expectedVersion: 0, upsert: true }).then(() => null, err => err);
+      assert.ok(/Can't combine `expectedVersion` with `upsert`/.test(upsertErr.message));
+      assert.equal(yield M.count(), 1);
+    });
+  });
 });